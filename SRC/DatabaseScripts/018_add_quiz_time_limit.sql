@@ -0,0 +1,36 @@
+-- =============================================
+-- Script: 018_add_quiz_time_limit.sql
+-- Description: Add optional time limit and countdown warning thresholds to quizzes
+-- =============================================
+
+-- Time limit for a whole attempt (NULL = untimed)
+ALTER TABLE quiz.quizzes
+ADD COLUMN IF NOT EXISTS time_limit_minutes INT DEFAULT NULL;
+
+-- Seconds remaining at which the player is warned, e.g. {300, 60}
+ALTER TABLE quiz.quizzes
+ADD COLUMN IF NOT EXISTS time_warning_seconds INT[] DEFAULT NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'quizzes_time_limit_positive') THEN
+        ALTER TABLE quiz.quizzes ADD CONSTRAINT quizzes_time_limit_positive
+            CHECK (time_limit_minutes IS NULL OR time_limit_minutes > 0);
+    END IF;
+END $$;
+
+-- Add comments for documentation
+COMMENT ON COLUMN quiz.quizzes.time_limit_minutes IS 'Optional attempt time limit in minutes (NULL = untimed)';
+COMMENT ON COLUMN quiz.quizzes.time_warning_seconds IS 'Seconds remaining at which TakeQuiz warns the player';
+
+-- The deadline itself is stored per attempt in quiz.attempts.metadata->>'deadlineAt'
+-- (set by StartAttempt), so a resumed attempt keeps its original end time.
+
+-- =============================================
+-- Verification queries
+-- =============================================
+-- SELECT column_name, data_type, is_nullable
+-- FROM information_schema.columns
+-- WHERE table_schema = 'quiz'
+--   AND table_name = 'quizzes'
+--   AND column_name IN ('time_limit_minutes', 'time_warning_seconds');
@@ -0,0 +1,24 @@
+-- =============================================
+-- Script: 019_add_quiz_shuffle_questions.sql
+-- Description: Add quiz-level flag to present questions in a seeded random order
+-- =============================================
+
+-- Shuffle question order per attempt (option/item order is controlled per question
+-- by the shuffle_options / shuffle_items content flags)
+ALTER TABLE quiz.quizzes
+ADD COLUMN IF NOT EXISTS shuffle_questions BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Add comments for documentation
+COMMENT ON COLUMN quiz.quizzes.shuffle_questions IS 'Present questions in a per-attempt seeded random order';
+
+-- The seed is stored per attempt in quiz.attempts.metadata->>'shuffleSeed', so a resumed
+-- attempt (and the attempt review page) shows the same question, option and item order.
+
+-- =============================================
+-- Verification queries
+-- =============================================
+-- SELECT column_name, data_type, is_nullable, column_default
+-- FROM information_schema.columns
+-- WHERE table_schema = 'quiz'
+--   AND table_name = 'quizzes'
+--   AND column_name = 'shuffle_questions';
@@ -0,0 +1,28 @@
+-- =============================================
+-- Script: 020_add_practice_mode.sql
+-- Description: Add practice mode (immediate per-question feedback with retries)
+-- =============================================
+
+-- Practice quizzes let the student check each answer and retry for reduced points
+ALTER TABLE quiz.quizzes
+ADD COLUMN IF NOT EXISTS practice_mode BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Number of distinct answers submitted for a question in a practice attempt
+-- (resubmitting the same answer does not count as a retry)
+ALTER TABLE quiz.responses
+ADD COLUMN IF NOT EXISTS practice_tries INT NOT NULL DEFAULT 0;
+
+-- Add comments for documentation
+COMMENT ON COLUMN quiz.quizzes.practice_mode IS 'Practice quizzes give immediate feedback and are excluded from assignment scores';
+COMMENT ON COLUMN quiz.responses.practice_tries IS 'Distinct answers submitted in a practice attempt; each retry earns fewer points';
+
+-- Practice attempts are tagged with quiz.attempts.metadata->>'mode' = 'practice' (set by StartAttempt).
+-- They do not use assignment attempts and do not update assignment status or score.
+
+-- =============================================
+-- Verification queries
+-- =============================================
+-- SELECT table_name, column_name, data_type, column_default
+-- FROM information_schema.columns
+-- WHERE table_schema = 'quiz'
+--   AND column_name IN ('practice_mode', 'practice_tries');
@@ -0,0 +1,38 @@
+-- =============================================
+-- Script: 021_queue_ungraded_free_text_responses.sql
+-- Description: Put free-text answers that were never graded into the tutor grading queue
+-- =============================================
+
+-- Short answers without accepted answers and essays have no answer key. They used to be stored
+-- as graded (graded_at set, 0 points) without grading details, so the grading queue, which looks
+-- for graded_at IS NULL or grading_details.autoGraded = false, never listed them.
+-- New answers are stored with {"autoGraded": false}; this flags the ones saved before.
+UPDATE quiz.responses r
+SET grading_details = COALESCE(r.grading_details, '{}'::jsonb) || '{"autoGraded": false}'::jsonb
+FROM quiz.questions q
+WHERE r.question_id = q.question_id
+  AND (q.question_type = 'essay'
+       OR (q.question_type = 'short_answer'
+           AND (jsonb_typeof(q.content->'accepted_answers') IS DISTINCT FROM 'array'
+                OR q.content->'accepted_answers' = '[]'::jsonb)))
+  AND NOT COALESCE(r.grading_details ? 'manual_grading', FALSE)
+  AND NOT COALESCE(r.grading_details ? 'autoGraded', FALSE);
+
+-- =============================================
+-- Verification queries
+-- =============================================
+-- Regression check: free-text answers in completed attempts that GET /api/grading/queue would miss.
+-- Expect no rows - every one is either tutor graded or flagged autoGraded = false.
+-- SELECT r.response_id, q.question_type, r.graded_at, r.grading_details
+-- FROM quiz.responses r
+-- INNER JOIN quiz.attempts a ON r.attempt_id = a.attempt_id
+-- INNER JOIN quiz.questions q ON r.question_id = q.question_id
+-- WHERE a.status = 'completed'
+--   AND COALESCE(a.metadata->>'mode', '') != 'practice'
+--   AND (q.question_type = 'essay'
+--        OR (q.question_type = 'short_answer'
+--            AND (jsonb_typeof(q.content->'accepted_answers') IS DISTINCT FROM 'array'
+--                 OR q.content->'accepted_answers' = '[]'::jsonb)))
+--   AND NOT COALESCE(r.grading_details ? 'manual_grading', FALSE)
+--   AND r.graded_at IS NOT NULL
+--   AND COALESCE(r.grading_details->>'autoGraded', '') != 'false';
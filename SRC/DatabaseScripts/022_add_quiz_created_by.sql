@@ -0,0 +1,22 @@
+-- =============================================
+-- Script: 022_add_quiz_created_by.sql
+-- Description: Record who created each quiz so quiz-wide actions (e.g. regrading) can be limited to its owner
+-- =============================================
+
+-- User id of the creator, stored like quiz.quiz_assignments.assigned_by
+-- Quizzes created before this column existed stay NULL: only administrators and the tutors
+-- who assigned them can regrade those
+ALTER TABLE quiz.quizzes
+ADD COLUMN IF NOT EXISTS created_by VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_quizzes_created_by ON quiz.quizzes(created_by) WHERE deleted_at IS NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN quiz.quizzes.created_by IS 'User id of the quiz creator (NULL for quizzes created before it was recorded)';
+
+-- =============================================
+-- Verification queries
+-- =============================================
+-- SELECT column_name, data_type
+-- FROM information_schema.columns
+-- WHERE table_schema = 'quiz' AND table_name = 'quizzes' AND column_name = 'created_by';
@@ -0,0 +1,24 @@
+-- =============================================
+-- Script: 023_add_response_first_submitted_at.sql
+-- Description: Record when each response was first submitted so item analysis can time questions
+-- =============================================
+
+-- submitted_at moves every time an answer is changed or resubmitted, so gaps between it
+-- don't say how long a question took. first_submitted_at is set on insert only.
+-- Existing rows stay NULL: their first submission time is already lost and item analysis skips them.
+ALTER TABLE quiz.responses
+ADD COLUMN IF NOT EXISTS first_submitted_at TIMESTAMP;
+
+-- Set as a separate step so the default only applies to new rows
+ALTER TABLE quiz.responses
+ALTER COLUMN first_submitted_at SET DEFAULT CURRENT_TIMESTAMP;
+
+-- Add comments for documentation
+COMMENT ON COLUMN quiz.responses.first_submitted_at IS 'When the answer was first submitted; unlike submitted_at it is not updated on resubmission (NULL for responses saved before it was recorded)';
+
+-- =============================================
+-- Verification queries
+-- =============================================
+-- SELECT column_name, data_type, column_default
+-- FROM information_schema.columns
+-- WHERE table_schema = 'quiz' AND table_name = 'responses' AND column_name = 'first_submitted_at';
@@ -0,0 +1,30 @@
+-- =============================================
+-- Script: 024_add_question_tags.sql
+-- Description: Add tags and search indexes to questions for the question bank browser
+-- =============================================
+
+-- Free-form labels for finding questions to reuse (same shape as quiz.quizzes.tags)
+ALTER TABLE quiz.questions
+ADD COLUMN IF NOT EXISTS tags TEXT[];
+
+-- Tag filter uses the overlap operator (tags && @tags)
+CREATE INDEX IF NOT EXISTS idx_questions_tags ON quiz.questions USING GIN(tags);
+
+-- Full-text search over the question text ('simple' config so any locale is matched as typed)
+CREATE INDEX IF NOT EXISTS idx_questions_text_search
+ON quiz.questions USING GIN(to_tsvector('simple', question_text));
+
+CREATE INDEX IF NOT EXISTS idx_questions_locale ON quiz.questions(locale);
+
+-- Add comments for documentation
+COMMENT ON COLUMN quiz.questions.tags IS 'Free-form labels used to filter the question bank';
+
+-- =============================================
+-- Verification queries
+-- =============================================
+-- SELECT column_name, data_type
+-- FROM information_schema.columns
+-- WHERE table_schema = 'quiz' AND table_name = 'questions' AND column_name = 'tags';
+--
+-- SELECT indexname FROM pg_indexes
+-- WHERE schemaname = 'quiz' AND tablename = 'questions' AND indexname LIKE 'idx_questions_%';
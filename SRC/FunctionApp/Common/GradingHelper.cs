@@ -0,0 +1,62 @@
+using Npgsql;
+using Quizz.Common.Services;
+using Quizz.DataAccess;
+using System;
+using System.Text.Json.Nodes;
+using System.Threading.Tasks;
+
+namespace Quizz.Functions.Helpers
+{
+    /// <summary>
+    /// Shared checks for endpoints where tutors grade or comment on a player's work.
+    /// </summary>
+    public static class GradingHelper
+    {
+        /// <summary>
+        /// Tutor feedback as stored on responses (grading_details.feedback) and attempts
+        /// (metadata.feedback), or null for an empty comment
+        /// </summary>
+        public static JsonObject? BuildFeedback(string? comment, AuthResult authResult)
+        {
+            if (string.IsNullOrWhiteSpace(comment))
+            {
+                return null;
+            }
+
+            return new JsonObject
+            {
+                ["comment"] = comment.Trim(),
+                ["commented_by"] = authResult.UserId?.ToString(),
+                ["commented_at"] = DateTime.UtcNow
+            };
+        }
+
+        /// <summary>
+        /// Whether the user may grade the attempt: administrators grade everything, tutors only
+        /// attempts at quizzes they assigned to the player (assigned_by holds the assigner's user id),
+        /// the same scope as the grading queue. Returns null when the attempt does not exist.
+        /// </summary>
+        public static async Task<bool?> CanGradeAttemptAsync(IDbService dbService, Guid attemptId, AuthResult authResult)
+        {
+            var assignedBy = authResult.IsAdministrator ? null : authResult.UserId?.ToString();
+
+            var sql = @"
+                SELECT @assigned_by IS NULL OR EXISTS (
+                    SELECT 1 FROM quiz.quiz_assignments qa
+                    WHERE qa.user_id = a.user_id AND qa.quiz_id = a.quiz_id
+                      AND qa.status != 'cancelled' AND qa.assigned_by = @assigned_by)
+                FROM quiz.attempts a
+                WHERE a.attempt_id = @attempt_id";
+
+            using var reader = await dbService.ExecuteQueryAsync(sql,
+                new NpgsqlParameter("attempt_id", attemptId),
+                new NpgsqlParameter("assigned_by", NpgsqlTypes.NpgsqlDbType.Varchar) { Value = (object?)assignedBy ?? DBNull.Value });
+
+            if (!await reader.ReadAsync())
+            {
+                return null;
+            }
+            return reader.GetBoolean(0);
+        }
+    }
+}
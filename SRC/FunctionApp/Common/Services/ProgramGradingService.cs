@@ -0,0 +1,707 @@
+using System.ComponentModel;
+using System.Diagnostics;
+using System.Text;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using Microsoft.Extensions.Logging;
+using Quizz.DataModel.QuestionTypes;
+
+namespace Quizz.Common.Services;
+
+/// <summary>
+/// Grades program_submission answers by running the student code against every
+/// test case (visible and hidden). Each test runs in its own interpreter inside an
+/// nsjail sandbox: fresh namespaces with no network, a read-only filesystem that only
+/// contains the system libraries and the solution, an unprivileged user, an empty
+/// environment and cgroup memory/process limits. The interpreter never sees the
+/// expected output - it only reports what the code returned and the pass/fail
+/// decision is made here.
+/// </summary>
+public class ProgramGradingService
+{
+    private const int DefaultTimeLimitMs = 1000;
+    private const int DefaultMemoryLimitMb = 64;
+
+    /// <summary>
+    /// Extra wall-clock time granted per test for sandbox and interpreter start-up
+    /// </summary>
+    private const int StartupAllowanceMs = 500;
+
+    private const int MaxOutputChars = 16 * 1024;
+    private const int MaxProcesses = 16;
+
+    /// <summary>
+    /// Where the solution directory is mounted inside the sandbox
+    /// </summary>
+    private const string SandboxWorkDir = "/sandbox";
+
+    /// <summary>
+    /// Host directories mounted read-only so the interpreters and their libraries resolve
+    /// </summary>
+    private static readonly string[] SystemMounts = { "/usr", "/lib", "/lib64", "/bin" };
+
+    private const string ResultMarker = "__QUIZZ_RESULT__";
+
+    private readonly ILogger<ProgramGradingService> _logger;
+    private readonly string _sandboxPath;
+    private readonly string _pythonPath;
+    private readonly string _nodePath;
+
+    // Limit concurrent grader processes so a burst of submissions cannot starve the host
+    private readonly SemaphoreSlim _processSlots = new(Math.Max(1, Environment.ProcessorCount));
+
+    /// <param name="logger">Logger</param>
+    /// <param name="sandboxPath">nsjail binary on the host</param>
+    /// <param name="pythonPath">Absolute path of python3 as seen inside the sandbox</param>
+    /// <param name="nodePath">Absolute path of node as seen inside the sandbox</param>
+    public ProgramGradingService(ILogger<ProgramGradingService> logger, string sandboxPath = "nsjail",
+        string pythonPath = "/usr/bin/python3", string nodePath = "/usr/bin/node")
+    {
+        _logger = logger;
+        _sandboxPath = sandboxPath;
+        _pythonPath = pythonPath;
+        _nodePath = nodePath;
+    }
+
+    /// <summary>
+    /// Run the submitted code against all test cases of a question
+    /// </summary>
+    /// <param name="questionContent">Question content JSON (snake_case or camelCase keys)</param>
+    /// <param name="answerPayload">Answer payload - { "code": "..." } or the raw code string</param>
+    /// <returns>Grading details; WeightedScore is the fraction (0-1) of test weight passed</returns>
+    public async Task<ProgramSubmissionGrading> GradeAsync(JsonElement questionContent, object answerPayload, CancellationToken cancellationToken = default)
+    {
+        var grading = new ProgramSubmissionGrading();
+        var code = ExtractCode(answerPayload);
+        var testCases = ReadTestCases(questionContent);
+        var language = GetString(questionContent, "language")?.Trim().ToLowerInvariant() ?? "python";
+        var timeLimitMs = GetInt(questionContent, "time_limit_ms", "timeLimitMs") ?? DefaultTimeLimitMs;
+        var memoryLimitMb = GetInt(questionContent, "memory_limit_mb", "memoryLimitMb") ?? DefaultMemoryLimitMb;
+
+        grading.TotalTests = testCases.Count;
+
+        if (testCases.Count == 0)
+        {
+            grading.AutoGraded = false;
+            grading.Feedback = "Question has no test cases; manual review required.";
+            return grading;
+        }
+
+        if (string.IsNullOrWhiteSpace(code))
+        {
+            grading.FailedTests = testCases.Count;
+            grading.TestResults = testCases.Select((tc, i) => CreateResult(i, tc, passed: false, error: "No code submitted")).ToList();
+            grading.Feedback = "No code submitted.";
+            return grading;
+        }
+
+        // Question rules, not a security boundary: __import__ or eval get around them, the sandbox does not
+        var forbidden = FindForbiddenKeywords(code, GetStringList(questionContent, "forbidden_keywords", "forbiddenKeywords"));
+        var disallowedImports = language.StartsWith("python")
+            ? FindDisallowedImports(code, GetStringList(questionContent, "allowed_imports", "allowedImports"))
+            : new List<string>();
+
+        if (forbidden.Count > 0 || disallowedImports.Count > 0)
+        {
+            var reason = forbidden.Count > 0
+                ? $"Forbidden keywords used: {string.Join(", ", forbidden)}"
+                : $"Imports not allowed: {string.Join(", ", disallowedImports)}";
+            grading.FailedTests = testCases.Count;
+            grading.TestResults = testCases.Select((tc, i) => CreateResult(i, tc, passed: false, error: reason)).ToList();
+            grading.Feedback = reason;
+            return grading;
+        }
+
+        var harness = GetHarness(language);
+        if (harness == null)
+        {
+            grading.AutoGraded = false;
+            grading.Feedback = $"Automatic grading is not available for {language}; manual review required.";
+            return grading;
+        }
+
+        // The system directories are mounted at the same paths inside the sandbox
+        var interpreter = harness.UsesNode ? _nodePath : _pythonPath;
+        if (!File.Exists(interpreter))
+        {
+            grading.AutoGraded = false;
+            grading.Feedback = $"Grader for {language} is not installed on the server; manual review required.";
+            return grading;
+        }
+
+        var workDir = Path.Combine(Path.GetTempPath(), "quizz-grader-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(workDir);
+
+        try
+        {
+            await File.WriteAllTextAsync(Path.Combine(workDir, harness.SolutionFile), code, cancellationToken);
+            await File.WriteAllTextAsync(Path.Combine(workDir, harness.HarnessFile), harness.Source, cancellationToken);
+
+            var memoryLimitBytes = (long)(memoryLimitMb + harness.InterpreterOverheadMb) * 1024 * 1024;
+
+            for (int i = 0; i < testCases.Count; i++)
+            {
+                var testCase = testCases[i];
+                var stdin = JsonSerializer.Serialize(new { input = testCase.Input });
+
+                var outcome = await RunSandboxedAsync(
+                    interpreter,
+                    harness.GetArguments(memoryLimitMb),
+                    workDir,
+                    stdin,
+                    timeLimitMs + StartupAllowanceMs,
+                    memoryLimitBytes,
+                    cancellationToken);
+
+                if (outcome.StartFailed)
+                {
+                    grading.AutoGraded = false;
+                    grading.TestResults.Clear();
+                    grading.Feedback = "The code sandbox is not available on the server; manual review required.";
+                    return grading;
+                }
+
+                var result = InterpretOutcome(i, testCase, outcome, timeLimitMs, memoryLimitMb, grading);
+                grading.TestResults.Add(result);
+                grading.TotalExecutionTimeMs += result.ExecutionTimeMs;
+
+                // A syntax error fails every remaining test the same way - no need to keep spawning processes
+                if (grading.SyntaxErrors.Count > 0)
+                {
+                    for (int j = i + 1; j < testCases.Count; j++)
+                    {
+                        grading.TestResults.Add(CreateResult(j, testCases[j], passed: false, error: "Syntax error"));
+                    }
+                    break;
+                }
+            }
+        }
+        finally
+        {
+            TryDeleteDirectory(workDir);
+        }
+
+        grading.PassedTests = grading.TestResults.Count(r => r.Passed);
+        grading.FailedTests = grading.TotalTests - grading.PassedTests;
+        grading.WeightedScore = CalculateWeightedScore(grading.TestResults);
+        grading.Feedback = grading.SyntaxErrors.Count > 0
+            ? "Your code has a syntax error."
+            : $"{grading.PassedTests} of {grading.TotalTests} tests passed.";
+
+        _logger.LogInformation($"Graded {language} submission: {grading.PassedTests}/{grading.TotalTests} passed in {grading.TotalExecutionTimeMs}ms");
+        return grading;
+    }
+
+    private TestResult InterpretOutcome(int index, ProgramTestCase testCase, ProcessOutcome outcome,
+        int timeLimitMs, int memoryLimitMb, ProgramSubmissionGrading grading)
+    {
+        if (outcome.TimedOut)
+        {
+            grading.RuntimeErrors.Add($"Test {index + 1}: time limit of {timeLimitMs}ms exceeded");
+            return CreateResult(index, testCase, passed: false, error: "Time limit exceeded", executionTimeMs: outcome.ElapsedMs);
+        }
+
+        if (outcome.MemoryExceeded)
+        {
+            grading.RuntimeErrors.Add($"Test {index + 1}: memory limit of {memoryLimitMb}MB exceeded");
+            return CreateResult(index, testCase, passed: false, error: "Memory limit exceeded", executionTimeMs: outcome.ElapsedMs);
+        }
+
+        var report = ParseHarnessReport(outcome.StandardOutput);
+        if (report == null)
+        {
+            var stderr = Truncate(outcome.StandardError.Trim(), 500);
+            var error = string.IsNullOrEmpty(stderr) ? $"Process exited with code {outcome.ExitCode}" : stderr;
+            grading.RuntimeErrors.Add($"Test {index + 1}: {error}");
+            return CreateResult(index, testCase, passed: false, error: error, executionTimeMs: outcome.ElapsedMs);
+        }
+
+        if (report.SyntaxError != null)
+        {
+            grading.SyntaxErrors.Add(report.SyntaxError);
+            return CreateResult(index, testCase, passed: false, error: report.SyntaxError, executionTimeMs: outcome.ElapsedMs);
+        }
+
+        if (report.Error != null)
+        {
+            grading.RuntimeErrors.Add($"Test {index + 1}: {report.Error}");
+            return CreateResult(index, testCase, passed: false, error: report.Error, executionTimeMs: outcome.ElapsedMs);
+        }
+
+        var expected = testCase.Expected.Trim();
+        var passed = (report.Actual?.Trim() == expected) || (report.Repr?.Trim() == expected) ||
+                     JsonEquivalent(report.Repr, expected);
+        var result = CreateResult(index, testCase, passed, error: null, executionTimeMs: outcome.ElapsedMs);
+        result.Actual = report.Actual;
+        return result;
+    }
+
+    /// <summary>
+    /// Structural comparison so "[1, 2]" matches a JSON result of "[1,2]"
+    /// </summary>
+    private static bool JsonEquivalent(string? actual, string expected)
+    {
+        if (string.IsNullOrWhiteSpace(actual) || string.IsNullOrWhiteSpace(expected)) return false;
+
+        try
+        {
+            using var actualDocument = JsonDocument.Parse(actual);
+            using var expectedDocument = JsonDocument.Parse(expected);
+            return JsonSerializer.Serialize(actualDocument.RootElement) == JsonSerializer.Serialize(expectedDocument.RootElement);
+        }
+        catch (JsonException)
+        {
+            return false;
+        }
+    }
+
+    private static TestResult CreateResult(int index, ProgramTestCase testCase, bool passed, string? error, int executionTimeMs = 0)
+    {
+        return new TestResult
+        {
+            TestNumber = index + 1,
+            Description = testCase.Description,
+            Input = testCase.Input,
+            Expected = testCase.Expected,
+            Passed = passed,
+            Weight = testCase.Weight,
+            Visible = testCase.Visible,
+            ExecutionTimeMs = executionTimeMs,
+            Error = error
+        };
+    }
+
+    /// <summary>
+    /// Fraction of the total test weight that passed; equal weights when none are set
+    /// </summary>
+    private static decimal CalculateWeightedScore(List<TestResult> results)
+    {
+        if (results.Count == 0) return 0;
+
+        var totalWeight = results.Sum(r => r.Weight);
+        if (totalWeight <= 0)
+        {
+            return Math.Round((decimal)results.Count(r => r.Passed) / results.Count, 4);
+        }
+
+        return Math.Round(results.Where(r => r.Passed).Sum(r => r.Weight) / totalWeight, 4);
+    }
+
+    /// <summary>
+    /// nsjail command line for one test. nsjail unshares the network, user, mount, PID and IPC
+    /// namespaces by default, so the jail has no network interfaces and cannot see host processes.
+    /// </summary>
+    private static List<string> BuildSandboxArguments(string interpreter, IEnumerable<string> arguments, string workDir,
+        int wallClockLimitMs, long memoryLimitBytes)
+    {
+        var sandboxArguments = new List<string>
+        {
+            "--mode", "o",
+            "--quiet",
+            "--user", "65534",
+            "--group", "65534",
+            "--hostname", "grader",
+            "--cwd", SandboxWorkDir,
+            "--bindmount_ro", $"{workDir}:{SandboxWorkDir}",
+            "--tmpfsmount", "/tmp",
+            "--disable_proc",
+            "--time_limit", ((wallClockLimitMs + 999) / 1000 + 1).ToString(),
+            "--rlimit_fsize", "1",
+            "--rlimit_nofile", "32",
+            "--use_cgroupv2",
+            "--cgroup_mem_max", memoryLimitBytes.ToString(),
+            "--cgroup_pids_max", MaxProcesses.ToString(),
+            "--max_cpus", "1"
+        };
+
+        foreach (var mount in SystemMounts.Where(Directory.Exists))
+        {
+            sandboxArguments.Add("--bindmount_ro");
+            sandboxArguments.Add(mount);
+        }
+
+        sandboxArguments.Add("--");
+        sandboxArguments.Add(interpreter);
+        sandboxArguments.AddRange(arguments);
+        return sandboxArguments;
+    }
+
+    private async Task<ProcessOutcome> RunSandboxedAsync(string interpreter, IEnumerable<string> arguments, string workDir,
+        string stdin, int wallClockLimitMs, long memoryLimitBytes, CancellationToken cancellationToken)
+    {
+        await _processSlots.WaitAsync(cancellationToken);
+        try
+        {
+            var startInfo = new ProcessStartInfo(_sandboxPath)
+            {
+                RedirectStandardInput = true,
+                RedirectStandardOutput = true,
+                RedirectStandardError = true,
+                UseShellExecute = false,
+                CreateNoWindow = true
+            };
+            foreach (var argument in BuildSandboxArguments(interpreter, arguments, workDir, wallClockLimitMs, memoryLimitBytes))
+            {
+                startInfo.ArgumentList.Add(argument);
+            }
+
+            // nsjail starts the interpreter with an empty environment; keep host secrets
+            // (connection strings, JWT keys) out of the jail process as well
+            startInfo.Environment.Clear();
+
+            using var process = new Process { StartInfo = startInfo };
+            try
+            {
+                process.Start();
+            }
+            catch (Win32Exception ex)
+            {
+                _logger.LogError(ex, $"Failed to start grader sandbox '{_sandboxPath}'");
+                return new ProcessOutcome { StartFailed = true };
+            }
+
+            var stopwatch = Stopwatch.StartNew();
+            var stdoutTask = ReadLimitedAsync(process.StandardOutput);
+            var stderrTask = ReadLimitedAsync(process.StandardError);
+
+            try
+            {
+                await process.StandardInput.WriteAsync(stdin);
+                process.StandardInput.Close();
+            }
+            catch (IOException)
+            {
+                // Process exited before reading its input - the outcome below reports why
+            }
+
+            var outcome = new ProcessOutcome();
+            var exitTask = process.WaitForExitAsync(cancellationToken);
+            await Task.WhenAny(exitTask, Task.Delay(wallClockLimitMs, cancellationToken));
+
+            if (!exitTask.IsCompleted)
+            {
+                outcome.TimedOut = true;
+                try
+                {
+                    process.Kill(entireProcessTree: true);
+                }
+                catch (InvalidOperationException)
+                {
+                    // Already exited
+                }
+            }
+
+            await process.WaitForExitAsync(cancellationToken);
+            outcome.ElapsedMs = (int)stopwatch.ElapsedMilliseconds;
+            outcome.ExitCode = process.ExitCode;
+            outcome.StandardOutput = await stdoutTask;
+            outcome.StandardError = await stderrTask;
+
+            // The cgroup OOM killer ends the interpreter with SIGKILL, which nsjail reports as 128 + 9
+            outcome.MemoryExceeded = !outcome.TimedOut &&
+                (outcome.ExitCode == 137 || outcome.StandardError.Contains("heap out of memory"));
+            return outcome;
+        }
+        finally
+        {
+            _processSlots.Release();
+        }
+    }
+
+    /// <summary>
+    /// Read a stream to the end but keep at most MaxOutputChars so print loops cannot exhaust host memory
+    /// </summary>
+    private static async Task<string> ReadLimitedAsync(StreamReader reader)
+    {
+        var builder = new StringBuilder();
+        var buffer = new char[4096];
+        int read;
+        while ((read = await reader.ReadAsync(buffer, 0, buffer.Length)) > 0)
+        {
+            var remaining = MaxOutputChars - builder.Length;
+            if (remaining > 0)
+            {
+                builder.Append(buffer, 0, Math.Min(read, remaining));
+            }
+        }
+        return builder.ToString();
+    }
+
+    /// <summary>
+    /// The last result line the harness printed. Student code can print a line like it too, but
+    /// that only claims a return value - it is still compared with the expected output here.
+    /// </summary>
+    private static HarnessReport? ParseHarnessReport(string stdout)
+    {
+        var line = stdout.Split('\n').LastOrDefault(l => l.StartsWith(ResultMarker));
+        if (line == null) return null;
+
+        try
+        {
+            using var document = JsonDocument.Parse(line.Substring(ResultMarker.Length));
+            var root = document.RootElement;
+            return new HarnessReport
+            {
+                Actual = GetString(root, "actual"),
+                Repr = GetString(root, "repr"),
+                Error = GetString(root, "error"),
+                SyntaxError = GetString(root, "syntaxError")
+            };
+        }
+        catch (JsonException)
+        {
+            return null;
+        }
+    }
+
+    private static HarnessDefinition? GetHarness(string language)
+    {
+        return language switch
+        {
+            "python" or "python3" or "py" => PythonHarness,
+            "javascript" or "js" or "node" or "nodejs" => JavaScriptHarness,
+            _ => null
+        };
+    }
+
+    private static string ExtractCode(object answerPayload)
+    {
+        if (answerPayload == null) return string.Empty;
+
+        var element = answerPayload is JsonElement je
+            ? je
+            : JsonSerializer.Deserialize<JsonElement>(JsonSerializer.Serialize(answerPayload));
+
+        if (element.ValueKind == JsonValueKind.String) return element.GetString() ?? string.Empty;
+        if (element.ValueKind == JsonValueKind.Object && element.TryGetProperty("code", out var codeElement) &&
+            codeElement.ValueKind == JsonValueKind.String)
+        {
+            return codeElement.GetString() ?? string.Empty;
+        }
+        return string.Empty;
+    }
+
+    private static List<ProgramTestCase> ReadTestCases(JsonElement content)
+    {
+        var testCases = new List<ProgramTestCase>();
+        if (!TryGetProperty(content, out var array, "test_cases", "testCases") || array.ValueKind != JsonValueKind.Array)
+        {
+            return testCases;
+        }
+
+        foreach (var item in array.EnumerateArray())
+        {
+            testCases.Add(new ProgramTestCase
+            {
+                Input = GetString(item, "input") ?? string.Empty,
+                Expected = GetString(item, "expected") ?? string.Empty,
+                Weight = item.TryGetProperty("weight", out var weight) && weight.ValueKind == JsonValueKind.Number ? weight.GetDecimal() : 0,
+                Visible = !item.TryGetProperty("visible", out var visible) || visible.ValueKind != JsonValueKind.False,
+                Description = GetString(item, "description")
+            });
+        }
+        return testCases;
+    }
+
+    private static List<string> FindForbiddenKeywords(string code, List<string> forbiddenKeywords)
+    {
+        return forbiddenKeywords
+            .Where(k => !string.IsNullOrWhiteSpace(k) && Regex.IsMatch(code, $@"(^|\W){Regex.Escape(k)}(\W|$)"))
+            .ToList();
+    }
+
+    private static List<string> FindDisallowedImports(string code, List<string> allowedImports)
+    {
+        if (allowedImports.Count == 0) return new List<string>();
+
+        var imported = new HashSet<string>();
+        foreach (Match match in Regex.Matches(code, @"^\s*(?:from\s+([\w\.]+)\s+import|import\s+([\w\., ]+))", RegexOptions.Multiline))
+        {
+            var modules = match.Groups[1].Success ? new[] { match.Groups[1].Value } : match.Groups[2].Value.Split(',');
+            foreach (var module in modules)
+            {
+                var root = module.Trim().Split(' ')[0].Split('.')[0];
+                if (!string.IsNullOrEmpty(root)) imported.Add(root);
+            }
+        }
+        return imported.Where(m => !allowedImports.Contains(m)).ToList();
+    }
+
+    private static bool TryGetProperty(JsonElement element, out JsonElement value, params string[] names)
+    {
+        foreach (var name in names)
+        {
+            if (element.ValueKind == JsonValueKind.Object && element.TryGetProperty(name, out value)) return true;
+        }
+        value = default;
+        return false;
+    }
+
+    private static string? GetString(JsonElement element, params string[] names)
+    {
+        if (!TryGetProperty(element, out var value, names)) return null;
+        return value.ValueKind switch
+        {
+            JsonValueKind.String => value.GetString(),
+            JsonValueKind.Null or JsonValueKind.Undefined => null,
+            _ => value.GetRawText()
+        };
+    }
+
+    private static int? GetInt(JsonElement element, params string[] names)
+    {
+        return TryGetProperty(element, out var value, names) && value.ValueKind == JsonValueKind.Number && value.TryGetInt32(out var number)
+            ? number
+            : null;
+    }
+
+    private static List<string> GetStringList(JsonElement element, params string[] names)
+    {
+        if (!TryGetProperty(element, out var value, names) || value.ValueKind != JsonValueKind.Array) return new List<string>();
+        return value.EnumerateArray()
+            .Where(v => v.ValueKind == JsonValueKind.String)
+            .Select(v => v.GetString()!)
+            .ToList();
+    }
+
+    private static string Truncate(string text, int maxLength)
+    {
+        return text.Length <= maxLength ? text : text.Substring(0, maxLength) + "...";
+    }
+
+    private void TryDeleteDirectory(string path)
+    {
+        try
+        {
+            Directory.Delete(path, recursive: true);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, $"Could not delete grader work directory {path}");
+        }
+    }
+
+    private sealed class ProgramTestCase
+    {
+        public string Input { get; set; } = string.Empty;
+        public string Expected { get; set; } = string.Empty;
+        public decimal Weight { get; set; }
+        public bool Visible { get; set; } = true;
+        public string? Description { get; set; }
+    }
+
+    private sealed class ProcessOutcome
+    {
+        public bool StartFailed { get; set; }
+        public bool TimedOut { get; set; }
+        public bool MemoryExceeded { get; set; }
+        public int ExitCode { get; set; }
+        public int ElapsedMs { get; set; }
+        public string StandardOutput { get; set; } = string.Empty;
+        public string StandardError { get; set; } = string.Empty;
+    }
+
+    private sealed class HarnessReport
+    {
+        public string? Actual { get; set; }
+        public string? Repr { get; set; }
+        public string? Error { get; set; }
+        public string? SyntaxError { get; set; }
+    }
+
+    private sealed class HarnessDefinition
+    {
+        public string SolutionFile { get; init; } = string.Empty;
+        public string HarnessFile { get; init; } = string.Empty;
+        public string Source { get; init; } = string.Empty;
+        public int InterpreterOverheadMb { get; init; }
+        public bool UsesNode { get; init; }
+        public Func<int, IEnumerable<string>> GetArguments { get; init; } = _ => Array.Empty<string>();
+    }
+
+    // Harness scripts read { input } from stdin, run the solution, evaluate the test input
+    // expression and print a single "__QUIZZ_RESULT__{json}" line with what it returned.
+    // They run inside the sandbox with the student code, so they isolate nothing themselves;
+    // silencing the student's own output only keeps it from being mistaken for the result.
+
+    private static readonly HarnessDefinition PythonHarness = new()
+    {
+        SolutionFile = "solution.py",
+        HarnessFile = "harness.py",
+        InterpreterOverheadMb = 32,
+        GetArguments = _ => new[] { "-I", "-S", "-B", "harness.py" },
+        Source = """
+import contextlib, io, json, sys
+
+def emit(payload):
+    sys.__stdout__.write("\n__QUIZZ_RESULT__" + json.dumps(payload) + "\n")
+    sys.__stdout__.flush()
+
+def main():
+    request = json.loads(sys.stdin.read())
+    with open("solution.py", encoding="utf-8") as f:
+        source = f.read()
+    try:
+        compiled = compile(source, "solution.py", "exec")
+    except SyntaxError as e:
+        emit({"syntaxError": "Line %s: %s" % (e.lineno, e.msg)})
+        return
+    namespace = {"__name__": "__solution__"}
+    captured = io.StringIO()
+    try:
+        with contextlib.redirect_stdout(captured):
+            exec(compiled, namespace)
+            result = eval(request["input"], namespace)
+        actual = result if isinstance(result, str) else str(result)
+        emit({"actual": actual, "repr": repr(result)})
+    except MemoryError:
+        emit({"error": "MemoryError: memory limit exceeded"})
+    except BaseException as e:
+        emit({"error": "%s: %s" % (type(e).__name__, e)})
+
+main()
+"""
+    };
+
+    private static readonly HarnessDefinition JavaScriptHarness = new()
+    {
+        SolutionFile = "solution.js",
+        HarnessFile = "harness.js",
+        InterpreterOverheadMb = 64,
+        UsesNode = true,
+        GetArguments = memoryLimitMb => new[] { $"--max-old-space-size={memoryLimitMb}", "harness.js" },
+        Source = """
+const fs = require('fs');
+const vm = require('vm');
+
+const request = JSON.parse(fs.readFileSync(0, 'utf8'));
+const emit = (payload) => process.stdout.write(`\n__QUIZZ_RESULT__${JSON.stringify(payload)}\n`);
+const format = (value) => {
+  if (value === undefined) return 'undefined';
+  if (typeof value === 'string') return value;
+  try { return JSON.stringify(value); } catch { return String(value); }
+};
+
+const source = fs.readFileSync('solution.js', 'utf8');
+try {
+  new vm.Script(source, { filename: 'solution.js' });
+} catch (error) {
+  emit({ syntaxError: `${error.name}: ${error.message}` });
+  process.exit(0);
+}
+
+const noop = () => {};
+const context = vm.createContext({ console: { log: noop, info: noop, warn: noop, error: noop, debug: noop } });
+
+(async () => {
+  try {
+    const script = new vm.Script(`${source}\n;(${request.input})`, { filename: 'solution.js' });
+    const result = await script.runInContext(context);
+    emit({ actual: format(result), repr: JSON.stringify(result) ?? 'undefined' });
+  } catch (error) {
+    emit({ error: `${error?.name || 'Error'}: ${error?.message || error}` });
+  }
+})();
+"""
+    };
+}
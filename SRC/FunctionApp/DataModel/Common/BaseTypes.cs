@@ -39,6 +39,35 @@ public class QuestionMedia
     public Dictionary<string, MediaAsset>? OptionImages { get; set; }
 }
 
+/// <summary>
+/// Grading rubric for open-ended questions (criteria x levels)
+/// </summary>
+public class Rubric
+{
+    public List<RubricCriterion> Criteria { get; set; } = new();
+}
+
+/// <summary>
+/// One rubric criterion; the tutor picks exactly one level per criterion
+/// </summary>
+public class RubricCriterion
+{
+    public string Id { get; set; } = string.Empty;
+    public string Title { get; set; } = string.Empty;
+    public List<RubricLevel> Levels { get; set; } = new();
+}
+
+/// <summary>
+/// Rubric performance level with its points and descriptor
+/// </summary>
+public class RubricLevel
+{
+    public string Id { get; set; } = string.Empty;
+    public string Label { get; set; } = string.Empty;
+    public decimal Points { get; set; }
+    public string? Descriptor { get; set; }
+}
+
 /// <summary>
 /// Helper methods for JSON serialization
 /// </summary>
@@ -101,6 +101,27 @@ public class AssignmentStatsResponse
     public decimal? AverageScore { get; set; }
     public double? AverageCompletionMinutes { get; set; }
     public int MandatoryCount { get; set; }
+    public List<ScoreBucket> ScoreDistribution { get; set; } = new();
+    public List<DailyCount> CompletionsByDate { get; set; } = new();
+}
+
+/// <summary>
+/// DTO for one bar of the score histogram (MinScore inclusive, MaxScore exclusive except for 100)
+/// </summary>
+public class ScoreBucket
+{
+    public int MinScore { get; set; }
+    public int MaxScore { get; set; }
+    public int Count { get; set; }
+}
+
+/// <summary>
+/// DTO for a count of events on one day
+/// </summary>
+public class DailyCount
+{
+    public DateTime Date { get; set; }
+    public int Count { get; set; }
 }
 
 /// <summary>
@@ -143,3 +164,28 @@ public class BulkAssignmentResponse
     public List<AssignmentResponse> CreatedAssignments { get; set; } = new();
     public List<string> Errors { get; set; } = new();
 }
+
+/// <summary>
+/// DTO for one gradebook row (a student's assignment of a quiz)
+/// Scores are percentages over the non-practice attempts completed since the quiz was assigned
+/// </summary>
+public class GradebookEntry
+{
+    public Guid AssignmentId { get; set; }
+    public Guid QuizId { get; set; }
+    public string QuizTitle { get; set; } = string.Empty;
+    public string UserId { get; set; } = string.Empty;
+    public string? UserFirstName { get; set; }
+    public string? UserLastName { get; set; }
+    public string? UserEmail { get; set; }
+    public string Status { get; set; } = string.Empty;
+    public DateTime AssignedAt { get; set; }
+    public DateTime? DueDate { get; set; }
+    public DateTime? CompletedAt { get; set; }
+    public int AttemptsUsed { get; set; }
+    public int? MaxAttempts { get; set; }
+    public int GradedAttempts { get; set; }
+    public decimal? BestScore { get; set; }
+    public decimal? LatestScore { get; set; }
+    public decimal? AverageScore { get; set; }
+}
@@ -85,6 +85,15 @@ public class StartAttemptRequest
     public object? Metadata { get; set; }
 }
 
+/// <summary>
+/// Update flagged questions request
+/// </summary>
+public class UpdateAttemptFlagsRequest
+{
+    [JsonPropertyName("flaggedQuestions")]
+    public List<Guid> FlaggedQuestions { get; set; } = new();
+}
+
 /// <summary>
 /// Complete attempt request
 /// </summary>
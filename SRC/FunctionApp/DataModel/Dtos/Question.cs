@@ -35,6 +35,9 @@ public class Question
     [JsonPropertyName("locale")]
     public string Locale { get; set; } = "en-US";
 
+    [JsonPropertyName("tags")]
+    public string[]? Tags { get; set; }
+
     [JsonPropertyName("points")]
     public decimal Points { get; set; } = 10.0m;
 
@@ -63,6 +66,30 @@ public class Question
     public DateTime UpdatedAt { get; set; }
 }
 
+/// <summary>
+/// Question bank entry - a question plus the quizzes that already use it
+/// </summary>
+public class QuestionBankItem : Question
+{
+    [JsonPropertyName("usedInQuizzes")]
+    public List<QuestionQuizUsage> UsedInQuizzes { get; set; } = new();
+}
+
+/// <summary>
+/// A quiz that contains a question, and at which position
+/// </summary>
+public class QuestionQuizUsage
+{
+    [JsonPropertyName("quizId")]
+    public Guid QuizId { get; set; }
+
+    [JsonPropertyName("title")]
+    public string Title { get; set; } = string.Empty;
+
+    [JsonPropertyName("position")]
+    public int Position { get; set; }
+}
+
 /// <summary>
 /// Question summary - minimal info for lists
 /// </summary>
@@ -119,6 +146,12 @@ public class CreateQuestionRequest
     [JsonPropertyName("locale")]
     public string? Locale { get; set; }
 
+    /// <summary>
+    /// Question bank labels; on update, null keeps the existing tags
+    /// </summary>
+    [JsonPropertyName("tags")]
+    public string[]? Tags { get; set; }
+
     [JsonPropertyName("points")]
     public decimal? Points { get; set; }
 
@@ -203,6 +236,9 @@ public class BatchImportQuestion
     [JsonPropertyName("locale")]
     public string? Locale { get; set; }
 
+    [JsonPropertyName("tags")]
+    public string[]? Tags { get; set; }
+
     [JsonPropertyName("points")]
     public decimal? Points { get; set; }
 
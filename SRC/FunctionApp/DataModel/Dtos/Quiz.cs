@@ -32,6 +32,30 @@ public class Quiz
     [JsonPropertyName("estimatedMinutes")]
     public int? EstimatedMinutes { get; set; }
 
+    /// <summary>
+    /// Optional attempt time limit in minutes (null = untimed)
+    /// </summary>
+    [JsonPropertyName("timeLimitMinutes")]
+    public int? TimeLimitMinutes { get; set; }
+
+    /// <summary>
+    /// Seconds remaining at which the player is warned
+    /// </summary>
+    [JsonPropertyName("timeWarningSeconds")]
+    public int[]? TimeWarningSeconds { get; set; }
+
+    /// <summary>
+    /// Present questions in a per-attempt seeded random order
+    /// </summary>
+    [JsonPropertyName("shuffleQuestions")]
+    public bool ShuffleQuestions { get; set; }
+
+    /// <summary>
+    /// Practice quizzes check each answer immediately and allow retries for reduced points
+    /// </summary>
+    [JsonPropertyName("practiceMode")]
+    public bool PracticeMode { get; set; }
+
     [JsonPropertyName("tags")]
     public string[]? Tags { get; set; }
 
@@ -83,6 +107,30 @@ public class CreateQuizRequest
     [JsonPropertyName("estimatedMinutes")]
     public int? EstimatedMinutes { get; set; }
 
+    /// <summary>
+    /// Optional attempt time limit in minutes (null = untimed)
+    /// </summary>
+    [JsonPropertyName("timeLimitMinutes")]
+    public int? TimeLimitMinutes { get; set; }
+
+    /// <summary>
+    /// Seconds remaining at which the player is warned
+    /// </summary>
+    [JsonPropertyName("timeWarningSeconds")]
+    public int[]? TimeWarningSeconds { get; set; }
+
+    /// <summary>
+    /// Present questions in a per-attempt seeded random order
+    /// </summary>
+    [JsonPropertyName("shuffleQuestions")]
+    public bool ShuffleQuestions { get; set; }
+
+    /// <summary>
+    /// Practice quizzes check each answer immediately and allow retries for reduced points
+    /// </summary>
+    [JsonPropertyName("practiceMode")]
+    public bool PracticeMode { get; set; }
+
     [JsonPropertyName("tags")]
     public string[]? Tags { get; set; }
 
@@ -100,3 +148,95 @@ public class UpdateQuizRequest : CreateQuizRequest
 }
 
 
+
+/// <summary>
+/// Item analysis of a quiz, computed from the responses of completed non-practice attempts
+/// </summary>
+public class QuizItemAnalysis
+{
+    [JsonPropertyName("quizId")]
+    public Guid QuizId { get; set; }
+
+    [JsonPropertyName("quizTitle")]
+    public string QuizTitle { get; set; } = string.Empty;
+
+    [JsonPropertyName("attemptCount")]
+    public int AttemptCount { get; set; }
+
+    [JsonPropertyName("questions")]
+    public List<ItemAnalysisQuestion> Questions { get; set; } = new();
+}
+
+/// <summary>
+/// Statistics for one question of a quiz
+/// </summary>
+public class ItemAnalysisQuestion
+{
+    [JsonPropertyName("questionId")]
+    public Guid QuestionId { get; set; }
+
+    [JsonPropertyName("position")]
+    public int Position { get; set; }
+
+    [JsonPropertyName("questionType")]
+    public string QuestionType { get; set; } = string.Empty;
+
+    [JsonPropertyName("questionText")]
+    public string QuestionText { get; set; } = string.Empty;
+
+    [JsonPropertyName("points")]
+    public decimal Points { get; set; }
+
+    [JsonPropertyName("responseCount")]
+    public int ResponseCount { get; set; }
+
+    /// <summary>
+    /// Responses submitted with an empty answer (the question was skipped)
+    /// </summary>
+    [JsonPropertyName("skippedCount")]
+    public int SkippedCount { get; set; }
+
+    /// <summary>
+    /// p-value: average share of the points earned (0 = nobody scored, 1 = everybody got full marks)
+    /// </summary>
+    [JsonPropertyName("difficulty")]
+    public double? Difficulty { get; set; }
+
+    /// <summary>
+    /// Point-biserial correlation between the question score and the rest of the attempt score.
+    /// Null when fewer than two graded responses or when either score never varies.
+    /// </summary>
+    [JsonPropertyName("discrimination")]
+    public double? Discrimination { get; set; }
+
+    /// <summary>
+    /// Average seconds between the attempt's previous first answer (or its start) and the first answer to
+    /// this question; resubmissions don't count. Null when no response has a recorded first submission.
+    /// </summary>
+    [JsonPropertyName("averageSeconds")]
+    public double? AverageSeconds { get; set; }
+
+    /// <summary>
+    /// Selection frequencies of each option (multiple choice only)
+    /// </summary>
+    [JsonPropertyName("options")]
+    public List<ItemAnalysisOption>? Options { get; set; }
+}
+
+/// <summary>
+/// How often a multiple choice option was selected
+/// </summary>
+public class ItemAnalysisOption
+{
+    [JsonPropertyName("optionId")]
+    public string OptionId { get; set; } = string.Empty;
+
+    [JsonPropertyName("text")]
+    public string Text { get; set; } = string.Empty;
+
+    [JsonPropertyName("isCorrect")]
+    public bool IsCorrect { get; set; }
+
+    [JsonPropertyName("count")]
+    public int Count { get; set; }
+}
@@ -37,6 +37,12 @@ public class Response
     [JsonPropertyName("gradedAt")]
     public DateTime? GradedAt { get; set; }
 
+    /// <summary>
+    /// Number of different answers submitted in a practice attempt (null outside practice mode)
+    /// </summary>
+    [JsonPropertyName("practiceTries")]
+    public int? PracticeTries { get; set; }
+
     [JsonPropertyName("scorePercentage")]
     public decimal? ScorePercentage { get; set; }
 
@@ -69,6 +75,12 @@ public class SubmitAnswerRequest
 
     [JsonPropertyName("pointsPossible")]
     public decimal? PointsPossible { get; set; }
+
+    /// <summary>
+    /// When the client queued the answer; lets answers saved offline before a deadline sync after it
+    /// </summary>
+    [JsonPropertyName("queuedAt")]
+    public DateTime? QueuedAt { get; set; }
 }
 
 /// <summary>
@@ -79,15 +91,19 @@ public class GradingResult
     [JsonPropertyName("responseId")]
     public Guid ResponseId { get; set; }
 
+    /// <summary>
+    /// At most the question's points, which are also stored as the response's points possible
+    /// </summary>
     [JsonPropertyName("pointsEarned")]
     public decimal PointsEarned { get; set; }
 
-    [JsonPropertyName("pointsPossible")]
-    public decimal PointsPossible { get; set; }
-
     [JsonPropertyName("isCorrect")]
     public bool IsCorrect { get; set; }
 
+    /// <summary>
+    /// Comment for the player, stored in grading_details.feedback.
+    /// Leave unset to keep the current comment; an empty string removes it.
+    /// </summary>
     [JsonPropertyName("feedback")]
     public string? Feedback { get; set; }
 
@@ -95,4 +111,183 @@ public class GradingResult
     public object? GradingDetails { get; set; }
 }
 
+/// <summary>
+/// Tutor's written feedback on a response or an attempt; an empty comment removes it
+/// </summary>
+public class FeedbackCommentRequest
+{
+    [JsonPropertyName("comment")]
+    public string? Comment { get; set; }
+}
+
+/// <summary>
+/// Attempt (and assignment) scores recalculated after a response's points changed
+/// </summary>
+public class AttemptScoreUpdate
+{
+    [JsonPropertyName("attemptId")]
+    public Guid AttemptId { get; set; }
+
+    [JsonPropertyName("totalScore")]
+    public decimal TotalScore { get; set; }
+
+    [JsonPropertyName("maxPossibleScore")]
+    public decimal MaxPossibleScore { get; set; }
 
+    [JsonPropertyName("scorePercentage")]
+    public decimal ScorePercentage { get; set; }
+
+    /// <summary>
+    /// Set when the attempt's score is also the assignment's score
+    /// </summary>
+    [JsonPropertyName("assignmentId")]
+    public Guid? AssignmentId { get; set; }
+
+    [JsonPropertyName("assignmentScore")]
+    public decimal? AssignmentScore { get; set; }
+}
+
+/// <summary>
+/// Manually graded response plus the recalculated attempt and assignment scores
+/// </summary>
+public class GradedResponse : Response
+{
+    /// <summary>
+    /// Null while the attempt is in progress (its score is calculated when it is completed)
+    /// </summary>
+    [JsonPropertyName("scores")]
+    public AttemptScoreUpdate? Scores { get; set; }
+}
+
+/// <summary>
+/// Response waiting for a tutor in the grading queue, with its question and student
+/// </summary>
+public class GradingQueueItem
+{
+    [JsonPropertyName("responseId")]
+    public Guid ResponseId { get; set; }
+
+    [JsonPropertyName("attemptId")]
+    public Guid AttemptId { get; set; }
+
+    [JsonPropertyName("assignmentId")]
+    public Guid AssignmentId { get; set; }
+
+    [JsonPropertyName("quizId")]
+    public Guid QuizId { get; set; }
+
+    [JsonPropertyName("quizTitle")]
+    public string QuizTitle { get; set; } = string.Empty;
+
+    [JsonPropertyName("userId")]
+    public Guid UserId { get; set; }
+
+    [JsonPropertyName("studentName")]
+    public string StudentName { get; set; } = string.Empty;
+
+    [JsonPropertyName("studentEmail")]
+    public string? StudentEmail { get; set; }
+
+    [JsonPropertyName("questionId")]
+    public Guid QuestionId { get; set; }
+
+    [JsonPropertyName("questionType")]
+    public string QuestionType { get; set; } = string.Empty;
+
+    [JsonPropertyName("questionText")]
+    public string QuestionText { get; set; } = string.Empty;
+
+    /// <summary>
+    /// 1-based position of the question in the quiz
+    /// </summary>
+    [JsonPropertyName("position")]
+    public int? Position { get; set; }
+
+    [JsonPropertyName("points")]
+    public decimal Points { get; set; }
+
+    [JsonPropertyName("content")]
+    public object Content { get; set; } = new();
+
+    [JsonPropertyName("answerPayload")]
+    public object AnswerPayload { get; set; } = new();
+
+    [JsonPropertyName("pointsEarned")]
+    public decimal? PointsEarned { get; set; }
+
+    [JsonPropertyName("pointsPossible")]
+    public decimal? PointsPossible { get; set; }
+
+    [JsonPropertyName("isCorrect")]
+    public bool? IsCorrect { get; set; }
+
+    [JsonPropertyName("gradingDetails")]
+    public object? GradingDetails { get; set; }
+
+    [JsonPropertyName("submittedAt")]
+    public DateTime SubmittedAt { get; set; }
+
+    /// <summary>
+    /// Why the response needs a tutor: pending (never graded), not_auto_graded (the grader
+    /// could not score it) or rubric (the question is graded with a rubric)
+    /// </summary>
+    [JsonPropertyName("reason")]
+    public string Reason { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Options for re-running auto-grading on stored responses
+/// </summary>
+public class RegradeRequest
+{
+    /// <summary>
+    /// Also regrade responses a tutor graded by hand, discarding their manual grade
+    /// </summary>
+    [JsonPropertyName("includeManualGrades")]
+    public bool IncludeManualGrades { get; set; }
+
+    /// <summary>
+    /// continueAfter from the previous batch's result; leave unset for the first batch
+    /// </summary>
+    [JsonPropertyName("continueAfter")]
+    public Guid? ContinueAfter { get; set; }
+}
+
+/// <summary>
+/// Outcome of one batch of a regrade of a question or a quiz
+/// </summary>
+public class RegradeResult
+{
+    [JsonPropertyName("responsesChecked")]
+    public int ResponsesChecked { get; set; }
+
+    [JsonPropertyName("responsesChanged")]
+    public int ResponsesChanged { get; set; }
+
+    /// <summary>
+    /// Manually graded responses left untouched (always 0 with includeManualGrades)
+    /// </summary>
+    [JsonPropertyName("manualGradesSkipped")]
+    public int ManualGradesSkipped { get; set; }
+
+    /// <summary>
+    /// Responses auto-grading could not score (no answer key, or the code sandbox was unavailable); their grade is unchanged
+    /// </summary>
+    [JsonPropertyName("notAutoGraded")]
+    public int NotAutoGraded { get; set; }
+
+    [JsonPropertyName("attemptsRecalculated")]
+    public int AttemptsRecalculated { get; set; }
+
+    /// <summary>
+    /// Students with at least one completed attempt whose total score changed
+    /// </summary>
+    [JsonPropertyName("studentsAffected")]
+    public int StudentsAffected { get; set; }
+
+    /// <summary>
+    /// Set when students are left to regrade - send it back as continueAfter for the next batch
+    /// </summary>
+    [JsonPropertyName("continueAfter")]
+    public Guid? ContinueAfter { get; set; }
+}
@@ -41,6 +41,18 @@ public class QuizDb
     [Column("estimated_minutes")]
     public int? EstimatedMinutes { get; set; }
 
+    [Column("time_limit_minutes")]
+    public int? TimeLimitMinutes { get; set; }
+
+    [Column("time_warning_seconds")]
+    public int[]? TimeWarningSeconds { get; set; }
+
+    [Column("shuffle_questions")]
+    public bool ShuffleQuestions { get; set; }
+
+    [Column("practice_mode")]
+    public bool PracticeMode { get; set; }
+
     [Column("tags")]
     public string[]? Tags { get; set; }
 
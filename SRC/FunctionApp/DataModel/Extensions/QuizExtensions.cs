@@ -24,6 +24,10 @@ public static class QuizExtensions
             Subject = db.Subject,
             Difficulty = db.Difficulty,
             EstimatedMinutes = db.EstimatedMinutes,
+            TimeLimitMinutes = db.TimeLimitMinutes,
+            TimeWarningSeconds = db.TimeWarningSeconds,
+            ShuffleQuestions = db.ShuffleQuestions,
+            PracticeMode = db.PracticeMode,
             Tags = db.Tags,
             CreatedAt = db.CreatedAt,
             UpdatedAt = db.UpdatedAt
@@ -45,6 +49,10 @@ public static class QuizExtensions
             Subject = db.Subject,
             Difficulty = db.Difficulty,
             EstimatedMinutes = db.EstimatedMinutes,
+            TimeLimitMinutes = db.TimeLimitMinutes,
+            TimeWarningSeconds = db.TimeWarningSeconds,
+            ShuffleQuestions = db.ShuffleQuestions,
+            PracticeMode = db.PracticeMode,
             Tags = db.Tags,
             CreatedAt = db.CreatedAt,
             UpdatedAt = db.UpdatedAt
@@ -75,6 +83,10 @@ public static class QuizExtensions
             Subject = request.Subject,
             Difficulty = request.Difficulty,
             EstimatedMinutes = request.EstimatedMinutes,
+            TimeLimitMinutes = request.TimeLimitMinutes,
+            TimeWarningSeconds = request.TimeWarningSeconds,
+            ShuffleQuestions = request.ShuffleQuestions,
+            PracticeMode = request.PracticeMode,
             Tags = request.Tags
         };
     }
@@ -91,6 +103,10 @@ public static class QuizExtensions
         db.Subject = request.Subject;
         db.Difficulty = request.Difficulty;
         db.EstimatedMinutes = request.EstimatedMinutes;
+        db.TimeLimitMinutes = request.TimeLimitMinutes;
+        db.TimeWarningSeconds = request.TimeWarningSeconds;
+        db.ShuffleQuestions = request.ShuffleQuestions;
+        db.PracticeMode = request.PracticeMode;
         db.Tags = request.Tags;
         db.UpdatedAt = DateTime.UtcNow;
     }
@@ -32,6 +32,12 @@ public class ProgramSubmissionContent
     [JsonPropertyName("forbiddenKeywords")]
     public List<string>? ForbiddenKeywords { get; set; }
 
+    /// <summary>
+    /// Optional rubric used for manual grading (points are scaled to the question's points)
+    /// </summary>
+    [JsonPropertyName("rubric")]
+    public Rubric? Rubric { get; set; }
+
     [JsonPropertyName("media")]
     public QuestionMedia? Media { get; set; }
 }
@@ -97,6 +103,12 @@ public class ProgramSubmissionGrading
 
     [JsonPropertyName("totalExecutionTimeMs")]
     public int TotalExecutionTimeMs { get; set; }
+
+    /// <summary>
+    /// Fraction (0-1) of the total test weight that passed
+    /// </summary>
+    [JsonPropertyName("weightedScore")]
+    public decimal WeightedScore { get; set; }
 }
 
 /// <summary>
@@ -107,6 +119,9 @@ public class TestResult
     [JsonPropertyName("testNumber")]
     public int TestNumber { get; set; }
 
+    [JsonPropertyName("description")]
+    public string? Description { get; set; }
+
     [JsonPropertyName("input")]
     public string Input { get; set; } = string.Empty;
 
@@ -122,6 +137,12 @@ public class TestResult
     [JsonPropertyName("weight")]
     public decimal Weight { get; set; }
 
+    /// <summary>
+    /// Hidden tests are redacted (input/expected/actual) before responses reach students
+    /// </summary>
+    [JsonPropertyName("visible")]
+    public bool Visible { get; set; } = true;
+
     [JsonPropertyName("executionTimeMs")]
     public int ExecutionTimeMs { get; set; }
 
@@ -4,7 +4,7 @@ using Quizz.DataModel.Common;
 namespace Quizz.DataModel.QuestionTypes;
 
 /// <summary>
-/// Short answer - keyword-based rubric scoring
+/// Short answer - accepted-answer matching or keyword-based rubric scoring
 /// </summary>
 public class ShortAnswerContent
 {
@@ -17,16 +17,57 @@ public class ShortAnswerContent
     [JsonPropertyName("keywords")]
     public List<Keyword> Keywords { get; set; } = new();
 
+    /// <summary>
+    /// Exact answers accepted after normalisation (case, whitespace and punctuation).
+    /// When present the question is auto-graded; otherwise it falls back to manual review.
+    /// </summary>
+    [JsonPropertyName("acceptedAnswers")]
+    public List<string>? AcceptedAnswers { get; set; }
+
+    /// <summary>
+    /// Numbers accepted within a margin (e.g. 3.14 ± 0.01), checked before the accepted answers.
+    /// Either list makes the question auto-graded.
+    /// </summary>
+    [JsonPropertyName("numericAnswers")]
+    public List<NumericAnswer>? NumericAnswers { get; set; }
+
+    [JsonPropertyName("caseSensitive")]
+    public bool CaseSensitive { get; set; } = false;
+
+    /// <summary>
+    /// Maximum edit distance tolerated when matching accepted answers (0 = exact)
+    /// </summary>
+    [JsonPropertyName("fuzzyTolerance")]
+    public int FuzzyTolerance { get; set; } = 0;
+
     [JsonPropertyName("minScoreThreshold")]
     public decimal MinScoreThreshold { get; set; } = 0.5m;
 
     [JsonPropertyName("rubricDescription")]
     public string? RubricDescription { get; set; }
 
+    /// <summary>
+    /// Optional rubric used for manual grading (points are scaled to the question's points)
+    /// </summary>
+    [JsonPropertyName("rubric")]
+    public Rubric? Rubric { get; set; }
+
     [JsonPropertyName("media")]
     public QuestionMedia? Media { get; set; }
 }
 
+/// <summary>
+/// Numeric short answer: any number within Margin of Value is correct
+/// </summary>
+public class NumericAnswer
+{
+    [JsonPropertyName("value")]
+    public decimal Value { get; set; }
+
+    [JsonPropertyName("margin")]
+    public decimal Margin { get; set; }
+}
+
 /// <summary>
 /// Keyword definition for scoring
 /// </summary>
@@ -1133,16 +1133,153 @@ public class AssignmentFunctions
         }
     }
 
+    /// <summary>
+    /// Get gradebook rows for assignments (with optional filters)
+    /// GET /api/assignments/gradebook?quizId={quizId}&status={status}
+    /// Requires: Administrator, Tutors, or Content Creator role
+    /// </summary>
+    [Function("GetGradebook")]
+    [OpenApiOperation(operationId: "GetGradebook", tags: new[] { "assignments" }, Summary = "Get gradebook", Description = "Get best, latest and average attempt scores for each assignment (Admin, Tutors, Content Creator only)")]
+    [OpenApiSecurity("bearer_auth", SecuritySchemeType.Http, Scheme = OpenApiSecuritySchemeType.Bearer, BearerFormat = "JWT")]
+    [OpenApiParameter(name: "quizId", In = ParameterLocation.Query, Required = false, Type = typeof(string), Description = "Filter by quiz ID")]
+    [OpenApiParameter(name: "status", In = ParameterLocation.Query, Required = false, Type = typeof(string), Description = "Filter by status (assigned/in_progress/completed/overdue/cancelled)")]
+    [OpenApiResponseWithBody(statusCode: HttpStatusCode.OK, contentType: "application/json", bodyType: typeof(List<GradebookEntry>), Description = "Gradebook rows")]
+    [OpenApiResponseWithBody(statusCode: HttpStatusCode.Unauthorized, contentType: "application/json", bodyType: typeof(object), Description = "Authentication required")]
+    public async Task<HttpResponseData> GetGradebook(
+        [HttpTrigger(AuthorizationLevel.Anonymous, "get", Route = "assignments/gradebook")]
+        HttpRequestData req)
+    {
+        _logger.LogInformation("Getting gradebook");
+
+        try
+        {
+            var authResult = await _authService.ValidateAndAuthorizeAsync(
+                req, "Administrator", "Tutors", "Content Creator");
+
+            if (!authResult.IsAuthorized)
+                return authResult.ErrorResponse!;
+
+            var query = System.Web.HttpUtility.ParseQueryString(req.Url.Query);
+            var quizId = query["quizId"];
+            var status = query["status"];
+
+            Guid? quizGuid = null;
+            if (!string.IsNullOrEmpty(quizId))
+            {
+                if (!Guid.TryParse(quizId, out var parsedQuizId))
+                    return await req.BadRequestAsync("Invalid quiz ID");
+                quizGuid = parsedQuizId;
+            }
+
+            // Same attempts CompleteAttempt counts towards an assignment: completed,
+            // not practice, and started after the quiz was assigned
+            var sql = @"
+                SELECT
+                    qa.assignment_id,
+                    qa.quiz_id,
+                    q.title as quiz_title,
+                    qa.user_id,
+                    u.first_name as user_first_name,
+                    u.last_name as user_last_name,
+                    u.email as user_email,
+                    qa.status,
+                    qa.assigned_at,
+                    qa.due_date,
+                    qa.completed_at,
+                    qa.attempts_used,
+                    qa.max_attempts,
+                    s.graded_attempts,
+                    s.best_score,
+                    s.latest_score,
+                    s.average_score
+                FROM quiz.quiz_assignments qa
+                INNER JOIN quiz.quizzes q ON qa.quiz_id = q.quiz_id
+                INNER JOIN lms.users u ON qa.user_id = u.user_id
+                LEFT JOIN LATERAL (
+                    SELECT
+                        COUNT(*)::int as graded_attempts,
+                        MAX(at.score_percentage) as best_score,
+                        (ARRAY_AGG(at.score_percentage ORDER BY at.completed_at DESC))[1] as latest_score,
+                        ROUND(AVG(at.score_percentage), 2) as average_score
+                    FROM quiz.attempts at
+                    WHERE at.user_id = qa.user_id AND at.quiz_id = qa.quiz_id
+                      AND at.status = 'completed'
+                      AND at.started_at >= qa.assigned_at
+                      AND COALESCE(at.metadata->>'mode', '') != 'practice'
+                ) s ON TRUE
+                WHERE (@QuizId IS NULL OR qa.quiz_id = @QuizId)
+                  AND (@Status IS NULL OR qa.status = @Status)
+                ORDER BY u.last_name, u.first_name, q.title";
+
+            await using var conn = await _dbService.GetConnectionAsync();
+            await using var cmd = new NpgsqlCommand(sql, conn);
+            cmd.Parameters.Add(new NpgsqlParameter("QuizId", NpgsqlTypes.NpgsqlDbType.Uuid) { Value = (object?)quizGuid ?? DBNull.Value });
+            cmd.Parameters.Add(new NpgsqlParameter("Status", NpgsqlTypes.NpgsqlDbType.Varchar) { Value = string.IsNullOrEmpty(status) ? DBNull.Value : status });
+
+            var entries = new List<GradebookEntry>();
+            await using var reader = await cmd.ExecuteReaderAsync();
+
+            var assignmentIdOrdinal = reader.GetOrdinal("assignment_id");
+            var quizIdOrdinal = reader.GetOrdinal("quiz_id");
+            var quizTitleOrdinal = reader.GetOrdinal("quiz_title");
+            var userIdOrdinal = reader.GetOrdinal("user_id");
+            var userFirstNameOrdinal = reader.GetOrdinal("user_first_name");
+            var userLastNameOrdinal = reader.GetOrdinal("user_last_name");
+            var userEmailOrdinal = reader.GetOrdinal("user_email");
+            var statusOrdinal = reader.GetOrdinal("status");
+            var assignedAtOrdinal = reader.GetOrdinal("assigned_at");
+            var dueDateOrdinal = reader.GetOrdinal("due_date");
+            var completedAtOrdinal = reader.GetOrdinal("completed_at");
+            var attemptsUsedOrdinal = reader.GetOrdinal("attempts_used");
+            var maxAttemptsOrdinal = reader.GetOrdinal("max_attempts");
+            var gradedAttemptsOrdinal = reader.GetOrdinal("graded_attempts");
+            var bestScoreOrdinal = reader.GetOrdinal("best_score");
+            var latestScoreOrdinal = reader.GetOrdinal("latest_score");
+            var averageScoreOrdinal = reader.GetOrdinal("average_score");
+
+            while (await reader.ReadAsync())
+            {
+                entries.Add(new GradebookEntry
+                {
+                    AssignmentId = reader.GetGuid(assignmentIdOrdinal),
+                    QuizId = reader.GetGuid(quizIdOrdinal),
+                    QuizTitle = reader.GetString(quizTitleOrdinal),
+                    UserId = reader.GetGuid(userIdOrdinal).ToString(),
+                    UserFirstName = reader.IsDBNull(userFirstNameOrdinal) ? null : reader.GetString(userFirstNameOrdinal),
+                    UserLastName = reader.IsDBNull(userLastNameOrdinal) ? null : reader.GetString(userLastNameOrdinal),
+                    UserEmail = reader.IsDBNull(userEmailOrdinal) ? null : reader.GetString(userEmailOrdinal),
+                    Status = reader.GetString(statusOrdinal),
+                    AssignedAt = reader.GetDateTime(assignedAtOrdinal),
+                    DueDate = reader.IsDBNull(dueDateOrdinal) ? null : reader.GetDateTime(dueDateOrdinal),
+                    CompletedAt = reader.IsDBNull(completedAtOrdinal) ? null : reader.GetDateTime(completedAtOrdinal),
+                    AttemptsUsed = reader.GetInt32(attemptsUsedOrdinal),
+                    MaxAttempts = reader.IsDBNull(maxAttemptsOrdinal) ? null : reader.GetInt32(maxAttemptsOrdinal),
+                    GradedAttempts = reader.GetInt32(gradedAttemptsOrdinal),
+                    BestScore = reader.IsDBNull(bestScoreOrdinal) ? null : reader.GetDecimal(bestScoreOrdinal),
+                    LatestScore = reader.IsDBNull(latestScoreOrdinal) ? null : reader.GetDecimal(latestScoreOrdinal),
+                    AverageScore = reader.IsDBNull(averageScoreOrdinal) ? null : reader.GetDecimal(averageScoreOrdinal)
+                });
+            }
+
+            return await req.OkAsync(entries);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting gradebook");
+            return await req.ServerErrorAsync($"Error getting gradebook: {ex.Message}");
+        }
+    }
+
     /// <summary>
     /// Get assignment statistics for a quiz
     /// GET /api/assignments/stats/{quizId}
     /// Requires: Administrator, Tutors, or Content Creator role
     /// </summary>
     [Function("GetAssignmentStats")]
-    [OpenApiOperation(operationId: "GetAssignmentStats", tags: new[] { "assignments" }, Summary = "Get assignment statistics", Description = "Get statistics for all assignments of a specific quiz (Admin, Tutors, Content Creator only)")]
+    [OpenApiOperation(operationId: "GetAssignmentStats", tags: new[] { "assignments" }, Summary = "Get assignment statistics", Description = "Get status counts, average score, score distribution and completions per day for all assignments of a specific quiz (Admin, Tutors, Content Creator only)")]
     [OpenApiSecurity("bearer_auth", SecuritySchemeType.Http, Scheme = OpenApiSecuritySchemeType.Bearer, BearerFormat = "JWT")]
     [OpenApiParameter(name: "quizId", In = ParameterLocation.Path, Required = true, Type = typeof(string), Description = "Quiz ID (GUID)")]
-    [OpenApiResponseWithBody(statusCode: HttpStatusCode.OK, contentType: "application/json", bodyType: typeof(AssignmentStatsResponse), Description = "Assignment statistics")]
+    [OpenApiResponseWithBody(statusCode: HttpStatusCode.OK, contentType: "application/json", bodyType: typeof(AssignmentStatsResponse), Description = "Assignment statistics (all zero when the quiz has no assignments)")]
     [OpenApiResponseWithBody(statusCode: HttpStatusCode.Unauthorized, contentType: "application/json", bodyType: typeof(object), Description = "Authentication required")]
     public async Task<HttpResponseData> GetAssignmentStats(
         [HttpTrigger(AuthorizationLevel.Anonymous, "get", Route = "assignments/stats/{quizId}")]
@@ -1162,25 +1299,69 @@ public class AssignmentFunctions
             if (!Guid.TryParse(quizId, out var quizGuid))
                 return await req.BadRequestAsync("Invalid quiz ID");
 
-            var sql = "SELECT * FROM quiz.v_assignment_stats WHERE quiz_id = @QuizId";
-            var stats = await _dbService.QuerySingleAsync<dynamic>(sql, new { QuizId = quizGuid });
+            var response = new AssignmentStatsResponse { QuizId = quizGuid };
 
-            if (stats == null)
-                return await req.NotFoundAsync("No assignment statistics found for this quiz");
+            await using var conn = await _dbService.GetConnectionAsync();
 
-            var response = new AssignmentStatsResponse
+            // The view only has a row for quizzes with assignments; none means all counts stay 0
+            await using (var cmd = new NpgsqlCommand("SELECT * FROM quiz.v_assignment_stats WHERE quiz_id = @QuizId", conn))
             {
-                QuizId = stats.quiz_id,
-                TotalAssignments = stats.total_assignments,
-                AssignedCount = stats.assigned_count,
-                InProgressCount = stats.in_progress_count,
-                CompletedCount = stats.completed_count,
-                OverdueCount = stats.overdue_count,
-                CancelledCount = stats.cancelled_count,
-                AverageScore = stats.avg_score,
-                AverageCompletionMinutes = stats.avg_completion_minutes,
-                MandatoryCount = stats.mandatory_count
-            };
+                cmd.Parameters.AddWithValue("QuizId", quizGuid);
+                await using var reader = await cmd.ExecuteReaderAsync();
+                if (await reader.ReadAsync())
+                {
+                    var avgScoreOrdinal = reader.GetOrdinal("avg_score");
+                    var avgMinutesOrdinal = reader.GetOrdinal("avg_completion_minutes");
+
+                    response.TotalAssignments = Convert.ToInt32(reader["total_assignments"]);
+                    response.AssignedCount = Convert.ToInt32(reader["assigned_count"]);
+                    response.InProgressCount = Convert.ToInt32(reader["in_progress_count"]);
+                    response.CompletedCount = Convert.ToInt32(reader["completed_count"]);
+                    response.OverdueCount = Convert.ToInt32(reader["overdue_count"]);
+                    response.CancelledCount = Convert.ToInt32(reader["cancelled_count"]);
+                    response.AverageScore = reader.IsDBNull(avgScoreOrdinal) ? null : Math.Round(reader.GetDecimal(avgScoreOrdinal), 2);
+                    response.AverageCompletionMinutes = reader.IsDBNull(avgMinutesOrdinal) ? null : Convert.ToDouble(reader.GetValue(avgMinutesOrdinal));
+                    response.MandatoryCount = Convert.ToInt32(reader["mandatory_count"]);
+                }
+            }
+
+            // Ten 10-point buckets; a score of exactly 100 falls in the last one
+            var distributionSql = @"
+                SELECT LEAST(FLOOR(score / 10), 9)::int as bucket, COUNT(*)::int as count
+                FROM quiz.quiz_assignments
+                WHERE quiz_id = @QuizId AND status = 'completed' AND score IS NOT NULL
+                GROUP BY bucket";
+
+            var bucketCounts = new int[10];
+            await using (var cmd = new NpgsqlCommand(distributionSql, conn))
+            {
+                cmd.Parameters.AddWithValue("QuizId", quizGuid);
+                await using var reader = await cmd.ExecuteReaderAsync();
+                while (await reader.ReadAsync())
+                {
+                    bucketCounts[Math.Clamp(reader.GetInt32(0), 0, 9)] += reader.GetInt32(1);
+                }
+            }
+            response.ScoreDistribution = bucketCounts
+                .Select((count, i) => new ScoreBucket { MinScore = i * 10, MaxScore = (i + 1) * 10, Count = count })
+                .ToList();
+
+            var completionsSql = @"
+                SELECT completed_at::date as day, COUNT(*)::int as count
+                FROM quiz.quiz_assignments
+                WHERE quiz_id = @QuizId AND completed_at IS NOT NULL AND status != 'cancelled'
+                GROUP BY day
+                ORDER BY day";
+
+            await using (var cmd = new NpgsqlCommand(completionsSql, conn))
+            {
+                cmd.Parameters.AddWithValue("QuizId", quizGuid);
+                await using var reader = await cmd.ExecuteReaderAsync();
+                while (await reader.ReadAsync())
+                {
+                    response.CompletionsByDate.Add(new DailyCount { Date = reader.GetDateTime(0), Count = reader.GetInt32(1) });
+                }
+            }
 
             return await req.OkAsync(response);
         }
@@ -5,6 +5,7 @@ using Microsoft.Azure.WebJobs.Extensions.OpenApi.Core.Enums;
 using Microsoft.Extensions.Logging;
 using Microsoft.OpenApi.Models;
 using Npgsql;
+using Quizz.Common.Extensions;
 using Quizz.DataAccess;
 using Quizz.DataModel.Dtos;
 using Quizz.Functions.Helpers;
@@ -12,8 +13,10 @@ using Quizz.Common.Services;
 using System;
 using System.Collections.Generic;
 using System.Diagnostics;
+using System.Linq;
 using System.Net;
 using System.Text.Json;
+using System.Text.Json.Nodes;
 using System.Threading.Tasks;
 
 namespace Quizz.Functions.Endpoints.Attempt
@@ -82,7 +85,7 @@ namespace Quizz.Functions.Endpoints.Attempt
 
                 // Check for existing in-progress attempt first
                 var checkExistingAttemptSql = @"
-                    SELECT attempt_id, started_at
+                    SELECT attempt_id, started_at, metadata
                     FROM quiz.attempts
                     WHERE user_id = @user_id AND quiz_id = @quiz_id AND status = 'in_progress'
                     ORDER BY started_at DESC
@@ -97,6 +100,7 @@ namespace Quizz.Functions.Endpoints.Attempt
                     // Return existing in-progress attempt instead of creating a new one
                     var existingAttemptId = existingAttemptReader.GetGuid(0);
                     var existingStartedAt = existingAttemptReader.GetDateTime(1);
+                    var existingMetadata = existingAttemptReader.IsDBNull(2) ? null : existingAttemptReader.GetString(2);
                     await existingAttemptReader.DisposeAsync();
 
                     _logger.LogInformation($"Found existing in-progress attempt {existingAttemptId} for user {request.UserId}, quiz {request.QuizId}");
@@ -112,13 +116,32 @@ namespace Quizz.Functions.Endpoints.Attempt
                         TotalScore = null,
                         MaxPossibleScore = null,
                         ScorePercentage = null,
-                        Metadata = null
+                        // Keeps the original deadlineAt so a resumed timed attempt does not get extra time
+                        Metadata = existingMetadata != null ? JsonSerializer.Deserialize<object>(existingMetadata) : null
                     };
                     
                     return await ResponseHelper.OkAsync(req, existingAttempt);
                 }
                 await existingAttemptReader.DisposeAsync();
 
+                // Quiz settings that shape the attempt
+                var quizSettingsSql = @"
+                    SELECT time_limit_minutes, practice_mode
+                    FROM quiz.quizzes
+                    WHERE quiz_id = @quiz_id AND deleted_at IS NULL";
+
+                int? timeLimitMinutes = null;
+                var practiceMode = false;
+                using (var quizSettingsReader = await _dbService.ExecuteQueryAsync(quizSettingsSql,
+                    new NpgsqlParameter("quiz_id", request.QuizId)))
+                {
+                    if (await quizSettingsReader.ReadAsync())
+                    {
+                        timeLimitMinutes = quizSettingsReader.IsDBNull(0) ? null : quizSettingsReader.GetInt32(0);
+                        practiceMode = quizSettingsReader.GetBoolean(1);
+                    }
+                }
+
                 // Check if there's an assignment for this user and quiz, and enforce max_attempts
                 // Only consider non-cancelled assignments (most recent one)
                 var checkAssignmentSql = @"
@@ -149,8 +172,8 @@ namespace Quizz.Functions.Endpoints.Attempt
                         return await ResponseHelper.BadRequestAsync(req, "This assignment has been cancelled");
                     }
 
-                    // Check max attempts limit
-                    if (maxAttempts.HasValue && attemptsUsed >= maxAttempts.Value)
+                    // Check max attempts limit (practice attempts do not use assignment attempts)
+                    if (!practiceMode && maxAttempts.HasValue && attemptsUsed >= maxAttempts.Value)
                     {
                         return await ResponseHelper.BadRequestAsync(req, 
                             $"Maximum attempts ({maxAttempts.Value}) reached for this assignment");
@@ -163,6 +186,23 @@ namespace Quizz.Functions.Endpoints.Attempt
 
                 var attemptId = Guid.NewGuid();
                 var metadataJson = request.Metadata != null ? JsonSerializer.Serialize(request.Metadata) : null;
+                var metadataNode = (metadataJson != null ? JsonNode.Parse(metadataJson) as JsonObject : null) ?? new JsonObject();
+
+                // The mode always comes from the quiz so a graded attempt cannot be tagged as practice by the client
+                metadataNode.Remove("mode");
+                if (practiceMode)
+                {
+                    metadataNode["mode"] = "practice";
+                }
+
+                // Timed quizzes: store the deadline on the attempt so reloads and resumes keep the original end time
+                if (timeLimitMinutes.HasValue)
+                {
+                    metadataNode["timeLimitMinutes"] = timeLimitMinutes.Value;
+                    metadataNode["deadlineAt"] = DateTime.UtcNow.AddMinutes(timeLimitMinutes.Value).ToString("o");
+                }
+
+                metadataJson = metadataNode.Count > 0 ? metadataNode.ToJsonString() : null;
 
                 var sql = @"
                     INSERT INTO quiz.attempts (attempt_id, quiz_id, user_id, status, started_at, metadata)
@@ -200,20 +240,24 @@ namespace Quizz.Functions.Endpoints.Attempt
 
                 // Update assignment attempts_used counter if assignment exists
                 // Only update non-cancelled assignments (most recent active one)
-                var updateAssignmentSql = @"
-                    UPDATE quiz.quiz_assignments
-                    SET attempts_used = attempts_used + 1,
-                        status = CASE 
-                            WHEN status = 'assigned' THEN 'in_progress'
-                            ELSE status
-                        END,
-                        started_at = COALESCE(started_at, CURRENT_TIMESTAMP)
-                    WHERE user_id = @user_id AND quiz_id = @quiz_id AND status != 'cancelled'
-                    AND assignment_id = (SELECT assignment_id FROM quiz.quiz_assignments WHERE user_id = @user_id AND quiz_id = @quiz_id AND status != 'cancelled' ORDER BY assigned_at DESC LIMIT 1)";
-
-                await _dbService.ExecuteNonQueryAsync(updateAssignmentSql,
-                    new NpgsqlParameter("user_id", NpgsqlTypes.NpgsqlDbType.Uuid) { Value = Guid.Parse(request.UserId) },
-                    new NpgsqlParameter("quiz_id", request.QuizId));
+                // Practice attempts are kept out of assignments entirely
+                if (!practiceMode)
+                {
+                    var updateAssignmentSql = @"
+                        UPDATE quiz.quiz_assignments
+                        SET attempts_used = attempts_used + 1,
+                            status = CASE 
+                                WHEN status = 'assigned' THEN 'in_progress'
+                                ELSE status
+                            END,
+                            started_at = COALESCE(started_at, CURRENT_TIMESTAMP)
+                        WHERE user_id = @user_id AND quiz_id = @quiz_id AND status != 'cancelled'
+                        AND assignment_id = (SELECT assignment_id FROM quiz.quiz_assignments WHERE user_id = @user_id AND quiz_id = @quiz_id AND status != 'cancelled' ORDER BY assigned_at DESC LIMIT 1)";
+
+                    await _dbService.ExecuteNonQueryAsync(updateAssignmentSql,
+                        new NpgsqlParameter("user_id", NpgsqlTypes.NpgsqlDbType.Uuid) { Value = Guid.Parse(request.UserId) },
+                        new NpgsqlParameter("quiz_id", request.QuizId));
+                }
 
                 _logger.LogInformation($"Started attempt {attemptId} for quiz {request.QuizId} in {stopwatch.ElapsedMilliseconds}ms");
                 return await ResponseHelper.CreatedAsync(req, attempt, $"/api/attempts/{attemptId}");
@@ -542,18 +586,25 @@ namespace Quizz.Functions.Endpoints.Attempt
 
                 // Update assignment status to completed and store score if assignment exists
                 // Only update non-cancelled assignments (most recent active one)
-                var updateAssignmentSql = @"
-                    UPDATE quiz.quiz_assignments
-                    SET status = 'completed',
-                        completed_at = CURRENT_TIMESTAMP,
-                        score = @score_percentage
-                    WHERE user_id = @user_id AND quiz_id = @quiz_id AND status != 'completed' AND status != 'cancelled'
-                    AND assignment_id = (SELECT assignment_id FROM quiz.quiz_assignments WHERE user_id = @user_id AND quiz_id = @quiz_id AND status != 'cancelled' ORDER BY assigned_at DESC LIMIT 1)";
+                // Practice attempts never complete an assignment or change its score
+                var isPractice = metadataResult != null
+                    && (JsonNode.Parse(metadataResult) as JsonObject)?["mode"]?.ToString() == "practice";
 
-                await _dbService.ExecuteNonQueryAsync(updateAssignmentSql,
-                    new NpgsqlParameter("user_id", NpgsqlTypes.NpgsqlDbType.Uuid) { Value = Guid.Parse(attempt.UserId) },
-                    new NpgsqlParameter("quiz_id", NpgsqlTypes.NpgsqlDbType.Uuid) { Value = attempt.QuizId },
-                    new NpgsqlParameter("score_percentage", scorePercentage));
+                if (!isPractice)
+                {
+                    var updateAssignmentSql = @"
+                        UPDATE quiz.quiz_assignments
+                        SET status = 'completed',
+                            completed_at = CURRENT_TIMESTAMP,
+                            score = @score_percentage
+                        WHERE user_id = @user_id AND quiz_id = @quiz_id AND status != 'completed' AND status != 'cancelled'
+                        AND assignment_id = (SELECT assignment_id FROM quiz.quiz_assignments WHERE user_id = @user_id AND quiz_id = @quiz_id AND status != 'cancelled' ORDER BY assigned_at DESC LIMIT 1)";
+
+                    await _dbService.ExecuteNonQueryAsync(updateAssignmentSql,
+                        new NpgsqlParameter("user_id", NpgsqlTypes.NpgsqlDbType.Uuid) { Value = Guid.Parse(attempt.UserId) },
+                        new NpgsqlParameter("quiz_id", NpgsqlTypes.NpgsqlDbType.Uuid) { Value = attempt.QuizId },
+                        new NpgsqlParameter("score_percentage", scorePercentage));
+                }
 
                 _logger.LogInformation($"Completed attempt {attemptId} in {stopwatch.ElapsedMilliseconds}ms");
                 return await ResponseHelper.OkAsync(req, attempt);
@@ -564,6 +615,287 @@ namespace Quizz.Functions.Endpoints.Attempt
                 return await ResponseHelper.InternalServerErrorAsync(req, "Failed to complete attempt");
             }
         }
+
+        [Function("UpdateAttemptFlags")]
+        [OpenApiOperation(
+            operationId: "UpdateAttemptFlags",
+            tags: new[] { "Attempts" },
+            Summary = "Update flagged questions",
+            Description = "Replaces the list of questions the student flagged for review in an in-progress attempt.")]
+        [OpenApiSecurity("bearer_auth", SecuritySchemeType.Http, Scheme = OpenApiSecuritySchemeType.Bearer, BearerFormat = "JWT")]
+        [OpenApiParameter(
+            name: "attemptId",
+            In = ParameterLocation.Path,
+            Required = true,
+            Type = typeof(Guid))]
+        [OpenApiRequestBody(
+            contentType: "application/json",
+            bodyType: typeof(UpdateAttemptFlagsRequest),
+            Required = true)]
+        [OpenApiResponseWithBody(
+            statusCode: HttpStatusCode.OK,
+            contentType: "application/json",
+            bodyType: typeof(Quizz.DataModel.Dtos.Attempt),
+            Description = "Flags updated successfully")]
+        public async Task<HttpResponseData> UpdateAttemptFlags(
+            [HttpTrigger(AuthorizationLevel.Anonymous, "put", Route = "attempts/{attemptId}/flags")] HttpRequestData req,
+            string attemptId)
+        {
+            var authResult = await _authService.ValidateAndAuthorizeAsync(req, "Administrator", "Player", "Tutors");
+            if (!authResult.IsAuthorized)
+                return authResult.ErrorResponse!;
+
+            var stopwatch = Stopwatch.StartNew();
+
+            try
+            {
+                if (!Guid.TryParse(attemptId, out var guid))
+                {
+                    return await ResponseHelper.BadRequestAsync(req, "Invalid attempt ID format");
+                }
+
+                UpdateAttemptFlagsRequest? request;
+                try
+                {
+                    request = await JsonSerializer.DeserializeAsync<UpdateAttemptFlagsRequest>(req.Body);
+                }
+                catch (JsonException ex)
+                {
+                    _logger.LogWarning(ex, "Invalid JSON in request body");
+                    return await ResponseHelper.BadRequestAsync(req, "Invalid JSON format");
+                }
+
+                if (request == null)
+                {
+                    return await ResponseHelper.BadRequestAsync(req, "Request body is required");
+                }
+
+                // Only the flags key is written so clients cannot change other metadata such as deadlineAt
+                var sql = @"
+                    UPDATE quiz.attempts
+                    SET metadata = jsonb_set(COALESCE(metadata, '{}'::jsonb), '{flaggedQuestions}', @flagged_questions::jsonb)
+                    WHERE attempt_id = @attempt_id AND status = 'in_progress'
+                    RETURNING attempt_id, quiz_id, user_id, status, started_at, completed_at,
+                              total_score, max_possible_score, score_percentage, metadata";
+
+                using var reader = await _dbService.ExecuteQueryAsync(sql,
+                    new NpgsqlParameter("attempt_id", guid),
+                    new NpgsqlParameter("flagged_questions", JsonSerializer.Serialize(request.FlaggedQuestions.Distinct())));
+
+                if (!await reader.ReadAsync())
+                {
+                    return await ResponseHelper.NotFoundAsync(req, $"Attempt with ID '{attemptId}' not found or already completed");
+                }
+
+                var metadataResult = reader.IsDBNull(9) ? null : reader.GetString(9);
+                var attempt = new Quizz.DataModel.Dtos.Attempt
+                {
+                    AttemptId = reader.GetGuid(0),
+                    QuizId = reader.GetGuid(1),
+                    UserId = reader.GetGuid(2).ToString(),
+                    Status = reader.GetString(3),
+                    StartedAt = reader.GetDateTime(4),
+                    CompletedAt = reader.IsDBNull(5) ? null : reader.GetDateTime(5),
+                    TotalScore = reader.IsDBNull(6) ? null : reader.GetDecimal(6),
+                    MaxPossibleScore = reader.IsDBNull(7) ? null : reader.GetDecimal(7),
+                    ScorePercentage = reader.IsDBNull(8) ? null : reader.GetDecimal(8),
+                    Metadata = metadataResult != null ? JsonSerializer.Deserialize<object>(metadataResult) : null
+                };
+
+                _logger.LogInformation($"Updated flags for attempt {attemptId} ({request.FlaggedQuestions.Count} flagged) in {stopwatch.ElapsedMilliseconds}ms");
+                return await ResponseHelper.OkAsync(req, attempt);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"Error updating flags for attempt {attemptId}");
+                return await ResponseHelper.InternalServerErrorAsync(req, "Failed to update flagged questions");
+            }
+        }
+
+        [Function("UpdateAttemptFeedback")]
+        [OpenApiOperation(
+            operationId: "UpdateAttemptFeedback",
+            tags: new[] { "Attempts" },
+            Summary = "Comment on an attempt",
+            Description = "Sets the tutor's overall written feedback on an attempt. An empty comment removes it. New feedback shows as unread to the player until they open the attempt. Tutors only comment on attempts at quizzes they assigned.")]
+        [OpenApiSecurity("bearer_auth", SecuritySchemeType.Http, Scheme = OpenApiSecuritySchemeType.Bearer, BearerFormat = "JWT")]
+        [OpenApiParameter(
+            name: "attemptId",
+            In = ParameterLocation.Path,
+            Required = true,
+            Type = typeof(Guid))]
+        [OpenApiRequestBody(
+            contentType: "application/json",
+            bodyType: typeof(FeedbackCommentRequest),
+            Required = true)]
+        [OpenApiResponseWithBody(
+            statusCode: HttpStatusCode.OK,
+            contentType: "application/json",
+            bodyType: typeof(Quizz.DataModel.Dtos.Attempt),
+            Description = "Feedback saved")]
+        public async Task<HttpResponseData> UpdateAttemptFeedback(
+            [HttpTrigger(AuthorizationLevel.Anonymous, "put", Route = "attempts/{attemptId}/feedback")] HttpRequestData req,
+            string attemptId)
+        {
+            var authResult = await _authService.ValidateAndAuthorizeAsync(req, "Administrator", "Tutors");
+            if (!authResult.IsAuthorized)
+                return authResult.ErrorResponse!;
+
+            var stopwatch = Stopwatch.StartNew();
+
+            try
+            {
+                if (!Guid.TryParse(attemptId, out var guid))
+                {
+                    return await ResponseHelper.BadRequestAsync(req, "Invalid attempt ID format");
+                }
+
+                FeedbackCommentRequest? request;
+                try
+                {
+                    request = await JsonSerializer.DeserializeAsync<FeedbackCommentRequest>(req.Body);
+                }
+                catch (JsonException ex)
+                {
+                    _logger.LogWarning(ex, "Invalid JSON in request body");
+                    return await ResponseHelper.BadRequestAsync(req, "Invalid JSON format");
+                }
+
+                if (request == null)
+                {
+                    return await ResponseHelper.BadRequestAsync(req, "Request body is required");
+                }
+
+                var canGrade = await GradingHelper.CanGradeAttemptAsync(_dbService, guid, authResult);
+                if (canGrade == null)
+                {
+                    return await ResponseHelper.NotFoundAsync(req, $"Attempt with ID '{attemptId}' not found");
+                }
+                if (canGrade == false)
+                {
+                    return await req.ForbiddenAsync("You can only comment on attempts at quizzes you assigned");
+                }
+
+                var feedbackJson = GradingHelper.BuildFeedback(request.Comment, authResult)?.ToJsonString();
+
+                // feedbackUpdatedAt drives the player's unread indicator (compared with feedbackSeenAt)
+                var sql = @"
+                    UPDATE quiz.attempts
+                    SET metadata = CASE
+                            WHEN @feedback::jsonb IS NULL THEN COALESCE(metadata, '{}'::jsonb) - 'feedback'
+                            ELSE COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('feedback', @feedback::jsonb, 'feedbackUpdatedAt', NOW())
+                        END
+                    WHERE attempt_id = @attempt_id
+                    RETURNING attempt_id, quiz_id, user_id, status, started_at, completed_at,
+                              total_score, max_possible_score, score_percentage, metadata";
+
+                using var reader = await _dbService.ExecuteQueryAsync(sql,
+                    new NpgsqlParameter("attempt_id", guid),
+                    new NpgsqlParameter("feedback", NpgsqlTypes.NpgsqlDbType.Text) { Value = (object?)feedbackJson ?? DBNull.Value });
+
+                if (!await reader.ReadAsync())
+                {
+                    return await ResponseHelper.NotFoundAsync(req, $"Attempt with ID '{attemptId}' not found");
+                }
+
+                var metadataResult = reader.IsDBNull(9) ? null : reader.GetString(9);
+                var attempt = new Quizz.DataModel.Dtos.Attempt
+                {
+                    AttemptId = reader.GetGuid(0),
+                    QuizId = reader.GetGuid(1),
+                    UserId = reader.GetGuid(2).ToString(),
+                    Status = reader.GetString(3),
+                    StartedAt = reader.GetDateTime(4),
+                    CompletedAt = reader.IsDBNull(5) ? null : reader.GetDateTime(5),
+                    TotalScore = reader.IsDBNull(6) ? null : reader.GetDecimal(6),
+                    MaxPossibleScore = reader.IsDBNull(7) ? null : reader.GetDecimal(7),
+                    ScorePercentage = reader.IsDBNull(8) ? null : reader.GetDecimal(8),
+                    Metadata = metadataResult != null ? JsonSerializer.Deserialize<object>(metadataResult) : null
+                };
+
+                _logger.LogInformation($"Updated feedback on attempt {attemptId} in {stopwatch.ElapsedMilliseconds}ms");
+                return await ResponseHelper.OkAsync(req, attempt);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"Error updating feedback on attempt {attemptId}");
+                return await ResponseHelper.InternalServerErrorAsync(req, "Failed to save feedback");
+            }
+        }
+
+        [Function("MarkAttemptFeedbackSeen")]
+        [OpenApiOperation(
+            operationId: "MarkAttemptFeedbackSeen",
+            tags: new[] { "Attempts" },
+            Summary = "Mark attempt feedback as read",
+            Description = "Records that the player has seen the current feedback on the attempt and its responses.")]
+        [OpenApiSecurity("bearer_auth", SecuritySchemeType.Http, Scheme = OpenApiSecuritySchemeType.Bearer, BearerFormat = "JWT")]
+        [OpenApiParameter(
+            name: "attemptId",
+            In = ParameterLocation.Path,
+            Required = true,
+            Type = typeof(Guid))]
+        [OpenApiResponseWithBody(
+            statusCode: HttpStatusCode.OK,
+            contentType: "application/json",
+            bodyType: typeof(Quizz.DataModel.Dtos.Attempt),
+            Description = "Feedback marked as read")]
+        public async Task<HttpResponseData> MarkAttemptFeedbackSeen(
+            [HttpTrigger(AuthorizationLevel.Anonymous, "post", Route = "attempts/{attemptId}/feedback/seen")] HttpRequestData req,
+            string attemptId)
+        {
+            var authResult = await _authService.ValidateAndAuthorizeAsync(req, "Administrator", "Player", "Tutors");
+            if (!authResult.IsAuthorized)
+                return authResult.ErrorResponse!;
+
+            var stopwatch = Stopwatch.StartNew();
+
+            try
+            {
+                if (!Guid.TryParse(attemptId, out var guid))
+                {
+                    return await ResponseHelper.BadRequestAsync(req, "Invalid attempt ID format");
+                }
+
+                var sql = @"
+                    UPDATE quiz.attempts
+                    SET metadata = jsonb_set(COALESCE(metadata, '{}'::jsonb), '{feedbackSeenAt}', to_jsonb(NOW()))
+                    WHERE attempt_id = @attempt_id
+                    RETURNING attempt_id, quiz_id, user_id, status, started_at, completed_at,
+                              total_score, max_possible_score, score_percentage, metadata";
+
+                using var reader = await _dbService.ExecuteQueryAsync(sql,
+                    new NpgsqlParameter("attempt_id", guid));
+
+                if (!await reader.ReadAsync())
+                {
+                    return await ResponseHelper.NotFoundAsync(req, $"Attempt with ID '{attemptId}' not found");
+                }
+
+                var metadataResult = reader.IsDBNull(9) ? null : reader.GetString(9);
+                var attempt = new Quizz.DataModel.Dtos.Attempt
+                {
+                    AttemptId = reader.GetGuid(0),
+                    QuizId = reader.GetGuid(1),
+                    UserId = reader.GetGuid(2).ToString(),
+                    Status = reader.GetString(3),
+                    StartedAt = reader.GetDateTime(4),
+                    CompletedAt = reader.IsDBNull(5) ? null : reader.GetDateTime(5),
+                    TotalScore = reader.IsDBNull(6) ? null : reader.GetDecimal(6),
+                    MaxPossibleScore = reader.IsDBNull(7) ? null : reader.GetDecimal(7),
+                    ScorePercentage = reader.IsDBNull(8) ? null : reader.GetDecimal(8),
+                    Metadata = metadataResult != null ? JsonSerializer.Deserialize<object>(metadataResult) : null
+                };
+
+                _logger.LogInformation($"Marked feedback on attempt {attemptId} as read in {stopwatch.ElapsedMilliseconds}ms");
+                return await ResponseHelper.OkAsync(req, attempt);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"Error marking feedback on attempt {attemptId} as read");
+                return await ResponseHelper.InternalServerErrorAsync(req, "Failed to mark feedback as read");
+            }
+        }
     }
 }
 
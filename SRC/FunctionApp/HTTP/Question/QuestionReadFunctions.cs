@@ -16,6 +16,7 @@ using System.Diagnostics;
 using System.Linq;
 using System.Net;
 using System.Text.Json;
+using System.Text.Json.Nodes;
 using System.Threading.Tasks;
 
 namespace Quizz.Functions.Endpoints.Question
@@ -45,7 +46,7 @@ namespace Quizz.Functions.Endpoints.Question
             operationId: "GetQuestions",
             tags: new[] { "Questions - Read" },
             Summary = "Get all questions",
-            Description = "Retrieves a paginated list of all questions. No API key required.")]
+            Description = "Retrieves a filtered, paginated page of the question bank, with the quizzes each question is used in. No API key required.")]
         [OpenApiSecurity("bearer_auth", SecuritySchemeType.Http, Scheme = OpenApiSecuritySchemeType.Bearer, BearerFormat = "JWT")]
         [OpenApiParameter(
             name: "questionType",
@@ -65,6 +66,36 @@ namespace Quizz.Functions.Endpoints.Question
             Required = false,
             Type = typeof(string),
             Description = "Filter by subject")]
+        [OpenApiParameter(
+            name: "locale",
+            In = ParameterLocation.Query,
+            Required = false,
+            Type = typeof(string),
+            Description = "Filter by locale (e.g. en-US)")]
+        [OpenApiParameter(
+            name: "ageMin",
+            In = ParameterLocation.Query,
+            Required = false,
+            Type = typeof(int),
+            Description = "Only questions whose age range reaches this age or older")]
+        [OpenApiParameter(
+            name: "ageMax",
+            In = ParameterLocation.Query,
+            Required = false,
+            Type = typeof(int),
+            Description = "Only questions whose age range starts at this age or younger")]
+        [OpenApiParameter(
+            name: "tags",
+            In = ParameterLocation.Query,
+            Required = false,
+            Type = typeof(string),
+            Description = "Filter by tags (comma-separated, matches any)")]
+        [OpenApiParameter(
+            name: "search",
+            In = ParameterLocation.Query,
+            Required = false,
+            Type = typeof(string),
+            Description = "Full-text search in the question text")]
         [OpenApiParameter(
             name: "limit",
             In = ParameterLocation.Query,
@@ -97,55 +128,107 @@ namespace Quizz.Functions.Endpoints.Question
                 var questionType = query["questionType"];
                 var difficulty = query["difficulty"];
                 var subject = query["subject"];
+                var locale = query["locale"];
+                var tagsParam = query["tags"];
+                var search = query["search"]?.Trim();
+                int? ageMin = int.TryParse(query["ageMin"], out var aMin) ? aMin : null;
+                int? ageMax = int.TryParse(query["ageMax"], out var aMax) ? aMax : null;
                 var limit = int.TryParse(query["limit"], out var l) ? Math.Min(l, 100) : 50;
                 var offset = int.TryParse(query["offset"], out var o) ? Math.Max(o, 0) : 0;
 
+                string[]? tags = null;
+                if (!string.IsNullOrWhiteSpace(tagsParam))
+                {
+                    tags = tagsParam.Split(',', StringSplitOptions.RemoveEmptyEntries)
+                        .Select(t => t.Trim())
+                        .ToArray();
+                }
+
+                // total_count is the number of matches before LIMIT/OFFSET, repeated on every row
                 var sql = @"
-                    SELECT question_id, question_type, question_text, age_min, age_max, 
-                           difficulty, estimated_seconds, subject, locale, points, 
-                           allow_partial_credit, negative_marking, supports_read_aloud,
-                           content, version, created_at, updated_at
-                    FROM quiz.questions
-                    WHERE deleted_at IS NULL";
+                    SELECT q.question_id, q.question_type, q.question_text, q.age_min, q.age_max, 
+                           q.difficulty, q.estimated_seconds, q.subject, q.locale, q.points, 
+                           q.allow_partial_credit, q.negative_marking, q.supports_read_aloud,
+                           q.content, q.version, q.created_at, q.updated_at, q.tags,
+                           COALESCE((
+                               SELECT json_agg(json_build_object('quizId', qz.quiz_id, 'title', qz.title, 'position', qq.position)
+                                               ORDER BY qz.title)
+                               FROM quiz.quiz_questions qq
+                               JOIN quiz.quizzes qz ON qz.quiz_id = qq.quiz_id AND qz.deleted_at IS NULL
+                               WHERE qq.question_id = q.question_id
+                           ), '[]'::json)::text AS used_in_quizzes,
+                           COUNT(*) OVER() AS total_count
+                    FROM quiz.questions q
+                    WHERE q.deleted_at IS NULL";
 
                 var parameters = new List<NpgsqlParameter>();
 
                 if (!string.IsNullOrWhiteSpace(questionType))
                 {
-                    sql += " AND question_type = @question_type";
+                    sql += " AND q.question_type = @question_type";
                     parameters.Add(new NpgsqlParameter("question_type", questionType));
                 }
 
                 if (!string.IsNullOrWhiteSpace(difficulty))
                 {
-                    sql += " AND difficulty = @difficulty";
+                    sql += " AND q.difficulty = @difficulty";
                     parameters.Add(new NpgsqlParameter("difficulty", difficulty));
                 }
 
                 if (!string.IsNullOrWhiteSpace(subject))
                 {
-                    sql += " AND subject = @subject";
+                    sql += " AND q.subject = @subject";
                     parameters.Add(new NpgsqlParameter("subject", subject));
                 }
 
-                sql += " ORDER BY created_at DESC LIMIT @limit OFFSET @offset";
+                if (!string.IsNullOrWhiteSpace(locale))
+                {
+                    sql += " AND q.locale = @locale";
+                    parameters.Add(new NpgsqlParameter("locale", locale));
+                }
+
+                // Age filters keep questions whose age range overlaps the requested one (open ends match anything)
+                if (ageMin.HasValue)
+                {
+                    sql += " AND (q.age_max IS NULL OR q.age_max >= @age_min)";
+                    parameters.Add(new NpgsqlParameter("age_min", ageMin.Value));
+                }
+
+                if (ageMax.HasValue)
+                {
+                    sql += " AND (q.age_min IS NULL OR q.age_min <= @age_max)";
+                    parameters.Add(new NpgsqlParameter("age_max", ageMax.Value));
+                }
+
+                if (tags != null && tags.Length > 0)
+                {
+                    sql += " AND q.tags && @tags";
+                    parameters.Add(new NpgsqlParameter("tags", NpgsqlDbType.Array | NpgsqlDbType.Text) { Value = tags });
+                }
+
+                // Full-text match on whole words, plus a substring match so partly typed words still find something
+                if (!string.IsNullOrWhiteSpace(search))
+                {
+                    sql += @" AND (to_tsvector('simple', q.question_text) @@ websearch_to_tsquery('simple', @search)
+                                   OR q.question_text ILIKE @search_pattern)";
+                    parameters.Add(new NpgsqlParameter("search", search));
+                    parameters.Add(new NpgsqlParameter("search_pattern",
+                        "%" + search.Replace("\\", "\\\\").Replace("%", "\\%").Replace("_", "\\_") + "%"));
+                }
+
+                sql += " ORDER BY q.created_at DESC LIMIT @limit OFFSET @offset";
                 parameters.Add(new NpgsqlParameter("limit", limit));
                 parameters.Add(new NpgsqlParameter("offset", offset));
 
-                _logger.LogInformation($"Executing query: {sql}");
-                _logger.LogInformation($"Parameters: limit={limit}, offset={offset}");
-
                 using var reader = await _dbService.ExecuteQueryAsync(sql, parameters.ToArray());
 
-                _logger.LogInformation($"Query executed, reader created. HasRows: {reader.HasRows}");
-
-                var questions = new List<Quizz.DataModel.Dtos.Question>();
+                var questions = new List<QuestionBankItem>();
+                long total = 0;
                 while (await reader.ReadAsync())
                 {
-                    _logger.LogInformation($"Reading question row...");
                     var contentJson = reader.IsDBNull(13) ? "{}" : reader.GetString(13);
                     
-                    questions.Add(new Quizz.DataModel.Dtos.Question
+                    questions.Add(new QuestionBankItem
                     {
                         QuestionId = reader.GetGuid(0),
                         QuestionType = reader.GetString(1),
@@ -160,22 +243,26 @@ namespace Quizz.Functions.Endpoints.Question
                         AllowPartialCredit = reader.IsDBNull(10) ? false : reader.GetBoolean(10), // Default false
                         NegativeMarking = reader.IsDBNull(11) ? false : reader.GetBoolean(11), // Default false
                         SupportsReadAloud = reader.IsDBNull(12) ? true : reader.GetBoolean(12), // Default true
-                        Content = JsonSerializer.Deserialize<object>(contentJson),
+                        Content = JsonSerializer.Deserialize<object>(RedactHiddenTestCases(contentJson, authResult)),
                         Version = reader.IsDBNull(14) ? 1 : reader.GetInt32(14), // Default version 1
                         CreatedAt = reader.GetDateTime(15),
-                        UpdatedAt = reader.GetDateTime(16)
+                        UpdatedAt = reader.GetDateTime(16),
+                        Tags = reader.IsDBNull(17) ? null : (string[])reader.GetValue(17),
+                        UsedInQuizzes = JsonSerializer.Deserialize<List<QuestionQuizUsage>>(reader.GetString(18)) ?? new()
                     });
+                    total = reader.GetInt64(19);
                 }
 
                 var response = new
                 {
                     data = questions,
                     count = questions.Count,
+                    total,
                     limit,
                     offset
                 };
 
-                _logger.LogInformation($"Retrieved {questions.Count} questions in {stopwatch.ElapsedMilliseconds}ms");
+                _logger.LogInformation($"Retrieved {questions.Count} of {total} questions in {stopwatch.ElapsedMilliseconds}ms");
                 return await ResponseHelper.OkAsync(req, response);
             }
             catch (Exception ex)
@@ -258,7 +345,7 @@ namespace Quizz.Functions.Endpoints.Question
                     AllowPartialCredit = reader.IsDBNull(10) ? false : reader.GetBoolean(10),
                     NegativeMarking = reader.IsDBNull(11) ? false : reader.GetBoolean(11),
                     SupportsReadAloud = reader.IsDBNull(12) ? true : reader.GetBoolean(12),
-                    Content = JsonSerializer.Deserialize<object>(contentJson),
+                    Content = JsonSerializer.Deserialize<object>(RedactHiddenTestCases(contentJson, authResult)),
                     Version = reader.IsDBNull(14) ? 1 : reader.GetInt32(14),
                     CreatedAt = reader.GetDateTime(15),
                     UpdatedAt = reader.GetDateTime(16)
@@ -312,7 +399,7 @@ namespace Quizz.Functions.Endpoints.Question
                     SELECT q.question_id, q.question_type, q.question_text, q.age_min, q.age_max, 
                            q.difficulty, q.estimated_seconds, q.subject, q.locale, q.points, 
                            q.allow_partial_credit, q.negative_marking, q.supports_read_aloud,
-                           q.content, q.version, q.created_at, q.updated_at, qq.position
+                           q.content, q.version, q.created_at, q.updated_at, qq.position, q.tags
                     FROM quiz.questions q
                     INNER JOIN quiz.quiz_questions qq ON q.question_id = qq.question_id
                     WHERE qq.quiz_id = @quiz_id 
@@ -342,11 +429,12 @@ namespace Quizz.Functions.Endpoints.Question
                         allowPartialCredit = reader.IsDBNull(10) ? false : reader.GetBoolean(10),
                         negativeMarking = reader.IsDBNull(11) ? false : reader.GetBoolean(11),
                         supportsReadAloud = reader.IsDBNull(12) ? true : reader.GetBoolean(12),
-                        content = JsonSerializer.Deserialize<object>(contentJson),
+                        content = JsonSerializer.Deserialize<object>(RedactHiddenTestCases(contentJson, authResult)),
                         version = reader.IsDBNull(14) ? 1 : reader.GetInt32(14),
                         createdAt = reader.GetDateTime(15),
                         updatedAt = reader.GetDateTime(16),
-                        position = reader.GetInt32(17)
+                        position = reader.GetInt32(17),
+                        tags = reader.IsDBNull(18) ? null : (string[])reader.GetValue(18)
                     });
                 }
 
@@ -366,6 +454,32 @@ namespace Quizz.Functions.Endpoints.Question
                 return await ResponseHelper.InternalServerErrorAsync(req, "Failed to retrieve quiz questions");
             }
         }
+
+        /// <summary>
+        /// Remove hidden program test cases (visible: false) from question content for players,
+        /// keeping only how many there are. Authors, tutors and administrators get the full content.
+        /// </summary>
+        private static string RedactHiddenTestCases(string contentJson, AuthResult authResult)
+        {
+            if (authResult.HasAnyRole("Administrator", "Content Creator", "Tutors")) return contentJson;
+
+            if (JsonNode.Parse(contentJson) is not JsonObject content) return contentJson;
+
+            var key = content.ContainsKey("test_cases") ? "test_cases" : "testCases";
+            if (content[key] is not JsonArray testCases) return contentJson;
+
+            var hidden = testCases.OfType<JsonObject>()
+                .Where(testCase => testCase["visible"]?.GetValueKind() == JsonValueKind.False)
+                .ToList();
+            if (hidden.Count == 0) return contentJson;
+
+            foreach (var testCase in hidden)
+            {
+                testCases.Remove(testCase);
+            }
+            content["hidden_test_count"] = hidden.Count;
+            return content.ToJsonString();
+        }
     }
 }
 
@@ -95,15 +95,15 @@ namespace Quizz.Functions.Endpoints.Question
                     INSERT INTO quiz.questions (question_id, question_type, question_text, age_min, age_max,
                                                  difficulty, estimated_seconds, subject, locale, points,
                                                  allow_partial_credit, negative_marking, supports_read_aloud,
-                                                 content, version, created_at, updated_at)
+                                                 content, tags, version, created_at, updated_at)
                     VALUES (@question_id, @question_type, @question_text, @age_min, @age_max,
                             @difficulty, @estimated_seconds, @subject, @locale, @points,
                             @allow_partial_credit, @negative_marking, @supports_read_aloud,
-                            @content::jsonb, @version, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                            @content::jsonb, @tags, @version, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
                     RETURNING question_id, question_type, question_text, age_min, age_max,
                               difficulty, estimated_seconds, subject, locale, points,
                               allow_partial_credit, negative_marking, supports_read_aloud,
-                              content, version, created_at, updated_at";
+                              content, version, created_at, updated_at, tags";
 
                 using var reader = await _dbService.ExecuteQueryAsync(sql,
                     new NpgsqlParameter("question_id", questionId),
@@ -120,6 +120,7 @@ namespace Quizz.Functions.Endpoints.Question
                     new NpgsqlParameter("negative_marking", request.NegativeMarking ?? false),
                     new NpgsqlParameter("supports_read_aloud", request.SupportsReadAloud ?? true),
                     new NpgsqlParameter("content", contentJson),
+                    new NpgsqlParameter("tags", NpgsqlDbType.Array | NpgsqlDbType.Text) { Value = (object?)request.Tags ?? DBNull.Value },
                     new NpgsqlParameter("version", 1));
 
                 if (!await reader.ReadAsync())
@@ -146,7 +147,8 @@ namespace Quizz.Functions.Endpoints.Question
                     Content = JsonSerializer.Deserialize<object>(contentResult),
                     Version = reader.IsDBNull(14) ? 1 : reader.GetInt32(14),
                     CreatedAt = reader.GetDateTime(15),
-                    UpdatedAt = reader.GetDateTime(16)
+                    UpdatedAt = reader.GetDateTime(16),
+                    Tags = reader.IsDBNull(17) ? null : (string[])reader.GetValue(17)
                 };
 
                 // API Key Usage Logging (Commented out for LMS integration)
@@ -355,6 +357,25 @@ namespace Quizz.Functions.Endpoints.Question
                         }
                     }
                 }
+                else
+                {
+                    // Inserting into an occupied slot moves that question and everything after it down one place.
+                    // Positions are unique per quiz, so shift past the end first and then back.
+                    var shiftSql = @"
+                        UPDATE quiz.quiz_questions
+                        SET position = position + 1000000
+                        WHERE quiz_id = @quiz_id AND position >= @position
+                          AND EXISTS (SELECT 1 FROM quiz.quiz_questions
+                                      WHERE quiz_id = @quiz_id AND question_id <> @question_id AND position = @position);
+                        UPDATE quiz.quiz_questions
+                        SET position = position - 999999
+                        WHERE quiz_id = @quiz_id AND position > 1000000;";
+
+                    await _dbService.ExecuteNonQueryAsync(shiftSql,
+                        new NpgsqlParameter("quiz_id", quizGuid),
+                        new NpgsqlParameter("question_id", request.QuestionId),
+                        new NpgsqlParameter("position", position));
+                }
 
                 _logger.LogInformation($"Adding question {request.QuestionId} to quiz {quizId} at position {position}");
 
@@ -478,13 +499,14 @@ namespace Quizz.Functions.Endpoints.Question
                         negative_marking = @negative_marking,
                         supports_read_aloud = @supports_read_aloud,
                         content = @content::jsonb,
+                        tags = COALESCE(@tags, tags),
                         version = version + 1,
                         updated_at = CURRENT_TIMESTAMP
                     WHERE question_id = @question_id AND deleted_at IS NULL
                     RETURNING question_id, question_type, question_text, age_min, age_max,
                               difficulty, estimated_seconds, subject, locale, points,
                               allow_partial_credit, negative_marking, supports_read_aloud,
-                              content, version, created_at, updated_at";
+                              content, version, created_at, updated_at, tags";
 
                 using var reader = await _dbService.ExecuteQueryAsync(sql,
                     new NpgsqlParameter("question_id", guid),
@@ -500,7 +522,8 @@ namespace Quizz.Functions.Endpoints.Question
                     new NpgsqlParameter("allow_partial_credit", request.AllowPartialCredit ?? false),
                     new NpgsqlParameter("negative_marking", request.NegativeMarking ?? false),
                     new NpgsqlParameter("supports_read_aloud", request.SupportsReadAloud ?? true),
-                    new NpgsqlParameter("content", contentJson));
+                    new NpgsqlParameter("content", contentJson),
+                    new NpgsqlParameter("tags", NpgsqlDbType.Array | NpgsqlDbType.Text) { Value = (object?)request.Tags ?? DBNull.Value });
 
                 if (!await reader.ReadAsync())
                 {
@@ -526,7 +549,8 @@ namespace Quizz.Functions.Endpoints.Question
                     Content = JsonSerializer.Deserialize<object>(contentResult),
                     Version = reader.IsDBNull(14) ? 1 : reader.GetInt32(14),
                     CreatedAt = reader.GetDateTime(15),
-                    UpdatedAt = reader.GetDateTime(16)
+                    UpdatedAt = reader.GetDateTime(16),
+                    Tags = reader.IsDBNull(17) ? null : (string[])reader.GetValue(17)
                 };
 
                 _logger.LogInformation($"Updated question {questionId} in {stopwatch.ElapsedMilliseconds}ms");
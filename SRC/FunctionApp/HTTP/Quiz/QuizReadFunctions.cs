@@ -14,6 +14,7 @@ using System;
 using System.Diagnostics;
 using System.Linq;
 using System.Net;
+using System.Text.Json;
 using System.Threading.Tasks;
 
 namespace Quizz.Functions.Endpoints.Quiz
@@ -110,7 +111,7 @@ namespace Quizz.Functions.Endpoints.Quiz
                 // Get quizzes from database - use raw query since GetPublishedQuizzesAsync doesn't match schema
                 var sql = @"
                     SELECT quiz_id, title, description, age_min, age_max, subject, difficulty, 
-                           estimated_minutes, tags, created_at, updated_at
+                           estimated_minutes, tags, created_at, updated_at, time_limit_minutes, time_warning_seconds, shuffle_questions, practice_mode
                     FROM quiz.quizzes
                     WHERE deleted_at IS NULL";
 
@@ -149,7 +150,11 @@ namespace Quizz.Functions.Endpoints.Quiz
                         EstimatedMinutes = reader.IsDBNull(7) ? null : reader.GetInt32(7),
                         Tags = reader.IsDBNull(8) ? null : (string[])reader.GetValue(8),
                         CreatedAt = reader.GetDateTime(9),
-                        UpdatedAt = reader.GetDateTime(10)
+                        UpdatedAt = reader.GetDateTime(10),
+                        TimeLimitMinutes = reader.IsDBNull(11) ? null : reader.GetInt32(11),
+                        TimeWarningSeconds = reader.IsDBNull(12) ? null : (int[])reader.GetValue(12),
+                        ShuffleQuestions = reader.GetBoolean(13),
+                        PracticeMode = reader.GetBoolean(14)
                     });
                 }
 
@@ -222,7 +227,7 @@ namespace Quizz.Functions.Endpoints.Quiz
 
                 var sql = @"
                     SELECT quiz_id, title, description, age_min, age_max, subject, difficulty,
-                           estimated_minutes, tags, created_at, updated_at
+                           estimated_minutes, tags, created_at, updated_at, time_limit_minutes, time_warning_seconds, shuffle_questions, practice_mode
                     FROM quiz.quizzes
                     WHERE quiz_id = @quiz_id AND deleted_at IS NULL";
 
@@ -247,7 +252,11 @@ namespace Quizz.Functions.Endpoints.Quiz
                     EstimatedMinutes = reader.IsDBNull(7) ? null : reader.GetInt32(7),
                     Tags = reader.IsDBNull(8) ? null : (string[])reader.GetValue(8),
                     CreatedAt = reader.GetDateTime(9),
-                    UpdatedAt = reader.GetDateTime(10)
+                    UpdatedAt = reader.GetDateTime(10),
+                    TimeLimitMinutes = reader.IsDBNull(11) ? null : reader.GetInt32(11),
+                    TimeWarningSeconds = reader.IsDBNull(12) ? null : (int[])reader.GetValue(12),
+                    ShuffleQuestions = reader.GetBoolean(13),
+                    PracticeMode = reader.GetBoolean(14)
                 };
 
                 _logger.LogInformation($"Retrieved quiz {quizId} in {stopwatch.ElapsedMilliseconds}ms");
@@ -260,8 +269,289 @@ namespace Quizz.Functions.Endpoints.Quiz
             }
         }
 
+        [Function("GetQuizItemAnalysis")]
+        [OpenApiOperation(
+            operationId: "GetQuizItemAnalysis",
+            tags: new[] { "Quizzes - Read" },
+            Summary = "Get item analysis for a quiz",
+            Description = "Per-question difficulty, discrimination, distractor frequencies, average time and skip counts from completed non-practice attempts. Requires Administrator, Content Creator or Tutors role.")]
+        [OpenApiSecurity("bearer_auth", SecuritySchemeType.Http, Scheme = OpenApiSecuritySchemeType.Bearer, BearerFormat = "JWT")]
+        [OpenApiParameter(
+            name: "quizId",
+            In = ParameterLocation.Path,
+            Required = true,
+            Type = typeof(Guid),
+            Description = "The unique identifier of the quiz")]
+        [OpenApiResponseWithBody(
+            statusCode: HttpStatusCode.OK,
+            contentType: "application/json",
+            bodyType: typeof(QuizItemAnalysis),
+            Description = "Item analysis for each question of the quiz")]
+        [OpenApiResponseWithBody(
+            statusCode: HttpStatusCode.NotFound,
+            contentType: "application/json",
+            bodyType: typeof(object),
+            Description = "Quiz not found")]
+        public async Task<HttpResponseData> GetQuizItemAnalysis(
+            [HttpTrigger(AuthorizationLevel.Anonymous, "get", Route = "quizzes/{quizId}/item-analysis")] HttpRequestData req,
+            string quizId)
+        {
+            var authResult = await _authService.ValidateAndAuthorizeAsync(req, "Administrator", "Content Creator", "Tutors");
+            if (!authResult.IsAuthorized)
+                return authResult.ErrorResponse!;
 
-    }
-}
+            var stopwatch = Stopwatch.StartNew();
+
+            try
+            {
+                if (!Guid.TryParse(quizId, out var guid))
+                {
+                    return await ResponseHelper.BadRequestAsync(req, "Invalid quiz ID format. Expected a valid GUID.");
+                }
+
+                var analysis = new QuizItemAnalysis { QuizId = guid };
+
+                using (var reader = await _dbService.ExecuteQueryAsync(
+                    "SELECT title FROM quiz.quizzes WHERE quiz_id = @quiz_id AND deleted_at IS NULL",
+                    new NpgsqlParameter("quiz_id", guid)))
+                {
+                    if (!await reader.ReadAsync())
+                    {
+                        return await ResponseHelper.NotFoundAsync(req, $"Quiz with ID '{quizId}' not found");
+                    }
+                    analysis.QuizTitle = reader.GetString(0);
+                }
+
+                var questionContents = new Dictionary<Guid, JsonElement>();
+                var questionsSql = @"
+                    SELECT q.question_id, qq.position, q.question_type, q.question_text, q.points, q.content
+                    FROM quiz.questions q
+                    INNER JOIN quiz.quiz_questions qq ON q.question_id = qq.question_id
+                    WHERE qq.quiz_id = @quiz_id AND q.deleted_at IS NULL
+                    ORDER BY qq.position";
+
+                using (var reader = await _dbService.ExecuteQueryAsync(questionsSql, new NpgsqlParameter("quiz_id", guid)))
+                {
+                    while (await reader.ReadAsync())
+                    {
+                        var questionId = reader.GetGuid(0);
+                        analysis.Questions.Add(new ItemAnalysisQuestion
+                        {
+                            QuestionId = questionId,
+                            Position = reader.GetInt32(1),
+                            QuestionType = reader.GetString(2),
+                            QuestionText = reader.GetString(3),
+                            Points = reader.IsDBNull(4) ? 0 : reader.GetDecimal(4)
+                        });
+                        questionContents[questionId] = JsonSerializer.Deserialize<JsonElement>(reader.IsDBNull(5) ? "{}" : reader.GetString(5));
+                    }
+                }
+
+                // Practice attempts are left out: retries and their penalties would skew every statistic
+                var responsesSql = @"
+                    SELECT r.attempt_id, r.question_id, r.answer_payload, r.points_earned, r.points_possible,
+                           r.first_submitted_at, a.started_at, a.total_score, a.max_possible_score
+                    FROM quiz.responses r
+                    INNER JOIN quiz.attempts a ON r.attempt_id = a.attempt_id
+                    WHERE a.quiz_id = @quiz_id
+                      AND a.status = 'completed'
+                      AND COALESCE(a.metadata->>'mode', '') != 'practice'
+                    ORDER BY r.attempt_id, r.first_submitted_at";
+
+                var responses = new List<ItemResponse>();
+                using (var reader = await _dbService.ExecuteQueryAsync(responsesSql, new NpgsqlParameter("quiz_id", guid)))
+                {
+                    while (await reader.ReadAsync())
+                    {
+                        responses.Add(new ItemResponse(
+                            reader.GetGuid(0),
+                            reader.GetGuid(1),
+                            JsonSerializer.Deserialize<JsonElement>(reader.GetString(2)),
+                            reader.IsDBNull(3) ? null : reader.GetDecimal(3),
+                            reader.IsDBNull(4) ? null : reader.GetDecimal(4),
+                            reader.IsDBNull(5) ? null : reader.GetDateTime(5),
+                            reader.GetDateTime(6),
+                            reader.IsDBNull(7) ? null : reader.GetDecimal(7),
+                            reader.IsDBNull(8) ? null : reader.GetDecimal(8)));
+                    }
+                }
+
+                analysis.AttemptCount = responses.Select(r => r.AttemptId).Distinct().Count();
+
+                // Time on a question: gap between the first answer to it and the attempt's previous first
+                // answer (or its start). Resubmitting leaves first_submitted_at alone, so a final "submit all"
+                // doesn't collapse the gaps. Attempts with responses saved before the column existed are
+                // skipped, as are skipped questions, which never took the student any time.
+                var secondsByResponse = new Dictionary<(Guid AttemptId, Guid QuestionId), double>();
+                foreach (var attemptResponses in responses.GroupBy(r => r.AttemptId))
+                {
+                    if (attemptResponses.Any(r => !r.FirstSubmittedAt.HasValue))
+                        continue;
 
+                    var previous = attemptResponses.First().AttemptStartedAt;
+                    foreach (var response in attemptResponses)
+                    {
+                        var submittedAt = response.FirstSubmittedAt!.Value;
+                        var seconds = (submittedAt - previous).TotalSeconds;
+                        if (seconds >= 0 && !IsEmptyAnswer(response.AnswerPayload))
+                            secondsByResponse[(response.AttemptId, response.QuestionId)] = seconds;
+                        previous = submittedAt;
+                    }
+                }
+
+                var responsesByQuestion = responses.ToLookup(r => r.QuestionId);
+                foreach (var question in analysis.Questions)
+                {
+                    var questionResponses = responsesByQuestion[question.QuestionId].ToList();
+                    question.ResponseCount = questionResponses.Count;
+                    question.SkippedCount = questionResponses.Count(r => IsEmptyAnswer(r.AnswerPayload));
+
+                    var graded = questionResponses
+                        .Where(r => r.PointsEarned.HasValue && r.PointsPossible > 0)
+                        .ToList();
+                    if (graded.Count > 0)
+                    {
+                        question.Difficulty = Math.Round(graded.Average(r => (double)(r.PointsEarned!.Value / r.PointsPossible!.Value)), 3);
+                    }
+
+                    // Correlate against the rest of the attempt so the question doesn't correlate with itself
+                    var pairs = graded
+                        .Where(r => r.TotalScore.HasValue && r.MaxPossibleScore - r.PointsPossible > 0)
+                        .Select(r => (
+                            Item: (double)(r.PointsEarned!.Value / r.PointsPossible!.Value),
+                            Others: (double)((r.TotalScore!.Value - r.PointsEarned!.Value) / (r.MaxPossibleScore!.Value - r.PointsPossible!.Value))))
+                        .ToList();
+                    question.Discrimination = Correlation(pairs);
+
+                    var timed = questionResponses
+                        .Where(r => secondsByResponse.ContainsKey((r.AttemptId, r.QuestionId)))
+                        .Select(r => secondsByResponse[(r.AttemptId, r.QuestionId)])
+                        .ToList();
+                    if (timed.Count > 0)
+                    {
+                        question.AverageSeconds = Math.Round(timed.Average(), 1);
+                    }
+
+                    if (question.QuestionType is "multiple_choice_single" or "multiple_choice_multi")
+                    {
+                        question.Options = CountOptionSelections(questionContents[question.QuestionId], questionResponses);
+                    }
+                }
+
+                _logger.LogInformation($"Computed item analysis for quiz {quizId} ({responses.Count} responses) in {stopwatch.ElapsedMilliseconds}ms");
+                return await ResponseHelper.OkAsync(req, analysis);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"Error computing item analysis for quiz {quizId}");
+                return await ResponseHelper.InternalServerErrorAsync(req, "Failed to compute item analysis");
+            }
+        }
+
+        private sealed record ItemResponse(
+            Guid AttemptId,
+            Guid QuestionId,
+            JsonElement AnswerPayload,
+            decimal? PointsEarned,
+            decimal? PointsPossible,
+            DateTime? FirstSubmittedAt,
+            DateTime AttemptStartedAt,
+            decimal? TotalScore,
+            decimal? MaxPossibleScore);
+
+        /// <summary>
+        /// Pearson correlation; with a right/wrong item score this is the point-biserial coefficient
+        /// </summary>
+        private static double? Correlation(List<(double Item, double Others)> pairs)
+        {
+            if (pairs.Count < 2)
+                return null;
+
+            var meanItem = pairs.Average(p => p.Item);
+            var meanOthers = pairs.Average(p => p.Others);
+            var covariance = pairs.Sum(p => (p.Item - meanItem) * (p.Others - meanOthers));
+            var varianceItem = pairs.Sum(p => Math.Pow(p.Item - meanItem, 2));
+            var varianceOthers = pairs.Sum(p => Math.Pow(p.Others - meanOthers, 2));
+
+            if (varianceItem == 0 || varianceOthers == 0)
+                return null;
+
+            return Math.Round(covariance / Math.Sqrt(varianceItem * varianceOthers), 3);
+        }
 
+        /// <summary>
+        /// True for the placeholder answers TakeQuiz submits for skipped questions
+        /// ("", [], {}, { text: "" }, { code: "" }), including ones wrapped with hints_used
+        /// </summary>
+        private static bool IsEmptyAnswer(JsonElement payload)
+        {
+            switch (payload.ValueKind)
+            {
+                case JsonValueKind.Null:
+                case JsonValueKind.Undefined:
+                    return true;
+                case JsonValueKind.String:
+                    return string.IsNullOrWhiteSpace(payload.GetString());
+                case JsonValueKind.Array:
+                    return payload.GetArrayLength() == 0;
+                case JsonValueKind.Object:
+                    return payload.EnumerateObject()
+                        .Where(p => p.Name != "hints_used")
+                        .All(p => IsEmptyAnswer(p.Value));
+                default:
+                    return false;
+            }
+        }
+
+        /// <summary>
+        /// Selected option IDs from "a", ["a","b"], { selectedOptionId } or { selectedOptionIds }
+        /// </summary>
+        private static IEnumerable<string> SelectedOptionIds(JsonElement payload)
+        {
+            if (payload.ValueKind == JsonValueKind.String)
+                return new[] { payload.GetString()! };
+            if (payload.ValueKind == JsonValueKind.Array)
+                return payload.EnumerateArray().Where(e => e.ValueKind == JsonValueKind.String).Select(e => e.GetString()!);
+            if (payload.ValueKind == JsonValueKind.Object)
+            {
+                if (payload.TryGetProperty("selectedOptionId", out var single))
+                    return SelectedOptionIds(single);
+                if (payload.TryGetProperty("selectedOptionIds", out var multi))
+                    return SelectedOptionIds(multi);
+            }
+            return Enumerable.Empty<string>();
+        }
+
+        private static List<ItemAnalysisOption> CountOptionSelections(JsonElement content, List<ItemResponse> responses)
+        {
+            var correctIds = new HashSet<string>();
+            foreach (var key in new[] { "correct_answer", "correctAnswer", "correct_answers", "correctAnswers" })
+            {
+                if (content.TryGetProperty(key, out var correct))
+                    correctIds.UnionWith(SelectedOptionIds(correct));
+            }
+
+            var counts = responses
+                .SelectMany(r => SelectedOptionIds(r.AnswerPayload).Distinct())
+                .GroupBy(id => id)
+                .ToDictionary(g => g.Key, g => g.Count());
+
+            var options = new List<ItemAnalysisOption>();
+            if (content.TryGetProperty("options", out var optionsElement) && optionsElement.ValueKind == JsonValueKind.Array)
+            {
+                foreach (var option in optionsElement.EnumerateArray())
+                {
+                    var id = option.TryGetProperty("id", out var idElement) ? idElement.GetString() ?? "" : "";
+                    options.Add(new ItemAnalysisOption
+                    {
+                        OptionId = id,
+                        Text = option.TryGetProperty("text", out var text) ? text.GetString() ?? "" : "",
+                        IsCorrect = correctIds.Contains(id),
+                        Count = counts.GetValueOrDefault(id)
+                    });
+                }
+            }
+            return options;
+        }
+    }
+}
@@ -124,11 +124,14 @@ namespace Quizz.Functions.Endpoints.Quiz
                 // Create quiz using raw SQL - match actual database schema
                 var sql = @"
                     INSERT INTO quiz.quizzes (quiz_id, title, description, age_min, age_max, subject, 
-                                       difficulty, estimated_minutes, tags, created_at, updated_at)
+                                       difficulty, estimated_minutes, tags, created_at, updated_at,
+                                       time_limit_minutes, time_warning_seconds, shuffle_questions, practice_mode, created_by)
                     VALUES (@quiz_id, @title, @description, @age_min, @age_max, @subject,
-                           @difficulty, @estimated_minutes, @tags, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                           @difficulty, @estimated_minutes, @tags, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP,
+                           @time_limit_minutes, @time_warning_seconds, @shuffle_questions, @practice_mode, @created_by)
                     RETURNING quiz_id, title, description, age_min, age_max, subject, 
-                             difficulty, estimated_minutes, tags, created_at, updated_at";
+                             difficulty, estimated_minutes, tags, created_at, updated_at,
+                             time_limit_minutes, time_warning_seconds, shuffle_questions, practice_mode";
 
                 var quizId = Guid.NewGuid();
                 using var reader = await _dbService.ExecuteQueryAsync(sql,
@@ -143,7 +146,15 @@ namespace Quizz.Functions.Endpoints.Quiz
                     new NpgsqlParameter("tags", NpgsqlDbType.Array | NpgsqlDbType.Text) 
                     { 
                         Value = (object?)request.Tags ?? DBNull.Value 
-                    });
+                    },
+                    new NpgsqlParameter("time_limit_minutes", (object?)request.TimeLimitMinutes ?? DBNull.Value),
+                    new NpgsqlParameter("time_warning_seconds", NpgsqlDbType.Array | NpgsqlDbType.Integer)
+                    {
+                        Value = (object?)request.TimeWarningSeconds ?? DBNull.Value
+                    },
+                    new NpgsqlParameter("shuffle_questions", request.ShuffleQuestions),
+                    new NpgsqlParameter("practice_mode", request.PracticeMode),
+                    new NpgsqlParameter("created_by", NpgsqlDbType.Varchar) { Value = (object?)authResult.UserId?.ToString() ?? DBNull.Value });
 
                 if (!await reader.ReadAsync())
                 {
@@ -162,7 +173,11 @@ namespace Quizz.Functions.Endpoints.Quiz
                     EstimatedMinutes = reader.IsDBNull(7) ? null : reader.GetInt32(7),
                     Tags = reader.IsDBNull(8) ? null : (string[])reader.GetValue(8),
                     CreatedAt = reader.GetDateTime(9),
-                    UpdatedAt = reader.GetDateTime(10)
+                    UpdatedAt = reader.GetDateTime(10),
+                    TimeLimitMinutes = reader.IsDBNull(11) ? null : reader.GetInt32(11),
+                    TimeWarningSeconds = reader.IsDBNull(12) ? null : (int[])reader.GetValue(12),
+                    ShuffleQuestions = reader.GetBoolean(13),
+                    PracticeMode = reader.GetBoolean(14)
                 };
 
                 // API Key Usage Logging (Commented out for LMS integration)
@@ -297,10 +312,15 @@ namespace Quizz.Functions.Endpoints.Quiz
                         difficulty = @difficulty,
                         estimated_minutes = @estimated_minutes,
                         tags = @tags,
+                        time_limit_minutes = @time_limit_minutes,
+                        time_warning_seconds = @time_warning_seconds,
+                        shuffle_questions = @shuffle_questions,
+                        practice_mode = @practice_mode,
                         updated_at = CURRENT_TIMESTAMP
                     WHERE quiz_id = @quiz_id AND deleted_at IS NULL
                     RETURNING quiz_id, title, description, age_min, age_max, subject,
-                             difficulty, estimated_minutes, tags, created_at, updated_at";
+                             difficulty, estimated_minutes, tags, created_at, updated_at,
+                             time_limit_minutes, time_warning_seconds, shuffle_questions, practice_mode";
 
                 using var reader = await _dbService.ExecuteQueryAsync(sql,
                     new NpgsqlParameter("quiz_id", guid),
@@ -314,7 +334,15 @@ namespace Quizz.Functions.Endpoints.Quiz
                     new NpgsqlParameter("tags", NpgsqlDbType.Array | NpgsqlDbType.Text)
                     {
                         Value = (object?)request.Tags ?? DBNull.Value
-                    });
+                    },
+                    new NpgsqlParameter("time_limit_minutes", (object?)request.TimeLimitMinutes ?? DBNull.Value),
+                    new NpgsqlParameter("time_warning_seconds", NpgsqlDbType.Array | NpgsqlDbType.Integer)
+                    {
+                        Value = (object?)request.TimeWarningSeconds ?? DBNull.Value
+                    },
+                    new NpgsqlParameter("shuffle_questions", request.ShuffleQuestions),
+                    new NpgsqlParameter("practice_mode", request.PracticeMode),
+                    new NpgsqlParameter("created_by", NpgsqlDbType.Varchar) { Value = (object?)authResult.UserId?.ToString() ?? DBNull.Value });
 
                 if (!await reader.ReadAsync())
                 {
@@ -334,7 +362,11 @@ namespace Quizz.Functions.Endpoints.Quiz
                     EstimatedMinutes = reader.IsDBNull(7) ? null : reader.GetInt32(7),
                     Tags = reader.IsDBNull(8) ? null : (string[])reader.GetValue(8),
                     CreatedAt = reader.GetDateTime(9),
-                    UpdatedAt = reader.GetDateTime(10)
+                    UpdatedAt = reader.GetDateTime(10),
+                    TimeLimitMinutes = reader.IsDBNull(11) ? null : reader.GetInt32(11),
+                    TimeWarningSeconds = reader.IsDBNull(12) ? null : (int[])reader.GetValue(12),
+                    ShuffleQuestions = reader.GetBoolean(13),
+                    PracticeMode = reader.GetBoolean(14)
                 };
 
                 // API Key Usage Logging (Commented out for LMS integration)
@@ -528,11 +560,14 @@ namespace Quizz.Functions.Endpoints.Quiz
                 // Step 1: Create the quiz
                 var createQuizSql = @"
                     INSERT INTO quiz.quizzes (quiz_id, title, description, age_min, age_max, subject, 
-                                       difficulty, estimated_minutes, tags, created_at, updated_at)
+                                       difficulty, estimated_minutes, tags, created_at, updated_at,
+                                       time_limit_minutes, time_warning_seconds, shuffle_questions, practice_mode, created_by)
                     VALUES (@quiz_id, @title, @description, @age_min, @age_max, @subject,
-                           @difficulty, @estimated_minutes, @tags, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                           @difficulty, @estimated_minutes, @tags, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP,
+                           @time_limit_minutes, @time_warning_seconds, @shuffle_questions, @practice_mode, @created_by)
                     RETURNING quiz_id, title, description, age_min, age_max, subject, 
-                             difficulty, estimated_minutes, tags, created_at, updated_at";
+                             difficulty, estimated_minutes, tags, created_at, updated_at,
+                             time_limit_minutes, time_warning_seconds, shuffle_questions, practice_mode";
 
                 using (var reader = await _dbService.ExecuteQueryAsync(createQuizSql,
                     new NpgsqlParameter("quiz_id", quizId),
@@ -546,7 +581,15 @@ namespace Quizz.Functions.Endpoints.Quiz
                     new NpgsqlParameter("tags", NpgsqlDbType.Array | NpgsqlDbType.Text)
                     {
                         Value = (object?)request.Quiz.Tags ?? DBNull.Value
-                    }))
+                    },
+                    new NpgsqlParameter("time_limit_minutes", (object?)request.Quiz.TimeLimitMinutes ?? DBNull.Value),
+                    new NpgsqlParameter("time_warning_seconds", NpgsqlDbType.Array | NpgsqlDbType.Integer)
+                    {
+                        Value = (object?)request.Quiz.TimeWarningSeconds ?? DBNull.Value
+                    },
+                    new NpgsqlParameter("shuffle_questions", request.Quiz.ShuffleQuestions),
+                    new NpgsqlParameter("practice_mode", request.Quiz.PracticeMode),
+                    new NpgsqlParameter("created_by", NpgsqlDbType.Varchar) { Value = (object?)authResult.UserId?.ToString() ?? DBNull.Value }))
                 {
                     if (!await reader.ReadAsync())
                     {
@@ -617,7 +660,8 @@ namespace Quizz.Functions.Endpoints.Quiz
                 // Step 4: Fetch and return the complete quiz with questions
                 var fetchQuizSql = @"
                     SELECT q.quiz_id, q.title, q.description, q.age_min, q.age_max, q.subject,
-                           q.difficulty, q.estimated_minutes, q.tags, q.created_at, q.updated_at
+                           q.difficulty, q.estimated_minutes, q.tags, q.created_at, q.updated_at,
+                           q.time_limit_minutes, q.time_warning_seconds, q.shuffle_questions, q.practice_mode
                     FROM quiz.quizzes q
                     WHERE q.quiz_id = @quiz_id AND q.deleted_at IS NULL";
 
@@ -639,7 +683,11 @@ namespace Quizz.Functions.Endpoints.Quiz
                             EstimatedMinutes = quizReader.IsDBNull(7) ? null : quizReader.GetInt32(7),
                             Tags = quizReader.IsDBNull(8) ? null : (string[])quizReader.GetValue(8),
                             CreatedAt = quizReader.GetDateTime(9),
-                            UpdatedAt = quizReader.GetDateTime(10)
+                            UpdatedAt = quizReader.GetDateTime(10),
+                            TimeLimitMinutes = quizReader.IsDBNull(11) ? null : quizReader.GetInt32(11),
+                            TimeWarningSeconds = quizReader.IsDBNull(12) ? null : (int[])quizReader.GetValue(12),
+                            ShuffleQuestions = quizReader.GetBoolean(13),
+                            PracticeMode = quizReader.GetBoolean(14)
                         };
                     }
                 }
@@ -697,12 +745,12 @@ namespace Quizz.Functions.Endpoints.Quiz
                 INSERT INTO quiz.questions (
                     question_id, question_type, question_text, age_min, age_max, difficulty,
                     estimated_seconds, subject, locale, points, allow_partial_credit,
-                    negative_marking, supports_read_aloud, content, version, created_at, updated_at
+                    negative_marking, supports_read_aloud, content, tags, version, created_at, updated_at
                 )
                 VALUES (
                     @question_id, @question_type, @question_text, @age_min, @age_max, @difficulty,
                     @estimated_seconds, @subject, @locale, @points, @allow_partial_credit,
-                    @negative_marking, @supports_read_aloud, @content::jsonb, @version, 
+                    @negative_marking, @supports_read_aloud, @content::jsonb, @tags, @version, 
                     CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
                 )";
 
@@ -723,6 +771,7 @@ namespace Quizz.Functions.Endpoints.Quiz
                 new NpgsqlParameter("negative_marking", question.NegativeMarking ?? false),
                 new NpgsqlParameter("supports_read_aloud", question.SupportsReadAloud ?? true),
                 new NpgsqlParameter("content", contentJson),
+                new NpgsqlParameter("tags", NpgsqlDbType.Array | NpgsqlDbType.Text) { Value = (object?)question.Tags ?? DBNull.Value },
                 new NpgsqlParameter("version", 1));
         }
     }
@@ -6,6 +6,7 @@ using Microsoft.Extensions.Logging;
 using Microsoft.OpenApi.Models;
 using Npgsql;
 
+using Quizz.Common.Extensions;
 using Quizz.Common.Services;
 using Quizz.DataAccess;
 using Quizz.DataModel.Dtos;
@@ -13,8 +14,10 @@ using Quizz.Functions.Helpers;
 using System;
 using System.Collections.Generic;
 using System.Diagnostics;
+using System.Globalization;
 using System.Net;
 using System.Text.Json;
+using System.Text.Json.Nodes;
 using System.Threading.Tasks;
 
 namespace Quizz.Functions.Endpoints.Response
@@ -24,15 +27,37 @@ namespace Quizz.Functions.Endpoints.Response
         private readonly IDbService _dbService;
         private readonly ILogger<ResponseFunctions> _logger;
         private readonly AuthorizationService _authService;
+        private readonly ProgramGradingService _programGradingService;
+
+        // Extra time allowed after a timed attempt's deadline for answers already in flight
+        private static readonly TimeSpan DeadlineGracePeriod = TimeSpan.FromSeconds(30);
+
+        // How long after a deadline answers queued offline before it are still accepted.
+        // The queue time comes from the client, so this bounds how far it can stretch the limit.
+        private static readonly TimeSpan OfflineAnswerWindow = TimeSpan.FromHours(2);
+
+        // Share of the question's points lost for each retry in a practice attempt
+        private const decimal PracticeRetryPenalty = 0.25m;
+
+        // Students regraded per call, and the time after which a call stops at the next student
+        private const int RegradeBatchStudents = 25;
+        private static readonly TimeSpan RegradeTimeBudget = TimeSpan.FromSeconds(60);
+
+        // grading_details keys written by tutors, which a regrade keeps
+        private static readonly string[] TutorGradingKeys = { "feedback", "rubric", "manual_grading" };
+        // Overriding a manual grade drops the manual_grading record so the response counts as auto-graded again
+        private static readonly string[] TutorCommentKeys = { "feedback", "rubric" };
 
         public ResponseFunctions(
             IDbService dbService,
             ILogger<ResponseFunctions> logger,
-            AuthorizationService authService)
+            AuthorizationService authService,
+            ProgramGradingService programGradingService)
         {
             _dbService = dbService ?? throw new ArgumentNullException(nameof(dbService));
             _logger = logger ?? throw new ArgumentNullException(nameof(logger));
             _authService = authService ?? throw new ArgumentNullException(nameof(authService));
+            _programGradingService = programGradingService ?? throw new ArgumentNullException(nameof(programGradingService));
         }
 
         [Function("SubmitAnswer")]
@@ -87,6 +112,29 @@ namespace Quizz.Functions.Endpoints.Response
                     return await ResponseHelper.BadRequestAsync(req, "Request body is required");
                 }
 
+                // Timed quizzes: reject answers that arrive after the attempt deadline (plus a grace period for network latency)
+                // The attempt mode is read here too - practice attempts score retries differently below
+                var deadlineSql = @"
+                    SELECT metadata->>'deadlineAt', metadata->>'mode'
+                    FROM quiz.attempts
+                    WHERE attempt_id = @attempt_id";
+
+                var isPractice = false;
+                using (var deadlineReader = await _dbService.ExecuteQueryAsync(deadlineSql,
+                    new NpgsqlParameter("attempt_id", request.AttemptId)))
+                {
+                    var hasAttempt = await deadlineReader.ReadAsync();
+                    isPractice = hasAttempt && !deadlineReader.IsDBNull(1) && deadlineReader.GetString(1) == "practice";
+
+                    if (hasAttempt && !deadlineReader.IsDBNull(0)
+                        && DateTime.TryParse(deadlineReader.GetString(0), null, System.Globalization.DateTimeStyles.RoundtripKind, out var deadlineAt)
+                        && GetAnsweredAt(request, deadlineAt.ToUniversalTime()) > deadlineAt.ToUniversalTime().Add(DeadlineGracePeriod))
+                    {
+                        _logger.LogWarning($"Rejected answer for attempt {request.AttemptId}: time limit expired at {deadlineAt:o} (queued at {request.QueuedAt:o})");
+                        return await ResponseHelper.BadRequestAsync(req, "Time limit for this attempt has expired");
+                    }
+                }
+
                 var responseId = Guid.NewGuid();
                 var answerJson = JsonSerializer.Serialize(request.AnswerPayload);
 
@@ -99,49 +147,73 @@ namespace Quizz.Functions.Endpoints.Response
                     FROM quiz.questions 
                     WHERE question_id = @question_id";
 
-                decimal pointsEarned = 0;
                 decimal pointsPossible = 0;
-                bool isCorrect = false;
+                JsonElement questionContent;
+                string questionType;
 
                 using (var questionReader = await _dbService.ExecuteQueryAsync(questionSql,
                     new NpgsqlParameter("question_id", request.QuestionId)))
                 {
-                    if (await questionReader.ReadAsync())
-                    {
-                        // Get authoritative points value from database (column 0)
-                        pointsPossible = questionReader.IsDBNull(0) ? 10.0m : questionReader.GetDecimal(0);
-                        
-                        var contentJson = questionReader.GetString(1);
-                        var questionType = questionReader.GetString(2);
-                        
-                        var questionContent = JsonSerializer.Deserialize<JsonElement>(contentJson);
-                        
-                        // Auto-grade based on question type
-                        _logger.LogInformation($"Checking answer for question {request.QuestionId}, type: {questionType}");
-                        _logger.LogInformation($"Student answer: {JsonSerializer.Serialize(request.AnswerPayload)}");
-                        _logger.LogInformation($"Correct answer from DB: {contentJson}");
-                        
-                        isCorrect = CheckAnswer(questionContent, request.AnswerPayload, questionType);
-                        pointsEarned = isCorrect ? pointsPossible : 0;
-                        
-                        _logger.LogInformation($"Answer check result: isCorrect={isCorrect}, pointsEarned={pointsEarned}, pointsPossible={pointsPossible}");
-                    }
-                    else
+                    if (!await questionReader.ReadAsync())
                     {
                         _logger.LogError($"Question {request.QuestionId} not found in database");
                         return await ResponseHelper.NotFoundAsync(req, $"Question {request.QuestionId} not found");
                     }
+
+                    // Get authoritative points value from database (column 0)
+                    pointsPossible = questionReader.IsDBNull(0) ? 10.0m : questionReader.GetDecimal(0);
+                    questionContent = JsonSerializer.Deserialize<JsonElement>(questionReader.GetString(1));
+                    questionType = questionReader.GetString(2);
+                }
+
+                // Graded after the reader is released - running program tests can take seconds
+                _logger.LogInformation($"Checking answer for question {request.QuestionId}, type: {questionType}");
+                _logger.LogInformation($"Student answer: {JsonSerializer.Serialize(request.AnswerPayload)}");
+                var (pointsEarned, isCorrect, gradingDetailsJson, _) = await AutoGradeAsync(
+                    questionContent, questionType, pointsPossible, request.AnswerPayload);
+
+                _logger.LogInformation($"Answer check result: isCorrect={isCorrect}, pointsEarned={pointsEarned}, pointsPossible={pointsPossible}");
+
+                // Practice attempts: every different answer to the same question is a retry worth fewer points.
+                // Resubmitting the same answer (e.g. Check followed by Next) does not count as a retry.
+                var practiceTries = 0;
+                if (isPractice)
+                {
+                    var triesSql = @"
+                        SELECT practice_tries, answer_payload = @answer_payload::jsonb
+                        FROM quiz.responses
+                        WHERE attempt_id = @attempt_id AND question_id = @question_id";
+
+                    var previousTries = 0;
+                    var sameAnswer = false;
+                    using (var triesReader = await _dbService.ExecuteQueryAsync(triesSql,
+                        new NpgsqlParameter("attempt_id", request.AttemptId),
+                        new NpgsqlParameter("question_id", request.QuestionId),
+                        new NpgsqlParameter("answer_payload", answerJson)))
+                    {
+                        if (await triesReader.ReadAsync())
+                        {
+                            previousTries = triesReader.GetInt32(0);
+                            sameAnswer = triesReader.GetBoolean(1);
+                        }
+                    }
+
+                    practiceTries = sameAnswer && previousTries > 0 ? previousTries : previousTries + 1;
+                    pointsEarned = Math.Round(pointsEarned * PracticeRetryFactor(practiceTries), 2);
+
+                    _logger.LogInformation($"Practice try {practiceTries} for question {request.QuestionId}: pointsEarned={pointsEarned}");
                 }
 
                 // Use UPSERT to handle both new responses and updates to existing responses
+                // first_submitted_at is only set on insert: item analysis times questions from it
                 var sql = @"
                     INSERT INTO quiz.responses (
                         response_id, attempt_id, question_id, answer_payload, 
-                        submitted_at, points_possible, points_earned, is_correct, graded_at
+                        submitted_at, first_submitted_at, points_possible, points_earned, is_correct, grading_details, graded_at, practice_tries
                     )
                     VALUES (
                         @response_id, @attempt_id, @question_id, @answer_payload::jsonb, 
-                        CURRENT_TIMESTAMP, @points_possible, @points_earned, @is_correct, CURRENT_TIMESTAMP
+                        CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, @points_possible, @points_earned, @is_correct, @grading_details::jsonb, CURRENT_TIMESTAMP, @practice_tries
                     )
                     ON CONFLICT (attempt_id, question_id)
                     DO UPDATE SET
@@ -150,9 +222,11 @@ namespace Quizz.Functions.Endpoints.Response
                         points_possible = EXCLUDED.points_possible,
                         points_earned = EXCLUDED.points_earned,
                         is_correct = EXCLUDED.is_correct,
-                        graded_at = CURRENT_TIMESTAMP
+                        grading_details = EXCLUDED.grading_details,
+                        graded_at = CURRENT_TIMESTAMP,
+                        practice_tries = EXCLUDED.practice_tries
                     RETURNING response_id, attempt_id, question_id, answer_payload, submitted_at,
-                              points_possible, points_earned, is_correct, grading_details, graded_at";
+                              points_possible, points_earned, is_correct, grading_details, graded_at, practice_tries";
 
                 using var reader = await _dbService.ExecuteQueryAsync(sql,
                     new NpgsqlParameter("response_id", responseId),
@@ -161,7 +235,9 @@ namespace Quizz.Functions.Endpoints.Response
                     new NpgsqlParameter("answer_payload", answerJson),
                     new NpgsqlParameter("points_possible", pointsPossible),
                     new NpgsqlParameter("points_earned", pointsEarned),
-                    new NpgsqlParameter("is_correct", isCorrect));
+                    new NpgsqlParameter("is_correct", isCorrect),
+                    new NpgsqlParameter("grading_details", (object?)gradingDetailsJson ?? DBNull.Value),
+                    new NpgsqlParameter("practice_tries", practiceTries));
 
                 if (!await reader.ReadAsync())
                 {
@@ -181,8 +257,9 @@ namespace Quizz.Functions.Endpoints.Response
                     PointsPossible = reader.IsDBNull(5) ? null : reader.GetDecimal(5),
                     PointsEarned = reader.IsDBNull(6) ? null : reader.GetDecimal(6),
                     IsCorrect = reader.IsDBNull(7) ? null : reader.GetBoolean(7),
-                    GradingDetails = gradingResult != null ? JsonSerializer.Deserialize<object>(gradingResult) : null,
+                    GradingDetails = gradingResult != null ? JsonSerializer.Deserialize<object>(RedactHiddenTests(gradingResult, authResult)) : null,
                     GradedAt = reader.IsDBNull(9) ? null : reader.GetDateTime(9),
+                    PracticeTries = isPractice ? reader.GetInt32(10) : null,
                     ScorePercentage = null // Calculated on the frontend or in CompleteAttempt
                 };
 
@@ -238,7 +315,7 @@ namespace Quizz.Functions.Endpoints.Response
 
                 var sql = @"
                     SELECT response_id, attempt_id, question_id, answer_payload, submitted_at,
-                           points_earned, points_possible, is_correct, grading_details, graded_at
+                           points_earned, points_possible, is_correct, grading_details, graded_at, practice_tries
                     FROM quiz.responses
                     WHERE attempt_id = @attempt_id
                     ORDER BY submitted_at";
@@ -269,8 +346,9 @@ namespace Quizz.Functions.Endpoints.Response
                         PointsEarned = pointsEarned,
                         PointsPossible = pointsPossible,
                         IsCorrect = reader.IsDBNull(7) ? null : reader.GetBoolean(7),
-                        GradingDetails = gradingResult != null ? JsonSerializer.Deserialize<object>(gradingResult) : null,
+                        GradingDetails = gradingResult != null ? JsonSerializer.Deserialize<object>(RedactHiddenTests(gradingResult, authResult)) : null,
                         GradedAt = reader.IsDBNull(9) ? null : reader.GetDateTime(9),
+                        PracticeTries = reader.GetInt32(10) > 0 ? reader.GetInt32(10) : null,
                         ScorePercentage = scorePercentage
                     });
                 }
@@ -364,7 +442,7 @@ namespace Quizz.Functions.Endpoints.Response
                     PointsEarned = pointsEarned,
                     PointsPossible = pointsPossible,
                     IsCorrect = reader.IsDBNull(7) ? null : reader.GetBoolean(7),
-                    GradingDetails = gradingResult != null ? JsonSerializer.Deserialize<object>(gradingResult) : null,
+                    GradingDetails = gradingResult != null ? JsonSerializer.Deserialize<object>(RedactHiddenTests(gradingResult, authResult)) : null,
                     GradedAt = reader.IsDBNull(9) ? null : reader.GetDateTime(9),
                     ScorePercentage = scorePercentage
                 };
@@ -384,7 +462,7 @@ namespace Quizz.Functions.Endpoints.Response
             operationId: "GradeResponse",
             tags: new[] { "Responses" },
             Summary = "Grade a response",
-            Description = "Grades a response and updates the score.")]
+            Description = "Overrides a response's points (at most the question's points) and correctness with an optional comment for the player, then recalculates the attempt's total score and the linked assignment score. Tutors only grade responses in quizzes they assigned; administrators grade all.")]
         [OpenApiSecurity("bearer_auth", SecuritySchemeType.Http, Scheme = OpenApiSecuritySchemeType.Bearer, BearerFormat = "JWT")]
         [OpenApiParameter(
             name: "responseId",
@@ -398,8 +476,8 @@ namespace Quizz.Functions.Endpoints.Response
         [OpenApiResponseWithBody(
             statusCode: HttpStatusCode.OK,
             contentType: "application/json",
-            bodyType: typeof(Quizz.DataModel.Dtos.Response),
-            Description = "Response graded successfully")]
+            bodyType: typeof(GradedResponse),
+            Description = "The graded response, with the recalculated attempt and assignment scores in scores")]
         public async Task<HttpResponseData> GradeResponse(
             [HttpTrigger(AuthorizationLevel.Anonymous, "post", Route = "responses/{responseId}/grade")] HttpRequestData req,
             string responseId)
@@ -442,56 +520,102 @@ namespace Quizz.Functions.Endpoints.Response
                     return await ResponseHelper.BadRequestAsync(req, "Grading result is required");
                 }
 
-                var scorePercentage = gradingResult.PointsPossible > 0 
-                    ? (gradingResult.PointsEarned / gradingResult.PointsPossible) * 100 
-                    : 0;
+                if (gradingResult.PointsEarned < 0)
+                {
+                    return await ResponseHelper.BadRequestAsync(req, "Points cannot be negative");
+                }
+
+                // SECURITY: points possible always comes from the question, never from the request
+                var responseSql = @"
+                    SELECT r.attempt_id, q.points
+                    FROM quiz.responses r
+                    INNER JOIN quiz.questions q ON r.question_id = q.question_id
+                    WHERE r.response_id = @response_id";
+
+                Guid attemptId;
+                decimal pointsPossible;
+                using (var responseReader = await _dbService.ExecuteQueryAsync(responseSql,
+                    new NpgsqlParameter("response_id", guid)))
+                {
+                    if (!await responseReader.ReadAsync())
+                    {
+                        return await ResponseHelper.NotFoundAsync(req, $"Response with ID '{responseId}' not found");
+                    }
 
-                var gradingDetailsJson = gradingResult.GradingDetails != null 
-                    ? JsonSerializer.Serialize(gradingResult.GradingDetails) 
-                    : null;
+                    attemptId = responseReader.GetGuid(0);
+                    pointsPossible = responseReader.IsDBNull(1) ? 10.0m : responseReader.GetDecimal(1);
+                }
+
+                if (await GradingHelper.CanGradeAttemptAsync(_dbService, attemptId, authResult) != true)
+                {
+                    return await req.ForbiddenAsync("You can only grade responses in quizzes you assigned");
+                }
+
+                if (gradingResult.PointsEarned > pointsPossible)
+                {
+                    return await ResponseHelper.BadRequestAsync(req, $"Points earned cannot exceed the question's {pointsPossible} points");
+                }
+
+                // The manual grade is merged into grading_details so auto-grading output (e.g. test results) is kept.
+                // auto_points_earned remembers the score from before the first manual grade.
+                var gradingDetails = gradingResult.GradingDetails != null
+                    ? JsonNode.Parse(JsonSerializer.Serialize(gradingResult.GradingDetails)) as JsonObject ?? new JsonObject()
+                    : new JsonObject();
+                var manualGrading = new JsonObject
+                {
+                    ["points_earned"] = gradingResult.PointsEarned,
+                    ["is_correct"] = gradingResult.IsCorrect,
+                    ["graded_by"] = authResult.UserId?.ToString(),
+                    ["graded_at"] = DateTime.UtcNow
+                };
+
+                // Feedback is left as is when not sent; an empty comment removes it
+                var feedback = gradingResult.Feedback != null ? GradingHelper.BuildFeedback(gradingResult.Feedback, authResult) : null;
+                if (feedback != null)
+                {
+                    gradingDetails["feedback"] = feedback;
+                }
+                var clearFeedback = gradingResult.Feedback != null && feedback == null;
 
                 var sql = @"
                     UPDATE quiz.responses
                     SET points_earned = @points_earned,
                         points_possible = @points_possible,
                         is_correct = @is_correct,
-                        grading_details = @grading_details::jsonb,
-                        graded_at = CURRENT_TIMESTAMP,
-                        score_percentage = @score_percentage
+                        grading_details = (COALESCE(grading_details, '{}'::jsonb)
+                            - CASE WHEN @clear_feedback THEN 'feedback' ELSE '' END)
+                            || @grading_details::jsonb
+                            || jsonb_build_object('manual_grading', @manual_grading::jsonb || jsonb_build_object(
+                                'auto_points_earned', COALESCE(grading_details->'manual_grading'->'auto_points_earned', to_jsonb(points_earned)))),
+                        graded_at = CURRENT_TIMESTAMP
                     WHERE response_id = @response_id
                     RETURNING response_id, attempt_id, question_id, answer_payload, submitted_at,
-                              points_earned, points_possible, is_correct, grading_details, graded_at, score_percentage";
+                              points_earned, points_possible, is_correct, grading_details, graded_at";
 
-                using var reader = await _dbService.ExecuteQueryAsync(sql,
+                GradedResponse response;
+                using (var reader = await _dbService.ExecuteQueryAsync(sql,
                     new NpgsqlParameter("response_id", guid),
                     new NpgsqlParameter("points_earned", gradingResult.PointsEarned),
-                    new NpgsqlParameter("points_possible", gradingResult.PointsPossible),
+                    new NpgsqlParameter("points_possible", pointsPossible),
                     new NpgsqlParameter("is_correct", gradingResult.IsCorrect),
-                    new NpgsqlParameter("grading_details", (object?)gradingDetailsJson ?? DBNull.Value),
-                    new NpgsqlParameter("score_percentage", scorePercentage));
-
-                if (!await reader.ReadAsync())
+                    new NpgsqlParameter("grading_details", gradingDetails.ToJsonString()),
+                    new NpgsqlParameter("manual_grading", manualGrading.ToJsonString()),
+                    new NpgsqlParameter("clear_feedback", clearFeedback)))
                 {
-                    return await ResponseHelper.NotFoundAsync(req, $"Response with ID '{responseId}' not found");
-                }
+                    if (!await reader.ReadAsync())
+                    {
+                        return await ResponseHelper.NotFoundAsync(req, $"Response with ID '{responseId}' not found");
+                    }
 
-                var answerResult = reader.GetString(3);
-                var gradingDetailsResult = reader.IsDBNull(8) ? null : reader.GetString(8);
+                    response = ReadGradedResponse<GradedResponse>(reader);
+                }
 
-                var response = new Quizz.DataModel.Dtos.Response
+                if (feedback != null)
                 {
-                    ResponseId = reader.GetGuid(0),
-                    AttemptId = reader.GetGuid(1),
-                    QuestionId = reader.GetGuid(2),
-                    AnswerPayload = JsonSerializer.Deserialize<object>(answerResult) ?? new { },
-                    SubmittedAt = reader.GetDateTime(4),
-                    PointsEarned = reader.IsDBNull(5) ? null : reader.GetDecimal(5),
-                    PointsPossible = reader.IsDBNull(6) ? null : reader.GetDecimal(6),
-                    IsCorrect = reader.IsDBNull(7) ? null : reader.GetBoolean(7),
-                    GradingDetails = gradingDetailsResult != null ? JsonSerializer.Deserialize<object>(gradingDetailsResult) : null,
-                    GradedAt = reader.IsDBNull(9) ? null : reader.GetDateTime(9),
-                    ScorePercentage = reader.IsDBNull(10) ? null : reader.GetDecimal(10)
-                };
+                    await MarkFeedbackUpdatedAsync(response.AttemptId);
+                }
+
+                response.Scores = await RecalculateAttemptScoreAsync(response.AttemptId);
 
                 // API Key Usage Logging (Commented out for LMS integration)
                 // if (validation?.ApiKey != null)
@@ -509,6 +633,725 @@ namespace Quizz.Functions.Endpoints.Response
             }
         }
 
+        [Function("UpdateResponseFeedback")]
+        [OpenApiOperation(
+            operationId: "UpdateResponseFeedback",
+            tags: new[] { "Responses" },
+            Summary = "Comment on a response",
+            Description = "Sets the tutor's written feedback on a response without changing its grade. An empty comment removes the feedback. Tutors only comment on responses in quizzes they assigned.")]
+        [OpenApiSecurity("bearer_auth", SecuritySchemeType.Http, Scheme = OpenApiSecuritySchemeType.Bearer, BearerFormat = "JWT")]
+        [OpenApiParameter(
+            name: "responseId",
+            In = ParameterLocation.Path,
+            Required = true,
+            Type = typeof(Guid))]
+        [OpenApiRequestBody(
+            contentType: "application/json",
+            bodyType: typeof(FeedbackCommentRequest),
+            Required = true)]
+        [OpenApiResponseWithBody(
+            statusCode: HttpStatusCode.OK,
+            contentType: "application/json",
+            bodyType: typeof(Quizz.DataModel.Dtos.Response),
+            Description = "Feedback saved")]
+        public async Task<HttpResponseData> UpdateResponseFeedback(
+            [HttpTrigger(AuthorizationLevel.Anonymous, "put", Route = "responses/{responseId}/feedback")] HttpRequestData req,
+            string responseId)
+        {
+            var authResult = await _authService.ValidateAndAuthorizeAsync(req, "Administrator", "Tutors");
+            if (!authResult.IsAuthorized)
+                return authResult.ErrorResponse!;
+
+            var stopwatch = Stopwatch.StartNew();
+
+            try
+            {
+                if (!Guid.TryParse(responseId, out var guid))
+                {
+                    return await ResponseHelper.BadRequestAsync(req, "Invalid response ID format");
+                }
+
+                FeedbackCommentRequest? request;
+                try
+                {
+                    request = await JsonSerializer.DeserializeAsync<FeedbackCommentRequest>(req.Body);
+                }
+                catch (JsonException ex)
+                {
+                    _logger.LogWarning(ex, "Invalid JSON in request body");
+                    return await ResponseHelper.BadRequestAsync(req, "Invalid JSON format");
+                }
+
+                if (request == null)
+                {
+                    return await ResponseHelper.BadRequestAsync(req, "Request body is required");
+                }
+
+                // Tutors only comment on responses in quizzes they assigned
+                var attemptSql = "SELECT attempt_id FROM quiz.responses WHERE response_id = @response_id";
+                Guid attemptId;
+                using (var attemptReader = await _dbService.ExecuteQueryAsync(attemptSql,
+                    new NpgsqlParameter("response_id", guid)))
+                {
+                    if (!await attemptReader.ReadAsync())
+                    {
+                        return await ResponseHelper.NotFoundAsync(req, $"Response with ID '{responseId}' not found");
+                    }
+                    attemptId = attemptReader.GetGuid(0);
+                }
+
+                if (await GradingHelper.CanGradeAttemptAsync(_dbService, attemptId, authResult) != true)
+                {
+                    return await req.ForbiddenAsync("You can only comment on responses in quizzes you assigned");
+                }
+
+                var feedback = GradingHelper.BuildFeedback(request.Comment, authResult);
+
+                // Only the feedback key is written; the grade and grading output are untouched
+                var sql = @"
+                    UPDATE quiz.responses
+                    SET grading_details = CASE
+                            WHEN @feedback::jsonb IS NULL THEN COALESCE(grading_details, '{}'::jsonb) - 'feedback'
+                            ELSE jsonb_set(COALESCE(grading_details, '{}'::jsonb), '{feedback}', @feedback::jsonb)
+                        END
+                    WHERE response_id = @response_id
+                    RETURNING response_id, attempt_id, question_id, answer_payload, submitted_at,
+                              points_earned, points_possible, is_correct, grading_details, graded_at";
+
+                Quizz.DataModel.Dtos.Response response;
+                using (var reader = await _dbService.ExecuteQueryAsync(sql,
+                    new NpgsqlParameter("response_id", guid),
+                    new NpgsqlParameter("feedback", NpgsqlTypes.NpgsqlDbType.Text) { Value = (object?)feedback?.ToJsonString() ?? DBNull.Value }))
+                {
+                    if (!await reader.ReadAsync())
+                    {
+                        return await ResponseHelper.NotFoundAsync(req, $"Response with ID '{responseId}' not found");
+                    }
+
+                    response = ReadGradedResponse<Quizz.DataModel.Dtos.Response>(reader);
+                }
+
+                if (feedback != null)
+                {
+                    await MarkFeedbackUpdatedAsync(response.AttemptId);
+                }
+
+                _logger.LogInformation($"Updated feedback on response {responseId} in {stopwatch.ElapsedMilliseconds}ms");
+                return await ResponseHelper.OkAsync(req, response);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"Error updating feedback on response {responseId}");
+                return await ResponseHelper.InternalServerErrorAsync(req, "Failed to save feedback");
+            }
+        }
+
+        [Function("GetGradingQueue")]
+        [OpenApiOperation(
+            operationId: "GetGradingQueue",
+            tags: new[] { "Responses" },
+            Summary = "Get responses waiting for manual grading",
+            Description = "Lists responses in completed assignment attempts that still need a tutor: never graded, not auto-graded, or graded with a rubric. Tutors see their own assignments; administrators see all.")]
+        [OpenApiSecurity("bearer_auth", SecuritySchemeType.Http, Scheme = OpenApiSecuritySchemeType.Bearer, BearerFormat = "JWT")]
+        [OpenApiResponseWithBody(
+            statusCode: HttpStatusCode.OK,
+            contentType: "application/json",
+            bodyType: typeof(List<GradingQueueItem>),
+            Description = "Responses waiting for manual grading, oldest first")]
+        public async Task<HttpResponseData> GetGradingQueue(
+            [HttpTrigger(AuthorizationLevel.Anonymous, "get", Route = "grading/queue")] HttpRequestData req)
+        {
+            var authResult = await _authService.ValidateAndAuthorizeAsync(req, "Administrator", "Tutors");
+            if (!authResult.IsAuthorized)
+                return authResult.ErrorResponse!;
+
+            var stopwatch = Stopwatch.StartNew();
+
+            try
+            {
+                // Tutors only grade the assignments they assigned (assigned_by holds the assigner's user id)
+                var assignedBy = authResult.IsAdministrator ? null : authResult.UserId?.ToString();
+
+                // A response leaves the queue once a tutor grades it (grading_details.manual_grading)
+                var sql = @"
+                    SELECT r.response_id, r.attempt_id, qa.assignment_id, a.quiz_id, qz.title,
+                           a.user_id, u.first_name, u.last_name, u.email,
+                           q.question_id, q.question_type, q.question_text, qq.position, q.points, q.content,
+                           r.answer_payload, r.points_earned, r.points_possible, r.is_correct, r.grading_details,
+                           r.submitted_at, r.graded_at
+                    FROM quiz.responses r
+                    INNER JOIN quiz.attempts a ON r.attempt_id = a.attempt_id
+                    INNER JOIN quiz.quizzes qz ON a.quiz_id = qz.quiz_id
+                    INNER JOIN quiz.questions q ON r.question_id = q.question_id
+                    INNER JOIN lms.users u ON a.user_id = u.user_id
+                    LEFT JOIN quiz.quiz_questions qq ON qq.quiz_id = a.quiz_id AND qq.question_id = q.question_id
+                    INNER JOIN LATERAL (
+                        SELECT assignment_id FROM quiz.quiz_assignments
+                        WHERE user_id = a.user_id AND quiz_id = a.quiz_id AND status != 'cancelled'
+                          AND (@assigned_by IS NULL OR assigned_by = @assigned_by)
+                        ORDER BY assigned_at DESC LIMIT 1
+                    ) qa ON TRUE
+                    WHERE a.status = 'completed'
+                      AND COALESCE(a.metadata->>'mode', '') != 'practice'
+                      AND NOT COALESCE(r.grading_details ? 'manual_grading', FALSE)
+                      AND (r.graded_at IS NULL
+                           OR r.grading_details->>'autoGraded' = 'false'
+                           OR (jsonb_typeof(q.content->'rubric'->'criteria') = 'array'
+                               AND q.content->'rubric'->'criteria' <> '[]'::jsonb))
+                    ORDER BY r.submitted_at";
+
+                var items = new List<GradingQueueItem>();
+                using (var reader = await _dbService.ExecuteQueryAsync(sql,
+                    new NpgsqlParameter("assigned_by", NpgsqlTypes.NpgsqlDbType.Varchar) { Value = (object?)assignedBy ?? DBNull.Value }))
+                {
+                    while (await reader.ReadAsync())
+                    {
+                        var gradingDetailsJson = reader.IsDBNull(19) ? null : reader.GetString(19);
+                        var gradingDetails = gradingDetailsJson != null ? JsonNode.Parse(gradingDetailsJson) as JsonObject : null;
+                        var isGraded = !reader.IsDBNull(21);
+
+                        items.Add(new GradingQueueItem
+                        {
+                            ResponseId = reader.GetGuid(0),
+                            AttemptId = reader.GetGuid(1),
+                            AssignmentId = reader.GetGuid(2),
+                            QuizId = reader.GetGuid(3),
+                            QuizTitle = reader.GetString(4),
+                            UserId = reader.GetGuid(5),
+                            StudentName = $"{(reader.IsDBNull(6) ? "" : reader.GetString(6))} {(reader.IsDBNull(7) ? "" : reader.GetString(7))}".Trim(),
+                            StudentEmail = reader.IsDBNull(8) ? null : reader.GetString(8),
+                            QuestionId = reader.GetGuid(9),
+                            QuestionType = reader.GetString(10),
+                            QuestionText = reader.GetString(11),
+                            Position = reader.IsDBNull(12) ? null : reader.GetInt32(12),
+                            Points = reader.IsDBNull(13) ? 10.0m : reader.GetDecimal(13),
+                            Content = JsonSerializer.Deserialize<object>(reader.GetString(14)) ?? new { },
+                            AnswerPayload = JsonSerializer.Deserialize<object>(reader.GetString(15)) ?? new { },
+                            PointsEarned = reader.IsDBNull(16) ? null : reader.GetDecimal(16),
+                            PointsPossible = reader.IsDBNull(17) ? null : reader.GetDecimal(17),
+                            IsCorrect = reader.IsDBNull(18) ? null : reader.GetBoolean(18),
+                            GradingDetails = gradingDetailsJson != null ? JsonSerializer.Deserialize<object>(gradingDetailsJson) : null,
+                            SubmittedAt = reader.GetDateTime(20),
+                            Reason = !isGraded
+                                ? "pending"
+                                : gradingDetails?["autoGraded"]?.GetValueKind() == JsonValueKind.False ? "not_auto_graded" : "rubric"
+                        });
+                    }
+                }
+
+                _logger.LogInformation($"Retrieved {items.Count} responses waiting for grading in {stopwatch.ElapsedMilliseconds}ms");
+                return await ResponseHelper.OkAsync(req, items);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error retrieving grading queue");
+                return await ResponseHelper.InternalServerErrorAsync(req, "Failed to retrieve grading queue");
+            }
+        }
+
+        [Function("RegradeQuestionResponses")]
+        [OpenApiOperation(
+            operationId: "RegradeQuestionResponses",
+            tags: new[] { "Responses" },
+            Summary = "Regrade all responses to a question",
+            Description = "Re-runs auto-grading for the stored responses to the question (e.g. after its answer key was fixed) and recalculates the affected attempt and assignment scores. Manually graded responses are skipped unless includeManualGrades is set. Works through a batch of students per call; repeat with continueAfter from the result until it is null. Non-administrators only regrade responses in quizzes they created or assigned.")]
+        [OpenApiSecurity("bearer_auth", SecuritySchemeType.Http, Scheme = OpenApiSecuritySchemeType.Bearer, BearerFormat = "JWT")]
+        [OpenApiParameter(
+            name: "questionId",
+            In = ParameterLocation.Path,
+            Required = true,
+            Type = typeof(Guid))]
+        [OpenApiRequestBody(
+            contentType: "application/json",
+            bodyType: typeof(RegradeRequest),
+            Required = true)]
+        [OpenApiResponseWithBody(
+            statusCode: HttpStatusCode.OK,
+            contentType: "application/json",
+            bodyType: typeof(RegradeResult),
+            Description = "Regrade summary for this batch")]
+        public async Task<HttpResponseData> RegradeQuestionResponses(
+            [HttpTrigger(AuthorizationLevel.Anonymous, "post", Route = "questions/{questionId}/regrade")] HttpRequestData req,
+            string questionId)
+        {
+            var authResult = await _authService.ValidateAndAuthorizeAsync(req, "Administrator", "Content Creator", "Tutors");
+            if (!authResult.IsAuthorized)
+                return authResult.ErrorResponse!;
+
+            if (!Guid.TryParse(questionId, out var guid))
+            {
+                return await ResponseHelper.BadRequestAsync(req, "Invalid question ID format");
+            }
+
+            return await RegradeAsync(req, authResult, guid, null);
+        }
+
+        [Function("RegradeQuizResponses")]
+        [OpenApiOperation(
+            operationId: "RegradeQuizResponses",
+            tags: new[] { "Responses" },
+            Summary = "Regrade all responses in a quiz",
+            Description = "Re-runs auto-grading for the stored responses in the quiz's attempts and recalculates the attempt and assignment scores. Manually graded responses are skipped unless includeManualGrades is set. Works through a batch of students per call; repeat with continueAfter from the result until it is null. Non-administrators need to have created or assigned the quiz.")]
+        [OpenApiSecurity("bearer_auth", SecuritySchemeType.Http, Scheme = OpenApiSecuritySchemeType.Bearer, BearerFormat = "JWT")]
+        [OpenApiParameter(
+            name: "quizId",
+            In = ParameterLocation.Path,
+            Required = true,
+            Type = typeof(Guid))]
+        [OpenApiRequestBody(
+            contentType: "application/json",
+            bodyType: typeof(RegradeRequest),
+            Required = true)]
+        [OpenApiResponseWithBody(
+            statusCode: HttpStatusCode.OK,
+            contentType: "application/json",
+            bodyType: typeof(RegradeResult),
+            Description = "Regrade summary for this batch")]
+        public async Task<HttpResponseData> RegradeQuizResponses(
+            [HttpTrigger(AuthorizationLevel.Anonymous, "post", Route = "quizzes/{quizId}/regrade")] HttpRequestData req,
+            string quizId)
+        {
+            var authResult = await _authService.ValidateAndAuthorizeAsync(req, "Administrator", "Content Creator", "Tutors");
+            if (!authResult.IsAuthorized)
+                return authResult.ErrorResponse!;
+
+            if (!Guid.TryParse(quizId, out var guid))
+            {
+                return await ResponseHelper.BadRequestAsync(req, "Invalid quiz ID format");
+            }
+
+            return await RegradeAsync(req, authResult, null, guid);
+        }
+
+        /// <summary>
+        /// Re-run auto-grading for the stored responses to a question, or in a quiz's attempts,
+        /// with the current answer key and points, then recalculate the attempts whose responses changed.
+        /// Students are handled in user id order, a batch per call, so program submissions (which run
+        /// their tests again) cannot push a large quiz past the function timeout.
+        /// </summary>
+        private async Task<HttpResponseData> RegradeAsync(HttpRequestData req, AuthResult authResult, Guid? questionId, Guid? quizId)
+        {
+            var stopwatch = Stopwatch.StartNew();
+            var scope = questionId.HasValue ? $"question {questionId}" : $"quiz {quizId}";
+
+            try
+            {
+                RegradeRequest? request;
+                try
+                {
+                    request = await JsonSerializer.DeserializeAsync<RegradeRequest>(req.Body);
+                }
+                catch (JsonException ex)
+                {
+                    _logger.LogWarning(ex, "Invalid JSON in request body");
+                    return await ResponseHelper.BadRequestAsync(req, "Invalid JSON format");
+                }
+                var includeManualGrades = request?.IncludeManualGrades ?? false;
+
+                // Non-administrators regrade only quizzes they created or assigned (both hold the user id)
+                var managerId = authResult.IsAdministrator ? null : authResult.UserId?.ToString();
+                if (managerId != null && !await ManagesQuizAsync(managerId, questionId, quizId))
+                {
+                    return await req.ForbiddenAsync("You can only regrade quizzes you created or assigned");
+                }
+
+                var sql = @"
+                    WITH batch AS (
+                        SELECT DISTINCT a.user_id
+                        FROM quiz.responses r
+                        INNER JOIN quiz.attempts a ON r.attempt_id = a.attempt_id
+                        WHERE (@question_id IS NULL OR r.question_id = @question_id)
+                          AND (@quiz_id IS NULL OR a.quiz_id = @quiz_id)
+                          AND (@after_user_id IS NULL OR a.user_id > @after_user_id)
+                          AND (@manager_id IS NULL
+                               OR EXISTS (SELECT 1 FROM quiz.quizzes qz WHERE qz.quiz_id = a.quiz_id AND qz.created_by = @manager_id)
+                               OR EXISTS (SELECT 1 FROM quiz.quiz_assignments qa WHERE qa.quiz_id = a.quiz_id AND qa.assigned_by = @manager_id))
+                        ORDER BY a.user_id
+                        LIMIT @batch_size
+                    )
+                    SELECT r.response_id, r.attempt_id, a.user_id, a.total_score,
+                           r.answer_payload, r.points_earned, r.points_possible, r.is_correct, r.practice_tries,
+                           COALESCE(a.metadata->>'mode', '') = 'practice',
+                           COALESCE(r.grading_details ? 'manual_grading', FALSE),
+                           q.question_type, q.content, q.points
+                    FROM quiz.responses r
+                    INNER JOIN quiz.attempts a ON r.attempt_id = a.attempt_id
+                    INNER JOIN quiz.questions q ON r.question_id = q.question_id
+                    WHERE a.user_id IN (SELECT user_id FROM batch)
+                      AND (@question_id IS NULL OR r.question_id = @question_id)
+                      AND (@quiz_id IS NULL OR a.quiz_id = @quiz_id)
+                      AND (@manager_id IS NULL
+                           OR EXISTS (SELECT 1 FROM quiz.quizzes qz WHERE qz.quiz_id = a.quiz_id AND qz.created_by = @manager_id)
+                           OR EXISTS (SELECT 1 FROM quiz.quiz_assignments qa WHERE qa.quiz_id = a.quiz_id AND qa.assigned_by = @manager_id))
+                    ORDER BY a.user_id, r.attempt_id";
+
+                // Read everything first - grading program submissions runs tests and the reader must be released
+                var stored = new List<(Guid ResponseId, Guid AttemptId, Guid UserId, decimal? AttemptTotal, string AnswerJson,
+                    decimal? PointsEarned, decimal? PointsPossible, bool? IsCorrect, int PracticeTries, bool IsPractice,
+                    bool IsManual, string QuestionType, string ContentJson, decimal Points)>();
+
+                using (var reader = await _dbService.ExecuteQueryAsync(sql,
+                    new NpgsqlParameter("question_id", NpgsqlTypes.NpgsqlDbType.Uuid) { Value = (object?)questionId ?? DBNull.Value },
+                    new NpgsqlParameter("quiz_id", NpgsqlTypes.NpgsqlDbType.Uuid) { Value = (object?)quizId ?? DBNull.Value },
+                    new NpgsqlParameter("after_user_id", NpgsqlTypes.NpgsqlDbType.Uuid) { Value = (object?)request?.ContinueAfter ?? DBNull.Value },
+                    new NpgsqlParameter("manager_id", NpgsqlTypes.NpgsqlDbType.Varchar) { Value = (object?)managerId ?? DBNull.Value },
+                    new NpgsqlParameter("batch_size", RegradeBatchStudents)))
+                {
+                    while (await reader.ReadAsync())
+                    {
+                        stored.Add((
+                            reader.GetGuid(0),
+                            reader.GetGuid(1),
+                            reader.GetGuid(2),
+                            reader.IsDBNull(3) ? null : reader.GetDecimal(3),
+                            reader.GetString(4),
+                            reader.IsDBNull(5) ? null : reader.GetDecimal(5),
+                            reader.IsDBNull(6) ? null : reader.GetDecimal(6),
+                            reader.IsDBNull(7) ? null : reader.GetBoolean(7),
+                            reader.IsDBNull(8) ? 0 : reader.GetInt32(8),
+                            reader.GetBoolean(9),
+                            reader.GetBoolean(10),
+                            reader.GetString(11),
+                            reader.GetString(12),
+                            reader.IsDBNull(13) ? 10.0m : reader.GetDecimal(13)));
+                    }
+                }
+
+                var result = new RegradeResult();
+
+                // Only the auto-grading output is replaced; the tutor's comment and rubric stay, and so does the
+                // manual grade record unless the manual grade itself is being overridden
+                var updateSql = @"
+                    UPDATE quiz.responses
+                    SET points_earned = @points_earned,
+                        points_possible = @points_possible,
+                        is_correct = @is_correct,
+                        grading_details = NULLIF(
+                            COALESCE(@grading_details::jsonb, '{}'::jsonb)
+                            || COALESCE((SELECT jsonb_object_agg(key, value)
+                                         FROM jsonb_each(grading_details)
+                                         WHERE key = ANY(@kept_keys)), '{}'::jsonb),
+                            '{}'::jsonb),
+                        graded_at = CURRENT_TIMESTAMP
+                    WHERE response_id = @response_id";
+
+                var students = stored.GroupBy(r => r.UserId).ToList();
+                foreach (var student in students)
+                {
+                    var changedAttempts = new Dictionary<Guid, decimal?>();
+
+                    foreach (var response in student)
+                    {
+                        result.ResponsesChecked++;
+                        if (response.IsManual && !includeManualGrades)
+                        {
+                            result.ManualGradesSkipped++;
+                            continue;
+                        }
+
+                        var answerPayload = JsonSerializer.Deserialize<object>(response.AnswerJson) ?? new { };
+                        var (pointsEarned, isCorrect, gradingDetailsJson, autoGraded) = await AutoGradeAsync(
+                            JsonSerializer.Deserialize<JsonElement>(response.ContentJson), response.QuestionType, response.Points, answerPayload);
+
+                        // No answer key, or the sandbox could not run the program: keep the stored grade rather than writing 0
+                        if (!autoGraded)
+                        {
+                            result.NotAutoGraded++;
+                            continue;
+                        }
+
+                        // Keep the practice retry penalty the student already earned
+                        if (response.IsPractice && response.PracticeTries > 0)
+                        {
+                            pointsEarned = Math.Round(pointsEarned * PracticeRetryFactor(response.PracticeTries), 2);
+                        }
+
+                        if (!response.IsManual
+                            && response.PointsEarned == pointsEarned
+                            && response.PointsPossible == response.Points
+                            && response.IsCorrect == isCorrect)
+                        {
+                            continue;
+                        }
+
+                        await _dbService.ExecuteNonQueryAsync(updateSql,
+                            new NpgsqlParameter("response_id", response.ResponseId),
+                            new NpgsqlParameter("points_earned", pointsEarned),
+                            new NpgsqlParameter("points_possible", response.Points),
+                            new NpgsqlParameter("is_correct", isCorrect),
+                            new NpgsqlParameter("grading_details", NpgsqlTypes.NpgsqlDbType.Text) { Value = (object?)gradingDetailsJson ?? DBNull.Value },
+                            new NpgsqlParameter("kept_keys", NpgsqlTypes.NpgsqlDbType.Array | NpgsqlTypes.NpgsqlDbType.Text) { Value = response.IsManual ? TutorCommentKeys : TutorGradingKeys });
+
+                        result.ResponsesChanged++;
+                        changedAttempts[response.AttemptId] = response.AttemptTotal;
+                    }
+
+                    // In-progress attempts are scored by CompleteAttempt as usual
+                    var scoreChanged = false;
+                    foreach (var (attemptId, previousTotal) in changedAttempts)
+                    {
+                        var scores = await RecalculateAttemptScoreAsync(attemptId);
+                        if (scores == null)
+                        {
+                            continue;
+                        }
+
+                        result.AttemptsRecalculated++;
+                        scoreChanged |= scores.TotalScore != previousTotal;
+                    }
+                    if (scoreChanged)
+                    {
+                        result.StudentsAffected++;
+                    }
+
+                    // A full batch may have more students after it; stop early when the time budget is spent
+                    var isLast = student.Key == students[^1].Key;
+                    if ((isLast && students.Count == RegradeBatchStudents) || (!isLast && stopwatch.Elapsed > RegradeTimeBudget))
+                    {
+                        result.ContinueAfter = student.Key;
+                        break;
+                    }
+                }
+
+                _logger.LogInformation($"Regraded {scope}: {result.ResponsesChanged}/{result.ResponsesChecked} responses changed, {result.ManualGradesSkipped} manual grades skipped, {result.NotAutoGraded} not auto-graded, {result.StudentsAffected} students affected in {stopwatch.ElapsedMilliseconds}ms{(result.ContinueAfter.HasValue ? $", continuing after {result.ContinueAfter}" : string.Empty)}");
+                return await ResponseHelper.OkAsync(req, result);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"Error regrading {scope}");
+                return await ResponseHelper.InternalServerErrorAsync(req, "Failed to regrade responses");
+            }
+        }
+
+        /// <summary>
+        /// Whether the user created or assigned the quiz - for a question, any quiz that uses it
+        /// </summary>
+        private async Task<bool> ManagesQuizAsync(string userId, Guid? questionId, Guid? quizId)
+        {
+            var sql = @"
+                SELECT EXISTS (
+                    SELECT 1 FROM quiz.quizzes qz
+                    WHERE (@quiz_id IS NULL OR qz.quiz_id = @quiz_id)
+                      AND (@question_id IS NULL OR EXISTS (
+                          SELECT 1 FROM quiz.quiz_questions qq WHERE qq.quiz_id = qz.quiz_id AND qq.question_id = @question_id))
+                      AND (qz.created_by = @user_id
+                           OR EXISTS (SELECT 1 FROM quiz.quiz_assignments qa WHERE qa.quiz_id = qz.quiz_id AND qa.assigned_by = @user_id)))";
+
+            using var reader = await _dbService.ExecuteQueryAsync(sql,
+                new NpgsqlParameter("question_id", NpgsqlTypes.NpgsqlDbType.Uuid) { Value = (object?)questionId ?? DBNull.Value },
+                new NpgsqlParameter("quiz_id", NpgsqlTypes.NpgsqlDbType.Uuid) { Value = (object?)quizId ?? DBNull.Value },
+                new NpgsqlParameter("user_id", NpgsqlTypes.NpgsqlDbType.Varchar) { Value = userId });
+            return await reader.ReadAsync() && reader.GetBoolean(0);
+        }
+
+        /// <summary>
+        /// Map a row of the grading RETURNING list (response_id ... graded_at) to a Response
+        /// </summary>
+        private static T ReadGradedResponse<T>(NpgsqlDataReader reader) where T : Quizz.DataModel.Dtos.Response, new()
+        {
+            var gradingDetailsResult = reader.IsDBNull(8) ? null : reader.GetString(8);
+            var response = new T
+            {
+                ResponseId = reader.GetGuid(0),
+                AttemptId = reader.GetGuid(1),
+                QuestionId = reader.GetGuid(2),
+                AnswerPayload = JsonSerializer.Deserialize<object>(reader.GetString(3)) ?? new { },
+                SubmittedAt = reader.GetDateTime(4),
+                PointsEarned = reader.IsDBNull(5) ? null : reader.GetDecimal(5),
+                PointsPossible = reader.IsDBNull(6) ? null : reader.GetDecimal(6),
+                IsCorrect = reader.IsDBNull(7) ? null : reader.GetBoolean(7),
+                GradingDetails = gradingDetailsResult != null ? JsonSerializer.Deserialize<object>(gradingDetailsResult) : null,
+                GradedAt = reader.IsDBNull(9) ? null : reader.GetDateTime(9)
+            };
+            response.ScorePercentage = response.PointsPossible > 0
+                ? (response.PointsEarned ?? 0) / response.PointsPossible * 100
+                : 0;
+            return response;
+        }
+
+        /// <summary>
+        /// Record that the attempt has new feedback; the player sees it as unread until they open the attempt
+        /// </summary>
+        private async Task MarkFeedbackUpdatedAsync(Guid attemptId)
+        {
+            var sql = @"
+                UPDATE quiz.attempts
+                SET metadata = jsonb_set(COALESCE(metadata, '{}'::jsonb), '{feedbackUpdatedAt}', to_jsonb(NOW()))
+                WHERE attempt_id = @attempt_id";
+
+            await _dbService.ExecuteNonQueryAsync(sql, new NpgsqlParameter("attempt_id", attemptId));
+        }
+
+        /// <summary>
+        /// Recalculate a completed attempt's score from its responses (same totals as CompleteAttempt)
+        /// and copy the new percentage to the assignment that was scored from this attempt.
+        /// Returns null for attempts that are not completed yet; CompleteAttempt scores those.
+        /// </summary>
+        private async Task<AttemptScoreUpdate?> RecalculateAttemptScoreAsync(Guid attemptId)
+        {
+            var attemptSql = @"
+                WITH totals AS (
+                    SELECT COALESCE(SUM(r.points_earned), 0) AS total_score,
+                           COALESCE(SUM(q.points), 0) AS max_score
+                    FROM quiz.responses r
+                    INNER JOIN quiz.questions q ON r.question_id = q.question_id
+                    WHERE r.attempt_id = @attempt_id
+                )
+                UPDATE quiz.attempts a
+                SET total_score = t.total_score,
+                    max_possible_score = t.max_score,
+                    score_percentage = CASE WHEN t.max_score > 0 THEN LEAST(t.total_score / t.max_score * 100, 100) ELSE 0 END
+                FROM totals t
+                WHERE a.attempt_id = @attempt_id AND a.status = 'completed'
+                RETURNING a.user_id, a.quiz_id, a.total_score, a.max_possible_score, a.score_percentage, a.metadata";
+
+            Guid userId;
+            Guid quizId;
+            string? metadata;
+            var scores = new AttemptScoreUpdate { AttemptId = attemptId };
+
+            using (var reader = await _dbService.ExecuteQueryAsync(attemptSql,
+                new NpgsqlParameter("attempt_id", attemptId)))
+            {
+                if (!await reader.ReadAsync())
+                {
+                    return null;
+                }
+
+                userId = reader.GetGuid(0);
+                quizId = reader.GetGuid(1);
+                scores.TotalScore = reader.GetDecimal(2);
+                scores.MaxPossibleScore = reader.GetDecimal(3);
+                scores.ScorePercentage = reader.GetDecimal(4);
+                metadata = reader.IsDBNull(5) ? null : reader.GetString(5);
+            }
+
+            // Practice attempts never score an assignment
+            var isPractice = metadata != null
+                && (JsonNode.Parse(metadata) as JsonObject)?["mode"]?.ToString() == "practice";
+            if (isPractice)
+            {
+                return scores;
+            }
+
+            // CompleteAttempt only scores an assignment once, so its score comes from the
+            // first non-practice attempt completed after it was assigned
+            var assignmentSql = @"
+                UPDATE quiz.quiz_assignments qa
+                SET score = @score_percentage,
+                    updated_at = NOW()
+                WHERE qa.assignment_id = (
+                        SELECT assignment_id FROM quiz.quiz_assignments
+                        WHERE user_id = @user_id AND quiz_id = @quiz_id AND status != 'cancelled'
+                        ORDER BY assigned_at DESC LIMIT 1)
+                  AND qa.status = 'completed'
+                  AND @attempt_id = (
+                        SELECT at.attempt_id FROM quiz.attempts at
+                        WHERE at.user_id = @user_id AND at.quiz_id = @quiz_id AND at.status = 'completed'
+                          AND at.started_at >= qa.assigned_at
+                          AND COALESCE(at.metadata->>'mode', '') != 'practice'
+                        ORDER BY at.completed_at LIMIT 1)
+                RETURNING qa.assignment_id, qa.score";
+
+            using (var reader = await _dbService.ExecuteQueryAsync(assignmentSql,
+                new NpgsqlParameter("user_id", NpgsqlTypes.NpgsqlDbType.Uuid) { Value = userId },
+                new NpgsqlParameter("quiz_id", NpgsqlTypes.NpgsqlDbType.Uuid) { Value = quizId },
+                new NpgsqlParameter("attempt_id", NpgsqlTypes.NpgsqlDbType.Uuid) { Value = attemptId },
+                new NpgsqlParameter("score_percentage", scores.ScorePercentage)))
+            {
+                if (await reader.ReadAsync())
+                {
+                    scores.AssignmentId = reader.GetGuid(0);
+                    scores.AssignmentScore = reader.IsDBNull(1) ? null : reader.GetDecimal(1);
+                }
+            }
+
+            _logger.LogInformation($"Recalculated attempt {attemptId}: total={scores.TotalScore}/{scores.MaxPossibleScore}, assignment updated={scores.AssignmentId.HasValue}");
+            return scores;
+        }
+
+        /// <summary>
+        /// Auto-grade an answer with the question's current content and points, including the blank hint penalty.
+        /// Program submissions run against all test cases; their results are returned as grading details.
+        /// AutoGraded is false when the answer waits for a tutor instead (free text without an answer key,
+        /// or a program the sandbox could not run); its grading details then say "autoGraded": false,
+        /// which puts it in the grading queue. Practice retry penalties are applied by the caller.
+        /// </summary>
+        private async Task<(decimal PointsEarned, bool IsCorrect, string? GradingDetailsJson, bool AutoGraded)> AutoGradeAsync(
+            JsonElement questionContent, string questionType, decimal pointsPossible, object answerPayload)
+        {
+            decimal pointsEarned;
+            bool isCorrect;
+            string? gradingDetailsJson = null;
+            var autoGraded = true;
+
+            if (questionType.ToLower() == "program_submission")
+            {
+                var grading = await _programGradingService.GradeAsync(questionContent, answerPayload);
+                pointsEarned = Math.Round(pointsPossible * grading.WeightedScore, 2);
+                isCorrect = grading.AutoGraded && grading.TotalTests > 0 && grading.PassedTests == grading.TotalTests;
+                gradingDetailsJson = JsonSerializer.Serialize(grading);
+                autoGraded = grading.AutoGraded;
+
+                _logger.LogInformation($"Program grading result: {grading.PassedTests}/{grading.TotalTests} tests passed, pointsEarned={pointsEarned}, pointsPossible={pointsPossible}");
+            }
+            else if (RequiresManualGrading(questionContent, questionType))
+            {
+                isCorrect = false;
+                pointsEarned = 0;
+                gradingDetailsJson = new JsonObject { ["autoGraded"] = false }.ToJsonString();
+                autoGraded = false;
+            }
+            else
+            {
+                isCorrect = CheckAnswer(questionContent, answerPayload, questionType);
+                pointsEarned = isCorrect ? pointsPossible : 0;
+            }
+
+            // Blank hints: deduct the author's per-hint penalty for every hint the student revealed
+            var hintsUsed = CountHintsUsed(answerPayload);
+            var hintPenalty = GetHintPenalty(questionContent);
+            if (hintsUsed > 0 && hintPenalty > 0)
+            {
+                pointsEarned = Math.Max(0, pointsEarned - hintsUsed * hintPenalty);
+                _logger.LogInformation($"Hint penalty: {hintsUsed} hint(s) x {hintPenalty} points, pointsEarned={pointsEarned}");
+            }
+
+            return (pointsEarned, isCorrect, gradingDetailsJson, autoGraded);
+        }
+
+        /// <summary>
+        /// Essays and short answers with neither accepted nor numeric answers have no answer key to grade against
+        /// </summary>
+        private static bool RequiresManualGrading(JsonElement questionContent, string questionType)
+        {
+            switch (questionType.ToLower())
+            {
+                case "essay":
+                    return true;
+                case "short_answer":
+                    return !HasAnswerList(questionContent, "accepted_answers") && !HasAnswerList(questionContent, "numeric_answers");
+                default:
+                    return false;
+            }
+        }
+
+        private static bool HasAnswerList(JsonElement questionContent, string key)
+        {
+            return questionContent.ValueKind == JsonValueKind.Object &&
+                   questionContent.TryGetProperty(key, out var list) &&
+                   list.ValueKind == JsonValueKind.Array &&
+                   list.GetArrayLength() > 0;
+        }
+
+        /// <summary>
+        /// Share of the points kept on the given practice try (1 = first try)
+        /// </summary>
+        private static decimal PracticeRetryFactor(int practiceTries)
+        {
+            return Math.Max(0m, 1m - PracticeRetryPenalty * (practiceTries - 1));
+        }
+
         /// <summary>
         /// Auto-grade answer by comparing player response with correct answer
         /// </summary>
@@ -767,6 +1610,60 @@ namespace Quizz.Functions.Endpoints.Response
                         break;
 
                     case "short_answer":
+                        // Compare free text against accepted answers after normalisation
+                        // Frontend sends either "text" (string) or {"text": "..."} (object)
+                        // numeric_answers ([{ value, margin }]) accept any number within the margin of a value
+                        // Questions without accepted_answers or numeric_answers are keyword/rubric based and need manual grading
+                        var hasShortAccepted = questionContent.TryGetProperty("accepted_answers", out var shortAccepted) &&
+                                               shortAccepted.ValueKind == JsonValueKind.Array;
+                        var hasShortNumeric = questionContent.TryGetProperty("numeric_answers", out var shortNumeric) &&
+                                              shortNumeric.ValueKind == JsonValueKind.Array;
+                        if (hasShortAccepted || hasShortNumeric)
+                        {
+                            string studentText = null;
+
+                            if (playerAnswerElement.ValueKind == JsonValueKind.String)
+                            {
+                                studentText = playerAnswerElement.GetString();
+                            }
+                            else if (playerAnswerElement.ValueKind == JsonValueKind.Object &&
+                                     playerAnswerElement.TryGetProperty("text", out var textElement))
+                            {
+                                studentText = textElement.GetString();
+                            }
+
+                            if (hasShortNumeric && MatchesNumericAnswer(studentText, shortNumeric)) return true;
+                            if (!hasShortAccepted) return false;
+
+                            var caseSensitive = questionContent.TryGetProperty("case_sensitive", out var caseSensitiveElement) &&
+                                                caseSensitiveElement.ValueKind == JsonValueKind.True;
+                            var fuzzyTolerance = questionContent.TryGetProperty("fuzzy_tolerance", out var fuzzyElement) &&
+                                                 fuzzyElement.ValueKind == JsonValueKind.Number
+                                ? Math.Max(0, fuzzyElement.GetInt32())
+                                : 0;
+
+                            var normalizedStudent = NormalizeShortAnswer(studentText, caseSensitive);
+                            if (string.IsNullOrEmpty(normalizedStudent)) return false;
+
+                            foreach (var accepted in shortAccepted.EnumerateArray())
+                            {
+                                var normalizedAccepted = NormalizeShortAnswer(accepted.GetString(), caseSensitive);
+                                if (string.IsNullOrEmpty(normalizedAccepted)) continue;
+
+                                if (normalizedAccepted == normalizedStudent) return true;
+
+                                // Never allow the tolerance to swallow most of a short answer (e.g. "cat" vs "dog")
+                                var allowedDistance = Math.Min(fuzzyTolerance, normalizedAccepted.Length / 3);
+                                if (allowedDistance > 0 &&
+                                    LevenshteinDistance(normalizedAccepted, normalizedStudent) <= allowedDistance)
+                                {
+                                    return true;
+                                }
+                            }
+                            return false;
+                        }
+                        return false;
+
                     case "essay":
                         // These require manual grading
                         return false;
@@ -780,6 +1677,161 @@ namespace Quizz.Functions.Endpoints.Response
                 return false;
             }
         }
+
+        /// <summary>
+        /// Points deducted per revealed hint, from the question's hint_penalty (0 when not set)
+        /// </summary>
+        private static decimal GetHintPenalty(JsonElement questionContent)
+        {
+            if (questionContent.ValueKind == JsonValueKind.Object &&
+                questionContent.TryGetProperty("hint_penalty", out var penaltyElement) &&
+                penaltyElement.ValueKind == JsonValueKind.Number &&
+                penaltyElement.TryGetDecimal(out var penalty))
+            {
+                return Math.Max(0, penalty);
+            }
+            return 0;
+        }
+
+        /// <summary>
+        /// Number of distinct blank hints the student revealed.
+        /// Answers that used hints carry them as {"hints_used": [0, 2], ...}
+        /// </summary>
+        private static int CountHintsUsed(object playerAnswer)
+        {
+            try
+            {
+                var answerElement = JsonSerializer.Deserialize<JsonElement>(JsonSerializer.Serialize(playerAnswer));
+                if (answerElement.ValueKind != JsonValueKind.Object ||
+                    !answerElement.TryGetProperty("hints_used", out var hintsElement) ||
+                    hintsElement.ValueKind != JsonValueKind.Array)
+                {
+                    return 0;
+                }
+
+                return hintsElement.EnumerateArray()
+                    .Where(h => h.ValueKind == JsonValueKind.Number)
+                    .Select(h => h.GetInt32())
+                    .Distinct()
+                    .Count();
+            }
+            catch (Exception)
+            {
+                return 0;
+            }
+        }
+
+        /// <summary>
+        /// When the answer counts as given for the deadline check: its arrival time, or the time it was
+        /// queued offline if that is earlier, not in the future and the answer arrives within OfflineAnswerWindow
+        /// </summary>
+        private static DateTime GetAnsweredAt(SubmitAnswerRequest request, DateTime deadlineUtc)
+        {
+            var now = DateTime.UtcNow;
+            if (request.QueuedAt is not DateTime queuedAt)
+                return now;
+
+            var queuedAtUtc = queuedAt.ToUniversalTime();
+            return queuedAtUtc < now && now <= deadlineUtc.Add(OfflineAnswerWindow) ? queuedAtUtc : now;
+        }
+
+        /// <summary>
+        /// Hide the input, expected and actual values of hidden program tests from players.
+        /// Tutors and administrators always receive the full breakdown.
+        /// </summary>
+        private static string RedactHiddenTests(string gradingDetailsJson, AuthResult authResult)
+        {
+            if (authResult.HasAnyRole("Administrator", "Tutors")) return gradingDetailsJson;
+
+            var grading = JsonNode.Parse(gradingDetailsJson);
+            if (grading is not JsonObject gradingObject || gradingObject["testResults"] is not JsonArray testResults)
+            {
+                return gradingDetailsJson;
+            }
+
+            foreach (var testResult in testResults.OfType<JsonObject>())
+            {
+                if (testResult["visible"]?.GetValueKind() == JsonValueKind.False)
+                {
+                    testResult["input"] = null;
+                    testResult["expected"] = null;
+                    testResult["actual"] = null;
+                }
+            }
+            return gradingObject.ToJsonString();
+        }
+
+        /// <summary>
+        /// Normalise a short answer for comparison: trim surrounding whitespace and punctuation,
+        /// collapse inner whitespace and (unless case sensitive) fold case.
+        /// </summary>
+        private static string NormalizeShortAnswer(string text, bool caseSensitive)
+        {
+            if (string.IsNullOrWhiteSpace(text)) return string.Empty;
+
+            var trimmed = text.Trim().Trim(ShortAnswerTrimChars);
+            var collapsed = string.Join(" ", trimmed.Split((char[])null, StringSplitOptions.RemoveEmptyEntries));
+
+            return caseSensitive ? collapsed : collapsed.ToLowerInvariant();
+        }
+
+        private static readonly char[] ShortAnswerTrimChars =
+            " \t\r\n.,;:!?\"'`()[]{}".ToCharArray();
+
+        /// <summary>
+        /// Whether a short answer is a number within the margin of one of the numeric answers ([{ value, margin }]).
+        /// Compared as decimals so e.g. 3.15 is within 0.01 of 3.14; a decimal comma is read as a point.
+        /// </summary>
+        private static bool MatchesNumericAnswer(string text, JsonElement numericAnswers)
+        {
+            if (string.IsNullOrWhiteSpace(text)) return false;
+
+            var candidate = text.Trim().Replace(',', '.');
+            if (!decimal.TryParse(candidate, NumberStyles.Float, CultureInfo.InvariantCulture, out var number)) return false;
+
+            foreach (var answer in numericAnswers.EnumerateArray())
+            {
+                if (answer.ValueKind != JsonValueKind.Object ||
+                    !answer.TryGetProperty("value", out var valueElement) ||
+                    valueElement.ValueKind != JsonValueKind.Number ||
+                    !valueElement.TryGetDecimal(out var value))
+                {
+                    continue;
+                }
+
+                var margin = answer.TryGetProperty("margin", out var marginElement) &&
+                             marginElement.ValueKind == JsonValueKind.Number &&
+                             marginElement.TryGetDecimal(out var parsedMargin)
+                    ? Math.Abs(parsedMargin)
+                    : 0m;
+                if (Math.Abs(number - value) <= margin) return true;
+            }
+            return false;
+        }
+
+        /// <summary>
+        /// Classic Levenshtein edit distance (insertions, deletions, substitutions)
+        /// </summary>
+        private static int LevenshteinDistance(string source, string target)
+        {
+            var previous = new int[target.Length + 1];
+            var current = new int[target.Length + 1];
+
+            for (int j = 0; j <= target.Length; j++) previous[j] = j;
+
+            for (int i = 1; i <= source.Length; i++)
+            {
+                current[0] = i;
+                for (int j = 1; j <= target.Length; j++)
+                {
+                    var cost = source[i - 1] == target[j - 1] ? 0 : 1;
+                    current[j] = Math.Min(Math.Min(current[j - 1] + 1, previous[j] + 1), previous[j - 1] + cost);
+                }
+                (previous, current) = (current, previous);
+            }
+
+            return previous[target.Length];
+        }
     }
 }
 
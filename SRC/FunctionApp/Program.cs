@@ -3,6 +3,7 @@ using Microsoft.Azure.Functions.Worker.Middleware;
 using Microsoft.Extensions.Configuration;
 using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
 using Quizz.DataAccess;
 using Quizz.Common.Services;
 using Quizz.Common.Utilities;
@@ -91,6 +92,23 @@ namespace Quizz.Functions
                         Console.WriteLine($"[{DateTime.UtcNow}] Registering AuthorizationService...");
                         services.AddSingleton<AuthorizationService>();
 
+                        // Register ProgramGradingService for program_submission grading inside nsjail
+                        Console.WriteLine($"[{DateTime.UtcNow}] Registering ProgramGradingService...");
+                        var graderSandboxPath = configuration["Grader__SandboxPath"]
+                            ?? Environment.GetEnvironmentVariable("Grader__SandboxPath")
+                            ?? "nsjail";
+
+                        var graderPythonPath = configuration["Grader__PythonPath"]
+                            ?? Environment.GetEnvironmentVariable("Grader__PythonPath")
+                            ?? "/usr/bin/python3";
+
+                        var graderNodePath = configuration["Grader__NodePath"]
+                            ?? Environment.GetEnvironmentVariable("Grader__NodePath")
+                            ?? "/usr/bin/node";
+
+                        services.AddSingleton(sp => new ProgramGradingService(
+                            sp.GetRequiredService<ILogger<ProgramGradingService>>(), graderSandboxPath, graderPythonPath, graderNodePath));
+
                         Console.WriteLine($"[{DateTime.UtcNow}] Adding Application Insights...");
                         services.AddApplicationInsightsTelemetryWorkerService();
                         services.ConfigureFunctionsApplicationInsights();
@@ -23,6 +23,7 @@ import CreatorDashboard from './pages/ContentCreator/CreatorDashboard';
 import CreatorQuizzes from './pages/ContentCreator/CreatorQuizzes';
 import CreatorCreateQuiz from './pages/ContentCreator/CreatorCreateQuiz';
 import CreatorManageQuestions from './pages/ContentCreator/CreatorManageQuestions';
+import QuizItemAnalysis from './pages/ContentCreator/QuizItemAnalysis';
 import CreatorAssignments from './pages/ContentCreator/CreatorAssignments';
 import AssignmentResponsesView from './pages/ContentCreator/AssignmentResponsesView';
 import EditAssignment from './pages/ContentCreator/EditAssignment';
@@ -30,6 +31,7 @@ import EditAssignment from './pages/ContentCreator/EditAssignment';
 // Tutor Pages
 import TutorDashboard from './pages/Tutor/TutorDashboard';
 import TutorAssignments from './pages/Tutor/TutorAssignments';
+import TutorGrading from './pages/Tutor/TutorGrading';
 
 // Questions Page
 import Questions from './pages/Questions';
@@ -110,6 +112,7 @@ function App() {
                     <Route path="/assignments/:assignmentId/edit" element={<EditAssignment isDark={isDark} />} />
                     <Route path="/quiz/create" element={<CreatorCreateQuiz isDark={isDark} />} />
                     <Route path="/quiz/:quizId/questions" element={<CreatorManageQuestions isDark={isDark} />} />
+                    <Route path="/quiz/:quizId/analysis" element={<QuizItemAnalysis isDark={isDark} />} />
                     <Route path="/questions" element={<Questions isDark={isDark} />} />
                   </Routes>
                 </ResponsiveLayout>
@@ -126,6 +129,7 @@ function App() {
                     <Route path="/" element={<Navigate to="/tutor/dashboard" replace />} />
                     <Route path="/dashboard" element={<TutorDashboard isDark={isDark} />} />
                     <Route path="/assignments" element={<TutorAssignments isDark={isDark} />} />
+                    <Route path="/grading" element={<TutorGrading isDark={isDark} />} />
                     <Route path="/assignments/:assignmentId" element={<AssignmentResponsesView isDark={isDark} />} />
                     <Route path="/assignments/:assignmentId/edit" element={<EditAssignment isDark={isDark} />} />
                   </Routes>
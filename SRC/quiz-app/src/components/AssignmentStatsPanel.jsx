@@ -0,0 +1,154 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Loader2 } from 'lucide-react';
+import { assignmentApi } from '../services/api';
+
+const STATUS_TILES = [
+  { key: 'assignedCount', label: 'Assigned', color: 'text-blue-500' },
+  { key: 'inProgressCount', label: 'In Progress', color: 'text-yellow-500' },
+  { key: 'completedCount', label: 'Completed', color: 'text-green-500' },
+  { key: 'overdueCount', label: 'Overdue', color: 'text-red-500' },
+  { key: 'cancelledCount', label: 'Cancelled', color: 'text-gray-500' }
+];
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 100;
+
+const formatDay = (date) => new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+/**
+ * AssignmentStatsPanel component - assignment statistics for one quiz
+ * Status counts, average score, a histogram of completed scores and cumulative completions over time.
+ */
+const AssignmentStatsPanel = ({ quizId, isDark }) => {
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchStats = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await assignmentApi.getAssignmentStats(quizId);
+      setStats(data);
+    } catch (err) {
+      console.error('Error fetching assignment stats:', err);
+      setError('Failed to load assignment statistics');
+    } finally {
+      setLoading(false);
+    }
+  }, [quizId]);
+
+  useEffect(() => {
+    fetchStats();
+  }, [fetchStats]);
+
+  const mutedText = isDark ? 'text-gray-400' : 'text-gray-600';
+  const tileClass = `p-3 rounded-lg ${isDark ? 'bg-gray-700' : 'bg-gray-50'}`;
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader2 className={`w-8 h-8 animate-spin ${isDark ? 'text-blue-400' : 'text-blue-600'}`} />
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="py-4 text-center text-red-500">{error}</p>;
+  }
+
+  if (stats.totalAssignments === 0) {
+    return <p className={`py-4 text-center ${mutedText}`}>This quiz has not been assigned yet.</p>;
+  }
+
+  const distribution = stats.scoreDistribution || [];
+  const maxBucket = Math.max(1, ...distribution.map(b => b.count));
+
+  // Running total of completions per day
+  const completions = (stats.completionsByDate || []).reduce((points, day) => {
+    const total = (points.length > 0 ? points[points.length - 1].total : 0) + day.count;
+    return [...points, { date: day.date, total }];
+  }, []);
+  const maxTotal = completions.length > 0 ? completions[completions.length - 1].total : 0;
+  const linePoints = completions.map((point, i) => {
+    const x = completions.length > 1 ? (i / (completions.length - 1)) * CHART_WIDTH : CHART_WIDTH / 2;
+    const y = CHART_HEIGHT - (point.total / maxTotal) * CHART_HEIGHT;
+    return `${x},${y}`;
+  });
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-3">
+        {STATUS_TILES.map(tile => (
+          <div key={tile.key} className={tileClass}>
+            <p className={`text-xs ${mutedText}`}>{tile.label}</p>
+            <p className={`text-2xl font-bold ${tile.color}`}>{stats[tile.key]}</p>
+          </div>
+        ))}
+        <div className={tileClass}>
+          <p className={`text-xs ${mutedText}`}>Average Score</p>
+          <p className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+            {stats.averageScore !== null && stats.averageScore !== undefined ? `${Number(stats.averageScore).toFixed(1)}%` : '—'}
+          </p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {/* Score distribution */}
+        <div>
+          <h4 className={`text-sm font-semibold mb-2 ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>Score Distribution</h4>
+          <div className="flex items-end gap-1 h-28">
+            {distribution.map(bucket => (
+              <div key={bucket.minScore} className="flex-1 flex flex-col items-center justify-end h-full">
+                {bucket.count > 0 && <span className={`text-xs ${mutedText}`}>{bucket.count}</span>}
+                <div
+                  className="w-full rounded-t bg-indigo-500"
+                  style={{ height: `${(bucket.count / maxBucket) * 100}%` }}
+                  title={`${bucket.minScore}–${bucket.maxScore}%: ${bucket.count}`}
+                />
+              </div>
+            ))}
+          </div>
+          <div className={`flex gap-1 mt-1 text-[10px] ${mutedText}`}>
+            {distribution.map(bucket => (
+              <span key={bucket.minScore} className="flex-1 text-center">{bucket.minScore}</span>
+            ))}
+          </div>
+        </div>
+
+        {/* Completion over time */}
+        <div>
+          <h4 className={`text-sm font-semibold mb-2 ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>Completions Over Time</h4>
+          {completions.length === 0 ? (
+            <p className={`text-sm ${mutedText}`}>No completions yet.</p>
+          ) : (
+            <>
+              <svg
+                viewBox={`-4 -4 ${CHART_WIDTH + 8} ${CHART_HEIGHT + 8}`}
+                className="w-full h-28"
+                preserveAspectRatio="none"
+                role="img"
+                aria-label={`${maxTotal} completions by ${formatDay(completions[completions.length - 1].date)}`}
+              >
+                <polyline
+                  points={linePoints.join(' ')}
+                  fill="none"
+                  stroke="#10b981"
+                  strokeWidth="2"
+                  vectorEffect="non-scaling-stroke"
+                />
+              </svg>
+              <div className={`flex justify-between mt-1 text-xs ${mutedText}`}>
+                <span>{formatDay(completions[0].date)}</span>
+                <span>{maxTotal} completed</span>
+                <span>{formatDay(completions[completions.length - 1].date)}</span>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AssignmentStatsPanel;
@@ -0,0 +1,183 @@
+import { ItemMedia } from './QuestionMedia';
+import { getOptionImage } from '../utils/questionMedia';
+import { shortAnswerKey } from '../utils/questionContent';
+
+/**
+ * CorrectAnswer component showing the expected answer for a question
+ * Used when reviewing attempts and for practice mode feedback
+ */
+const CorrectAnswer = ({ question, isDark }) => {
+  switch (question.questionType) {
+    case 'multiple_choice_single': {
+      const correctAnswerId = question.content.correct_answer || question.content.correctAnswer;
+      const correctOption = question.content.options.find(opt => opt.id === correctAnswerId);
+      return (
+        <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
+          <p className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
+            {correctOption?.text || 'Unknown'}
+          </p>
+          {correctOption && <ItemMedia image={getOptionImage(question, correctOption)} isDark={isDark} />}
+        </div>
+      );
+    }
+
+    case 'multiple_choice_multi': {
+      const correctAnswerIds = question.content.correct_answers || question.content.correctAnswers || [];
+      const correctOptions = question.content.options.filter(opt => correctAnswerIds.includes(opt.id));
+      return (
+        <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
+          <ul className="list-disc list-inside space-y-1">
+            {correctOptions.map(opt => (
+              <li key={opt.id} className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
+                {opt.text}
+                <ItemMedia image={getOptionImage(question, opt)} isDark={isDark} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      );
+    }
+
+    case 'fill_in_blank': {
+      const fillInBlanks = question.content.blanks || [];
+      return (
+        <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
+          <div className="space-y-2">
+            {fillInBlanks.map((blank, idx) => {
+              // Handle both accepted_answers and acceptedAnswers (snake_case and camelCase)
+              const acceptedAnswers = blank.accepted_answers || blank.acceptedAnswers || [];
+              return (
+                <div key={idx}>
+                  <span className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
+                    Blank {blank.position !== undefined ? blank.position + 1 : idx + 1}:
+                  </span>
+                  <span className={`ml-2 ${isDark ? 'text-green-300' : 'text-green-800'}`}>
+                    {acceptedAnswers.length > 0 ? acceptedAnswers.join(' or ') : 'No answer specified'}
+                  </span>
+                  {blank.hint && (
+                    <span className={`ml-2 text-sm italic ${isDark ? 'text-green-600' : 'text-green-600'}`}>
+                      (hint: {blank.hint})
+                    </span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      );
+    }
+
+    case 'fill_in_blank_drag_drop': {
+      // Handle nested content structure for drag_drop questions
+      const nestedContent = question.content.content || question.content;
+      const dragDropBlanks = nestedContent.blanks || [];
+      const wordBank = nestedContent.wordBank || nestedContent.word_bank || [];
+      
+      return (
+        <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
+          <div className="space-y-2">
+            {dragDropBlanks.map((blank, idx) => {
+              // Get correct answer from accepted_answers array or correctAnswer field
+              const correctAnswerIds = blank.accepted_answers || blank.acceptedAnswers || [];
+              const correctAnswerId = blank.correctAnswer || correctAnswerIds[0];
+              
+              // Find the word from word bank by matching value or id
+              const correctWord = wordBank.find(word => 
+                word.id === correctAnswerId || 
+                word.value === correctAnswerId ||
+                word.label === correctAnswerId
+              );
+              
+              return (
+                <div key={idx}>
+                  <span className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
+                    Blank {blank.position + 1}:
+                  </span>
+                  <span className={`ml-2 px-3 py-1 rounded ${isDark ? 'bg-green-900/40 text-green-300' : 'bg-green-100 text-green-800'}`}>
+                    {correctWord?.label || correctWord?.text || correctAnswerId || 'No answer specified'}
+                  </span>
+                  {blank.hint && (
+                    <span className={`ml-2 text-sm italic ${isDark ? 'text-green-600' : 'text-green-600'}`}>
+                      (hint: {blank.hint})
+                    </span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      );
+    }
+
+    case 'matching': {
+      const leftItems = question.content.leftItems || question.content.left_items || [];
+      const rightItems = question.content.rightItems || question.content.right_items || [];
+      const correctPairs = question.content.correctPairs || question.content.correct_pairs || [];
+      
+      return (
+        <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
+          <div className="space-y-2">
+            {correctPairs.map((pair, idx) => {
+              const left = leftItems.find(l => l.id === pair.left);
+              const right = rightItems.find(r => r.id === pair.right);
+              return (
+                <div key={idx} className="flex items-center gap-2">
+                  <span className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
+                    {left?.text || 'Unknown'}
+                  </span>
+                  <span className={isDark ? 'text-green-400' : 'text-green-600'}>→</span>
+                  <span className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
+                    {right?.text || 'Unknown'}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      );
+    }
+
+    case 'ordering': {
+      const orderItems = question.content.items || [];
+      const correctOrder = question.content.correctOrder || question.content.correct_order || [];
+      
+      return (
+        <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
+          <ol className="list-decimal list-inside space-y-1">
+            {correctOrder.map((itemId, idx) => {
+              const item = orderItems.find(i => i.id === itemId);
+              return (
+                <li key={idx} className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
+                  {item?.text || 'Unknown'}
+                </li>
+              );
+            })}
+          </ol>
+        </div>
+      );
+    }
+
+    case 'short_answer': {
+      const shortAccepted = shortAnswerKey(question.content);
+      const rubric = question.content.rubric_description || question.content.rubricDescription;
+      return (
+        <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
+          {shortAccepted.length > 0 ? (
+            <p className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
+              {shortAccepted.join(' or ')}
+            </p>
+          ) : (
+            <p className={`${isDark ? 'text-green-300' : 'text-green-800'}`}>
+              {rubric || 'This answer is graded by your tutor.'}
+            </p>
+          )}
+        </div>
+      );
+    }
+
+    default:
+      return null;
+  }
+};
+
+export default CorrectAnswer;
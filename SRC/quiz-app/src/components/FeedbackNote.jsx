@@ -0,0 +1,23 @@
+import { MessageSquare } from 'lucide-react';
+
+/**
+ * FeedbackNote component - a tutor's written comment on a response or an attempt
+ * Renders nothing when there is no comment.
+ */
+const FeedbackNote = ({ comment, title = 'Feedback from your tutor', isDark, className = '' }) => {
+  if (!comment) return null;
+
+  return (
+    <div className={`p-4 rounded-xl border-l-4 ${
+      isDark ? 'bg-indigo-900/20 border-indigo-500 text-indigo-100' : 'bg-indigo-50 border-indigo-500 text-indigo-900'
+    } ${className}`}>
+      <div className={`flex items-center gap-2 mb-1 text-sm font-semibold ${isDark ? 'text-indigo-300' : 'text-indigo-700'}`}>
+        <MessageSquare className="w-4 h-4" />
+        {title}
+      </div>
+      <p className="whitespace-pre-wrap">{comment}</p>
+    </div>
+  );
+};
+
+export default FeedbackNote;
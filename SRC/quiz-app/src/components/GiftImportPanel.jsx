@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import { ChevronDown, ChevronRight, FileText } from 'lucide-react';
+import ImportPreview from './ImportPreview';
+import { parseGift } from '../utils/giftFormat';
+
+/**
+ * GiftImportPanel component - converts a Moodle GIFT file into batch import questions
+ * Shows the converted questions and the lines that could not be converted before
+ * handing them to the batch tab with onApply(questions, { title }).
+ */
+const GiftImportPanel = ({ onApply, isDark }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [giftText, setGiftText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [result, setResult] = useState(null);
+
+  const mutedText = isDark ? 'text-gray-400' : 'text-gray-600';
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const text = await file.text();
+      setGiftText(text);
+      setFileName(file.name);
+      setResult(parseGift(text));
+    } catch (err) {
+      console.error('Error reading GIFT file:', err);
+      setResult({ questions: [], skipped: [{ line: 0, text: file.name, reason: 'The file could not be read' }], categories: [] });
+    }
+  };
+
+  const handleApply = () => {
+    const category = result.categories[0]?.split('/').pop();
+    const title = fileName.replace(/\.[^.]+$/, '') || category || 'Imported GIFT questions';
+    onApply(result.questions.map(entry => entry.question), { title });
+    setExpanded(false);
+  };
+
+  return (
+    <div className={`rounded-lg border ${isDark ? 'border-gray-600' : 'border-gray-200'}`}>
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        aria-expanded={expanded}
+        className={`w-full flex items-center gap-2 px-4 py-3 text-sm font-semibold ${isDark ? 'text-gray-200' : 'text-gray-800'}`}
+      >
+        {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+        <FileText className="w-4 h-4" />
+        Import from Moodle GIFT
+      </button>
+
+      {expanded && (
+        <div className="px-4 pb-4 space-y-4">
+          <p className={`text-sm ${mutedText}`}>
+            Upload or paste a GIFT file. Multiple choice, multiple answer, true/false, short answer, matching,
+            numeric and essay questions are converted; categories become question tags.
+          </p>
+          <input
+            type="file"
+            accept=".gift,.txt,text/plain"
+            onChange={handleFileChange}
+            className={`block text-sm ${mutedText}`}
+          />
+          <textarea
+            value={giftText}
+            onChange={(e) => setGiftText(e.target.value)}
+            rows={8}
+            placeholder={'$CATEGORY: Maths/Arithmetic\n\n::Q1:: What is 2 + 2? {=4 ~3 ~5}\n\nThe sun rises in the east. {T}'}
+            className={`w-full px-4 py-2 rounded-lg border font-mono text-sm ${
+              isDark ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' : 'bg-white border-gray-300 text-gray-900 placeholder-gray-400'
+            }`}
+          />
+          <button
+            type="button"
+            onClick={() => setResult(parseGift(giftText))}
+            disabled={!giftText.trim()}
+            className="px-4 py-2 rounded-lg text-sm font-medium bg-purple-600 hover:bg-purple-700 text-white transition-colors disabled:opacity-50"
+          >
+            Convert
+          </button>
+
+          {result && (
+            <ImportPreview
+              questions={result.questions.map(entry => ({ ...entry, key: entry.line, source: `line ${entry.line}` }))}
+              skipped={result.skipped.map(entry => ({
+                ...entry,
+                key: `${entry.line}:${entry.text}`,
+                source: entry.line > 0 ? `Line ${entry.line}` : ''
+              }))}
+              onApply={handleApply}
+              isDark={isDark}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GiftImportPanel;
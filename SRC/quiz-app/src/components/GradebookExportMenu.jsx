@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { Download, Loader2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { assignmentApi } from '../services/api';
+import { SCORE_MODES, buildGradebookRows } from '../utils/gradebook';
+import { downloadSpreadsheet } from '../utils/spreadsheet';
+
+/**
+ * GradebookExportMenu component - downloads the student x quiz gradebook as CSV or XLSX
+ * Exports every assignment matching the page's quiz/status filters, not just the visible page.
+ * Pass quizId/status as null for "all".
+ */
+const GradebookExportMenu = ({ quizId, status, isDark }) => {
+  const [open, setOpen] = useState(false);
+  const [scoreMode, setScoreMode] = useState('best');
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(true);
+      const entries = await assignmentApi.getGradebook(quizId, status);
+      if (!entries || entries.length === 0) {
+        toast.info('No assignments match the current filters');
+        return;
+      }
+
+      downloadSpreadsheet(buildGradebookRows(entries, scoreMode), {
+        format,
+        baseName: `gradebook_${scoreMode}_${new Date().toISOString().slice(0, 10)}`,
+        sheetName: 'Gradebook'
+      });
+      setOpen(false);
+    } catch (error) {
+      console.error('Error exporting gradebook:', error);
+      toast.error('Failed to export gradebook');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className={`px-4 py-2 rounded-lg flex items-center gap-2 border transition-colors ${
+          isDark
+            ? 'bg-gray-800 border-gray-700 text-gray-200 hover:bg-gray-700'
+            : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+        }`}
+      >
+        <Download className="w-4 h-4" />
+        Export Gradebook
+      </button>
+
+      {open && (
+        <div className={`absolute right-0 mt-2 w-64 p-4 rounded-lg shadow-lg border z-20 space-y-3 ${
+          isDark ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'
+        }`}>
+          <div>
+            <label className={`block text-sm font-medium mb-1 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+              Score per quiz
+            </label>
+            <select
+              value={scoreMode}
+              onChange={(e) => setScoreMode(e.target.value)}
+              className={`w-full px-3 py-2 border rounded-lg ${
+                isDark ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'
+              }`}
+            >
+              {SCORE_MODES.map(mode => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
+            </select>
+          </div>
+          <p className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+            Includes all assignments matching the current quiz and status filters.
+          </p>
+          <div className="flex gap-2">
+            {['csv', 'xlsx'].map(format => (
+              <button
+                key={format}
+                onClick={() => handleExport(format)}
+                disabled={exporting}
+                className="flex-1 bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-lg flex items-center justify-center gap-2 transition-colors disabled:opacity-50"
+              >
+                {exporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+                {format.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GradebookExportMenu;
@@ -0,0 +1,36 @@
+import { Lightbulb } from 'lucide-react';
+import { getBlankHints, getHintPenalty } from '../utils/blankHints';
+
+/**
+ * HintsUsedNote component listing the blank hints a student revealed
+ * Used when reviewing attempts; renders nothing when no hints were used
+ */
+const HintsUsedNote = ({ question, hintsUsed, isDark }) => {
+  if (!hintsUsed || hintsUsed.length === 0) return null;
+
+  const hintsByIndex = Object.fromEntries(getBlankHints(question).map(({ index, hint }) => [index, hint]));
+  const penalty = getHintPenalty(question);
+  const deducted = penalty * new Set(hintsUsed).size;
+
+  return (
+    <div className={`mt-2 flex items-start gap-2 p-3 rounded-xl text-sm ${
+      isDark ? 'bg-amber-900/20 text-amber-300' : 'bg-amber-50 text-amber-800'
+    }`}>
+      <Lightbulb className="w-4 h-4 mt-0.5 flex-shrink-0" />
+      <div>
+        <span className="font-medium">
+          Hints used ({hintsUsed.length}){deducted > 0 ? ` - ${deducted} point${deducted !== 1 ? 's' : ''} deducted` : ''}:
+        </span>
+        <ul className="mt-1 space-y-0.5">
+          {hintsUsed.map(index => (
+            <li key={index}>
+              Blank {index + 1}{hintsByIndex[index] ? `: ${hintsByIndex[index]}` : ''}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default HintsUsedNote;
@@ -0,0 +1,74 @@
+import { AlertTriangle, Upload } from 'lucide-react';
+import CorrectAnswer from './CorrectAnswer';
+import { QUESTION_TYPES } from '../utils/questionContent';
+
+const typeLabel = (questionType) => QUESTION_TYPES.find(type => type.value === questionType)?.label || questionType;
+
+/**
+ * ImportPreview component - lists converted questions and what could not be converted
+ * Shared by the GIFT and QTI import panels.
+ * questions: { key, title, source, warnings, question } - source says where in the file it came from
+ * skipped: { key, source, reason, text }
+ */
+const ImportPreview = ({ questions, skipped, onApply, isDark }) => {
+  const mutedText = isDark ? 'text-gray-400' : 'text-gray-600';
+
+  return (
+    <div className="space-y-4">
+      <p className={`text-sm font-medium ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
+        {questions.length} question{questions.length === 1 ? '' : 's'} converted
+        {skipped.length > 0 && `, ${skipped.length} could not be converted`}
+      </p>
+
+      {skipped.length > 0 && (
+        <div className={`p-3 rounded-lg border space-y-2 ${isDark ? 'bg-red-900/20 border-red-800' : 'bg-red-50 border-red-200'}`}>
+          {skipped.map(entry => (
+            <div key={entry.key}>
+              <p className={`text-sm font-medium ${isDark ? 'text-red-300' : 'text-red-800'}`}>
+                {entry.source ? `${entry.source}: ` : ''}{entry.reason}
+              </p>
+              {entry.text && <pre className={`text-xs whitespace-pre-wrap ${mutedText}`}>{entry.text}</pre>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {questions.length > 0 && (
+        <>
+          <ol className="space-y-3">
+            {questions.map((entry, index) => (
+              <li key={entry.key} className={`p-3 rounded-lg border ${isDark ? 'bg-gray-700/40 border-gray-600' : 'bg-gray-50 border-gray-200'}`}>
+                <div className="flex flex-wrap items-center gap-2 mb-1">
+                  <span className={`text-sm font-bold ${isDark ? 'text-blue-400' : 'text-blue-600'}`}>{index + 1}.</span>
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${isDark ? 'bg-purple-900/40 text-purple-300' : 'bg-purple-100 text-purple-700'}`}>
+                    {typeLabel(entry.question.questionType)}
+                  </span>
+                  {entry.title && <span className={`text-xs ${mutedText}`}>{entry.title}</span>}
+                  <span className={`text-xs ${mutedText}`}>{entry.source}</span>
+                </div>
+                <p className={`text-sm mb-2 whitespace-pre-wrap ${isDark ? 'text-white' : 'text-gray-900'}`}>{entry.question.questionText}</p>
+                <CorrectAnswer question={entry.question} isDark={isDark} />
+                {entry.warnings.map(warning => (
+                  <p key={warning} className={`mt-1 text-xs flex items-center gap-1 ${isDark ? 'text-amber-400' : 'text-amber-700'}`}>
+                    <AlertTriangle className="w-3 h-3 flex-shrink-0" />
+                    {warning}
+                  </p>
+                ))}
+              </li>
+            ))}
+          </ol>
+          <button
+            type="button"
+            onClick={onApply}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium bg-blue-600 hover:bg-blue-700 text-white transition-colors"
+          >
+            <Upload className="w-4 h-4" />
+            Use {questions.length} question{questions.length === 1 ? '' : 's'}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ImportPreview;
@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import { AlertTriangle, Loader2, Package } from 'lucide-react';
+import { quizApi } from '../services/api';
+import { QTI_VERSIONS, buildQtiPackage } from '../utils/qtiFormat';
+import { downloadBlob } from '../utils/spreadsheet';
+
+/**
+ * QtiExportMenu component - downloads a quiz as an IMS QTI 2.1 or 3.0 package
+ * Questions that can't be represented (or lose settings on the way) are listed after the download.
+ */
+const QtiExportMenu = ({ quizId, isDark }) => {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+  const [warnings, setWarnings] = useState([]);
+
+  const handleExport = async (version) => {
+    try {
+      setExporting(true);
+      setError('');
+      setWarnings([]);
+      const [quiz, questionsResponse] = await Promise.all([
+        quizApi.getQuizById(quizId),
+        quizApi.getQuizQuestions(quizId),
+      ]);
+      const result = buildQtiPackage(quiz, questionsResponse.questions || [], version);
+      if (result.exported === 0) {
+        setError('None of the questions could be exported');
+        setWarnings(result.warnings);
+        return;
+      }
+
+      const baseName = (quiz.title || 'quiz').replace(/[^\w-]+/g, '_');
+      downloadBlob(result.blob, `${baseName}_qti${version.replace('.', '')}.zip`);
+      setWarnings(result.warnings);
+      if (result.warnings.length === 0) setOpen(false);
+    } catch (err) {
+      console.error('Error exporting QTI package:', err);
+      setError('Failed to export the quiz');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className={`
+          flex items-center gap-2 px-4 py-3 mr-3 rounded-lg transition-colors
+          ${isDark ? 'bg-gray-800 text-gray-200 hover:bg-gray-700' : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'}
+        `}
+        title="Download the quiz as an IMS QTI package for other assessment platforms"
+      >
+        <Package className="w-5 h-5" />
+        <span className="font-semibold">Export QTI</span>
+      </button>
+
+      {open && (
+        <div className={`absolute right-3 mt-2 w-80 p-4 rounded-lg shadow-lg border z-20 space-y-3 ${
+          isDark ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'
+        }`}>
+          <p className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+            Includes every question with its points, feedback and media links. Media files stay at their current URLs.
+          </p>
+          <div className="flex gap-2">
+            {QTI_VERSIONS.map(version => (
+              <button
+                key={version.value}
+                onClick={() => handleExport(version.value)}
+                disabled={exporting}
+                className="flex-1 bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-lg flex items-center justify-center gap-2 transition-colors disabled:opacity-50"
+              >
+                {exporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Package className="w-4 h-4" />}
+                {version.label}
+              </button>
+            ))}
+          </div>
+
+          {error && (
+            <p className={`text-sm ${isDark ? 'text-red-300' : 'text-red-700'}`}>{error}</p>
+          )}
+
+          {warnings.length > 0 && (
+            <div className={`p-3 rounded-lg border max-h-60 overflow-y-auto ${isDark ? 'bg-amber-900/20 border-amber-800' : 'bg-amber-50 border-amber-200'}`}>
+              <p className={`text-sm font-medium mb-1 ${isDark ? 'text-amber-300' : 'text-amber-800'}`}>
+                {error ? 'Problems found' : 'Downloaded with changes'}
+              </p>
+              <ul className="space-y-1">
+                {warnings.map(warning => (
+                  <li key={warning} className={`text-xs flex items-start gap-1 ${isDark ? 'text-amber-400' : 'text-amber-700'}`}>
+                    <AlertTriangle className="w-3 h-3 flex-shrink-0 mt-0.5" />
+                    {warning}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QtiExportMenu;
@@ -0,0 +1,95 @@
+import { useState } from 'react';
+import { ChevronDown, ChevronRight, Loader2, Package } from 'lucide-react';
+import ImportPreview from './ImportPreview';
+import { parseQtiPackage } from '../utils/qtiFormat';
+
+/**
+ * QtiImportPanel component - converts an IMS QTI 2.1 / 3.0 package into batch import questions
+ * Shows the converted items and the ones that could not be converted before handing them
+ * to the batch tab with onApply(questions, quiz), where quiz holds the package's test settings.
+ */
+const QtiImportPanel = ({ onApply, isDark }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [fileName, setFileName] = useState('');
+  const [reading, setReading] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+
+  const mutedText = isDark ? 'text-gray-400' : 'text-gray-600';
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    setError('');
+    setResult(null);
+    try {
+      setReading(true);
+      setResult(await parseQtiPackage(file));
+    } catch (err) {
+      console.error('Error reading QTI package:', err);
+      setError(`The package could not be read: ${err.message}`);
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const handleApply = () => {
+    const title = result.quiz.title || fileName.replace(/\.[^.]+$/, '') || 'Imported QTI questions';
+    onApply(result.questions.map(entry => entry.question), { ...result.quiz, title });
+    setExpanded(false);
+  };
+
+  return (
+    <div className={`rounded-lg border ${isDark ? 'border-gray-600' : 'border-gray-200'}`}>
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        aria-expanded={expanded}
+        className={`w-full flex items-center gap-2 px-4 py-3 text-sm font-semibold ${isDark ? 'text-gray-200' : 'text-gray-800'}`}
+      >
+        {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+        <Package className="w-4 h-4" />
+        Import from IMS QTI
+      </button>
+
+      {expanded && (
+        <div className="px-4 pb-4 space-y-4">
+          <p className={`text-sm ${mutedText}`}>
+            Upload a QTI 2.1 or 3.0 package (.zip) or a single item (.xml). Choice, order, match, text entry,
+            gap match and extended text interactions are converted; scoring, feedback and media links are kept.
+          </p>
+          <input
+            type="file"
+            accept=".zip,.xml,application/zip,application/xml,text/xml"
+            onChange={handleFileChange}
+            disabled={reading}
+            className={`block text-sm ${mutedText}`}
+          />
+
+          {reading && (
+            <p className={`text-sm flex items-center gap-2 ${mutedText}`}>
+              <Loader2 className="w-4 h-4 animate-spin" />
+              Reading {fileName}...
+            </p>
+          )}
+
+          {error && (
+            <p className={`text-sm ${isDark ? 'text-red-300' : 'text-red-700'}`}>{error}</p>
+          )}
+
+          {result && (
+            <ImportPreview
+              questions={result.questions.map(entry => ({ ...entry, key: entry.file, source: entry.file }))}
+              skipped={result.skipped.map(entry => ({ ...entry, key: entry.file, source: entry.file, text: entry.title }))}
+              onApply={handleApply}
+              isDark={isDark}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QtiImportPanel;
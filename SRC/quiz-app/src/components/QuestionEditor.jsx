@@ -0,0 +1,1098 @@
+import { useId, useState } from 'react';
+import { AlertCircle, ArrowDown, ArrowUp, Eye, Plus, Shuffle, Trash2, X } from 'lucide-react';
+import QuestionMediaEditor from './QuestionMediaEditor';
+import RubricEditor from './RubricEditor';
+import QuestionMedia from './QuestionMedia';
+import QuestionRenderer from './QuestionTypes/QuestionRenderer';
+import { QuestionText } from './CodeBlock';
+import { RUBRIC_QUESTION_TYPES } from '../utils/rubric';
+import { getQuestionMedia } from '../utils/questionMedia';
+import { createShuffleSeed, shuffleQuestionContent } from '../utils/seededShuffle';
+import {
+  BLANK_PLACEHOLDER,
+  MATCHING_STRATEGIES,
+  ORDERING_STRATEGIES,
+  PROGRAM_LANGUAGES,
+  QUESTION_TYPES,
+  countBlanks,
+  nextId,
+  switchContentType
+} from '../utils/questionContent';
+
+const BLANK_QUESTION_TYPES = ['fill_in_blank', 'fill_in_blank_drag_drop'];
+
+/**
+ * QuestionEditor component - structured editor for every question type with a live preview
+ * Controlled: `question` holds questionType, questionText, difficulty, points, estimatedSeconds,
+ * subject and content normalised with normalizeQuestionContent(); onChange gets the updated question.
+ * The preview renders the player's own QuestionRenderer, so authors see what students will see.
+ * @param {Object} errors - validateQuestion() result, shown next to the matching fields
+ */
+const QuestionEditor = ({ question, onChange, errors = {}, isDark }) => {
+  const content = question.content || {};
+  const styles = getStyles(isDark);
+
+  const setField = (field, value) => onChange({ ...question, [field]: value });
+  const setContent = (changes) => onChange({ ...question, content: { ...content, ...changes } });
+
+  const handleTypeChange = (questionType) => {
+    onChange({ ...question, questionType, content: switchContentType(content, questionType) });
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="space-y-5 min-w-0">
+        <div>
+          <label className={styles.label}>Question Type</label>
+          <select
+            value={question.questionType}
+            onChange={(e) => handleTypeChange(e.target.value)}
+            className={styles.input}
+          >
+            {QUESTION_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+          <p className={styles.help}>Changing the type resets the answer settings below; media and rubric are kept.</p>
+        </div>
+
+        <div>
+          <label className={styles.label}>
+            Question Text <span className="text-red-500">*</span>
+          </label>
+          <textarea
+            value={question.questionText || ''}
+            onChange={(e) => setField('questionText', e.target.value)}
+            rows={4}
+            placeholder="Enter the question. Use ``` fences for code."
+            className={`${styles.input} font-mono text-sm`}
+          />
+          <FieldError message={errors.questionText} />
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div>
+            <label className={styles.label}>Difficulty</label>
+            <select
+              value={question.difficulty || 'medium'}
+              onChange={(e) => setField('difficulty', e.target.value)}
+              className={styles.input}
+            >
+              <option value="easy">Easy</option>
+              <option value="medium">Medium</option>
+              <option value="hard">Hard</option>
+            </select>
+          </div>
+          <div>
+            <label className={styles.label}>Points</label>
+            <input
+              type="number"
+              value={question.points ?? ''}
+              onChange={(e) => setField('points', parseFloat(e.target.value) || 0)}
+              min="0"
+              step="0.5"
+              className={styles.input}
+            />
+            <FieldError message={errors.points} />
+          </div>
+          <div>
+            <label className={styles.label}>Time (seconds)</label>
+            <input
+              type="number"
+              value={question.estimatedSeconds ?? ''}
+              onChange={(e) => setField('estimatedSeconds', parseInt(e.target.value) || 0)}
+              min="1"
+              className={styles.input}
+            />
+          </div>
+          <div>
+            <label className={styles.label}>Subject</label>
+            <input
+              type="text"
+              value={question.subject || ''}
+              onChange={(e) => setField('subject', e.target.value)}
+              placeholder="e.g., Python"
+              className={styles.input}
+            />
+          </div>
+        </div>
+
+        <div className={`p-4 rounded-lg border space-y-4 ${isDark ? 'border-gray-600' : 'border-gray-200'}`}>
+          <TypeContentEditor
+            questionType={question.questionType}
+            content={content}
+            setContent={setContent}
+            errors={errors}
+            styles={styles}
+            isDark={isDark}
+          />
+        </div>
+
+        {BLANK_QUESTION_TYPES.includes(question.questionType) && (
+          <div>
+            <label className={styles.label}>Hint Penalty (points per hint)</label>
+            <input
+              type="number"
+              value={content.hint_penalty ?? ''}
+              onChange={(e) => setContent({ hint_penalty: parseFloat(e.target.value) || 0 })}
+              min="0"
+              step="0.5"
+              placeholder="0"
+              className={`${styles.input} md:w-48`}
+            />
+            <p className={styles.help}>Each hint a student reveals deducts this many points.</p>
+          </div>
+        )}
+
+        {RUBRIC_QUESTION_TYPES.includes(question.questionType) && (
+          <RubricEditor
+            rubric={content.rubric}
+            questionPoints={question.points}
+            onChange={(rubric) => setContent({ rubric })}
+            isDark={isDark}
+          />
+        )}
+
+        <QuestionMediaEditor
+          media={content.media}
+          onChange={(media) => setContent({ media })}
+          isDark={isDark}
+        />
+      </div>
+
+      <div className="min-w-0">
+        <div className="lg:sticky lg:top-4">
+          <QuestionPreview question={question} isDark={isDark} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const getStyles = (isDark) => ({
+  label: `block text-sm font-medium mb-2 ${isDark ? 'text-gray-200' : 'text-gray-700'}`,
+  smallLabel: `block text-xs font-medium mb-1 ${isDark ? 'text-gray-400' : 'text-gray-600'}`,
+  input: `w-full px-3 py-2 rounded-lg border ${
+    isDark ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'
+  }`,
+  help: `text-xs mt-1 ${isDark ? 'text-gray-400' : 'text-gray-500'}`,
+  iconButton: `p-1.5 rounded-lg transition-colors disabled:opacity-30 ${isDark ? 'text-gray-400 hover:bg-gray-700' : 'text-gray-500 hover:bg-gray-100'}`,
+  addButton: `flex items-center gap-1 text-sm font-medium ${isDark ? 'text-blue-400 hover:text-blue-300' : 'text-blue-600 hover:text-blue-700'}`,
+  row: `p-3 rounded-lg border ${isDark ? 'bg-gray-700/40 border-gray-600' : 'bg-gray-50 border-gray-200'}`
+});
+
+// Follows entries through a list edit: renamed ids map to the new id, removed ids to undefined
+const trackIds = (previous, updated) => {
+  const ids = updated.map(entry => entry.id);
+  const renamed = updated.length === previous.length && previous.some(entry => !ids.includes(entry.id))
+    ? Object.fromEntries(previous.map((entry, i) => [entry.id, updated[i].id]))
+    : {};
+  return (id) => {
+    const mapped = renamed[id] ?? id;
+    return ids.includes(mapped) ? mapped : undefined;
+  };
+};
+
+const FieldError = ({ message }) => (message ? (
+  <p className="mt-1 text-sm text-red-500 flex items-center gap-1">
+    <AlertCircle className="w-4 h-4 flex-shrink-0" />
+    {message}
+  </p>
+) : null);
+
+// Answer settings for the selected question type
+const TypeContentEditor = ({ questionType, content, setContent, errors, styles, isDark }) => {
+  const shared = { content, setContent, errors, styles, isDark };
+
+  switch (questionType) {
+    case 'multiple_choice_single':
+    case 'multiple_choice_multi':
+      return <ChoiceEditor {...shared} multi={questionType === 'multiple_choice_multi'} />;
+    case 'fill_in_blank':
+      return <BlankEditor {...shared} />;
+    case 'fill_in_blank_drag_drop':
+      return <DragDropEditor {...shared} />;
+    case 'ordering':
+      return <OrderingEditor {...shared} />;
+    case 'matching':
+      return <MatchingEditor {...shared} />;
+    case 'program_submission':
+      return <ProgramEditor {...shared} />;
+    case 'short_answer':
+      return <ShortAnswerEditor {...shared} />;
+    default:
+      return null;
+  }
+};
+
+// Rows of { id, text } with optional reordering; `renderControl` adds a per-row control such as "correct"
+const EntryListEditor = ({ label, entries, onChange, prefix, noun, reorderable = false, renderControl, styles }) => {
+  const updateEntry = (index, changes) => onChange(entries.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+
+  const moveEntry = (index, direction) => {
+    const moved = [...entries];
+    [moved[index], moved[index + direction]] = [moved[index + direction], moved[index]];
+    onChange(moved);
+  };
+
+  return (
+    <div>
+      <label className={styles.label}>{label}</label>
+      <div className="space-y-2">
+        {entries.map((entry, index) => (
+          <div key={index} className="flex items-center gap-2">
+            {renderControl && renderControl(entry)}
+            <input
+              type="text"
+              value={entry.id}
+              onChange={(e) => updateEntry(index, { id: e.target.value })}
+              aria-label={`${noun} ${index + 1} id`}
+              title="Id (stored with answers)"
+              className={`${styles.input} w-20 flex-shrink-0 font-mono text-xs`}
+            />
+            <input
+              type="text"
+              value={entry.text}
+              onChange={(e) => updateEntry(index, { text: e.target.value })}
+              aria-label={`${noun} ${index + 1} text`}
+              placeholder={`${noun.charAt(0).toUpperCase()}${noun.slice(1)} ${index + 1}`}
+              className={`${styles.input} flex-1 min-w-0`}
+            />
+            {reorderable && (
+              <>
+                <button type="button" onClick={() => moveEntry(index, -1)} disabled={index === 0} className={styles.iconButton} aria-label="Move up">
+                  <ArrowUp className="w-4 h-4" />
+                </button>
+                <button type="button" onClick={() => moveEntry(index, 1)} disabled={index === entries.length - 1} className={styles.iconButton} aria-label="Move down">
+                  <ArrowDown className="w-4 h-4" />
+                </button>
+              </>
+            )}
+            <button type="button" onClick={() => onChange(entries.filter((_, i) => i !== index))} className={styles.iconButton} aria-label={`Remove ${noun}`}>
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+      </div>
+      <button type="button" onClick={() => onChange([...entries, { id: nextId(entries, prefix), text: '' }])} className={`${styles.addButton} mt-2`}>
+        <Plus className="w-4 h-4" />
+        Add {noun}
+      </button>
+    </div>
+  );
+};
+
+// Free-text values entered one at a time (Enter or comma adds), shown as removable chips
+const ListInput = ({ values, onChange, placeholder, styles, isDark }) => {
+  const [draft, setDraft] = useState('');
+
+  const addDraft = () => {
+    const value = draft.trim();
+    if (value && !values.includes(value)) onChange([...values, value]);
+    setDraft('');
+  };
+
+  return (
+    <div>
+      {values.length > 0 && (
+        <div className="flex flex-wrap gap-1.5 mb-2">
+          {values.map(value => (
+            <span
+              key={value}
+              className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-sm ${isDark ? 'bg-green-900/40 text-green-300' : 'bg-green-100 text-green-800'}`}
+            >
+              <span className="whitespace-pre">{value}</span>
+              <button type="button" onClick={() => onChange(values.filter(v => v !== value))} aria-label={`Remove ${value}`}>
+                <X className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <input
+        type="text"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addDraft();
+          }
+        }}
+        onBlur={addDraft}
+        placeholder={placeholder}
+        className={styles.input}
+      />
+    </div>
+  );
+};
+
+const ChoiceEditor = ({ content, setContent, multi, errors, styles, isDark }) => {
+  const radioName = useId();
+  const options = content.options || [];
+  const correctAnswers = content.correct_answers || [];
+
+  const isCorrect = (option) => (multi ? correctAnswers.includes(option.id) : content.correct_answer === option.id);
+
+  const toggleCorrect = (option) => {
+    if (!multi) {
+      setContent({ correct_answer: option.id });
+    } else if (correctAnswers.includes(option.id)) {
+      setContent({ correct_answers: correctAnswers.filter(id => id !== option.id) });
+    } else {
+      setContent({ correct_answers: [...correctAnswers, option.id] });
+    }
+  };
+
+  // Keep the answer key pointing at the same options when ids are edited or options removed
+  const handleOptionsChange = (updated) => {
+    const track = trackIds(options, updated);
+    if (multi) {
+      setContent({ options: updated, correct_answers: correctAnswers.map(track).filter(Boolean) });
+    } else {
+      setContent({ options: updated, correct_answer: track(content.correct_answer) ?? '' });
+    }
+  };
+
+  return (
+    <>
+      <EntryListEditor
+        label={multi ? 'Options (tick every correct option)' : 'Options (select the correct option)'}
+        entries={options}
+        onChange={handleOptionsChange}
+        prefix="opt"
+        noun="option"
+        reorderable
+        styles={styles}
+        renderControl={(option) => (
+          <input
+            type={multi ? 'checkbox' : 'radio'}
+            name={radioName}
+            checked={isCorrect(option)}
+            onChange={() => toggleCorrect(option)}
+            aria-label={`Mark ${option.text || option.id} correct`}
+            className="w-5 h-5 flex-shrink-0 accent-green-600"
+          />
+        )}
+      />
+      <FieldError message={errors.options || errors.correct} />
+      <label className={`flex items-center gap-2 text-sm ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+        <input
+          type="checkbox"
+          checked={content.shuffle_options === true}
+          onChange={(e) => setContent({ shuffle_options: e.target.checked })}
+        />
+        Shuffle options for each attempt
+      </label>
+    </>
+  );
+};
+
+// Template textarea shared by both blank types, with a button to add or drop blank rows to match it
+const TemplateField = ({ content, setContent, createBlank, errors, styles }) => {
+  const blanks = content.blanks || [];
+  const expected = countBlanks(content.template);
+
+  const matchTemplate = () => {
+    const resized = Array.from({ length: expected }, (_, i) => (blanks[i] ? { ...blanks[i], position: i + 1 } : createBlank(i + 1)));
+    setContent({ blanks: resized });
+  };
+
+  return (
+    <div>
+      <label className={styles.label}>Template</label>
+      <textarea
+        value={content.template || ''}
+        onChange={(e) => setContent({ template: e.target.value })}
+        rows={6}
+        placeholder={'The capital of France is ___.\n\nCode works too:\n```python\nfor i in ___(3):\n```'}
+        className={`${styles.input} font-mono text-sm`}
+      />
+      <div className="flex items-center justify-between gap-2">
+        <p className={styles.help}>
+          Write {BLANK_PLACEHOLDER} (three underscores) for each blank. {expected} blank{expected === 1 ? '' : 's'} found.
+        </p>
+        {expected !== blanks.length && expected > 0 && (
+          <button type="button" onClick={matchTemplate} className={`${styles.addButton} mt-1 flex-shrink-0`}>
+            Match blanks to template
+          </button>
+        )}
+      </div>
+      <FieldError message={errors.template} />
+    </div>
+  );
+};
+
+const BlankEditor = ({ content, setContent, errors, styles, isDark }) => {
+  const blanks = content.blanks || [];
+  const createBlank = (position) => ({ position, accepted_answers: [], case_sensitive: false });
+  const updateBlank = (index, changes) => setContent({ blanks: blanks.map((b, i) => (i === index ? { ...b, ...changes } : b)) });
+
+  return (
+    <>
+      <TemplateField content={content} setContent={setContent} createBlank={createBlank} errors={errors} styles={styles} />
+      <div className="space-y-3">
+        {blanks.map((blank, index) => (
+          <div key={index} className={styles.row}>
+            <div className="flex items-center justify-between mb-2">
+              <span className={`text-sm font-semibold ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>Blank {index + 1}</span>
+              <button
+                type="button"
+                onClick={() => setContent({ blanks: blanks.filter((_, i) => i !== index).map((b, i) => ({ ...b, position: i + 1 })) })}
+                className={styles.iconButton}
+                aria-label={`Remove blank ${index + 1}`}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+            <label className={styles.smallLabel}>Accepted answers</label>
+            <ListInput
+              values={blank.accepted_answers || []}
+              onChange={(accepted) => updateBlank(index, { accepted_answers: accepted })}
+              placeholder="Type an answer and press Enter"
+              styles={styles}
+              isDark={isDark}
+            />
+            <div className="mt-2 grid grid-cols-1 sm:grid-cols-[1fr_auto] gap-2 items-end">
+              <div>
+                <label className={styles.smallLabel}>Hint (optional)</label>
+                <input
+                  type="text"
+                  value={blank.hint || ''}
+                  onChange={(e) => updateBlank(index, { hint: e.target.value })}
+                  placeholder="Shown to students who ask for a hint"
+                  className={styles.input}
+                />
+              </div>
+              <label className={`flex items-center gap-2 text-sm pb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                <input
+                  type="checkbox"
+                  checked={blank.case_sensitive === true}
+                  onChange={(e) => updateBlank(index, { case_sensitive: e.target.checked })}
+                />
+                Case sensitive
+              </label>
+            </div>
+          </div>
+        ))}
+      </div>
+      <FieldError message={errors.blanks} />
+    </>
+  );
+};
+
+const DragDropEditor = ({ content, setContent, errors, styles, isDark }) => {
+  const blanks = content.blanks || [];
+  const words = content.word_bank || [];
+  const createBlank = (position) => ({ position, accepted_answers: [] });
+  const updateBlank = (index, changes) => setContent({ blanks: blanks.map((b, i) => (i === index ? { ...b, ...changes } : b)) });
+
+  // Accepted answers are word ids, so follow renames and drop removed words
+  const handleWordsChange = (updated) => {
+    const track = trackIds(words, updated);
+    setContent({
+      word_bank: updated,
+      blanks: blanks.map(blank => ({ ...blank, accepted_answers: (blank.accepted_answers || []).map(track).filter(Boolean) }))
+    });
+  };
+
+  const toggleWord = (index, wordId) => {
+    const accepted = blanks[index].accepted_answers || [];
+    updateBlank(index, {
+      accepted_answers: accepted.includes(wordId) ? accepted.filter(id => id !== wordId) : [...accepted, wordId]
+    });
+  };
+
+  return (
+    <>
+      <TemplateField content={content} setContent={setContent} createBlank={createBlank} errors={errors} styles={styles} />
+      <EntryListEditor
+        label="Word Bank"
+        entries={words}
+        onChange={handleWordsChange}
+        prefix="w"
+        noun="word"
+        styles={styles}
+      />
+      <FieldError message={errors.word_bank} />
+      <label className={`flex items-center gap-2 text-sm ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+        <input
+          type="checkbox"
+          checked={content.allow_reuse === true}
+          onChange={(e) => setContent({ allow_reuse: e.target.checked })}
+        />
+        A word can fill more than one blank
+      </label>
+      <div className="space-y-3">
+        {blanks.map((blank, index) => (
+          <div key={index} className={styles.row}>
+            <span className={`block text-sm font-semibold mb-2 ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
+              Blank {index + 1} — correct words
+            </span>
+            {words.length === 0 ? (
+              <p className={styles.help}>Add words to the word bank first.</p>
+            ) : (
+              <div className="flex flex-wrap gap-1.5">
+                {words.map(word => {
+                  const selected = (blank.accepted_answers || []).includes(word.id);
+                  return (
+                    <button
+                      key={word.id}
+                      type="button"
+                      onClick={() => toggleWord(index, word.id)}
+                      aria-pressed={selected}
+                      className={`px-2 py-0.5 rounded-full text-sm border transition-colors ${
+                        selected
+                          ? 'bg-green-600 border-green-600 text-white'
+                          : isDark ? 'border-gray-500 text-gray-300 hover:bg-gray-700' : 'border-gray-300 text-gray-700 hover:bg-gray-100'
+                      }`}
+                    >
+                      {word.text || word.id}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+            <label className={`${styles.smallLabel} mt-2`}>Hint (optional)</label>
+            <input
+              type="text"
+              value={blank.hint || ''}
+              onChange={(e) => updateBlank(index, { hint: e.target.value })}
+              placeholder="Shown to students who ask for a hint"
+              className={styles.input}
+            />
+          </div>
+        ))}
+      </div>
+      <FieldError message={errors.blanks} />
+    </>
+  );
+};
+
+const OrderingEditor = ({ content, setContent, errors, styles }) => (
+  <>
+    <EntryListEditor
+      label="Items in the correct order"
+      entries={content.items || []}
+      onChange={(items) => setContent({ items, correct_order: items.map(item => item.id) })}
+      prefix="item"
+      noun="item"
+      reorderable
+      styles={styles}
+    />
+    <p className={styles.help}>Students always see the items shuffled.</p>
+    <FieldError message={errors.items} />
+    <div>
+      <label className={styles.label}>Partial credit</label>
+      <select
+        value={content.partial_credit_strategy || 'adjacent_pairs'}
+        onChange={(e) => setContent({ partial_credit_strategy: e.target.value })}
+        className={styles.input}
+      >
+        {ORDERING_STRATEGIES.map(strategy => (
+          <option key={strategy.value} value={strategy.value}>{strategy.label}</option>
+        ))}
+      </select>
+    </div>
+  </>
+);
+
+const MatchingEditor = ({ content, setContent, errors, styles, isDark }) => {
+  const leftItems = content.left_items || [];
+  const rightItems = content.right_items || [];
+  const pairs = content.correct_pairs || [];
+
+  // Pairs are kept in left item order, which is how the grader compares them
+  const buildPairs = (lefts, rightFor) => lefts
+    .map(left => ({ left: left.id, right: rightFor(left) }))
+    .filter(pair => pair.right);
+
+  const currentRight = (leftId) => pairs.find(pair => pair.left === leftId)?.right;
+
+  const handleLeftChange = (updated) => {
+    const track = trackIds(leftItems, updated);
+    const tracked = pairs.map(pair => ({ ...pair, left: track(pair.left) }));
+    setContent({
+      left_items: updated,
+      correct_pairs: buildPairs(updated, (left) => tracked.find(pair => pair.left === left.id)?.right)
+    });
+  };
+
+  const handleRightChange = (updated) => {
+    const track = trackIds(rightItems, updated);
+    setContent({
+      right_items: updated,
+      correct_pairs: pairs.map(pair => ({ ...pair, right: track(pair.right) })).filter(pair => pair.right)
+    });
+  };
+
+  const setMatch = (leftId, rightId) => {
+    setContent({ correct_pairs: buildPairs(leftItems, (left) => (left.id === leftId ? rightId : currentRight(left.id))) });
+  };
+
+  return (
+    <>
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+        <EntryListEditor label="Left items" entries={leftItems} onChange={handleLeftChange} prefix="L" noun="left item" styles={styles} />
+        <EntryListEditor label="Right items" entries={rightItems} onChange={handleRightChange} prefix="R" noun="right item" styles={styles} />
+      </div>
+      <FieldError message={errors.items} />
+      <div>
+        <label className={styles.label}>Correct matches</label>
+        <div className="space-y-2">
+          {leftItems.map(left => (
+            <div key={left.id} className="flex items-center gap-2">
+              <span className={`flex-1 min-w-0 truncate text-sm ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>{left.text || left.id}</span>
+              <span className={isDark ? 'text-gray-500' : 'text-gray-400'}>→</span>
+              <select
+                value={currentRight(left.id) || ''}
+                onChange={(e) => setMatch(left.id, e.target.value)}
+                aria-label={`Match for ${left.text || left.id}`}
+                className={`${styles.input} flex-1 min-w-0`}
+              >
+                <option value="">Choose…</option>
+                {rightItems.map(right => (
+                  <option key={right.id} value={right.id}>{right.text || right.id}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+        <FieldError message={errors.pairs} />
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 items-end">
+        <div>
+          <label className={styles.label}>Partial credit</label>
+          <select
+            value={content.partial_credit_strategy || 'per_pair'}
+            onChange={(e) => setContent({ partial_credit_strategy: e.target.value })}
+            className={styles.input}
+          >
+            {MATCHING_STRATEGIES.map(strategy => (
+              <option key={strategy.value} value={strategy.value}>{strategy.label}</option>
+            ))}
+          </select>
+        </div>
+        <label className={`flex items-center gap-2 text-sm pb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+          <input
+            type="checkbox"
+            checked={content.shuffle_items !== false}
+            onChange={(e) => setContent({ shuffle_items: e.target.checked })}
+          />
+          Shuffle right items for each attempt
+        </label>
+      </div>
+    </>
+  );
+};
+
+const ProgramEditor = ({ content, setContent, errors, styles, isDark }) => {
+  const testCases = content.test_cases || [];
+  const updateTestCase = (index, changes) => setContent({ test_cases: testCases.map((t, i) => (i === index ? { ...t, ...changes } : t)) });
+
+  return (
+    <>
+      <div>
+        <label className={styles.label}>Prompt</label>
+        <textarea
+          value={content.prompt || ''}
+          onChange={(e) => setContent({ prompt: e.target.value })}
+          rows={3}
+          placeholder="Describe the program to write, including the input and output format"
+          className={styles.input}
+        />
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div>
+          <label className={styles.label}>Language</label>
+          <select value={content.language || 'python'} onChange={(e) => setContent({ language: e.target.value })} className={styles.input}>
+            {PROGRAM_LANGUAGES.map(language => (
+              <option key={language} value={language}>{language.charAt(0).toUpperCase() + language.slice(1)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={styles.label}>Time limit (ms)</label>
+          <input
+            type="number"
+            value={content.time_limit_ms ?? ''}
+            onChange={(e) => setContent({ time_limit_ms: parseInt(e.target.value) || 0 })}
+            min="1"
+            className={styles.input}
+          />
+        </div>
+        <div>
+          <label className={styles.label}>Memory limit (MB)</label>
+          <input
+            type="number"
+            value={content.memory_limit_mb ?? ''}
+            onChange={(e) => setContent({ memory_limit_mb: parseInt(e.target.value) || 0 })}
+            min="1"
+            className={styles.input}
+          />
+        </div>
+      </div>
+      <FieldError message={errors.limits} />
+      <div>
+        <label className={styles.label}>Starter code</label>
+        <textarea
+          value={content.starter_code || ''}
+          onChange={(e) => setContent({ starter_code: e.target.value })}
+          rows={6}
+          spellCheck={false}
+          className={`${styles.input} font-mono text-sm`}
+        />
+      </div>
+      <div>
+        <label className={styles.label}>Test cases</label>
+        <div className="space-y-3">
+          {testCases.map((testCase, index) => (
+            <div key={index} className={styles.row}>
+              <div className="flex items-center justify-between mb-2">
+                <span className={`text-sm font-semibold ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>Test {index + 1}</span>
+                <button
+                  type="button"
+                  onClick={() => setContent({ test_cases: testCases.filter((_, i) => i !== index) })}
+                  className={styles.iconButton}
+                  aria-label={`Remove test ${index + 1}`}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                <div>
+                  <label className={styles.smallLabel}>Input (stdin)</label>
+                  <textarea
+                    value={testCase.input}
+                    onChange={(e) => updateTestCase(index, { input: e.target.value })}
+                    rows={2}
+                    className={`${styles.input} font-mono text-sm`}
+                  />
+                </div>
+                <div>
+                  <label className={styles.smallLabel}>Expected output</label>
+                  <textarea
+                    value={testCase.expected}
+                    onChange={(e) => updateTestCase(index, { expected: e.target.value })}
+                    rows={2}
+                    className={`${styles.input} font-mono text-sm`}
+                  />
+                </div>
+              </div>
+              <div className="mt-2 grid grid-cols-1 sm:grid-cols-[1fr_6rem_auto] gap-2 items-end">
+                <div>
+                  <label className={styles.smallLabel}>Description</label>
+                  <input
+                    type="text"
+                    value={testCase.description || ''}
+                    onChange={(e) => updateTestCase(index, { description: e.target.value })}
+                    className={styles.input}
+                  />
+                </div>
+                <div>
+                  <label className={styles.smallLabel}>Weight</label>
+                  <input
+                    type="number"
+                    value={testCase.weight ?? 1}
+                    onChange={(e) => updateTestCase(index, { weight: parseFloat(e.target.value) || 0 })}
+                    min="0"
+                    step="0.5"
+                    className={styles.input}
+                  />
+                </div>
+                <label className={`flex items-center gap-2 text-sm pb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                  <input
+                    type="checkbox"
+                    checked={testCase.visible !== false}
+                    onChange={(e) => updateTestCase(index, { visible: e.target.checked })}
+                  />
+                  Visible to students
+                </label>
+              </div>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => setContent({ test_cases: [...testCases, { input: '', expected: '', weight: 1, visible: true, description: '' }] })}
+          className={`${styles.addButton} mt-2`}
+        >
+          <Plus className="w-4 h-4" />
+          Add test case
+        </button>
+        <FieldError message={errors.test_cases} />
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label className={styles.label}>Allowed imports</label>
+          <ListInput
+            values={content.allowed_imports || []}
+            onChange={(allowed) => setContent({ allowed_imports: allowed })}
+            placeholder="e.g., math"
+            styles={styles}
+            isDark={isDark}
+          />
+        </div>
+        <div>
+          <label className={styles.label}>Forbidden keywords</label>
+          <ListInput
+            values={content.forbidden_keywords || []}
+            onChange={(forbidden) => setContent({ forbidden_keywords: forbidden })}
+            placeholder="e.g., eval"
+            styles={styles}
+            isDark={isDark}
+          />
+        </div>
+      </div>
+    </>
+  );
+};
+
+const ShortAnswerEditor = ({ content, setContent, errors, styles, isDark }) => {
+  const keywords = content.keywords || [];
+  const updateKeyword = (index, changes) => setContent({ keywords: keywords.map((k, i) => (i === index ? { ...k, ...changes } : k)) });
+
+  const numericAnswers = content.numeric_answers || [];
+  const autoGraded = (content.accepted_answers || []).length > 0 || numericAnswers.length > 0;
+
+  // Empty lists are never saved (undefined is dropped from the JSON): without accepted or numeric answers a tutor grades the question
+  const setAccepted = (accepted) => setContent({ accepted_answers: accepted.length > 0 ? accepted : undefined });
+  const setNumeric = (numeric) => setContent({ numeric_answers: numeric.length > 0 ? numeric : undefined });
+  const updateNumeric = (index, changes) => setNumeric(numericAnswers.map((a, i) => (i === index ? { ...a, ...changes } : a)));
+
+  return (
+    <>
+      <div>
+        <label className={styles.label}>Accepted answers</label>
+        <ListInput
+          values={content.accepted_answers || []}
+          onChange={setAccepted}
+          placeholder="Type an answer and press Enter"
+          styles={styles}
+          isDark={isDark}
+        />
+      </div>
+      <div>
+        <label className={styles.label}>Numeric answers</label>
+        <div className="space-y-2">
+          {numericAnswers.map((answer, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <input
+                type="number"
+                value={answer.value ?? ''}
+                onChange={(e) => updateNumeric(index, { value: e.target.value === '' ? '' : parseFloat(e.target.value) })}
+                step="any"
+                placeholder="Value"
+                aria-label={`Numeric answer ${index + 1}`}
+                className={`${styles.input} flex-1 min-w-0`}
+              />
+              <span className={isDark ? 'text-gray-300' : 'text-gray-700'}>±</span>
+              <input
+                type="number"
+                value={answer.margin ?? 0}
+                onChange={(e) => updateNumeric(index, { margin: parseFloat(e.target.value) || 0 })}
+                min="0"
+                step="any"
+                aria-label={`Numeric answer ${index + 1} margin`}
+                title="Margin"
+                className={`${styles.input} w-28`}
+              />
+              <button
+                type="button"
+                onClick={() => setNumeric(numericAnswers.filter((_, i) => i !== index))}
+                className={styles.iconButton}
+                aria-label={`Remove numeric answer ${index + 1}`}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => setNumeric([...numericAnswers, { value: '', margin: 0 }])}
+          className={`${styles.addButton} mt-2`}
+        >
+          <Plus className="w-4 h-4" />
+          Add numeric answer
+        </button>
+        <FieldError message={errors.numeric_answers} />
+        <p className={styles.help}>
+          {autoGraded
+            ? 'Answers are graded automatically: a number within the margin of a numeric answer, or a match for an accepted answer.'
+            : 'Leave both empty for longer answers that a tutor grades.'}
+        </p>
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 items-end">
+        <div>
+          <label className={styles.label}>Min length</label>
+          <input
+            type="number"
+            value={content.min_length ?? ''}
+            onChange={(e) => setContent({ min_length: parseInt(e.target.value) || 0 })}
+            min="0"
+            className={styles.input}
+          />
+        </div>
+        <div>
+          <label className={styles.label}>Max length</label>
+          <input
+            type="number"
+            value={content.max_length ?? ''}
+            onChange={(e) => setContent({ max_length: parseInt(e.target.value) || 0 })}
+            min="1"
+            className={styles.input}
+          />
+        </div>
+        <div>
+          <label className={styles.label} title="Typos allowed, in characters">Typo tolerance</label>
+          <input
+            type="number"
+            value={content.fuzzy_tolerance ?? 0}
+            onChange={(e) => setContent({ fuzzy_tolerance: parseInt(e.target.value) || 0 })}
+            min="0"
+            className={styles.input}
+          />
+        </div>
+        <label className={`flex items-center gap-2 text-sm pb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+          <input
+            type="checkbox"
+            checked={content.case_sensitive === true}
+            onChange={(e) => setContent({ case_sensitive: e.target.checked })}
+          />
+          Case sensitive
+        </label>
+      </div>
+      <FieldError message={errors.length} />
+      <div>
+        <label className={styles.label}>Keywords (guide for tutors)</label>
+        <div className="space-y-3">
+          {keywords.map((keyword, index) => (
+            <div key={index} className={styles.row}>
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={keyword.word || ''}
+                  onChange={(e) => updateKeyword(index, { word: e.target.value })}
+                  placeholder="Keyword"
+                  aria-label={`Keyword ${index + 1}`}
+                  className={`${styles.input} flex-1 min-w-0`}
+                />
+                <input
+                  type="number"
+                  value={keyword.weight ?? 1}
+                  onChange={(e) => updateKeyword(index, { weight: parseFloat(e.target.value) || 0 })}
+                  min="0"
+                  step="0.5"
+                  aria-label={`Keyword ${index + 1} weight`}
+                  title="Weight"
+                  className={`${styles.input} w-20`}
+                />
+                <label className={`flex items-center gap-1 text-sm ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                  <input
+                    type="checkbox"
+                    checked={keyword.required === true}
+                    onChange={(e) => updateKeyword(index, { required: e.target.checked })}
+                  />
+                  Required
+                </label>
+                <button
+                  type="button"
+                  onClick={() => setContent({ keywords: keywords.filter((_, i) => i !== index) })}
+                  className={styles.iconButton}
+                  aria-label={`Remove keyword ${index + 1}`}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+              <label className={`${styles.smallLabel} mt-2`}>Synonyms</label>
+              <ListInput
+                values={keyword.synonyms || []}
+                onChange={(synonyms) => updateKeyword(index, { synonyms })}
+                placeholder="Type a synonym and press Enter"
+                styles={styles}
+                isDark={isDark}
+              />
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => setContent({ keywords: [...keywords, { word: '', weight: 1, required: false, synonyms: [] }] })}
+          className={`${styles.addButton} mt-2`}
+        >
+          <Plus className="w-4 h-4" />
+          Add keyword
+        </button>
+        <FieldError message={errors.keywords} />
+      </div>
+      <div>
+        <label className={styles.label}>Grading notes</label>
+        <textarea
+          value={content.rubric_description || ''}
+          onChange={(e) => setContent({ rubric_description: e.target.value })}
+          rows={2}
+          placeholder="What a good answer covers"
+          className={styles.input}
+        />
+      </div>
+    </>
+  );
+};
+
+// The question as a student sees it; answers are kept only until the question changes
+const QuestionPreview = ({ question, isDark }) => {
+  const [seed, setSeed] = useState(() => createShuffleSeed());
+  const [answer, setAnswer] = useState({ key: null, value: null });
+
+  const previewQuestion = shuffleQuestionContent({ ...question, questionId: 'preview' }, seed);
+  // Player components keep internal state, so remount them whenever the content changes
+  const previewKey = `${seed}:${question.questionType}:${JSON.stringify(question.content)}`;
+  const currentAnswer = answer.key === previewKey ? answer.value : undefined;
+
+  return (
+    <div className={`rounded-lg border ${isDark ? 'border-gray-600 bg-gray-900' : 'border-gray-200 bg-gray-50'}`}>
+      <div className={`flex items-center justify-between px-4 py-3 border-b ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+        <span className={`flex items-center gap-2 text-sm font-semibold ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
+          <Eye className="w-4 h-4" />
+          Student preview
+        </span>
+        <div className="flex items-center gap-2">
+          <span className={`px-2 py-0.5 rounded text-xs font-medium ${isDark ? 'bg-blue-900 text-blue-300' : 'bg-blue-100 text-blue-700'}`}>
+            {question.points} points
+          </span>
+          <button
+            type="button"
+            onClick={() => setSeed(createShuffleSeed())}
+            className={`flex items-center gap-1 px-2 py-1 rounded text-xs ${isDark ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-200'}`}
+            title="Show the layout of another attempt"
+          >
+            <Shuffle className="w-3 h-3" />
+            Shuffle
+          </button>
+        </div>
+      </div>
+      <div className={`p-4 space-y-4 ${isDark ? 'bg-gray-800' : 'bg-white'}`}>
+        {question.questionText?.trim() ? (
+          <QuestionText
+            text={question.questionText}
+            isDark={isDark}
+            className={`text-lg font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}
+          />
+        ) : (
+          <p className={`italic ${isDark ? 'text-gray-500' : 'text-gray-400'}`}>Question text appears here</p>
+        )}
+        <QuestionMedia media={getQuestionMedia(previewQuestion)} isDark={isDark} />
+        <QuestionRenderer
+          key={previewKey}
+          question={previewQuestion}
+          answer={currentAnswer}
+          onChange={(value, metadata = null) => setAnswer({ key: previewKey, value: { answer: value, metadata } })}
+          isDark={isDark}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default QuestionEditor;
@@ -0,0 +1,171 @@
+import { useState } from 'react';
+import { FileText, Lightbulb } from 'lucide-react';
+import { MEDIA_SLOTS, PLAYER_MEDIA_SLOTS, normalizeMediaAsset } from '../utils/questionMedia';
+
+/**
+ * Transcript toggle for audio and video assets
+ */
+const TranscriptToggle = ({ transcript, isDark }) => {
+  const [open, setOpen] = useState(false);
+  if (!transcript) return null;
+
+  return (
+    <div className="mt-2">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className={`flex items-center gap-1 text-sm font-medium ${
+          isDark ? 'text-blue-400 hover:text-blue-300' : 'text-blue-600 hover:text-blue-700'
+        }`}
+      >
+        <FileText className="w-4 h-4" />
+        {open ? 'Hide transcript' : 'Show transcript'}
+      </button>
+      {open && (
+        <div className={`mt-2 p-3 rounded-lg text-sm whitespace-pre-wrap ${
+          isDark ? 'bg-gray-900 text-gray-300' : 'bg-gray-50 text-gray-700'
+        }`}>
+          {transcript}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Captions are a WebVTT file URL
+const CaptionsTrack = ({ captions }) => (
+  captions ? <track kind="captions" src={captions} srcLang="en" label="English" default /> : null
+);
+
+export const MediaImage = ({ asset, className = '' }) => (
+  <img
+    src={asset.url}
+    alt={asset.altText || ''}
+    width={asset.width}
+    height={asset.height}
+    loading="lazy"
+    className={`rounded-lg max-w-full h-auto ${className}`}
+  />
+);
+
+export const MediaAudio = ({ asset, isDark }) => (
+  <div>
+    <audio
+      controls
+      preload="metadata"
+      src={asset.url}
+      aria-label={asset.altText || 'Question audio'}
+      className="w-full"
+    >
+      <CaptionsTrack captions={asset.captions} />
+    </audio>
+    <TranscriptToggle transcript={asset.transcript} isDark={isDark} />
+  </div>
+);
+
+export const MediaVideo = ({ asset, isDark }) => (
+  <div>
+    <video
+      controls
+      preload="metadata"
+      src={asset.url}
+      poster={asset.thumbnail}
+      aria-label={asset.altText || 'Question video'}
+      className="w-full max-h-96 rounded-lg bg-black"
+    >
+      <CaptionsTrack captions={asset.captions} />
+    </video>
+    <TranscriptToggle transcript={asset.transcript} isDark={isDark} />
+  </div>
+);
+
+/**
+ * Compact image/audio for a multiple choice option or matching item
+ * Audio controls stop click propagation so they don't select the item
+ */
+export const ItemMedia = ({ image, audio, altText, isDark }) => {
+  const imageAsset = normalizeMediaAsset(image);
+  const audioAsset = normalizeMediaAsset(audio);
+  if (!imageAsset && !audioAsset) return null;
+
+  return (
+    <div className="mt-2 space-y-2">
+      {imageAsset && (
+        <MediaImage
+          asset={{ ...imageAsset, altText: imageAsset.altText || altText }}
+          className="max-h-40 object-contain"
+        />
+      )}
+      {audioAsset && (
+        <div onClick={(e) => e.stopPropagation()}>
+          <MediaAudio asset={{ ...audioAsset, altText: audioAsset.altText || altText }} isDark={isDark} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+const HintImage = ({ asset, isDark }) => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div>
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className={`flex items-center gap-1 text-sm font-medium ${
+          isDark ? 'text-amber-400 hover:text-amber-300' : 'text-amber-700 hover:text-amber-800'
+        }`}
+      >
+        <Lightbulb className="w-4 h-4" />
+        {open ? 'Hide hint image' : 'Show hint image'}
+      </button>
+      {open && <MediaImage asset={asset} className="mt-2 max-h-80 object-contain" />}
+    </div>
+  );
+};
+
+const SLOT_CAPTIONS = {
+  referenceImage: 'Reference',
+  tutorialVideo: 'Tutorial'
+};
+
+/**
+ * QuestionMedia component rendering the media attached to a question
+ * @param {Object} media - Normalized media from getQuestionMedia
+ * @param {string[]} slots - Which slots to render, in order
+ */
+const QuestionMedia = ({ media, slots = PLAYER_MEDIA_SLOTS, isDark }) => {
+  const visibleSlots = slots
+    .map(key => MEDIA_SLOTS.find(slot => slot.key === key))
+    .filter(slot => slot && media?.[slot.key]);
+  if (visibleSlots.length === 0) return null;
+
+  return (
+    <div className="space-y-4 mb-6">
+      {visibleSlots.map(({ key, kind }) => {
+        const asset = media[key];
+        if (key === 'hintImage') {
+          return <HintImage key={key} asset={asset} isDark={isDark} />;
+        }
+
+        return (
+          <figure key={key}>
+            {SLOT_CAPTIONS[key] && (
+              <figcaption className={`text-sm font-medium mb-2 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                {SLOT_CAPTIONS[key]}
+              </figcaption>
+            )}
+            {kind === 'image' && <MediaImage asset={asset} className="max-h-96 object-contain" />}
+            {kind === 'audio' && <MediaAudio asset={asset} isDark={isDark} />}
+            {kind === 'video' && <MediaVideo asset={asset} isDark={isDark} />}
+          </figure>
+        );
+      })}
+    </div>
+  );
+};
+
+export default QuestionMedia;
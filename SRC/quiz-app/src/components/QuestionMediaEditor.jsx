@@ -0,0 +1,95 @@
+import { useState } from 'react';
+import { ChevronDown, ChevronRight, Image } from 'lucide-react';
+import { MEDIA_SLOTS, updateMediaAsset } from '../utils/questionMedia';
+
+/**
+ * QuestionMediaEditor component for attaching media to a question's content.media
+ * Images take alt text; audio and video take a captions (WebVTT) URL and a transcript
+ */
+const QuestionMediaEditor = ({ media, onChange, isDark }) => {
+  const attachedCount = MEDIA_SLOTS.filter(({ key }) => media?.[key]).length;
+  const [expanded, setExpanded] = useState(attachedCount > 0);
+
+  const inputClass = `w-full px-3 py-2 rounded-lg border text-sm ${
+    isDark
+      ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-500'
+      : 'bg-white border-gray-300 text-gray-900 placeholder-gray-400'
+  }`;
+
+  const handleFieldChange = (key, field, value) => {
+    onChange(updateMediaAsset(media, key, field, value));
+  };
+
+  return (
+    <div className={`rounded-lg border ${isDark ? 'border-gray-600' : 'border-gray-200'}`}>
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        aria-expanded={expanded}
+        className={`w-full flex items-center gap-2 px-4 py-3 text-sm font-semibold ${isDark ? 'text-gray-200' : 'text-gray-800'}`}
+      >
+        {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+        <Image className="w-4 h-4" />
+        Media
+        {attachedCount > 0 && (
+          <span className={`ml-1 px-2 py-0.5 rounded-full text-xs ${isDark ? 'bg-blue-900 text-blue-300' : 'bg-blue-100 text-blue-700'}`}>
+            {attachedCount} attached
+          </span>
+        )}
+      </button>
+
+      {expanded && (
+        <div className="px-4 pb-4 space-y-4">
+          {MEDIA_SLOTS.map(({ key, label, kind }) => {
+            const asset = typeof media?.[key] === 'string' ? { url: media[key] } : (media?.[key] || {});
+            return (
+              <div key={key} className="space-y-2">
+                <label className={`block text-xs font-medium ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                  {label} URL
+                </label>
+                <input
+                  type="url"
+                  value={asset.url || ''}
+                  onChange={(e) => handleFieldChange(key, 'url', e.target.value)}
+                  placeholder="https://..."
+                  className={inputClass}
+                />
+                {asset.url && (
+                  <>
+                    <input
+                      type="text"
+                      value={asset.altText || ''}
+                      onChange={(e) => handleFieldChange(key, 'altText', e.target.value)}
+                      placeholder={kind === 'image' ? 'Alt text (describe the image)' : 'Short description'}
+                      className={inputClass}
+                    />
+                    {kind !== 'image' && (
+                      <>
+                        <input
+                          type="url"
+                          value={asset.captions || ''}
+                          onChange={(e) => handleFieldChange(key, 'captions', e.target.value)}
+                          placeholder="Captions URL (.vtt)"
+                          className={inputClass}
+                        />
+                        <textarea
+                          value={asset.transcript || ''}
+                          onChange={(e) => handleFieldChange(key, 'transcript', e.target.value)}
+                          placeholder="Transcript"
+                          rows={3}
+                          className={inputClass}
+                        />
+                      </>
+                    )}
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuestionMediaEditor;
@@ -0,0 +1,24 @@
+import { createPortal } from 'react-dom';
+
+/**
+ * DragPreview component - floating copy of the item being dragged with usePointerDrag
+ * Rendered into document.body so scaled/transformed question cards don't offset it
+ */
+const DragPreview = ({ drag, isDark }) => {
+  if (!drag) return null;
+
+  return createPortal(
+    <div
+      aria-hidden="true"
+      className={`fixed z-50 pointer-events-none px-4 py-3 rounded-xl border-2 font-bold shadow-2xl opacity-90 rotate-2 ${
+        isDark ? 'bg-gray-800 border-blue-500 text-white' : 'bg-white border-blue-500 text-gray-900'
+      }`}
+      style={{ left: drag.x, top: drag.y, width: drag.width ? Math.min(drag.width, 360) : undefined }}
+    >
+      {drag.label}
+    </div>,
+    document.body
+  );
+};
+
+export default DragPreview;
@@ -1,5 +1,8 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useId } from 'react';
 import { X } from 'lucide-react';
+import LiveRegion from './LiveRegion';
+import DragPreview from './DragPreview';
+import usePointerDrag from './usePointerDrag';
 
 const FillInBlankDragDrop = ({ question, answer, onChange, isDark }) => {
   // Handle nested content structure (sometimes content.content exists due to import issues)
@@ -31,24 +34,8 @@ const FillInBlankDragDrop = ({ question, answer, onChange, isDark }) => {
     return item;
   });
   
-  const prevQuestionIdRef = useRef(null);
-  
-  // Early return if required data is missing
-  if (!template || blanks.length === 0 || wordBankArray.length === 0) {
-    console.error('FillInBlankDragDrop - Missing data:', { 
-      hasTemplate: !!template, 
-      blanksCount: blanks.length, 
-      wordBankCount: wordBankArray.length,
-      content: content 
-    });
-    return (
-      <div className={`p-6 rounded-xl ${isDark ? 'bg-gray-800 text-gray-300' : 'bg-gray-100 text-gray-600'}`}>
-        <p className="text-center">⚠️ Question data incomplete. Missing template, blanks, or word bank.</p>
-      </div>
-    );
-  }
-  
-  // Initialize selected items for each blank
+  // Initialize selected items for each blank. QuestionRenderer keys this component on the
+  // question, so moving to another question starts from fresh state.
   const [selectedItems, setSelectedItems] = useState(() => {
     if (answer?.answer) {
       const answerData = typeof answer.answer === 'string' 
@@ -57,7 +44,10 @@ const FillInBlankDragDrop = ({ question, answer, onChange, isDark }) => {
       
       const initial = {};
       answerData.blanks?.forEach(b => {
-        initial[b.position] = wordBankArray.find(w => w.id === b.selected_id);
+        const foundWord = wordBankArray.find(w => w.id === b.selected_id);
+        if (foundWord) {
+          initial[b.position] = foundWord;
+        }
       });
       return initial;
     }
@@ -67,36 +57,9 @@ const FillInBlankDragDrop = ({ question, answer, onChange, isDark }) => {
   const [draggedItem, setDraggedItem] = useState(null);
   const [hoveredBlank, setHoveredBlank] = useState(null);
   const [hasInteracted, setHasInteracted] = useState(false);
-
-  // Reset state when question changes
-  useEffect(() => {
-    // Only reset if question actually changed
-    if (prevQuestionIdRef.current !== question.questionId) {
-      prevQuestionIdRef.current = question.questionId;
-      setHasInteracted(false);
-      
-      if (answer?.answer) {
-        const answerData = typeof answer.answer === 'string' 
-          ? JSON.parse(answer.answer) 
-          : answer.answer;
-        
-        const initial = {};
-        if (answerData.blanks && Array.isArray(answerData.blanks)) {
-          answerData.blanks.forEach(b => {
-            const foundWord = wordBankArray.find(w => w.id === b.selected_id);
-            if (foundWord) {
-              initial[b.position] = foundWord;
-            }
-          });
-        }
-        setSelectedItems(initial);
-      } else {
-        setSelectedItems({});
-      }
-      setDraggedItem(null);
-      setHoveredBlank(null);
-    }
-  });
+  const [announcement, setAnnouncement] = useState('');
+  const wordRefs = useRef({});
+  const instructionsId = useId();
 
   // Update parent when selection changes (only after user interaction)
   useEffect(() => {
@@ -116,49 +79,134 @@ const FillInBlankDragDrop = ({ question, answer, onChange, isDark }) => {
     }
   }, [selectedItems, hasInteracted]);
 
+  const placeWord = (item, blankPosition) => {
+    setHasInteracted(true);
+    setSelectedItems(prev => ({
+      ...prev,
+      [blankPosition]: item
+    }));
+  };
+
+  // Pointer drag (mouse, touch, pen) from the word bank onto blanks keyed by position
+  const findBlankPosition = (target) => blanks.find(blank => String(blank.position) === target)?.position;
+  const { drag, startDrag, shouldIgnoreClick } = usePointerDrag({
+    onDragOver: (item, target) => setHoveredBlank(target === null ? null : findBlankPosition(target) ?? null),
+    onDrop: (item, target) => {
+      const blankPosition = findBlankPosition(target);
+      if (blankPosition !== undefined) placeWord(item, blankPosition);
+    }
+  });
+
+  // Early return if required data is missing
+  if (!template || blanks.length === 0 || wordBankArray.length === 0) {
+    console.error('FillInBlankDragDrop - Missing data:', { 
+      hasTemplate: !!template, 
+      blanksCount: blanks.length, 
+      wordBankCount: wordBankArray.length,
+      content: content 
+    });
+    return (
+      <div className={`p-6 rounded-xl ${isDark ? 'bg-gray-800 text-gray-300' : 'bg-gray-100 text-gray-600'}`}>
+        <p className="text-center">⚠️ Question data incomplete. Missing template, blanks, or word bank.</p>
+      </div>
+    );
+  }
+
   // Check if word is already used (if reuse not allowed)
   const isWordUsed = (wordId) => {
     if (allow_reuse) return false;
     return Object.values(selectedItems).some(item => item?.id === wordId);
   };
 
-  const handleDragStart = (e, item) => {
-    if (isWordUsed(item.id)) {
-      e.preventDefault();
-      return;
-    }
-    setDraggedItem(item);
-    e.dataTransfer.effectAllowed = 'copy';
-    e.currentTarget.style.opacity = '0.5';
+  // Tap-to-select / tap-to-place: tap a word, then tap the blank it goes in
+  const handleWordTap = (item) => {
+    if (shouldIgnoreClick() || isWordUsed(item.id)) return;
+    setDraggedItem(draggedItem?.id === item.id ? null : item);
+    setHoveredBlank(null);
   };
 
-  const handleDragEnd = (e) => {
-    e.currentTarget.style.opacity = '1';
+  const handleBlankTap = (blankPosition) => {
+    if (shouldIgnoreClick() || !draggedItem) return;
+    placeWord(draggedItem, blankPosition);
     setDraggedItem(null);
-    setHoveredBlank(null);
   };
 
-  const handleDragOver = (e, blankPosition) => {
-    e.preventDefault();
-    e.dataTransfer.dropEffect = 'copy';
-    setHoveredBlank(blankPosition);
+  const describeBlank = (blankPosition) => {
+    const index = blanks.findIndex(blank => blank.position === blankPosition);
+    const selected = selectedItems[blankPosition];
+    return `Blank ${index + 1} of ${blanks.length}, ${selected ? `contains ${selected.text}` : 'empty'}`;
   };
 
-  const handleDragLeave = () => {
-    setHoveredBlank(null);
-  };
+  // Keyboard placement: Space picks up a word, arrow keys choose a blank,
+  // Enter drops the word there and Escape cancels
+  const handleWordKeyDown = (e, item, wordIndex) => {
+    const isPicked = draggedItem?.id === item.id;
 
-  const handleDrop = (e, blankPosition) => {
-    e.preventDefault();
-    if (!draggedItem) return;
-    
-    setHasInteracted(true);
-    setSelectedItems(prev => ({
-      ...prev,
-      [blankPosition]: draggedItem
-    }));
-    setDraggedItem(null);
-    setHoveredBlank(null);
+    switch (e.key) {
+      case ' ': {
+        e.preventDefault();
+        if (isPicked) {
+          setDraggedItem(null);
+          setHoveredBlank(null);
+          setAnnouncement(`Put down ${item.text}.`);
+          return;
+        }
+        if (isWordUsed(item.id)) {
+          setAnnouncement(`${item.text} is already used in a blank.`);
+          return;
+        }
+        const firstBlank = blanks.find(blank => !selectedItems[blank.position]) || blanks[0];
+        setDraggedItem(item);
+        setHoveredBlank(firstBlank.position);
+        setAnnouncement(
+          `Picked up ${item.text}. ${describeBlank(firstBlank.position)}. ` +
+          'Use the arrow keys to choose a blank, Enter to drop, Escape to cancel.'
+        );
+        break;
+      }
+
+      case 'ArrowLeft':
+      case 'ArrowRight':
+      case 'ArrowUp':
+      case 'ArrowDown': {
+        e.preventDefault();
+        const step = e.key === 'ArrowLeft' || e.key === 'ArrowUp' ? -1 : 1;
+        if (isPicked) {
+          const currentIndex = blanks.findIndex(blank => blank.position === hoveredBlank);
+          const target = blanks[Math.min(Math.max(currentIndex + step, 0), blanks.length - 1)];
+          setHoveredBlank(target.position);
+          setAnnouncement(`${describeBlank(target.position)}.`);
+        } else {
+          const target = wordBankArray[wordIndex + step];
+          if (target) wordRefs.current[target.id]?.focus();
+        }
+        break;
+      }
+
+      case 'Enter': {
+        e.preventDefault();
+        if (isPicked && hoveredBlank !== null) {
+          const blankIndex = blanks.findIndex(blank => blank.position === hoveredBlank);
+          placeWord(item, hoveredBlank);
+          setDraggedItem(null);
+          setHoveredBlank(null);
+          setAnnouncement(`Placed ${item.text} in blank ${blankIndex + 1}.`);
+        }
+        break;
+      }
+
+      case 'Escape': {
+        if (!isPicked) return;
+        e.preventDefault();
+        setDraggedItem(null);
+        setHoveredBlank(null);
+        setAnnouncement(`Cancelled. ${item.text} was not placed.`);
+        break;
+      }
+
+      default:
+        break;
+    }
   };
 
   const handleRemove = (blankPosition) => {
@@ -200,12 +248,14 @@ const FillInBlankDragDrop = ({ question, answer, onChange, isDark }) => {
           elements.push(
             <span
               key={`blank-${index}`}
-              onDragOver={(e) => handleDragOver(e, blank.position)}
-              onDragLeave={handleDragLeave}
-              onDrop={(e) => handleDrop(e, blank.position)}
+              onClick={() => handleBlankTap(blank.position)}
+              data-drop-target={blank.position}
+              role="group"
+              aria-label={`Blank ${index + 1}`}
               className={`
                 inline-flex items-center gap-2 px-3 py-1 mx-1 rounded border-2 border-dashed
                 min-w-[100px] transition-all font-mono text-sm
+                ${isHovered && (draggedItem || drag) ? 'ring-2 ring-blue-500' : ''}
                 ${selected
                   ? isDark 
                     ? 'bg-blue-900/40 border-blue-400' 
@@ -226,9 +276,13 @@ const FillInBlankDragDrop = ({ question, answer, onChange, isDark }) => {
                     {selected.text}
                   </span>
                   <button
-                    onClick={() => handleRemove(blank.position)}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleRemove(blank.position);
+                    }}
                     className={`p-0.5 rounded hover:bg-red-500/20 transition-colors`}
                     type="button"
+                    aria-label={`Remove ${selected.text} from blank ${index + 1}`}
                   >
                     <X className="w-3 h-3 text-red-500" />
                   </button>
@@ -284,12 +338,14 @@ const FillInBlankDragDrop = ({ question, answer, onChange, isDark }) => {
         elements.push(
           <span
             key={`blank-${index}`}
-            onDragOver={(e) => handleDragOver(e, blank.position)}
-            onDragLeave={handleDragLeave}
-            onDrop={(e) => handleDrop(e, blank.position)}
+            onClick={() => handleBlankTap(blank.position)}
+            data-drop-target={blank.position}
+            role="group"
+            aria-label={`Blank ${index + 1}`}
             className={`
               inline-flex items-center gap-2 px-4 py-2 mx-1 rounded-lg border-2 border-dashed
               min-w-[120px] transition-all align-middle
+              ${isHovered && (draggedItem || drag) ? 'ring-2 ring-blue-500' : ''}
               ${selected
                 ? isDark 
                   ? 'bg-blue-900/30 border-blue-500' 
@@ -310,9 +366,13 @@ const FillInBlankDragDrop = ({ question, answer, onChange, isDark }) => {
                   {selected.text}
                 </span>
                 <button
-                  onClick={() => handleRemove(blank.position)}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleRemove(blank.position);
+                  }}
                   className={`p-1 rounded hover:bg-red-500/20 transition-colors`}
                   type="button"
+                  aria-label={`Remove ${selected.text} from blank ${index + 1}`}
                 >
                   <X className="w-4 h-4 text-red-500" />
                 </button>
@@ -335,10 +395,16 @@ const FillInBlankDragDrop = ({ question, answer, onChange, isDark }) => {
       {/* Instruction */}
       <div className={`p-4 rounded-xl ${isDark ? 'bg-blue-900/20 border-blue-700' : 'bg-blue-50 border-blue-200'} border`}>
         <p className={`font-medium ${isDark ? 'text-blue-300' : 'text-blue-700'}`}>
-          🎯 Drag words from the word bank below into the blanks
+          🎯 Drag words from the word bank below into the blanks, or tap a word and then tap a blank
         </p>
       </div>
 
+      <p id={instructionsId} className="sr-only">
+        Press Space on a word to pick it up, use the arrow keys to choose a blank, then press Enter to place it.
+        Press Escape to cancel.
+      </p>
+      <LiveRegion message={announcement} />
+
       {/* Template with inline blanks */}
       <div className={`
         p-6 rounded-xl text-lg leading-loose
@@ -355,14 +421,20 @@ const FillInBlankDragDrop = ({ question, answer, onChange, isDark }) => {
           📚 Word Bank
         </h3>
         <div className="flex flex-wrap gap-3">
-          {wordBankArray.map(item => {
+          {wordBankArray.map((item, wordIndex) => {
             const used = isWordUsed(item.id);
             return (
               <div
                 key={item.id}
-                draggable={!used}
-                onDragStart={(e) => handleDragStart(e, item)}
-                onDragEnd={handleDragEnd}
+                ref={el => wordRefs.current[item.id] = el}
+                tabIndex={0}
+                role="button"
+                aria-pressed={draggedItem?.id === item.id}
+                aria-disabled={used}
+                aria-describedby={instructionsId}
+                onKeyDown={(e) => handleWordKeyDown(e, item, wordIndex)}
+                onPointerDown={(e) => !used && startDrag(e, item, item.text)}
+                onClick={() => handleWordTap(item)}
                 className={`
                   px-5 py-3 rounded-lg font-bold transition-all text-base
                   ${used
@@ -373,7 +445,10 @@ const FillInBlankDragDrop = ({ question, answer, onChange, isDark }) => {
                     ? 'bg-purple-900 text-purple-200 hover:bg-purple-800 cursor-grab active:cursor-grabbing shadow-lg'
                     : 'bg-purple-100 text-purple-700 hover:bg-purple-200 cursor-grab active:cursor-grabbing shadow'
                   }
-                  ${draggedItem?.id === item.id ? 'opacity-50 scale-95' : ''}
+                  ${draggedItem?.id === item.id ? 'scale-95 ring-2 ring-blue-500' : ''}
+                  ${drag?.item.id === item.id ? 'opacity-50' : ''}
+                  touch-none select-none
+                  focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500
                 `}
               >
                 {item.text}
@@ -390,8 +465,10 @@ const FillInBlankDragDrop = ({ question, answer, onChange, isDark }) => {
 
       {/* Mobile/Touch hint */}
       <div className={`text-xs ${isDark ? 'text-gray-500' : 'text-gray-400'} text-center`}>
-        💡 Drag and drop the words into the blanks above
+        💡 Drag the words into the blanks above, or tap a word and then tap a blank
       </div>
+
+      <DragPreview drag={drag} isDark={isDark} />
     </div>
   );
 };
@@ -0,0 +1,11 @@
+/**
+ * LiveRegion component - visually hidden status area that screen readers announce
+ * Used by the drag-and-drop question types to report keyboard moves
+ */
+const LiveRegion = ({ message }) => (
+  <div role="status" aria-live="assertive" aria-atomic="true" className="sr-only">
+    {message}
+  </div>
+);
+
+export default LiveRegion;
@@ -1,5 +1,9 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useId } from 'react';
 import { Check } from 'lucide-react';
+import { ItemMedia } from '../QuestionMedia';
+import LiveRegion from './LiveRegion';
+import DragPreview from './DragPreview';
+import usePointerDrag from './usePointerDrag';
 
 const MatchingQuestion = ({ question, answer, onChange, isDark }) => {
   // Helper function to detect and render code snippets with proper formatting
@@ -36,23 +40,11 @@ const MatchingQuestion = ({ question, answer, onChange, isDark }) => {
     return <span>{text}</span>;
   };
   const leftItems = question.content.leftItems || question.content.left_items || [];
+  // Right items arrive already shuffled with the attempt's seed (see utils/seededShuffle)
   const rightItemsOriginal = question.content.rightItems || question.content.right_items || [];
   const prevQuestionIdRef = useRef(null);
   
-  // Shuffle function
-  function shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
-  }
-  
-  // Initialize shuffled right items
-  const [rightItems, setRightItems] = useState(() => {
-    return shuffleArray([...rightItemsOriginal]);
-  });
+  const [rightItems, setRightItems] = useState(() => [...rightItemsOriginal]);
   
   // Store pairs as { leftId: rightId }
   const [pairs, setPairs] = useState(() => {
@@ -69,9 +61,11 @@ const MatchingQuestion = ({ question, answer, onChange, isDark }) => {
   const [selectedLeft, setSelectedLeft] = useState(null);
   const [hoveredRight, setHoveredRight] = useState(null);
   const [hasInteracted, setHasInteracted] = useState(false);
+  const [announcement, setAnnouncement] = useState('');
   const svgRef = useRef(null);
   const leftRefs = useRef({});
   const rightRefs = useRef({});
+  const instructionsId = useId();
 
   // Reset state when question changes
   useEffect(() => {
@@ -80,8 +74,8 @@ const MatchingQuestion = ({ question, answer, onChange, isDark }) => {
       prevQuestionIdRef.current = question.questionId;
       setHasInteracted(false);
       
-      // Shuffle right items for new question
-      setRightItems(shuffleArray([...rightItemsOriginal]));
+      // Right items for the new question, in the attempt's order
+      setRightItems([...rightItemsOriginal]);
       
       if (answer?.answer?.pairs && Array.isArray(answer.answer.pairs)) {
         const pairMap = {};
@@ -94,6 +88,7 @@ const MatchingQuestion = ({ question, answer, onChange, isDark }) => {
       }
       setSelectedLeft(null);
       setHoveredRight(null);
+      setAnnouncement('');
     }
   }, [question.questionId, answer]);
 
@@ -108,7 +103,30 @@ const MatchingQuestion = ({ question, answer, onChange, isDark }) => {
     }
   }, [pairs, hasInteracted]);
 
+  // Pointer drag (mouse, touch, pen) from a Column A item onto a Column B item
+  const { drag, startDrag, shouldIgnoreClick } = usePointerDrag({
+    onDragOver: (item, target) => {
+      if (target !== null) setSelectedLeft(item.id);
+      setHoveredRight(target);
+    },
+    onDrop: (item, target) => {
+      setHasInteracted(true);
+      setPairs(prev => ({
+        ...prev,
+        [item.id]: target
+      }));
+      setSelectedLeft(null);
+    }
+  });
+
+  const handleLeftPointerDown = (e, item) => {
+    // On touch screens only the letter badge starts a drag; tapping still selects the item
+    if (e.pointerType === 'touch' && !e.target.closest('[data-drag-handle]')) return;
+    startDrag(e, item, item.text);
+  };
+
   const handleLeftClick = (leftId) => {
+    if (shouldIgnoreClick()) return;
     if (selectedLeft === leftId) {
       setSelectedLeft(null);
     } else {
@@ -117,6 +135,7 @@ const MatchingQuestion = ({ question, answer, onChange, isDark }) => {
   };
 
   const handleRightClick = (rightId) => {
+    if (shouldIgnoreClick()) return;
     if (selectedLeft) {
       setHasInteracted(true);
       setPairs(prev => ({
@@ -192,14 +211,120 @@ const MatchingQuestion = ({ question, answer, onChange, isDark }) => {
     return Object.values(pairs).includes(rightId);
   };
 
+  const describeLeft = (leftId) => {
+    const index = leftItems.findIndex(item => item.id === leftId);
+    return `${String.fromCharCode(65 + index)}, ${leftItems[index]?.text}`;
+  };
+
+  const describeRight = (rightId) => {
+    const index = rightItems.findIndex(item => item.id === rightId);
+    return `${index + 1}, ${rightItems[index]?.text}`;
+  };
+
+  // Keyboard matching: Space picks up a Column A item, arrow keys choose a Column B item,
+  // Enter connects them, Escape cancels and Delete clears an existing match
+  const handleLeftKeyDown = (e, index) => {
+    // Ignore keys meant for the Clear button or media controls inside the item
+    if (e.target !== e.currentTarget) return;
+    const item = leftItems[index];
+    const isPicked = selectedLeft === item.id;
+
+    switch (e.key) {
+      case ' ': {
+        e.preventDefault();
+        if (isPicked) {
+          setSelectedLeft(null);
+          setHoveredRight(null);
+          setAnnouncement(`Put down ${describeLeft(item.id)}.`);
+          return;
+        }
+        const firstTarget = rightItems.find(right => !isRightItemMatched(right.id)) || rightItems[0];
+        setSelectedLeft(item.id);
+        setHoveredRight(firstTarget?.id ?? null);
+        setAnnouncement(
+          `Picked up ${describeLeft(item.id)}. ` +
+          (firstTarget ? `Column B item ${describeRight(firstTarget.id)}. ` : '') +
+          'Use the up and down arrow keys to choose a match, Enter to connect, Escape to cancel.'
+        );
+        break;
+      }
+
+      case 'ArrowUp':
+      case 'ArrowDown': {
+        e.preventDefault();
+        const step = e.key === 'ArrowUp' ? -1 : 1;
+        if (isPicked) {
+          const currentIndex = rightItems.findIndex(right => right.id === hoveredRight);
+          const targetIndex = Math.min(Math.max(currentIndex + step, 0), rightItems.length - 1);
+          const target = rightItems[targetIndex];
+          if (!target) return;
+          setHoveredRight(target.id);
+          setAnnouncement(`${describeRight(target.id)}${isRightItemMatched(target.id) ? ', already matched' : ''}.`);
+        } else {
+          const target = leftItems[index + step];
+          if (target) leftRefs.current[target.id]?.focus();
+        }
+        break;
+      }
+
+      case 'Enter': {
+        e.preventDefault();
+        if (isPicked && hoveredRight) {
+          handleRightClick(hoveredRight);
+          setHoveredRight(null);
+          setAnnouncement(`Matched ${describeLeft(item.id)} with ${describeRight(hoveredRight)}.`);
+        }
+        break;
+      }
+
+      case 'Escape': {
+        if (!isPicked) return;
+        e.preventDefault();
+        setSelectedLeft(null);
+        setHoveredRight(null);
+        setAnnouncement(`Cancelled. ${describeLeft(item.id)} was not matched.`);
+        break;
+      }
+
+      case 'Delete':
+      case 'Backspace': {
+        if (!pairs[item.id]) return;
+        e.preventDefault();
+        handleClearPair(item.id);
+        setAnnouncement(`Cleared the match for ${describeLeft(item.id)}.`);
+        break;
+      }
+
+      default:
+        break;
+    }
+  };
+
+  const handleRightKeyDown = (e, rightId) => {
+    if (e.target !== e.currentTarget) return;
+    if ((e.key === 'Enter' || e.key === ' ') && selectedLeft) {
+      e.preventDefault();
+      const leftId = selectedLeft;
+      handleRightClick(rightId);
+      setAnnouncement(`Matched ${describeLeft(leftId)} with ${describeRight(rightId)}.`);
+      leftRefs.current[leftId]?.focus();
+    }
+  };
+
   return (
     <div className="space-y-4">
       <div className={`p-4 rounded-xl ${isDark ? 'bg-blue-900/20 border-blue-700' : 'bg-blue-50 border-blue-200'} border`}>
         <p className={`font-medium ${isDark ? 'text-blue-300' : 'text-blue-700'}`}>
-          🔗 Click an item from Column A, then click the matching item from Column B to connect them
+          🔗 Click an item from Column A, then click the matching item from Column B to connect them (or drag it across)
         </p>
       </div>
 
+      <p id={instructionsId} className="sr-only">
+        Press Space on a Column A item to pick it up, use the up and down arrow keys to choose a Column B item,
+        then press Enter to connect them. Press Escape to cancel, or Delete to clear an existing match.
+      </p>
+      <LiveRegion message={announcement} />
+
       <div className="relative">
         {/* SVG for drawing lines */}
         <svg
@@ -228,8 +353,17 @@ const MatchingQuestion = ({ question, answer, onChange, isDark }) => {
                     key={item.id}
                     ref={el => leftRefs.current[item.id] = el}
                     onClick={() => handleLeftClick(item.id)}
+                    onPointerDown={(e) => handleLeftPointerDown(e, item)}
+                    onKeyDown={(e) => handleLeftKeyDown(e, index)}
+                    tabIndex={0}
+                    role="button"
+                    aria-pressed={isSelected}
+                    aria-describedby={instructionsId}
+                    aria-label={`Column A item ${describeLeft(item.id)}${matchedRightItem ? `, matched with ${describeRight(matchedRightItem.id)}` : ''}`}
                     className={`
-                      p-4 rounded-xl border-2 cursor-pointer transition-all
+                      p-4 rounded-xl border-2 cursor-pointer transition-all select-none
+                      focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500
+                      ${drag?.item.id === item.id ? 'opacity-50' : ''}
                       ${isSelected
                         ? isDark
                           ? 'border-blue-500 bg-blue-900/40 shadow-lg scale-105'
@@ -246,8 +380,8 @@ const MatchingQuestion = ({ question, answer, onChange, isDark }) => {
                   >
                     <div className="flex items-start justify-between">
                       <div className="flex items-start gap-3 flex-1">
-                        <span className={`
-                          font-bold text-lg flex-shrink-0 mt-1
+                        <span data-drag-handle className={`
+                          font-bold text-lg flex-shrink-0 mt-1 touch-none cursor-grab
                           ${isMatched
                             ? isDark ? 'text-green-400' : 'text-green-600'
                             : isDark ? 'text-blue-400' : 'text-blue-600'
@@ -257,6 +391,7 @@ const MatchingQuestion = ({ question, answer, onChange, isDark }) => {
                         </span>
                         <div className={`font-medium flex-1 ${isDark ? 'text-white' : 'text-gray-900'}`}>
                           {renderText(item.text)}
+                          <ItemMedia image={item.image} audio={item.audio} altText={item.text} isDark={isDark} />
                         </div>
                       </div>
                       {isMatched && (
@@ -304,10 +439,17 @@ const MatchingQuestion = ({ question, answer, onChange, isDark }) => {
                     key={item.id}
                     ref={el => rightRefs.current[item.id] = el}
                     onClick={() => handleRightClick(item.id)}
+                    onKeyDown={(e) => handleRightKeyDown(e, item.id)}
+                    data-drop-target={item.id}
+                    tabIndex={0}
+                    role="button"
+                    aria-disabled={!selectedLeft}
                     onMouseEnter={() => setHoveredRight(item.id)}
                     onMouseLeave={() => setHoveredRight(null)}
                     className={`
                       p-4 rounded-xl border-2 cursor-pointer transition-all
+                      focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500
+                      ${selectedLeft && isHovered ? 'ring-2 ring-blue-500' : ''}
                       ${selectedLeft && !isMatched
                         ? isHovered
                           ? isDark
@@ -338,6 +480,7 @@ const MatchingQuestion = ({ question, answer, onChange, isDark }) => {
                       </span>
                       <div className={`font-medium flex-1 ${isDark ? 'text-white' : 'text-gray-900'}`}>
                         {renderText(item.text)}
+                        <ItemMedia image={item.image} audio={item.audio} altText={item.text} isDark={isDark} />
                       </div>
                       {isMatched && <Check className="w-5 h-5 text-green-500 ml-auto flex-shrink-0 mt-1" />}
                     </div>
@@ -370,6 +513,8 @@ const MatchingQuestion = ({ question, answer, onChange, isDark }) => {
           ? 'Now click an item from Column B to complete the match' 
           : 'Click an item from Column A to start matching'}
       </div>
+
+      <DragPreview drag={drag} isDark={isDark} />
     </div>
   );
 };
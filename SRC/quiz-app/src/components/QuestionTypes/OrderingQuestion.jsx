@@ -1,21 +1,15 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useId } from 'react';
 import { GripVertical } from 'lucide-react';
+import LiveRegion from './LiveRegion';
+import DragPreview from './DragPreview';
+import usePointerDrag from './usePointerDrag';
 
 const OrderingQuestion = ({ question, answer, onChange, isDark }) => {
+  // Items arrive already shuffled with the attempt's seed (see utils/seededShuffle)
   const orderItems = question.content.items || [];
   const prevQuestionIdRef = useRef(null);
   
-  // Shuffle function
-  function shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
-  }
-  
-  // Initialize with shuffled items or current answer
+  // Initialize with the attempt's item order or current answer
   const [items, setItems] = useState(() => {
     if (answer?.answer) {
       // If there's already an answer, use that order
@@ -24,14 +18,21 @@ const OrderingQuestion = ({ question, answer, onChange, isDark }) => {
         : answer.answer.order;
       return answerOrder.map(id => orderItems.find(item => item.id === id)).filter(Boolean);
     }
-    // Otherwise, shuffle the items (always shuffle for new questions)
-    return shuffleArray([...orderItems]);
+    // Otherwise, start from the attempt's item order
+    return [...orderItems];
   });
 
-  const [draggedItem, setDraggedItem] = useState(null);
   const [dragOverIndex, setDragOverIndex] = useState(null);
+  const [tappedId, setTappedId] = useState(null);
   const [hasInteracted, setHasInteracted] = useState(false);
 
+  // Keyboard reordering: Space picks an item up, arrow keys move it, Enter drops, Escape cancels
+  const [grabbedId, setGrabbedId] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const orderBeforeGrabRef = useRef(null);
+  const itemRefs = useRef({});
+  const instructionsId = useId();
+
   // Reset state when question changes
   useEffect(() => {
     // Only reset if question actually changed
@@ -49,16 +50,25 @@ const OrderingQuestion = ({ question, answer, onChange, isDark }) => {
           setItems(orderedItems);
         }
       } else {
-        // Otherwise, ALWAYS shuffle the items for this new question
+        // Otherwise, start from the attempt's item order for this question
         if (orderItems.length > 0) {
-          setItems(shuffleArray([...orderItems]));
+          setItems([...orderItems]);
         }
       }
-      setDraggedItem(null);
       setDragOverIndex(null);
+      setTappedId(null);
+      setGrabbedId(null);
+      setAnnouncement('');
     }
   }, [question.questionId, answer]); // Add dependencies to prevent infinite loop
 
+  // Keep focus on the picked-up item as it moves through the list
+  useEffect(() => {
+    if (grabbedId) {
+      itemRefs.current[grabbedId]?.focus();
+    }
+  }, [items, grabbedId]);
+
   // Update parent when items change (only after user interaction)
   useEffect(() => {
     if (hasInteracted) {
@@ -67,48 +77,97 @@ const OrderingQuestion = ({ question, answer, onChange, isDark }) => {
     }
   }, [items, hasInteracted]);
 
-  const handleDragStart = (e, index) => {
-    setDraggedItem(index);
-    e.dataTransfer.effectAllowed = 'move';
-    e.currentTarget.style.opacity = '0.5';
+  const moveItem = (fromIndex, toIndex) => {
+    if (fromIndex === toIndex || fromIndex < 0 || toIndex < 0) return;
+    const newItems = [...items];
+    const [movedItem] = newItems.splice(fromIndex, 1);
+    newItems.splice(toIndex, 0, movedItem);
+    setHasInteracted(true);
+    setItems(newItems);
   };
 
-  const handleDragEnd = (e) => {
-    e.currentTarget.style.opacity = '1';
-    setDraggedItem(null);
-    setDragOverIndex(null);
-  };
+  // Pointer drag (mouse, touch, pen); rows are drop targets keyed by index
+  const { drag, startDrag, shouldIgnoreClick } = usePointerDrag({
+    onDragOver: (item, target) => setDragOverIndex(target === null ? null : Number(target)),
+    onDrop: (item, target) => moveItem(items.findIndex(i => i.id === item.id), Number(target))
+  });
 
-  const handleDragOver = (e, index) => {
-    e.preventDefault();
-    e.dataTransfer.dropEffect = 'move';
-    setDragOverIndex(index);
+  const handlePointerDown = (e, item) => {
+    // On touch screens only the grip starts a drag, so the rest of the row still scrolls the page
+    if (e.pointerType === 'touch' && !e.target.closest('[data-drag-handle]')) return;
+    setTappedId(null);
+    startDrag(e, item, item.text);
   };
 
-  const handleDragLeave = () => {
-    setDragOverIndex(null);
+  // Tap-to-select / tap-to-place: tap an item, then tap the position it should move to
+  const handleTap = (item, index) => {
+    if (shouldIgnoreClick()) return;
+    if (!tappedId) {
+      setTappedId(item.id);
+    } else if (tappedId === item.id) {
+      setTappedId(null);
+    } else {
+      moveItem(items.findIndex(i => i.id === tappedId), index);
+      setTappedId(null);
+    }
   };
 
-  const handleDrop = (e, dropIndex) => {
-    e.preventDefault();
-    
-    if (draggedItem === null || draggedItem === dropIndex) {
-      setDragOverIndex(null);
-      return;
-    }
+  const handleKeyDown = (e, index) => {
+    const item = items[index];
+    const isGrabbed = grabbedId === item.id;
+
+    switch (e.key) {
+      case ' ':
+      case 'Enter': {
+        e.preventDefault();
+        if (isGrabbed) {
+          setGrabbedId(null);
+          setHasInteracted(true);
+          setAnnouncement(`${item.text} dropped at position ${index + 1} of ${items.length}.`);
+        } else if (e.key === ' ') {
+          orderBeforeGrabRef.current = items;
+          setGrabbedId(item.id);
+          setAnnouncement(
+            `Picked up ${item.text}, position ${index + 1} of ${items.length}. ` +
+            'Use the up and down arrow keys to move it, Enter to drop, Escape to cancel.'
+          );
+        }
+        break;
+      }
 
-    const newItems = [...items];
-    const draggedItemData = newItems[draggedItem];
-    
-    // Remove dragged item
-    newItems.splice(draggedItem, 1);
-    
-    // Insert at new position
-    newItems.splice(dropIndex, 0, draggedItemData);
-    
-    setHasInteracted(true);
-    setItems(newItems);
-    setDragOverIndex(null);
+      case 'ArrowUp':
+      case 'ArrowDown': {
+        e.preventDefault();
+        const targetIndex = e.key === 'ArrowUp' ? index - 1 : index + 1;
+        if (targetIndex < 0 || targetIndex >= items.length) return;
+
+        if (isGrabbed) {
+          const newItems = [...items];
+          newItems.splice(index, 1);
+          newItems.splice(targetIndex, 0, item);
+          setItems(newItems);
+          setAnnouncement(`${item.text} moved to position ${targetIndex + 1} of ${items.length}.`);
+        } else {
+          itemRefs.current[items[targetIndex].id]?.focus();
+        }
+        break;
+      }
+
+      case 'Escape': {
+        if (!isGrabbed) return;
+        e.preventDefault();
+        const originalItems = orderBeforeGrabRef.current || items;
+        setItems(originalItems);
+        setGrabbedId(null);
+        setAnnouncement(
+          `Move cancelled. ${item.text} returned to position ${originalItems.findIndex(i => i.id === item.id) + 1} of ${items.length}.`
+        );
+        break;
+      }
+
+      default:
+        break;
+    }
   };
 
   // Assign letters to items for display
@@ -120,23 +179,32 @@ const OrderingQuestion = ({ question, answer, onChange, isDark }) => {
     <div className="space-y-4">
       <div className={`p-4 rounded-xl ${isDark ? 'bg-blue-900/20 border-blue-700' : 'bg-blue-50 border-blue-200'} border`}>
         <p className={`font-medium ${isDark ? 'text-blue-300' : 'text-blue-700'}`}>
-          📝 Drag and drop the items below to arrange them in the correct order
+          📝 Drag the items below to arrange them in the correct order, or tap an item and then tap where it should go
         </p>
       </div>
 
+      <p id={instructionsId} className="sr-only">
+        Press Space to pick up an item, use the up and down arrow keys to move it, press Enter to drop it or Escape to cancel.
+      </p>
+      <LiveRegion message={announcement} />
+
       <div className="space-y-3">
         {items.map((item, index) => (
           <div
             key={item.id}
-            draggable
-            onDragStart={(e) => handleDragStart(e, index)}
-            onDragEnd={handleDragEnd}
-            onDragOver={(e) => handleDragOver(e, index)}
-            onDragLeave={handleDragLeave}
-            onDrop={(e) => handleDrop(e, index)}
+            ref={el => itemRefs.current[item.id] = el}
+            tabIndex={0}
+            role="button"
+            aria-roledescription="sortable item"
+            aria-pressed={grabbedId === item.id}
+            aria-describedby={instructionsId}
+            onKeyDown={(e) => handleKeyDown(e, index)}
+            onPointerDown={(e) => handlePointerDown(e, item)}
+            onClick={() => handleTap(item, index)}
+            data-drop-target={index}
             className={`
-              flex items-center gap-3 p-4 rounded-xl border-2 cursor-move transition-all
-              ${dragOverIndex === index && draggedItem !== index
+              flex items-center gap-3 p-4 rounded-xl border-2 cursor-move transition-all select-none
+              ${dragOverIndex === index && drag?.item.id !== item.id
                 ? isDark 
                   ? 'border-blue-500 bg-blue-900/30 scale-105' 
                   : 'border-blue-500 bg-blue-100 scale-105'
@@ -144,10 +212,15 @@ const OrderingQuestion = ({ question, answer, onChange, isDark }) => {
                 ? 'border-gray-700 bg-gray-800 hover:bg-gray-700'
                 : 'border-gray-200 bg-white hover:bg-gray-50'
               }
-              ${draggedItem === index ? 'opacity-50' : ''}
+              ${drag?.item.id === item.id ? 'opacity-50' : ''}
+              ${tappedId === item.id ? 'ring-4 ring-purple-500/60' : ''}
+              ${grabbedId === item.id ? 'ring-4 ring-blue-500/60 shadow-lg' : 'focus-visible:ring-2 focus-visible:ring-blue-500'}
+              focus:outline-none
             `}
           >
-            <GripVertical className={`w-5 h-5 flex-shrink-0 ${isDark ? 'text-gray-500' : 'text-gray-400'}`} />
+            <span data-drag-handle className="touch-none p-2 -m-2 cursor-grab">
+              <GripVertical className={`w-5 h-5 flex-shrink-0 ${isDark ? 'text-gray-500' : 'text-gray-400'}`} />
+            </span>
             
             <div className={`
               w-10 h-10 rounded-full flex items-center justify-center font-bold flex-shrink-0
@@ -169,8 +242,10 @@ const OrderingQuestion = ({ question, answer, onChange, isDark }) => {
       </div>
 
       <div className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'} text-center`}>
-        💡 Tip: Click and drag the items to reorder them
+        💡 Tip: Click and drag the items to reorder them, or use Space and the arrow keys
       </div>
+
+      <DragPreview drag={drag} isDark={isDark} />
     </div>
   );
 };
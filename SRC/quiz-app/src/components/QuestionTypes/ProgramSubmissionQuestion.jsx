@@ -0,0 +1,232 @@
+import { useState, useRef } from 'react';
+import { Play, RotateCcw, Loader2, CheckCircle, XCircle, Clock, AlertCircle, EyeOff } from 'lucide-react';
+import { QuestionText } from '../CodeBlock';
+import { getRunner, findForbiddenKeywords } from '../../utils/codeRunners';
+
+const INDENT = '    ';
+
+const ProgramSubmissionQuestion = ({ question, answer, onChange, isDark }) => {
+  const content = question.content || {};
+  const language = content.language || 'python';
+  const starterCode = content.starter_code || content.starterCode || '';
+  const testCases = content.test_cases || content.testCases || [];
+  const timeLimitMs = content.time_limit_ms || content.timeLimitMs || 1000;
+  const forbiddenKeywords = content.forbidden_keywords || content.forbiddenKeywords || [];
+
+  // Players get hidden tests stripped by the API, only their count; authors previewing still have them
+  const visibleTests = testCases.filter(tc => tc.visible !== false);
+  const hiddenTestCount = content.hidden_test_count ?? testCases.length - visibleTests.length;
+  const runner = getRunner(language);
+
+  // Saved answers may be the raw string or { code }
+  const savedCode = typeof answer?.answer === 'string' ? answer.answer : answer?.answer?.code;
+  const code = savedCode ?? starterCode;
+
+  const [running, setRunning] = useState(false);
+  const [results, setResults] = useState(null);
+  const [runError, setRunError] = useState(null);
+  const textareaRef = useRef(null);
+
+  const updateCode = (newCode) => {
+    onChange({ code: newCode });
+  };
+
+  // Insert spaces on Tab instead of moving focus out of the editor
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Tab' || e.shiftKey) return;
+    e.preventDefault();
+
+    const textarea = e.target;
+    const { selectionStart, selectionEnd } = textarea;
+    const newCode = code.substring(0, selectionStart) + INDENT + code.substring(selectionEnd);
+    updateCode(newCode);
+
+    requestAnimationFrame(() => {
+      if (textareaRef.current) {
+        textareaRef.current.selectionStart = textareaRef.current.selectionEnd = selectionStart + INDENT.length;
+      }
+    });
+  };
+
+  const handleReset = () => {
+    if (code !== starterCode && !window.confirm('Replace your code with the starter code?')) return;
+    updateCode(starterCode);
+    setResults(null);
+    setRunError(null);
+  };
+
+  const handleRunTests = async () => {
+    if (!runner) return;
+
+    const forbiddenFound = findForbiddenKeywords(code, forbiddenKeywords);
+    if (forbiddenFound.length > 0) {
+      setResults(null);
+      setRunError(`Your code uses keywords that are not allowed: ${forbiddenFound.join(', ')}`);
+      return;
+    }
+
+    try {
+      setRunning(true);
+      setRunError(null);
+      const runResults = await runner.run(code, visibleTests, { timeLimitMs });
+      setResults(runResults);
+    } catch (error) {
+      console.error('[ProgramSubmissionQuestion] Error running tests:', error);
+      setRunError('Could not run your code. Please try again.');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const passedCount = results ? results.filter(r => r.passed).length : 0;
+  const lineCount = code.split('\n').length;
+
+  return (
+    <div className="space-y-4">
+      {content.prompt && (
+        <QuestionText
+          text={content.prompt}
+          isDark={isDark}
+          className={`${isDark ? 'text-gray-300' : 'text-gray-700'}`}
+        />
+      )}
+
+      {/* Editor */}
+      <div className={`rounded-xl border-2 overflow-hidden ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+        <div className={`flex items-center justify-between px-4 py-2 text-xs ${
+          isDark ? 'bg-gray-900 text-gray-400 border-b border-gray-700' : 'bg-gray-100 text-gray-600 border-b border-gray-200'
+        }`}>
+          <span className="font-mono">{runner?.label || language}</span>
+          <button
+            type="button"
+            onClick={handleReset}
+            className={`flex items-center gap-1 px-2 py-1 rounded-lg transition-colors ${
+              isDark ? 'hover:bg-gray-800 text-gray-400' : 'hover:bg-gray-200 text-gray-600'
+            }`}
+          >
+            <RotateCcw className="w-3 h-3" />
+            Reset
+          </button>
+        </div>
+        <div className={`flex font-mono text-sm ${isDark ? 'bg-gray-900 text-gray-100' : 'bg-white text-gray-900'}`}>
+          <div
+            aria-hidden="true"
+            className={`select-none text-right py-3 px-3 leading-6 ${isDark ? 'text-gray-600 bg-gray-900' : 'text-gray-400 bg-gray-50'}`}
+          >
+            {Array.from({ length: lineCount }, (_, i) => (
+              <div key={i}>{i + 1}</div>
+            ))}
+          </div>
+          <textarea
+            ref={textareaRef}
+            value={code}
+            onChange={(e) => updateCode(e.target.value)}
+            onKeyDown={handleKeyDown}
+            spellCheck={false}
+            autoCapitalize="off"
+            autoCorrect="off"
+            rows={Math.max(lineCount, 10)}
+            aria-label="Code editor"
+            className={`flex-1 py-3 px-3 leading-6 resize-y outline-none whitespace-pre overflow-x-auto ${
+              isDark ? 'bg-gray-900 text-gray-100' : 'bg-white text-gray-900'
+            }`}
+          />
+        </div>
+      </div>
+
+      {/* Run tests */}
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          type="button"
+          onClick={handleRunTests}
+          disabled={!runner || running || visibleTests.length === 0}
+          className={`flex items-center gap-2 px-4 py-2 rounded-xl font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed ${
+            isDark ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-gray-800 hover:bg-gray-700 text-white'
+          }`}
+        >
+          {running ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+          {running ? 'Running...' : 'Run visible tests'}
+        </button>
+        {results && (
+          <span className={`text-sm font-medium ${
+            passedCount === results.length
+              ? isDark ? 'text-green-400' : 'text-green-600'
+              : isDark ? 'text-orange-400' : 'text-orange-600'
+          }`}>
+            {passedCount} / {results.length} visible tests passed
+          </span>
+        )}
+        {hiddenTestCount > 0 && (
+          <span className={`flex items-center gap-1 text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+            <EyeOff className="w-4 h-4" />
+            {hiddenTestCount} hidden test{hiddenTestCount !== 1 ? 's' : ''} will run when graded
+          </span>
+        )}
+      </div>
+
+      {!runner && (
+        <div className={`flex items-start gap-2 p-3 rounded-xl text-sm ${
+          isDark ? 'bg-gray-700/50 text-gray-300' : 'bg-gray-100 text-gray-700'
+        }`}>
+          <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          Running {language} code in the browser is not supported yet. Your code will still be graded when you submit.
+        </div>
+      )}
+
+      {runError && (
+        <div className={`flex items-start gap-2 p-3 rounded-xl text-sm ${
+          isDark ? 'bg-red-900/20 text-red-400' : 'bg-red-50 text-red-700'
+        }`}>
+          <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          {runError}
+        </div>
+      )}
+
+      {/* Per-test output */}
+      {results && (
+        <div className="space-y-2">
+          {results.map(result => (
+            <div
+              key={result.index}
+              className={`p-3 rounded-xl border text-sm ${
+                result.passed
+                  ? isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'
+                  : isDark ? 'bg-red-900/20 border-red-700' : 'bg-red-50 border-red-200'
+              }`}
+            >
+              <div className="flex items-center justify-between gap-2">
+                <span className={`flex items-center gap-2 font-medium ${
+                  result.passed
+                    ? isDark ? 'text-green-400' : 'text-green-700'
+                    : isDark ? 'text-red-400' : 'text-red-700'
+                }`}>
+                  {result.passed ? <CheckCircle className="w-4 h-4" /> : <XCircle className="w-4 h-4" />}
+                  {result.description}
+                </span>
+                <span className={`flex items-center gap-1 text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                  <Clock className="w-3 h-3" />
+                  {result.executionTimeMs}ms
+                </span>
+              </div>
+              <div className={`mt-2 font-mono text-xs space-y-1 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                <div>Input: {result.input}</div>
+                <div>Expected: {result.expected}</div>
+                {result.actual !== null && <div>Got: {result.actual}</div>}
+                {result.error && (
+                  <div className={isDark ? 'text-red-400' : 'text-red-700'}>{result.error}</div>
+                )}
+                {result.output && (
+                  <pre className={`mt-1 p-2 rounded-lg whitespace-pre-wrap ${isDark ? 'bg-gray-900' : 'bg-white'}`}>
+                    {result.output}
+                  </pre>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProgramSubmissionQuestion;
@@ -0,0 +1,321 @@
+import OrderingQuestion from './OrderingQuestion';
+import MatchingQuestion from './MatchingQuestion';
+import FillInBlankDragDrop from './FillInBlankDragDrop';
+import ProgramSubmissionQuestion from './ProgramSubmissionQuestion';
+import { ItemMedia } from '../QuestionMedia';
+import { getOptionImage } from '../../utils/questionMedia';
+import { shortAnswerKey } from '../../utils/questionContent';
+
+/**
+ * QuestionRenderer component - the answer area a player sees for one question
+ * Shared by TakeQuiz and the question editor's live preview.
+ */
+const QuestionRenderer = ({ question, answer, onChange, isDark }) => {
+  switch (question.questionType) {
+    case 'multiple_choice_single':
+      return (
+        <div className="space-y-3">
+          {question.content.options.map((option) => (
+            <label
+              key={option.id}
+              className={`flex items-center p-4 rounded-xl border-2 cursor-pointer transition-all ${
+                answer?.answer === option.id
+                  ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20'
+                  : isDark
+                  ? 'border-gray-700 hover:border-gray-600 bg-gray-700/50'
+                  : 'border-gray-200 hover:border-gray-300 bg-gray-50'
+              }`}
+            >
+              <input
+                type="radio"
+                name={question.questionId}
+                value={option.id}
+                checked={answer?.answer === option.id}
+                onChange={(e) => onChange(e.target.value)}
+                className="w-5 h-5 text-blue-600"
+              />
+              <div className="ml-3 flex-1">
+                <span className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                  {option.text}
+                </span>
+                <ItemMedia image={getOptionImage(question, option)} isDark={isDark} />
+              </div>
+            </label>
+          ))}
+        </div>
+      );
+
+    case 'multiple_choice_multi':
+      return (
+        <div className="space-y-3">
+          {question.content.options.map((option) => (
+            <label
+              key={option.id}
+              className={`flex items-center p-4 rounded-xl border-2 cursor-pointer transition-all ${
+                answer?.answer?.includes(option.id)
+                  ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20'
+                  : isDark
+                  ? 'border-gray-700 hover:border-gray-600 bg-gray-700/50'
+                  : 'border-gray-200 hover:border-gray-300 bg-gray-50'
+              }`}
+            >
+              <input
+                type="checkbox"
+                value={option.id}
+                checked={answer?.answer?.includes(option.id) || false}
+                onChange={(e) => {
+                  const currentAnswers = answer?.answer || [];
+                  if (e.target.checked) {
+                    onChange([...currentAnswers, option.id]);
+                  } else {
+                    onChange(currentAnswers.filter(id => id !== option.id));
+                  }
+                }}
+                className="w-5 h-5 text-blue-600"
+              />
+              <div className="ml-3 flex-1">
+                <span className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                  {option.text}
+                </span>
+                <ItemMedia image={getOptionImage(question, option)} isDark={isDark} />
+              </div>
+            </label>
+          ))}
+          <p className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+            Select all that apply
+          </p>
+        </div>
+      );
+
+    case 'fill_in_blank': {
+      const blanks = question.content.blanks || [];
+      const template = question.content.template;
+      // Initialize answers array with correct length if not exists
+      const currentAnswers = answer?.answer || new Array(blanks.length).fill('');
+      
+      // If template exists, render it with inline blanks
+      if (template) {
+        // Check if template contains code blocks
+        const codeBlockMatch = template.match(/```(\w+)?\n([\s\S]*?)```/);
+        
+        if (codeBlockMatch) {
+          const language = codeBlockMatch[1] || '';
+          const codeContent = codeBlockMatch[2];
+          const parts = codeContent.split('___');
+          
+          return (
+            <div className="space-y-4">
+              <div className={`
+                font-mono text-sm leading-relaxed p-6 rounded-lg
+                ${isDark ? 'bg-gray-900 text-gray-200' : 'bg-gray-50 text-gray-900'}
+                overflow-x-auto
+              `}>
+                {language && (
+                  <div className={`text-xs mb-3 pb-2 border-b ${isDark ? 'text-gray-500 border-gray-700' : 'text-gray-600 border-gray-300'}`}>
+                    {language}
+                  </div>
+                )}
+                <div className="whitespace-pre-wrap">
+                  {parts.map((part, index) => (
+                    <span key={index}>
+                      <span className="whitespace-pre">{part}</span>
+                      {index < parts.length - 1 && (
+                        <input
+                          type="text"
+                          value={currentAnswers[index] || ''}
+                          onChange={(e) => {
+                            const newAnswers = [...currentAnswers];
+                            newAnswers[index] = e.target.value;
+                            onChange(newAnswers);
+                          }}
+                          className={`
+                            inline-flex px-3 py-1 mx-1 rounded border-2
+                            min-w-[100px] font-mono text-sm
+                            ${isDark
+                              ? 'bg-gray-800 border-gray-600 text-yellow-300 focus:border-blue-500'
+                              : 'bg-white border-gray-400 text-purple-700 focus:border-blue-500'
+                            }
+                            focus:outline-none focus:ring-2 focus:ring-blue-500/50
+                          `}
+                        />
+                      )}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            </div>
+          );
+        }
+        
+        // Regular template (non-code)
+        const parts = template.split('___');
+        return (
+          <div className="space-y-4">
+            <div className={`p-6 rounded-xl text-lg leading-loose ${
+              isDark ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'
+            }`}>
+              {parts.map((part, index) => (
+                <span key={index}>
+                  <span>{part}</span>
+                  {index < parts.length - 1 && (
+                    <input
+                      type="text"
+                      value={currentAnswers[index] || ''}
+                      onChange={(e) => {
+                        const newAnswers = [...currentAnswers];
+                        newAnswers[index] = e.target.value;
+                        onChange(newAnswers);
+                      }}
+                      className={`
+                        inline-flex px-4 py-2 mx-1 rounded-lg border-2
+                        min-w-[120px]
+                        ${isDark
+                          ? 'bg-gray-700 border-gray-600 text-white focus:border-blue-500'
+                          : 'bg-gray-50 border-gray-300 text-gray-900 focus:border-blue-400'
+                        }
+                        focus:outline-none focus:ring-2 focus:ring-blue-500/50
+                      `}
+                    />
+                  )}
+                </span>
+              ))}
+            </div>
+          </div>
+        );
+      }
+      
+      // Fallback: No template, show individual input fields
+      return (
+        <div className="space-y-4">
+          {blanks.map((blank, index) => {
+            // Use blank.position if available, otherwise use index
+            const blankNumber = blank.position !== undefined ? blank.position + 1 : index + 1;
+            return (
+              <div key={index} className="space-y-2">
+                <label className={`block text-sm font-medium ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                  Blank {blankNumber}
+                </label>
+                <input
+                  type="text"
+                  value={currentAnswers[index] || ''}
+                  onChange={(e) => {
+                    const newAnswers = [...currentAnswers];
+                    newAnswers[index] = e.target.value;
+                    onChange(newAnswers);
+                  }}
+                  className={`w-full px-4 py-3 rounded-xl border-2 ${
+                    isDark
+                      ? 'bg-gray-700 border-gray-600 text-white'
+                      : 'bg-white border-gray-200 text-gray-900'
+                  }`}
+                  placeholder={`Enter answer for blank ${blankNumber}`}
+                />
+              </div>
+            );
+          })}
+        </div>
+      );
+    }
+
+    case 'matching':
+      return (
+        <MatchingQuestion
+          question={question}
+          answer={answer}
+          onChange={onChange}
+          isDark={isDark}
+        />
+      );
+
+    case 'ordering':
+      return (
+        <OrderingQuestion
+          question={question}
+          answer={answer}
+          onChange={onChange}
+          isDark={isDark}
+        />
+      );
+
+    case 'fill_in_blank_drag_drop':
+      return (
+        <FillInBlankDragDrop
+          key={question.questionId}
+          question={question}
+          answer={answer}
+          onChange={onChange}
+          isDark={isDark}
+        />
+      );
+
+    case 'program_submission':
+      return (
+        <ProgramSubmissionQuestion
+          key={question.questionId}
+          question={question}
+          answer={answer}
+          onChange={onChange}
+          isDark={isDark}
+        />
+      );
+
+    case 'short_answer': {
+      // Payload matches the backend ShortAnswerAnswer: { text }
+      const maxLength = question.content.max_length || question.content.maxLength || 500;
+      const minLength = question.content.min_length || question.content.minLength || 0;
+      // Auto-graded questions expect a word or number, so they get a single-line input
+      const acceptedAnswers = shortAnswerKey(question.content);
+      const text = typeof answer?.answer === 'string' ? answer.answer : answer?.answer?.text || '';
+      const tooShort = text.length > 0 && text.trim().length < minLength;
+
+      return (
+        <div className="space-y-2">
+          {acceptedAnswers.length > 0 ? (
+            <input
+              type="text"
+              value={text}
+              maxLength={maxLength}
+              onChange={(e) => onChange({ text: e.target.value })}
+              className={`w-full px-4 py-3 rounded-xl border-2 ${
+                isDark
+                  ? 'bg-gray-700 border-gray-600 text-white'
+                  : 'bg-white border-gray-200 text-gray-900'
+              }`}
+              placeholder="Type your answer"
+            />
+          ) : (
+            <textarea
+              value={text}
+              maxLength={maxLength}
+              rows={6}
+              onChange={(e) => onChange({ text: e.target.value })}
+              className={`w-full px-4 py-3 rounded-xl border-2 resize-y ${
+                isDark
+                  ? 'bg-gray-700 border-gray-600 text-white'
+                  : 'bg-white border-gray-200 text-gray-900'
+              }`}
+              placeholder="Type your answer"
+            />
+          )}
+          <div className={`flex justify-between text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+            <span className={tooShort ? (isDark ? 'text-orange-400' : 'text-orange-600') : ''}>
+              {minLength > 0 ? `Minimum ${minLength} characters` : ''}
+            </span>
+            <span>{text.length} / {maxLength}</span>
+          </div>
+        </div>
+      );
+    }
+
+    default:
+      return (
+        <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700' : 'bg-gray-100'}`}>
+          <p className={isDark ? 'text-gray-400' : 'text-gray-600'}>
+            Question type not supported: {question.questionType}
+          </p>
+        </div>
+      );
+  }
+};
+
+export default QuestionRenderer;
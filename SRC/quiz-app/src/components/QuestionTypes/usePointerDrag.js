@@ -0,0 +1,162 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Movement (px) before a press becomes a drag; shorter presses stay taps/clicks
+const DRAG_THRESHOLD = 6;
+// Distance (px) from the scroll area's edge where auto-scroll starts, and the top speed per frame
+const SCROLL_EDGE = 60;
+const MAX_SCROLL_SPEED = 14;
+
+// The page scrolls inside the layout's <main>, so find the nearest scrollable ancestor
+const getScrollContainer = (element) => {
+  let node = element?.parentElement;
+  while (node && node !== document.body) {
+    const { overflowY } = window.getComputedStyle(node);
+    if ((overflowY === 'auto' || overflowY === 'scroll') && node.scrollHeight > node.clientHeight) {
+      return node;
+    }
+    node = node.parentElement;
+  }
+  return document.scrollingElement || document.documentElement;
+};
+
+// Drop targets mark themselves with data-drop-target="<key>"
+const findDropTarget = (x, y) => {
+  const element = document.elementFromPoint(x, y);
+  return element?.closest('[data-drop-target]')?.getAttribute('data-drop-target') ?? null;
+};
+
+/**
+ * Pointer-events drag and drop for the drag-and-drop question types
+ * Works the same for mouse, touch and pen (HTML5 drag events never fire on touch screens).
+ * Draggable elements need `touch-action: none` (Tailwind `touch-none`) so touch moves
+ * are not taken over by page scrolling.
+ *
+ * @param {Object} options
+ * @param {Function} options.onDragOver - (item, targetKey | null) when the target under the pointer changes
+ * @param {Function} options.onDrop - (item, targetKey) when released over a drop target
+ * @returns {{ drag: Object|null, startDrag: Function, shouldIgnoreClick: Function }}
+ *   drag is { item, label, x, y, width } while dragging, for rendering a DragPreview
+ */
+const usePointerDrag = ({ onDragOver, onDrop }) => {
+  const [drag, setDrag] = useState(null);
+  const callbacksRef = useRef({ onDragOver, onDrop });
+  const cleanupRef = useRef(null);
+  const suppressClickRef = useRef(false);
+
+  useEffect(() => {
+    callbacksRef.current = { onDragOver, onDrop };
+  });
+
+  // Stop listening if the question unmounts mid-drag
+  useEffect(() => () => cleanupRef.current?.(), []);
+
+  /**
+   * Call from onPointerDown on a draggable element
+   * @param {PointerEvent} e - The pointerdown event
+   * @param {*} item - Value handed back to onDragOver/onDrop
+   * @param {string} label - Text shown in the drag preview
+   */
+  const startDrag = (e, item, label) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    cleanupRef.current?.();
+
+    const pointerId = e.pointerId;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const scrollContainer = getScrollContainer(e.currentTarget);
+    const isDocumentScroll = scrollContainer === document.scrollingElement || scrollContainer === document.documentElement;
+    const session = {
+      startX: e.clientX,
+      startY: e.clientY,
+      x: e.clientX,
+      y: e.clientY,
+      offsetX: e.clientX - rect.left,
+      offsetY: e.clientY - rect.top,
+      dragging: false,
+      target: null,
+      frame: null
+    };
+
+    const updateTarget = () => {
+      const target = findDropTarget(session.x, session.y);
+      if (target !== session.target) {
+        session.target = target;
+        callbacksRef.current.onDragOver?.(item, target);
+      }
+    };
+
+    // Scroll while the pointer is held near the top or bottom edge, faster closer to the edge
+    const autoScroll = () => {
+      const bounds = isDocumentScroll ? { top: 0, bottom: window.innerHeight } : scrollContainer.getBoundingClientRect();
+      const top = Math.max(bounds.top, 0);
+      const bottom = Math.min(bounds.bottom, window.innerHeight);
+      let speed = 0;
+      if (session.y < top + SCROLL_EDGE) {
+        speed = -MAX_SCROLL_SPEED * (1 - Math.max(session.y - top, 0) / SCROLL_EDGE);
+      } else if (session.y > bottom - SCROLL_EDGE) {
+        speed = MAX_SCROLL_SPEED * (1 - Math.max(bottom - session.y, 0) / SCROLL_EDGE);
+      }
+      if (speed !== 0) {
+        scrollContainer.scrollTop += speed;
+        updateTarget();
+      }
+      session.frame = requestAnimationFrame(autoScroll);
+    };
+
+    const cleanup = () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('pointercancel', handleCancel);
+      if (session.frame) cancelAnimationFrame(session.frame);
+      document.body.style.userSelect = '';
+      cleanupRef.current = null;
+    };
+
+    const handleMove = (moveEvent) => {
+      if (moveEvent.pointerId !== pointerId) return;
+      session.x = moveEvent.clientX;
+      session.y = moveEvent.clientY;
+
+      if (!session.dragging) {
+        if (Math.hypot(session.x - session.startX, session.y - session.startY) < DRAG_THRESHOLD) return;
+        session.dragging = true;
+        document.body.style.userSelect = 'none';
+        session.frame = requestAnimationFrame(autoScroll);
+      }
+
+      moveEvent.preventDefault();
+      setDrag({ item, label, x: session.x - session.offsetX, y: session.y - session.offsetY, width: rect.width });
+      updateTarget();
+    };
+
+    const finish = (shouldDrop) => (endEvent) => {
+      if (endEvent.pointerId !== pointerId) return;
+      const wasDragging = session.dragging;
+      cleanup();
+      if (!wasDragging) return;
+
+      // The browser still fires a click where the pointer was released
+      suppressClickRef.current = true;
+      setTimeout(() => { suppressClickRef.current = false; }, 0);
+
+      setDrag(null);
+      callbacksRef.current.onDragOver?.(item, null);
+      if (shouldDrop && session.target !== null) {
+        callbacksRef.current.onDrop?.(item, session.target);
+      }
+    };
+    const handleUp = finish(true);
+    const handleCancel = finish(false);
+
+    window.addEventListener('pointermove', handleMove, { passive: false });
+    window.addEventListener('pointerup', handleUp);
+    window.addEventListener('pointercancel', handleCancel);
+    cleanupRef.current = cleanup;
+  };
+
+  // True for the click that follows a completed drag; tap handlers should ignore it
+  const shouldIgnoreClick = () => suppressClickRef.current;
+
+  return { drag, startDrag, shouldIgnoreClick };
+};
+
+export default usePointerDrag;
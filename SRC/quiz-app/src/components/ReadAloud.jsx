@@ -0,0 +1,208 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { Volume2, Square, Settings } from 'lucide-react';
+import {
+  buildReadAloudSegments,
+  loadReadAloudSettings,
+  saveReadAloudSettings,
+  pickVoice
+} from '../utils/readAloud';
+
+// Words of a segment with their character offsets, matched against boundary events
+const splitWords = (text) => [...text.matchAll(/\S+/g)].map(match => ({
+  word: match[0],
+  start: match.index,
+  end: match.index + match[0].length
+}));
+
+/**
+ * ReadAloud component - speaker button that reads the current question with speechSynthesis
+ * Shows the text being read with the current word highlighted, plus rate and voice settings.
+ * Render with key={questionId} so speech stops when the question changes.
+ */
+const ReadAloud = ({ question, isDark }) => {
+  const [speaking, setSpeaking] = useState(false);
+  const [position, setPosition] = useState({ segment: -1, charIndex: -1 });
+  const [settings, setSettings] = useState(loadReadAloudSettings);
+  const [showSettings, setShowSettings] = useState(false);
+  const [voices, setVoices] = useState([]);
+  // Each run gets an id so callbacks from a cancelled run are ignored
+  const runIdRef = useRef(0);
+
+  const segments = useMemo(() => buildReadAloudSegments(question), [question]);
+  const locale = question.locale || 'en-US';
+  const language = locale.split(/[-_]/)[0].toLowerCase();
+  const localeVoices = voices.filter(voice => voice.lang?.toLowerCase().startsWith(language));
+
+  // Voices load asynchronously in some browsers
+  useEffect(() => {
+    const synth = window.speechSynthesis;
+    const updateVoices = () => setVoices(synth.getVoices());
+    updateVoices();
+    synth.addEventListener('voiceschanged', updateVoices);
+    return () => {
+      synth.removeEventListener('voiceschanged', updateVoices);
+      runIdRef.current += 1;
+      synth.cancel();
+    };
+  }, []);
+
+  const stop = () => {
+    runIdRef.current += 1;
+    window.speechSynthesis.cancel();
+    setSpeaking(false);
+    setPosition({ segment: -1, charIndex: -1 });
+  };
+
+  const speakSegment = (index, runId) => {
+    if (runId !== runIdRef.current) return;
+    if (index >= segments.length) {
+      setSpeaking(false);
+      setPosition({ segment: -1, charIndex: -1 });
+      return;
+    }
+
+    const utterance = new SpeechSynthesisUtterance(segments[index]);
+    utterance.lang = locale;
+    utterance.rate = settings.rate;
+    const voice = pickVoice(voices, locale, settings.voiceURI);
+    if (voice) utterance.voice = voice;
+
+    utterance.onstart = () => {
+      if (runId === runIdRef.current) setPosition({ segment: index, charIndex: 0 });
+    };
+    utterance.onboundary = (event) => {
+      if (runId === runIdRef.current && event.name !== 'sentence') {
+        setPosition({ segment: index, charIndex: event.charIndex });
+      }
+    };
+    utterance.onend = () => speakSegment(index + 1, runId);
+    utterance.onerror = (event) => {
+      if (event.error !== 'interrupted' && event.error !== 'canceled') {
+        console.log('[ReadAloud] Speech error:', event.error);
+      }
+      if (runId === runIdRef.current) {
+        setSpeaking(false);
+        setPosition({ segment: -1, charIndex: -1 });
+      }
+    };
+
+    window.speechSynthesis.speak(utterance);
+  };
+
+  const handleToggle = () => {
+    if (speaking) {
+      stop();
+      return;
+    }
+    window.speechSynthesis.cancel();
+    runIdRef.current += 1;
+    setSpeaking(true);
+    speakSegment(0, runIdRef.current);
+  };
+
+  const updateSettings = (changes) => {
+    const updated = { ...settings, ...changes };
+    setSettings(updated);
+    saveReadAloudSettings(updated);
+    // New settings apply from the next run
+    if (speaking) stop();
+  };
+
+  if (segments.length === 0) return null;
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={handleToggle}
+          aria-pressed={speaking}
+          aria-label={speaking ? 'Stop reading' : 'Read question aloud'}
+          className={`flex items-center gap-2 px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
+            speaking
+              ? isDark ? 'bg-blue-900/60 text-blue-300' : 'bg-blue-100 text-blue-700'
+              : isDark ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+          }`}
+        >
+          {speaking ? <Square className="w-4 h-4" /> : <Volume2 className="w-4 h-4" />}
+          {speaking ? 'Stop' : 'Read aloud'}
+        </button>
+        <button
+          type="button"
+          onClick={() => setShowSettings(!showSettings)}
+          aria-expanded={showSettings}
+          aria-label="Read aloud settings"
+          className={`p-1.5 rounded-lg transition-colors ${
+            isDark ? 'text-gray-400 hover:bg-gray-700' : 'text-gray-500 hover:bg-gray-100'
+          }`}
+        >
+          <Settings className="w-4 h-4" />
+        </button>
+      </div>
+
+      {showSettings && (
+        <div className={`mt-2 p-3 rounded-xl flex flex-wrap items-center gap-4 text-sm ${
+          isDark ? 'bg-gray-700 text-gray-300' : 'bg-gray-50 text-gray-700'
+        }`}>
+          <label className="flex items-center gap-2">
+            Speed
+            <input
+              type="range"
+              min="0.5"
+              max="1.5"
+              step="0.1"
+              value={settings.rate}
+              onChange={(e) => updateSettings({ rate: parseFloat(e.target.value) })}
+            />
+            <span className="w-10">{settings.rate.toFixed(1)}x</span>
+          </label>
+          <label className="flex items-center gap-2">
+            Voice
+            <select
+              value={settings.voiceURI}
+              onChange={(e) => updateSettings({ voiceURI: e.target.value })}
+              className={`px-2 py-1 rounded-lg border ${
+                isDark ? 'bg-gray-800 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+              }`}
+            >
+              <option value="">Automatic ({locale})</option>
+              {(localeVoices.length > 0 ? localeVoices : voices).map(voice => (
+                <option key={voice.voiceURI} value={voice.voiceURI}>
+                  {voice.name} ({voice.lang})
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {/* Visual follow-along; hidden from screen readers, which read the question themselves */}
+      {speaking && (
+        <div
+          aria-hidden="true"
+          className={`mt-3 p-4 rounded-xl space-y-2 text-lg leading-relaxed ${
+            isDark ? 'bg-gray-900 text-gray-300' : 'bg-blue-50 text-gray-800'
+          }`}
+        >
+          {segments.map((segment, segmentIndex) => (
+            <p key={segmentIndex} className={segmentIndex === position.segment ? '' : 'opacity-60'}>
+              {splitWords(segment).map(({ word, start, end }) => {
+                const isCurrent = segmentIndex === position.segment
+                  && position.charIndex >= start && position.charIndex < end;
+                return (
+                  <span key={start}>
+                    <span className={isCurrent ? `rounded px-0.5 ${isDark ? 'bg-yellow-600 text-white' : 'bg-yellow-300'}` : ''}>
+                      {word}
+                    </span>{' '}
+                  </span>
+                );
+              })}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReadAloud;
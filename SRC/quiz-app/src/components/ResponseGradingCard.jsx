@@ -0,0 +1,814 @@
+import { useState } from 'react';
+import { CheckCircle, XCircle, Edit2, Save, X, Flag, Loader2, MessageSquare } from 'lucide-react';
+import { toast } from 'react-toastify';
+import CodeBlock, { QuestionText } from './CodeBlock';
+import FeedbackNote from './FeedbackNote';
+import HintsUsedNote from './HintsUsedNote';
+import QuestionMedia, { ItemMedia } from './QuestionMedia';
+import RubricGrid from './RubricGrid';
+import { splitHintsUsed } from '../utils/blankHints';
+import { getQuestionMedia, getOptionImage, REVIEW_MEDIA_SLOTS } from '../utils/questionMedia';
+import { getRubric, getRubricSelections, isRubricComplete, scoreRubric, buildRubricGrading } from '../utils/rubric';
+import { getResponseFeedback } from '../utils/feedback';
+import { shortAnswerKey } from '../utils/questionContent';
+
+/**
+ * ResponseGradingCard component - a player's response to one question with tutor grading
+ * Tutors can override points, mark the answer correct, leave a comment and grade with the
+ * question's rubric. onGrade(responseId, { points, isCorrect, comment, gradingDetails }) must
+ * return a promise; the card shows a toast when it resolves or rejects.
+ * Pass onComment(responseId, comment) to let tutors comment without changing the grade.
+ * Set defaultEditing to open the grading controls straight away (grading queue).
+ */
+const ResponseGradingCard = ({ question, response, index, isFlagged, isDark, onGrade, onComment, defaultEditing = false }) => {
+  const isCorrect = response?.isCorrect;
+  // Blank hints are stored with the answer; show them separately
+  const { answer: PlayerAnswer, hintsUsed } = splitHintsUsed(response?.answerPayload);
+  const manualGrading = response?.gradingDetails?.manual_grading;
+  const rubric = getRubric(question);
+  const gradedRubric = response?.gradingDetails?.rubric;
+  const feedback = getResponseFeedback(response);
+  const [isEditingPoints, setIsEditingPoints] = useState(defaultEditing && !!response?.responseId);
+  const [tempPoints, setTempPoints] = useState(response?.pointsEarned || 0);
+  const [tempIsCorrect, setTempIsCorrect] = useState(!!isCorrect);
+  const [tempComment, setTempComment] = useState(feedback);
+  const [rubricSelections, setRubricSelections] = useState(() => getRubricSelections(gradedRubric));
+  const [savingGrade, setSavingGrade] = useState(false);
+  const [isEditingComment, setIsEditingComment] = useState(false);
+  const [savingComment, setSavingComment] = useState(false);
+  const maxPoints = question.points || 10;
+
+  const startEditing = () => {
+    setTempPoints(response?.pointsEarned || 0);
+    setTempIsCorrect(!!isCorrect);
+    setTempComment(feedback);
+    setRubricSelections(getRubricSelections(gradedRubric));
+    setIsEditingComment(false);
+    setIsEditingPoints(true);
+  };
+
+  const startCommenting = () => {
+    setTempComment(feedback);
+    setIsEditingComment(true);
+  };
+
+  const handleSaveComment = async () => {
+    try {
+      setSavingComment(true);
+      await onComment(response.responseId, tempComment.trim());
+      setIsEditingComment(false);
+      toast.success('Comment saved', {
+        position: 'bottom-right',
+        autoClose: 2000,
+      });
+    } catch (error) {
+      console.error('Error saving comment:', error);
+      toast.error('Failed to save comment. Please try again.', {
+        position: 'bottom-right',
+      });
+    } finally {
+      setSavingComment(false);
+    }
+  };
+
+  // With a rubric the points come from the picked levels
+  const handleRubricSelect = (criterionId, levelId) => {
+    const selections = { ...rubricSelections, [criterionId]: levelId };
+    setRubricSelections(selections);
+    setTempPoints(scoreRubric(rubric, selections, maxPoints).points);
+  };
+
+  const handleSavePoints = async () => {
+    if (rubric && !isRubricComplete(rubric, rubricSelections)) {
+      toast.error('Pick a level for every rubric criterion.', {
+        position: 'bottom-right',
+      });
+      return;
+    }
+
+    const points = rubric
+      ? scoreRubric(rubric, rubricSelections, maxPoints).points
+      : Math.min(Math.max(parseFloat(tempPoints) || 0, 0), maxPoints);
+    const gradingDetails = rubric ? { rubric: buildRubricGrading(rubric, rubricSelections) } : null;
+    try {
+      setSavingGrade(true);
+      await onGrade(response.responseId, { points, isCorrect: tempIsCorrect, comment: tempComment.trim(), gradingDetails });
+      setTempPoints(points);
+      setIsEditingPoints(false);
+      toast.success('Points updated successfully!', {
+        position: 'bottom-right',
+        autoClose: 2000,
+      });
+    } catch (error) {
+      console.error('Error saving grade:', error);
+      toast.error('Failed to save points. Please try again.', {
+        position: 'bottom-right',
+      });
+    } finally {
+      setSavingGrade(false);
+    }
+  };
+
+  const renderPlayerAnswer = () => {
+    if (!PlayerAnswer) {
+      return (
+        <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+          <p className={`italic ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+            No answer provided
+          </p>
+        </div>
+      );
+    }
+
+    switch (question.questionType) {
+      case 'multiple_choice_single': {
+        const selectedOption = question.content.options.find(opt => opt.id === PlayerAnswer);
+        return (
+          <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+            <p className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
+              {selectedOption?.text || 'Unknown answer'}
+            </p>
+            {selectedOption && <ItemMedia image={getOptionImage(question, selectedOption)} isDark={isDark} />}
+          </div>
+        );
+      }
+
+      case 'multiple_choice_multi': {
+        const selectedOptions = question.content.options.filter(opt => 
+          PlayerAnswer.includes(opt.id)
+        );
+        return (
+          <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+            {selectedOptions.length > 0 ? (
+              <ul className="list-disc list-inside space-y-1">
+                {selectedOptions.map(opt => (
+                  <li key={opt.id} className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                    {opt.text}
+                    <ItemMedia image={getOptionImage(question, opt)} isDark={isDark} />
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className={`italic ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                No options selected
+              </p>
+            )}
+          </div>
+        );
+      }
+
+      case 'fill_in_blank':
+        return (
+          <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+            {Array.isArray(PlayerAnswer) && PlayerAnswer.length > 0 ? (
+              <div className="space-y-2">
+                {PlayerAnswer.map((answer, idx) => (
+                  <div key={idx}>
+                    <span className={`font-medium ${isDark ? 'text-blue-400' : 'text-blue-600'}`}>
+                      Blank {idx + 1}:
+                    </span>
+                    <span className={`ml-2 ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                      {answer || '(empty)'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className={`italic ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                No answers provided
+              </p>
+            )}
+          </div>
+        );
+
+      case 'matching': {
+        const leftItems = question.content.leftItems || question.content.left_items || [];
+        const rightItems = question.content.rightItems || question.content.right_items || [];
+        const pairs = PlayerAnswer?.pairs || [];
+        const correctPairs = question.content.correctPairs || question.content.correct_pairs || [];
+        
+        const pairCorrectness = pairs.map(pair => {
+          return correctPairs.some(cp => cp.left === pair.left && cp.right === pair.right);
+        });
+        
+        return (
+          <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+            {pairs.length > 0 ? (
+              <div className="space-y-3">
+                {pairs.map((pair, idx) => {
+                  const left = leftItems.find(l => l.id === pair.left);
+                  const right = rightItems.find(r => r.id === pair.right);
+                  const isCorrect = pairCorrectness[idx];
+                  
+                  return (
+                    <div 
+                      key={idx} 
+                      className={`flex items-center gap-3 p-3 rounded-lg border-2 ${
+                        isCorrect
+                          ? isDark ? 'border-green-700 bg-green-900/20' : 'border-green-300 bg-green-50'
+                          : isDark ? 'border-red-700 bg-red-900/20' : 'border-red-300 bg-red-50'
+                      }`}
+                    >
+                      {isCorrect ? (
+                        <CheckCircle className="w-5 h-5 text-green-500 flex-shrink-0" />
+                      ) : (
+                        <XCircle className="w-5 h-5 text-red-500 flex-shrink-0" />
+                      )}
+                      <span className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                        {left?.text || 'Unknown'}
+                      </span>
+                      <span className={`font-bold ${
+                        isCorrect
+                          ? isDark ? 'text-green-400' : 'text-green-600'
+                          : isDark ? 'text-red-400' : 'text-red-600'
+                      }`}>→</span>
+                      <span className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                        {right?.text || 'Unknown'}
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            ) : (
+              <p className={`italic ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                No matches provided
+              </p>
+            )}
+          </div>
+        );
+      }
+
+      case 'ordering': {
+        const orderItems = question.content.items || [];
+        const order = PlayerAnswer?.order || [];
+        const correctOrder = question.content.correctOrder || question.content.correct_order || [];
+        
+        return (
+          <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+            {order.length > 0 ? (
+              <div className="space-y-2">
+                {order.map((itemId, idx) => {
+                  const item = orderItems.find(i => i.id === itemId);
+                  const isCorrectPosition = correctOrder[idx] === itemId;
+                  
+                  return (
+                    <div 
+                      key={idx}
+                      className={`flex items-center gap-3 p-3 rounded-lg border-2 ${
+                        isCorrectPosition
+                          ? isDark ? 'border-green-700 bg-green-900/20' : 'border-green-300 bg-green-50'
+                          : isDark ? 'border-red-700 bg-red-900/20' : 'border-red-300 bg-red-50'
+                      }`}
+                    >
+                      {isCorrectPosition ? (
+                        <CheckCircle className="w-5 h-5 text-green-500 flex-shrink-0" />
+                      ) : (
+                        <XCircle className="w-5 h-5 text-red-500 flex-shrink-0" />
+                      )}
+                      <div className={`w-8 h-8 rounded-full flex items-center justify-center font-bold flex-shrink-0 ${
+                        isDark ? 'bg-blue-900 text-blue-300' : 'bg-blue-100 text-blue-700'
+                      }`}>
+                        {idx + 1}
+                      </div>
+                      <span className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                        {item?.text || 'Unknown'}
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            ) : (
+              <p className={`italic ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                No order provided
+              </p>
+            )}
+          </div>
+        );
+      }
+
+      case 'program_submission': {
+        const submittedCode = typeof PlayerAnswer === 'string' ? PlayerAnswer : PlayerAnswer.code || '';
+        return submittedCode.trim() ? (
+          <CodeBlock isDark={isDark}>{submittedCode}</CodeBlock>
+        ) : (
+          <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+            <p className={`italic ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+              No code submitted
+            </p>
+          </div>
+        );
+      }
+
+      case 'short_answer': {
+        const shortAnswerText = typeof PlayerAnswer === 'string' ? PlayerAnswer : PlayerAnswer.text || '';
+        return (
+          <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+            {shortAnswerText.trim() ? (
+              <>
+                <p className={`font-medium whitespace-pre-wrap ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                  {shortAnswerText}
+                </p>
+                <p className={`mt-2 text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                  {shortAnswerText.trim().split(/\s+/).length} words · {shortAnswerText.length} characters
+                </p>
+              </>
+            ) : (
+              <p className={`italic ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                No answer provided
+              </p>
+            )}
+          </div>
+        );
+      }
+
+      default:
+        return (
+          <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+            <p className={`${isDark ? 'text-white' : 'text-gray-900'}`}>
+              {JSON.stringify(PlayerAnswer)}
+            </p>
+          </div>
+        );
+    }
+  };
+
+  const renderCorrectAnswer = () => {
+    switch (question.questionType) {
+      case 'multiple_choice_single': {
+        const correctAnswerId = question.content.correct_answer || question.content.correctAnswer;
+        const correctOption = question.content.options.find(opt => opt.id === correctAnswerId);
+        return (
+          <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
+            <p className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
+              {correctOption?.text || 'Unknown'}
+            </p>
+            {correctOption && <ItemMedia image={getOptionImage(question, correctOption)} isDark={isDark} />}
+          </div>
+        );
+      }
+
+      case 'multiple_choice_multi': {
+        const correctAnswerIds = question.content.correct_answers || question.content.correctAnswers || [];
+        const correctOptions = question.content.options.filter(opt => correctAnswerIds.includes(opt.id));
+        return (
+          <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
+            <ul className="list-disc list-inside space-y-1">
+              {correctOptions.map(opt => (
+                <li key={opt.id} className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
+                  {opt.text}
+                  <ItemMedia image={getOptionImage(question, opt)} isDark={isDark} />
+                </li>
+              ))}
+            </ul>
+          </div>
+        );
+      }
+
+      case 'fill_in_blank':
+        return (
+          <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
+            <div className="space-y-2">
+              {question.content.blanks.map((blank, idx) => (
+                <div key={idx}>
+                  <span className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
+                    Blank {idx + 1}:
+                  </span>
+                  <span className={`ml-2 ${isDark ? 'text-green-300' : 'text-green-800'}`}>
+                    {blank.acceptedAnswers?.join(' or ') || 'No answer specified'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+
+      case 'matching': {
+        const correctPairs = question.content.correctPairs || question.content.correct_pairs || [];
+        const leftItems = question.content.leftItems || question.content.left_items || [];
+        const rightItems = question.content.rightItems || question.content.right_items || [];
+        
+        return (
+          <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
+            <div className="space-y-2">
+              {correctPairs.map((pair, idx) => {
+                const left = leftItems.find(l => l.id === pair.left);
+                const right = rightItems.find(r => r.id === pair.right);
+                return (
+                  <div key={idx} className="flex items-center gap-3">
+                    <span className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
+                      {left?.text || 'Unknown'}
+                    </span>
+                    <span className={`font-bold ${isDark ? 'text-green-400' : 'text-green-600'}`}>→</span>
+                    <span className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
+                      {right?.text || 'Unknown'}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        );
+      }
+
+      case 'ordering': {
+        const correctOrder = question.content.correctOrder || question.content.correct_order || [];
+        const items = question.content.items || [];
+        
+        return (
+          <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
+            <div className="space-y-2">
+              {correctOrder.map((itemId, idx) => {
+                const item = items.find(i => i.id === itemId);
+                return (
+                  <div key={idx} className="flex items-center gap-3">
+                    <div className={`w-8 h-8 rounded-full flex items-center justify-center font-bold flex-shrink-0 ${
+                      isDark ? 'bg-green-900 text-green-400' : 'bg-green-100 text-green-700'
+                    }`}>
+                      {idx + 1}
+                    </div>
+                    <span className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
+                      {item?.text || 'Unknown'}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        );
+      }
+
+      case 'short_answer': {
+        const shortAccepted = shortAnswerKey(question.content);
+        const rubric = question.content.rubric_description || question.content.rubricDescription;
+        const keywords = question.content.keywords || [];
+        return (
+          <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border space-y-2`}>
+            {shortAccepted.length > 0 && (
+              <p className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
+                {shortAccepted.join(' or ')}
+              </p>
+            )}
+            {keywords.length > 0 && (
+              <p className={`text-sm ${isDark ? 'text-green-300' : 'text-green-800'}`}>
+                <span className="font-medium">Keywords:</span>{' '}
+                {keywords.map(k => `${k.word}${k.required ? ' (required)' : ''}`).join(', ')}
+              </p>
+            )}
+            {rubric && (
+              <p className={`text-sm ${isDark ? 'text-green-300' : 'text-green-800'}`}>
+                <span className="font-medium">Rubric:</span> {rubric}
+              </p>
+            )}
+            {shortAccepted.length === 0 && keywords.length === 0 && !rubric && (
+              <p className={`italic ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                No accepted answers specified
+              </p>
+            )}
+          </div>
+        );
+      }
+
+      default:
+        return null;
+    }
+  };
+
+  // Per-test breakdown from the server-side grader (ProgramSubmissionGrading)
+  const renderTestResults = () => {
+    const grading = response?.gradingDetails;
+    if (!grading?.testResults) {
+      return (
+        <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+          <p className={`italic ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+            {grading?.feedback || 'No test results available'}
+          </p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-3">
+        <div className={`flex flex-wrap items-center gap-4 text-sm ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+          <span className="font-medium">
+            {grading.passedTests} / {grading.totalTests} tests passed
+          </span>
+          <span>Total time: {grading.totalExecutionTimeMs}ms</span>
+          {grading.autoGraded === false && (
+            <span className={isDark ? 'text-orange-400' : 'text-orange-600'}>Needs manual review</span>
+          )}
+        </div>
+
+        {grading.syntaxErrors?.length > 0 && (
+          <div className={`p-3 rounded-xl text-sm font-mono ${isDark ? 'bg-red-900/20 text-red-400' : 'bg-red-50 text-red-700'}`}>
+            {grading.syntaxErrors.map((error, idx) => (
+              <div key={idx}>Syntax error: {error}</div>
+            ))}
+          </div>
+        )}
+
+        <div className={`overflow-x-auto rounded-xl border ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+          <table className="w-full text-sm">
+            <thead className={isDark ? 'bg-gray-700/50 text-gray-300' : 'bg-gray-50 text-gray-700'}>
+              <tr>
+                <th className="px-3 py-2 text-left">#</th>
+                <th className="px-3 py-2 text-left">Test</th>
+                <th className="px-3 py-2 text-left">Input</th>
+                <th className="px-3 py-2 text-left">Expected</th>
+                <th className="px-3 py-2 text-left">Actual</th>
+                <th className="px-3 py-2 text-right">Weight</th>
+                <th className="px-3 py-2 text-right">Time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {grading.testResults.map(result => (
+                <tr
+                  key={result.testNumber}
+                  className={`border-t ${isDark ? 'border-gray-700 text-gray-300' : 'border-gray-200 text-gray-700'}`}
+                >
+                  <td className="px-3 py-2">
+                    {result.passed
+                      ? <CheckCircle className="w-4 h-4 text-green-500" />
+                      : <XCircle className="w-4 h-4 text-red-500" />}
+                  </td>
+                  <td className="px-3 py-2">
+                    {result.description || `Test ${result.testNumber}`}
+                    {result.visible === false && (
+                      <span className={`ml-2 px-2 py-0.5 rounded text-xs ${
+                        isDark ? 'bg-gray-700 text-gray-400' : 'bg-gray-100 text-gray-500'
+                      }`}>
+                        hidden
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 font-mono">{result.input}</td>
+                  <td className="px-3 py-2 font-mono">{result.expected}</td>
+                  <td className="px-3 py-2 font-mono">
+                    {result.error
+                      ? <span className={isDark ? 'text-red-400' : 'text-red-600'}>{result.error}</span>
+                      : result.actual}
+                  </td>
+                  <td className="px-3 py-2 text-right">{result.weight}</td>
+                  <td className="px-3 py-2 text-right">{result.executionTimeMs}ms</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className={`rounded-2xl ${isDark ? 'bg-gray-800' : 'bg-white'} p-6 shadow-lg`}>
+      <div className="flex items-start justify-between mb-4">
+        <div className="flex-1">
+          <div className="flex items-center gap-3 mb-2">
+            <span className={`px-3 py-1 rounded-lg text-sm font-medium ${
+              isDark ? 'bg-blue-900 text-blue-300' : 'bg-blue-100 text-blue-700'
+            }`}>
+              Question {index + 1}
+            </span>
+            {isFlagged && (
+              <span
+                title="The player flagged this question for review"
+                className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm font-medium ${
+                  isDark ? 'bg-amber-900/30 text-amber-400' : 'bg-amber-100 text-amber-700'
+                }`}
+              >
+                <Flag className="w-4 h-4" />
+                Flagged
+              </span>
+            )}
+            {isCorrect !== undefined && (
+              <span className={`px-3 py-1 rounded-lg text-sm font-medium ${
+                isCorrect
+                  ? 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400'
+                  : 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400'
+              }`}>
+                {isCorrect ? <CheckCircle className="w-4 h-4 inline mr-1" /> : <XCircle className="w-4 h-4 inline mr-1" />}
+                {isCorrect ? 'Correct' : 'Incorrect'}
+              </span>
+            )}
+          </div>
+          <QuestionText 
+            text={question.questionText || question.content?.text}
+            isDark={isDark}
+            className={`text-xl font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}
+          />
+        </div>
+        
+        {/* Points Section - Editable */}
+        <div className={`text-right p-4 rounded-xl flex items-center gap-3 ${
+          isDark ? 'bg-gray-700' : 'bg-gray-100'
+        }`}>
+          {!isEditingPoints ? (
+            <>
+              <div>
+                <div className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                  {tempPoints} / {maxPoints}
+                </div>
+                <div className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                  points
+                </div>
+              </div>
+              {/* Unanswered questions have no response to grade */}
+              {response?.responseId && (
+                <button
+                  onClick={startEditing}
+                  className={`p-2 rounded-lg transition-colors ${
+                    isDark
+                      ? 'hover:bg-blue-600 text-blue-400'
+                      : 'hover:bg-blue-500 text-blue-600'
+                  }`}
+                  title="Edit points"
+                >
+                  <Edit2 className="w-5 h-5" />
+                </button>
+              )}
+            </>
+          ) : (
+            <>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  value={tempPoints}
+                  onChange={(e) => setTempPoints(e.target.value)}
+                  readOnly={!!rubric}
+                  title={rubric ? 'Calculated from the rubric' : undefined}
+                  min="0"
+                  max={maxPoints}
+                  className={`w-16 px-2 py-1 rounded-lg border-2 text-center font-bold ${
+                    isDark
+                      ? 'bg-gray-600 border-blue-500 text-white'
+                      : 'bg-white border-blue-400 text-gray-900'
+                  }`}
+                />
+                <span className={`font-bold ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                  / {maxPoints}
+                </span>
+              </div>
+              <button
+                onClick={handleSavePoints}
+                disabled={savingGrade}
+                className={`p-2 rounded-lg transition-colors disabled:opacity-50 ${
+                  isDark
+                    ? 'hover:bg-green-600 text-green-400'
+                    : 'hover:bg-green-500 text-green-600'
+                }`}
+                title="Save points"
+              >
+                {savingGrade ? <Loader2 className="w-5 h-5 animate-spin" /> : <Save className="w-5 h-5" />}
+              </button>
+              <button
+                onClick={() => {
+                  setTempPoints(response?.pointsEarned || 0);
+                  setIsEditingPoints(false);
+                }}
+                disabled={savingGrade}
+                className={`p-2 rounded-lg transition-colors ${
+                  isDark
+                    ? 'hover:bg-red-600 text-red-400'
+                    : 'hover:bg-red-500 text-red-600'
+                }`}
+                title="Cancel"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {isEditingPoints && (
+        <div className={`mb-4 p-4 rounded-xl space-y-3 ${isDark ? 'bg-gray-700' : 'bg-gray-100'}`}>
+          {rubric && (
+            <RubricGrid
+              rubric={rubric}
+              selections={rubricSelections}
+              onSelect={handleRubricSelect}
+              isDark={isDark}
+            />
+          )}
+          <label className={`flex items-center gap-2 text-sm font-medium ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+            <input
+              type="checkbox"
+              checked={tempIsCorrect}
+              onChange={(e) => setTempIsCorrect(e.target.checked)}
+              className="w-4 h-4"
+            />
+            Mark as correct
+          </label>
+          <textarea
+            value={tempComment}
+            onChange={(e) => setTempComment(e.target.value)}
+            rows={2}
+            placeholder="Comment for the player (optional)"
+            className={`w-full px-3 py-2 rounded-lg border text-sm ${
+              isDark
+                ? 'bg-gray-600 border-gray-500 text-white placeholder-gray-400'
+                : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'
+            }`}
+          />
+        </div>
+      )}
+
+      {!isEditingPoints && manualGrading && (
+        <div className={`mb-4 p-3 rounded-xl text-sm ${isDark ? 'bg-blue-900/20 text-blue-300' : 'bg-blue-50 text-blue-800'}`}>
+          <span className="font-medium">Manually graded</span>
+          {manualGrading.auto_points_earned !== undefined && manualGrading.auto_points_earned !== null && (
+            <span> (auto-graded score was {manualGrading.auto_points_earned})</span>
+          )}
+        </div>
+      )}
+
+      {!isEditingPoints && (isEditingComment ? (
+        <div className={`mb-4 p-4 rounded-xl space-y-2 ${isDark ? 'bg-gray-700' : 'bg-gray-100'}`}>
+          <textarea
+            value={tempComment}
+            onChange={(e) => setTempComment(e.target.value)}
+            rows={3}
+            autoFocus
+            aria-label="Comment for the player"
+            placeholder="Comment for the player"
+            className={`w-full px-3 py-2 rounded-lg border text-sm ${
+              isDark
+                ? 'bg-gray-600 border-gray-500 text-white placeholder-gray-400'
+                : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'
+            }`}
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => setIsEditingComment(false)}
+              disabled={savingComment}
+              className={`px-3 py-1.5 rounded-lg text-sm ${isDark ? 'hover:bg-gray-600 text-gray-300' : 'hover:bg-gray-200 text-gray-700'}`}
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSaveComment}
+              disabled={savingComment}
+              className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+            >
+              {savingComment && <Loader2 className="w-4 h-4 animate-spin" />}
+              Save comment
+            </button>
+          </div>
+        </div>
+      ) : (
+        <>
+          <FeedbackNote comment={feedback} title="Comment for the player" isDark={isDark} className="mb-4" />
+          {onComment && response?.responseId && (
+            <button
+              onClick={startCommenting}
+              className={`mb-4 flex items-center gap-1 text-sm font-medium ${isDark ? 'text-blue-400 hover:text-blue-300' : 'text-blue-600 hover:text-blue-700'}`}
+            >
+              <MessageSquare className="w-4 h-4" />
+              {feedback ? 'Edit comment' : 'Add comment'}
+            </button>
+          )}
+        </>
+      ))}
+
+      {!isEditingPoints && gradedRubric?.criteria?.length > 0 && (
+        <div className="mb-4">
+          <h4 className={`font-semibold mb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+            Rubric:
+          </h4>
+          <RubricGrid rubric={gradedRubric} selections={getRubricSelections(gradedRubric)} isDark={isDark} />
+        </div>
+      )}
+
+      <QuestionMedia media={getQuestionMedia(question)} slots={REVIEW_MEDIA_SLOTS} isDark={isDark} />
+
+      <div className="space-y-4">
+        <div>
+          <h4 className={`font-semibold mb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+            Your Answer:
+          </h4>
+          {renderPlayerAnswer()}
+          <HintsUsedNote question={question} hintsUsed={hintsUsed} isDark={isDark} />
+        </div>
+
+        {question.questionType === 'program_submission' && (
+          <div>
+            <h4 className={`font-semibold mb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+              Test Results:
+            </h4>
+            {renderTestResults()}
+          </div>
+        )}
+
+        {!isCorrect && question.questionType !== 'program_submission' && (
+          <div>
+            <h4 className={`font-semibold mb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+              Correct Answer:
+            </h4>
+            {renderCorrectAnswer()}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResponseGradingCard;
@@ -0,0 +1,146 @@
+import { useState } from 'react';
+import { ChevronDown, ChevronRight, ClipboardList, Plus, Trash2 } from 'lucide-react';
+import { createRubricCriterion, createRubricLevel, getRubricMaxPoints } from '../utils/rubric';
+
+/**
+ * RubricEditor component for authoring a question's content.rubric
+ * Each criterion has levels with points and a descriptor; tutors pick one level per criterion
+ * when grading. Calls onChange(undefined) when the last criterion is removed.
+ */
+const RubricEditor = ({ rubric, questionPoints, onChange, isDark }) => {
+  const criteria = rubric?.criteria || [];
+  const [expanded, setExpanded] = useState(criteria.length > 0);
+  const maxPoints = getRubricMaxPoints(rubric);
+
+  const inputClass = `w-full px-3 py-2 rounded-lg border text-sm ${
+    isDark
+      ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-500'
+      : 'bg-white border-gray-300 text-gray-900 placeholder-gray-400'
+  }`;
+
+  const updateCriteria = (updated) => {
+    onChange(updated.length > 0 ? { ...rubric, criteria: updated } : undefined);
+  };
+
+  const updateCriterion = (criterionId, changes) => {
+    updateCriteria(criteria.map(c => (c.id === criterionId ? { ...c, ...changes } : c)));
+  };
+
+  const updateLevel = (criterion, levelId, changes) => {
+    updateCriterion(criterion.id, {
+      levels: criterion.levels.map(l => (l.id === levelId ? { ...l, ...changes } : l))
+    });
+  };
+
+  return (
+    <div className={`rounded-lg border ${isDark ? 'border-gray-600' : 'border-gray-200'}`}>
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        aria-expanded={expanded}
+        className={`w-full flex items-center gap-2 px-4 py-3 text-sm font-semibold ${isDark ? 'text-gray-200' : 'text-gray-800'}`}
+      >
+        {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+        <ClipboardList className="w-4 h-4" />
+        Grading Rubric
+        {criteria.length > 0 && (
+          <span className={`ml-1 px-2 py-0.5 rounded-full text-xs ${isDark ? 'bg-blue-900 text-blue-300' : 'bg-blue-100 text-blue-700'}`}>
+            {criteria.length} {criteria.length === 1 ? 'criterion' : 'criteria'}
+          </span>
+        )}
+      </button>
+
+      {expanded && (
+        <div className="px-4 pb-4 space-y-4">
+          {criteria.length > 0 && (
+            <p className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+              Rubric total: {maxPoints} points.
+              {maxPoints > 0 && maxPoints !== questionPoints && ` Scores are scaled to the question's ${questionPoints} points.`}
+            </p>
+          )}
+
+          {criteria.map((criterion, cIndex) => (
+            <div key={criterion.id} className={`p-3 rounded-lg space-y-3 ${isDark ? 'bg-gray-700/50' : 'bg-gray-50'}`}>
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={criterion.title}
+                  onChange={(e) => updateCriterion(criterion.id, { title: e.target.value })}
+                  placeholder={`Criterion ${cIndex + 1} (e.g., Correctness)`}
+                  className={inputClass}
+                />
+                <button
+                  type="button"
+                  onClick={() => updateCriteria(criteria.filter(c => c.id !== criterion.id))}
+                  className="p-2 text-red-500 hover:bg-red-500/10 rounded-lg"
+                  title="Remove criterion"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+
+              {criterion.levels.map(level => (
+                <div key={level.id} className="grid grid-cols-12 gap-2 items-start">
+                  <input
+                    type="text"
+                    value={level.label}
+                    onChange={(e) => updateLevel(criterion, level.id, { label: e.target.value })}
+                    placeholder="Level"
+                    className={`col-span-3 ${inputClass}`}
+                  />
+                  <input
+                    type="number"
+                    value={level.points}
+                    onChange={(e) => updateLevel(criterion, level.id, { points: parseFloat(e.target.value) || 0 })}
+                    min="0"
+                    step="0.5"
+                    aria-label="Level points"
+                    className={`col-span-2 ${inputClass}`}
+                  />
+                  <textarea
+                    value={level.descriptor || ''}
+                    onChange={(e) => updateLevel(criterion, level.id, { descriptor: e.target.value })}
+                    placeholder="What this level looks like"
+                    rows={1}
+                    className={`col-span-6 ${inputClass}`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => updateCriterion(criterion.id, { levels: criterion.levels.filter(l => l.id !== level.id) })}
+                    disabled={criterion.levels.length <= 1}
+                    className="col-span-1 p-2 text-red-500 hover:bg-red-500/10 rounded-lg disabled:opacity-30"
+                    title="Remove level"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+
+              <button
+                type="button"
+                onClick={() => updateCriterion(criterion.id, { levels: [...criterion.levels, createRubricLevel()] })}
+                className={`flex items-center gap-1 text-sm ${isDark ? 'text-blue-400' : 'text-blue-600'}`}
+              >
+                <Plus className="w-4 h-4" />
+                Add level
+              </button>
+            </div>
+          ))}
+
+          <button
+            type="button"
+            onClick={() => updateCriteria([...criteria, createRubricCriterion()])}
+            className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium ${
+              isDark ? 'bg-gray-700 text-gray-200 hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            <Plus className="w-4 h-4" />
+            Add criterion
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RubricEditor;
@@ -0,0 +1,79 @@
+import { CheckCircle } from 'lucide-react';
+import { getLevelPoints, getCriterionMaxPoints } from '../utils/rubric';
+
+/**
+ * RubricGrid component - rubric table with one row per criterion and one cell per level
+ * Pass onSelect to let a tutor pick levels; without it the grid is read-only and
+ * only highlights the picked levels.
+ */
+const RubricGrid = ({ rubric, selections = {}, onSelect, isDark }) => {
+  const interactive = typeof onSelect === 'function';
+
+  return (
+    <div className="space-y-3">
+      {rubric.criteria.map(criterion => {
+        const selectedLevel = criterion.levels.find(level => level.id === selections[criterion.id]);
+        return (
+          <div
+            key={criterion.id}
+            role={interactive ? 'radiogroup' : undefined}
+            aria-label={criterion.title || 'Criterion'}
+            className={`rounded-xl border p-3 ${isDark ? 'border-gray-600' : 'border-gray-200'}`}
+          >
+            <div className="flex items-center justify-between gap-3 mb-2">
+              <span className={`font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                {criterion.title || 'Untitled criterion'}
+              </span>
+              <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                {selectedLevel
+                  ? `${getLevelPoints(selectedLevel)} / ${getCriterionMaxPoints(criterion)}`
+                  : 'Not graded'}
+              </span>
+            </div>
+            <div className="grid gap-2" style={{ gridTemplateColumns: `repeat(${Math.max(criterion.levels.length, 1)}, minmax(0, 1fr))` }}>
+              {criterion.levels.map(level => {
+                const isSelected = level.id === selections[criterion.id];
+                const className = `text-left p-2 rounded-lg border-2 text-sm transition-colors ${
+                  isSelected
+                    ? isDark ? 'border-blue-500 bg-blue-900/30 text-blue-200' : 'border-blue-500 bg-blue-50 text-blue-900'
+                    : isDark ? 'border-gray-700 text-gray-400' : 'border-gray-200 text-gray-600'
+                } ${interactive ? (isDark ? 'hover:border-blue-400' : 'hover:border-blue-300') : ''}`;
+                const body = (
+                  <>
+                    <div className="flex items-center justify-between gap-1 font-medium">
+                      <span>{level.label || 'Level'}</span>
+                      <span className="flex items-center gap-1 whitespace-nowrap">
+                        {isSelected && <CheckCircle className="w-4 h-4" />}
+                        {getLevelPoints(level)} pts
+                      </span>
+                    </div>
+                    {level.descriptor && <p className="mt-1 text-xs opacity-80">{level.descriptor}</p>}
+                  </>
+                );
+
+                return interactive ? (
+                  <button
+                    key={level.id}
+                    type="button"
+                    role="radio"
+                    aria-checked={isSelected}
+                    onClick={() => onSelect(criterion.id, level.id)}
+                    className={className}
+                  >
+                    {body}
+                  </button>
+                ) : (
+                  <div key={level.id} className={`${className} ${isSelected ? '' : 'opacity-60'}`}>
+                    {body}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RubricGrid;
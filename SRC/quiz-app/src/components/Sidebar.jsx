@@ -36,6 +36,7 @@ const Sidebar = ({ isDark, toggleTheme, role = 'Player' }) => {
     tutor: [
       { icon: Home, label: 'Dashboard', path: '/tutor/dashboard' },
       { icon: ClipboardList, label: 'My Assignments', path: '/tutor/assignments' },
+      { icon: CheckCircle, label: 'Grading', path: '/tutor/grading' },
     ],
     creator: [
       { icon: Home, label: 'Dashboard', path: '/creator/dashboard' },
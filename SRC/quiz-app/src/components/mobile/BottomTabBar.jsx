@@ -1,5 +1,5 @@
 import { Link, useLocation } from 'react-router-dom';
-import { Home, BookOpen, ClipboardList, PenTool, User, Users } from 'lucide-react';
+import { Home, BookOpen, ClipboardList, PenTool, User, Users, CheckCircle } from 'lucide-react';
 
 /**
  * BottomTabBar - Fixed bottom navigation with profile tab
@@ -17,6 +17,7 @@ const BottomTabBar = ({ isDark, role, onProfileClick }) => {
     tutor: [
       { icon: Home, label: 'Dashboard', path: '/tutor/dashboard' },
       { icon: ClipboardList, label: 'Assignments', path: '/tutor/assignments' },
+      { icon: CheckCircle, label: 'Grading', path: '/tutor/grading' },
     ],
     creator: [
       { icon: Home, label: 'Dashboard', path: '/creator/dashboard' },
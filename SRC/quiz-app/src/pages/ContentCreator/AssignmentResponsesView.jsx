@@ -1,11 +1,17 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { Loader2, ArrowLeft, User, Calendar, Clock, Award, CheckCircle, XCircle, ChevronDown, ChevronUp, Edit2, Save, X } from 'lucide-react';
-import { assignmentApi, quizApi, attemptApi } from '../../services/api';
-import { QuestionText } from '../../components/CodeBlock';
+import { Loader2, ArrowLeft, User, Calendar, Clock, Award, CheckCircle, ChevronDown, ChevronUp, Flag, MessageSquare, Download } from 'lucide-react';
+import { assignmentApi, quizApi, attemptApi, responseApi, helpers } from '../../services/api';
+import ResponseGradingCard from '../../components/ResponseGradingCard';
+import { getAttemptFeedback } from '../../utils/feedback';
+import { buildAssignmentRows } from '../../utils/gradebook';
+import { downloadSpreadsheet } from '../../utils/spreadsheet';
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
+// Questions the student flagged for review while taking the quiz (stored in attempt metadata)
+const getFlaggedQuestions = (attempt) => attempt?.metadata?.flaggedQuestions || [];
+
 const AssignmentResponsesView = ({ isDark }) => {
   const { assignmentId } = useParams();
   const navigate = useNavigate();
@@ -17,7 +23,7 @@ const AssignmentResponsesView = ({ isDark }) => {
   const [attempts, setAttempts] = useState([]);
   const [expandedAttempt, setExpandedAttempt] = useState(null);
   const [attemptResponses, setAttemptResponses] = useState({});
-  const [manualPoints, setManualPoints] = useState({});
+  const [exporting, setExporting] = useState(false);
 
   useEffect(() => {
     fetchAssignmentData();
@@ -43,8 +49,9 @@ const AssignmentResponsesView = ({ isDark }) => {
       const attemptsData = await attemptApi.getUserAttempts(assignmentData.userId);
       
       // Filter attempts for this specific quiz and sort by date (newest first)
+      // Practice attempts are not part of the assignment
       const quizAttempts = (attemptsData.attempts || [])
-        .filter(a => a.quizId === assignmentData.quizId)
+        .filter(a => a.quizId === assignmentData.quizId && !helpers.isPracticeAttempt(a))
         .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt)); // Oldest first for Attempt 1, 2, 3...
       
       setAttempts(quizAttempts);
@@ -78,6 +85,49 @@ const AssignmentResponsesView = ({ isDark }) => {
     }
   };
 
+  // Save a tutor's points override and show the recalculated attempt/assignment totals
+  const handleGradeResponse = async (attemptId, responseId, { points, isCorrect, comment, gradingDetails }) => {
+    const { scores, ...graded } = await responseApi.gradeResponse(responseId, points, isCorrect, comment, gradingDetails);
+
+    setAttemptResponses(prev => ({
+      ...prev,
+      [attemptId]: prev[attemptId].map(r =>
+        r.responseId === responseId ? { ...r, ...graded } : r
+      )
+    }));
+
+    if (scores) {
+      const { totalScore, maxPossibleScore, scorePercentage, assignmentId, assignmentScore } = scores;
+      setAttempts(prev =>
+        prev.map(att =>
+          att.attemptId === attemptId
+            ? { ...att, totalScore, maxPossibleScore, scorePercentage }
+            : att
+        )
+      );
+      if (assignmentId) {
+        setAssignment(prev => ({ ...prev, score: assignmentScore }));
+      }
+    }
+  };
+
+  const handleCommentResponse = async (attemptId, responseId, comment) => {
+    const updated = await responseApi.updateFeedback(responseId, comment);
+    setAttemptResponses(prev => ({
+      ...prev,
+      [attemptId]: prev[attemptId].map(r =>
+        r.responseId === responseId ? { ...r, gradingDetails: updated.gradingDetails } : r
+      )
+    }));
+  };
+
+  const handleAttemptFeedback = async (attemptId, comment) => {
+    const updated = await attemptApi.updateFeedback(attemptId, comment);
+    setAttempts(prev =>
+      prev.map(att => (att.attemptId === attemptId ? { ...att, metadata: updated.metadata } : att))
+    );
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
     const date = new Date(dateString);
@@ -90,6 +140,33 @@ const AssignmentResponsesView = ({ isDark }) => {
     });
   };
 
+  // Question-level points for every attempt, loading the responses of attempts not opened yet
+  const handleExport = async (format) => {
+    try {
+      setExporting(true);
+      const loaded = { ...attemptResponses };
+      for (const attempt of attempts) {
+        if (!loaded[attempt.attemptId]) {
+          const responsesData = await attemptApi.getAttemptResponses(attempt.attemptId);
+          loaded[attempt.attemptId] = responsesData.data || responsesData.responses || [];
+        }
+      }
+      setAttemptResponses(loaded);
+
+      const playerName = `${assignment.userFirstName || ''} ${assignment.userLastName || ''}`.trim();
+      downloadSpreadsheet(buildAssignmentRows(questions, attempts, loaded), {
+        format,
+        baseName: `${quiz.title}_${playerName || assignment.userEmail || 'player'}`,
+        sheetName: playerName || quiz.title
+      });
+    } catch (error) {
+      console.error('Error exporting assignment:', error);
+      toast.error('Failed to export assignment scores');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const formatDuration = (startDate, endDate) => {
     if (!startDate || !endDate) return 'N/A';
     const diff = new Date(endDate) - new Date(startDate);
@@ -149,6 +226,26 @@ const AssignmentResponsesView = ({ isDark }) => {
                 </p>
               </div>
             </div>
+            {attempts.length > 0 && (
+              <div className="flex items-center gap-2">
+                {['csv', 'xlsx'].map(format => (
+                  <button
+                    key={format}
+                    onClick={() => handleExport(format)}
+                    disabled={exporting}
+                    title={`Download question-level points as ${format.toUpperCase()}`}
+                    className={`px-3 py-2 rounded-lg flex items-center gap-2 text-sm border transition-colors disabled:opacity-50 ${
+                      isDark
+                        ? 'border-gray-600 text-gray-200 hover:bg-gray-700'
+                        : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    {exporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+                    {format.toUpperCase()}
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -199,6 +296,17 @@ const AssignmentResponsesView = ({ isDark }) => {
                 </div>
               </div>
             )}
+            {assignment.score !== null && assignment.score !== undefined && (
+              <div className="flex items-center gap-3">
+                <CheckCircle className={`w-5 h-5 ${isDark ? 'text-blue-400' : 'text-blue-600'}`} />
+                <div>
+                  <p className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>Assignment Score</p>
+                  <p className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                    {Number(assignment.score).toFixed(1)}%
+                  </p>
+                </div>
+              </div>
+            )}
           </div>
         </div>
 
@@ -237,11 +345,26 @@ const AssignmentResponsesView = ({ isDark }) => {
                         <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
                           {formatDate(attempt.startedAt)}
                         </span>
-                        {attempt.score !== null && attempt.score !== undefined && (
+                        {attempt.scorePercentage !== null && attempt.scorePercentage !== undefined && (
                           <span className={`text-sm font-semibold ${
-                            attempt.score >= 70 ? 'text-green-500' : attempt.score >= 50 ? 'text-yellow-500' : 'text-red-500'
+                            attempt.scorePercentage >= 70 ? 'text-green-500' : attempt.scorePercentage >= 50 ? 'text-yellow-500' : 'text-red-500'
                           }`}>
-                            Score: {attempt.score.toFixed(1)}%
+                            Score: {Number(attempt.scorePercentage).toFixed(1)}%
+                          </span>
+                        )}
+                        {getFlaggedQuestions(attempt).length > 0 && (
+                          <span className={`flex items-center gap-1 text-sm font-medium ${isDark ? 'text-amber-400' : 'text-amber-600'}`}>
+                            <Flag className="w-4 h-4" />
+                            {getFlaggedQuestions(attempt).length} flagged
+                          </span>
+                        )}
+                        {getAttemptFeedback(attempt) && (
+                          <span
+                            title="You left feedback on this attempt"
+                            className={`flex items-center gap-1 text-sm font-medium ${isDark ? 'text-indigo-400' : 'text-indigo-600'}`}
+                          >
+                            <MessageSquare className="w-4 h-4" />
+                            Feedback
                           </span>
                         )}
                       </div>
@@ -259,7 +382,7 @@ const AssignmentResponsesView = ({ isDark }) => {
                   <div className={`border-t ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
                     {/* Attempt Summary */}
                     <div className={`p-6 border-b ${isDark ? 'border-gray-700 bg-gray-750' : 'border-gray-200 bg-gray-50'}`}>
-                      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                         <div>
                           <p className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>Started At</p>
                           <p className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
@@ -278,9 +401,23 @@ const AssignmentResponsesView = ({ isDark }) => {
                             {formatDuration(attempt.startedAt, attempt.completedAt)}
                           </p>
                         </div>
+                        <div>
+                          <p className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>Total Score</p>
+                          <p className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                            {attempt.totalScore !== null && attempt.totalScore !== undefined
+                              ? `${Number(attempt.totalScore)} / ${Number(attempt.maxPossibleScore || 0)}`
+                              : 'N/A'}
+                          </p>
+                        </div>
                       </div>
                     </div>
 
+                    <AttemptFeedbackEditor
+                      attempt={attempt}
+                      isDark={isDark}
+                      onSave={(comment) => handleAttemptFeedback(attempt.attemptId, comment)}
+                    />
+
                     {/* Questions and Responses */}
                     <div className="p-6 space-y-6">
                       {attemptResponses[attempt.attemptId] ? (
@@ -288,32 +425,15 @@ const AssignmentResponsesView = ({ isDark }) => {
                           const questionId = question.question_id || question.questionId || question.id;
                           const response = attemptResponses[attempt.attemptId].find(r => r.questionId === questionId);
                           return (
-                            <QuestionReviewCard
+                            <ResponseGradingCard
                               key={`${attempt.attemptId}-${questionId || qIndex}`}
                               question={question}
                               response={response}
                               index={qIndex}
+                              isFlagged={getFlaggedQuestions(attempt).includes(questionId)}
                               isDark={isDark}
-                              onPointsChange={(responseId, points) => {
-                                // Update the attempt responses with new points
-                                setAttemptResponses(prev => ({
-                                  ...prev,
-                                  [attempt.attemptId]: prev[attempt.attemptId].map(r => 
-                                    r.responseId === responseId || r.questionId === questionId
-                                      ? { ...r, pointsEarned: points }
-                                      : r
-                                  )
-                                }));
-                                
-                                // Optionally update the attempt's total score
-                                setAttempts(prev => 
-                                  prev.map(att => 
-                                    att.attemptId === attempt.attemptId
-                                      ? { ...att, manualScoreUpdated: true }
-                                      : att
-                                  )
-                                );
-                              }}
+                              onGrade={(responseId, grade) => handleGradeResponse(attempt.attemptId, responseId, grade)}
+                              onComment={(responseId, comment) => handleCommentResponse(attempt.attemptId, responseId, comment)}
                             />
                           );
                         })
@@ -336,430 +456,60 @@ const AssignmentResponsesView = ({ isDark }) => {
   );
 };
 
-// Question Review Card Component
-const QuestionReviewCard = ({ question, response, index, isDark, onPointsChange }) => {
-  const isCorrect = response?.isCorrect;
-  const PlayerAnswer = response?.answerPayload;
-  const [isEditingPoints, setIsEditingPoints] = useState(false);
-  const [tempPoints, setTempPoints] = useState(response?.pointsEarned || 0);
-  const maxPoints = question.points || 10;
-
-  const handleSavePoints = () => {
-    const points = Math.min(Math.max(parseFloat(tempPoints) || 0, 0), maxPoints);
-    onPointsChange(response?.responseId, points);
-    setTempPoints(points);
-    setIsEditingPoints(false);
-    toast.success('Points updated successfully!', {
-      position: 'bottom-right',
-      autoClose: 2000,
-    });
-  };
-
-  const renderPlayerAnswer = () => {
-    if (!PlayerAnswer) {
-      return (
-        <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
-          <p className={`italic ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-            No answer provided
-          </p>
-        </div>
-      );
-    }
-
-    switch (question.questionType) {
-      case 'multiple_choice_single':
-        const selectedOption = question.content.options.find(opt => opt.id === PlayerAnswer);
-        return (
-          <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
-            <p className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
-              {selectedOption?.text || 'Unknown answer'}
-            </p>
-          </div>
-        );
-
-      case 'multiple_choice_multi':
-        const selectedOptions = question.content.options.filter(opt => 
-          PlayerAnswer.includes(opt.id)
-        );
-        return (
-          <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
-            {selectedOptions.length > 0 ? (
-              <ul className="list-disc list-inside space-y-1">
-                {selectedOptions.map(opt => (
-                  <li key={opt.id} className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
-                    {opt.text}
-                  </li>
-                ))}
-              </ul>
-            ) : (
-              <p className={`italic ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-                No options selected
-              </p>
-            )}
-          </div>
-        );
-
-      case 'fill_in_blank':
-        return (
-          <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
-            {Array.isArray(PlayerAnswer) && PlayerAnswer.length > 0 ? (
-              <div className="space-y-2">
-                {PlayerAnswer.map((answer, idx) => (
-                  <div key={idx}>
-                    <span className={`font-medium ${isDark ? 'text-blue-400' : 'text-blue-600'}`}>
-                      Blank {idx + 1}:
-                    </span>
-                    <span className={`ml-2 ${isDark ? 'text-white' : 'text-gray-900'}`}>
-                      {answer || '(empty)'}
-                    </span>
-                  </div>
-                ))}
-              </div>
-            ) : (
-              <p className={`italic ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-                No answers provided
-              </p>
-            )}
-          </div>
-        );
-
-      case 'matching':
-        const leftItems = question.content.leftItems || question.content.left_items || [];
-        const rightItems = question.content.rightItems || question.content.right_items || [];
-        const pairs = PlayerAnswer?.pairs || [];
-        const correctPairs = question.content.correctPairs || question.content.correct_pairs || [];
-        
-        const pairCorrectness = pairs.map(pair => {
-          return correctPairs.some(cp => cp.left === pair.left && cp.right === pair.right);
-        });
-        
-        return (
-          <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
-            {pairs.length > 0 ? (
-              <div className="space-y-3">
-                {pairs.map((pair, idx) => {
-                  const left = leftItems.find(l => l.id === pair.left);
-                  const right = rightItems.find(r => r.id === pair.right);
-                  const isCorrect = pairCorrectness[idx];
-                  
-                  return (
-                    <div 
-                      key={idx} 
-                      className={`flex items-center gap-3 p-3 rounded-lg border-2 ${
-                        isCorrect
-                          ? isDark ? 'border-green-700 bg-green-900/20' : 'border-green-300 bg-green-50'
-                          : isDark ? 'border-red-700 bg-red-900/20' : 'border-red-300 bg-red-50'
-                      }`}
-                    >
-                      {isCorrect ? (
-                        <CheckCircle className="w-5 h-5 text-green-500 flex-shrink-0" />
-                      ) : (
-                        <XCircle className="w-5 h-5 text-red-500 flex-shrink-0" />
-                      )}
-                      <span className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
-                        {left?.text || 'Unknown'}
-                      </span>
-                      <span className={`font-bold ${
-                        isCorrect
-                          ? isDark ? 'text-green-400' : 'text-green-600'
-                          : isDark ? 'text-red-400' : 'text-red-600'
-                      }`}>→</span>
-                      <span className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
-                        {right?.text || 'Unknown'}
-                      </span>
-                    </div>
-                  );
-                })}
-              </div>
-            ) : (
-              <p className={`italic ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-                No matches provided
-              </p>
-            )}
-          </div>
-        );
-
-      case 'ordering':
-        const orderItems = question.content.items || [];
-        const order = PlayerAnswer?.order || [];
-        const correctOrder = question.content.correctOrder || question.content.correct_order || [];
-        
-        return (
-          <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
-            {order.length > 0 ? (
-              <div className="space-y-2">
-                {order.map((itemId, idx) => {
-                  const item = orderItems.find(i => i.id === itemId);
-                  const isCorrectPosition = correctOrder[idx] === itemId;
-                  
-                  return (
-                    <div 
-                      key={idx}
-                      className={`flex items-center gap-3 p-3 rounded-lg border-2 ${
-                        isCorrectPosition
-                          ? isDark ? 'border-green-700 bg-green-900/20' : 'border-green-300 bg-green-50'
-                          : isDark ? 'border-red-700 bg-red-900/20' : 'border-red-300 bg-red-50'
-                      }`}
-                    >
-                      {isCorrectPosition ? (
-                        <CheckCircle className="w-5 h-5 text-green-500 flex-shrink-0" />
-                      ) : (
-                        <XCircle className="w-5 h-5 text-red-500 flex-shrink-0" />
-                      )}
-                      <div className={`w-8 h-8 rounded-full flex items-center justify-center font-bold flex-shrink-0 ${
-                        isDark ? 'bg-blue-900 text-blue-300' : 'bg-blue-100 text-blue-700'
-                      }`}>
-                        {idx + 1}
-                      </div>
-                      <span className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
-                        {item?.text || 'Unknown'}
-                      </span>
-                    </div>
-                  );
-                })}
-              </div>
-            ) : (
-              <p className={`italic ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-                No order provided
-              </p>
-            )}
-          </div>
-        );
-
-      default:
-        return (
-          <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
-            <p className={`${isDark ? 'text-white' : 'text-gray-900'}`}>
-              {JSON.stringify(PlayerAnswer)}
-            </p>
-          </div>
-        );
-    }
-  };
-
-  const renderCorrectAnswer = () => {
-    switch (question.questionType) {
-      case 'multiple_choice_single':
-        const correctAnswerId = question.content.correct_answer || question.content.correctAnswer;
-        const correctOption = question.content.options.find(opt => opt.id === correctAnswerId);
-        return (
-          <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
-            <p className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
-              {correctOption?.text || 'Unknown'}
-            </p>
-          </div>
-        );
-
-      case 'multiple_choice_multi':
-        const correctAnswerIds = question.content.correct_answers || question.content.correctAnswers || [];
-        const correctOptions = question.content.options.filter(opt => correctAnswerIds.includes(opt.id));
-        return (
-          <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
-            <ul className="list-disc list-inside space-y-1">
-              {correctOptions.map(opt => (
-                <li key={opt.id} className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
-                  {opt.text}
-                </li>
-              ))}
-            </ul>
-          </div>
-        );
-
-      case 'fill_in_blank':
-        return (
-          <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
-            <div className="space-y-2">
-              {question.content.blanks.map((blank, idx) => (
-                <div key={idx}>
-                  <span className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
-                    Blank {idx + 1}:
-                  </span>
-                  <span className={`ml-2 ${isDark ? 'text-green-300' : 'text-green-800'}`}>
-                    {blank.acceptedAnswers?.join(' or ') || 'No answer specified'}
-                  </span>
-                </div>
-              ))}
-            </div>
-          </div>
-        );
-
-      case 'matching':
-        const correctPairs = question.content.correctPairs || question.content.correct_pairs || [];
-        const leftItems = question.content.leftItems || question.content.left_items || [];
-        const rightItems = question.content.rightItems || question.content.right_items || [];
-        
-        return (
-          <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
-            <div className="space-y-2">
-              {correctPairs.map((pair, idx) => {
-                const left = leftItems.find(l => l.id === pair.left);
-                const right = rightItems.find(r => r.id === pair.right);
-                return (
-                  <div key={idx} className="flex items-center gap-3">
-                    <span className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
-                      {left?.text || 'Unknown'}
-                    </span>
-                    <span className={`font-bold ${isDark ? 'text-green-400' : 'text-green-600'}`}>→</span>
-                    <span className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
-                      {right?.text || 'Unknown'}
-                    </span>
-                  </div>
-                );
-              })}
-            </div>
-          </div>
-        );
-
-      case 'ordering':
-        const correctOrder = question.content.correctOrder || question.content.correct_order || [];
-        const items = question.content.items || [];
-        
-        return (
-          <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
-            <div className="space-y-2">
-              {correctOrder.map((itemId, idx) => {
-                const item = items.find(i => i.id === itemId);
-                return (
-                  <div key={idx} className="flex items-center gap-3">
-                    <div className={`w-8 h-8 rounded-full flex items-center justify-center font-bold flex-shrink-0 ${
-                      isDark ? 'bg-green-900 text-green-400' : 'bg-green-100 text-green-700'
-                    }`}>
-                      {idx + 1}
-                    </div>
-                    <span className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
-                      {item?.text || 'Unknown'}
-                    </span>
-                  </div>
-                );
-              })}
-            </div>
-          </div>
-        );
+// Overall comment on an attempt, shown to the player above their answers
+const AttemptFeedbackEditor = ({ attempt, isDark, onSave }) => {
+  const savedComment = getAttemptFeedback(attempt);
+  const [comment, setComment] = useState(savedComment);
+  const [saving, setSaving] = useState(false);
 
-      default:
-        return null;
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await onSave(comment.trim());
+      toast.success(comment.trim() ? 'Feedback saved' : 'Feedback removed', {
+        position: 'bottom-right',
+        autoClose: 2000,
+      });
+    } catch (error) {
+      console.error('Error saving attempt feedback:', error);
+      toast.error('Failed to save feedback. Please try again.', {
+        position: 'bottom-right',
+      });
+    } finally {
+      setSaving(false);
     }
   };
 
   return (
-    <div className={`rounded-2xl ${isDark ? 'bg-gray-800' : 'bg-white'} p-6 shadow-lg`}>
-      <div className="flex items-start justify-between mb-4">
-        <div className="flex-1">
-          <div className="flex items-center gap-3 mb-2">
-            <span className={`px-3 py-1 rounded-lg text-sm font-medium ${
-              isDark ? 'bg-blue-900 text-blue-300' : 'bg-blue-100 text-blue-700'
-            }`}>
-              Question {index + 1}
-            </span>
-            {isCorrect !== undefined && (
-              <span className={`px-3 py-1 rounded-lg text-sm font-medium ${
-                isCorrect
-                  ? 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400'
-                  : 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400'
-              }`}>
-                {isCorrect ? <CheckCircle className="w-4 h-4 inline mr-1" /> : <XCircle className="w-4 h-4 inline mr-1" />}
-                {isCorrect ? 'Correct' : 'Incorrect'}
-              </span>
-            )}
-          </div>
-          <QuestionText 
-            text={question.questionText || question.content?.text}
-            isDark={isDark}
-            className={`text-xl font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}
-          />
-        </div>
-        
-        {/* Points Section - Editable */}
-        <div className={`text-right p-4 rounded-xl flex items-center gap-3 ${
-          isDark ? 'bg-gray-700' : 'bg-gray-100'
-        }`}>
-          {!isEditingPoints ? (
-            <>
-              <div>
-                <div className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}>
-                  {tempPoints} / {maxPoints}
-                </div>
-                <div className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-                  points
-                </div>
-              </div>
-              <button
-                onClick={() => setIsEditingPoints(true)}
-                className={`p-2 rounded-lg transition-colors ${
-                  isDark
-                    ? 'hover:bg-blue-600 text-blue-400'
-                    : 'hover:bg-blue-500 text-blue-600'
-                }`}
-                title="Edit points"
-              >
-                <Edit2 className="w-5 h-5" />
-              </button>
-            </>
-          ) : (
-            <>
-              <div className="flex items-center gap-2">
-                <input
-                  type="number"
-                  value={tempPoints}
-                  onChange={(e) => setTempPoints(e.target.value)}
-                  min="0"
-                  max={maxPoints}
-                  className={`w-16 px-2 py-1 rounded-lg border-2 text-center font-bold ${
-                    isDark
-                      ? 'bg-gray-600 border-blue-500 text-white'
-                      : 'bg-white border-blue-400 text-gray-900'
-                  }`}
-                />
-                <span className={`font-bold ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-                  / {maxPoints}
-                </span>
-              </div>
-              <button
-                onClick={handleSavePoints}
-                className={`p-2 rounded-lg transition-colors ${
-                  isDark
-                    ? 'hover:bg-green-600 text-green-400'
-                    : 'hover:bg-green-500 text-green-600'
-                }`}
-                title="Save points"
-              >
-                <Save className="w-5 h-5" />
-              </button>
-              <button
-                onClick={() => {
-                  setTempPoints(response?.pointsEarned || 0);
-                  setIsEditingPoints(false);
-                }}
-                className={`p-2 rounded-lg transition-colors ${
-                  isDark
-                    ? 'hover:bg-red-600 text-red-400'
-                    : 'hover:bg-red-500 text-red-600'
-                }`}
-                title="Cancel"
-              >
-                <X className="w-5 h-5" />
-              </button>
-            </>
-          )}
-        </div>
-      </div>
-
-      <div className="space-y-4">
-        <div>
-          <h4 className={`font-semibold mb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
-            Your Answer:
-          </h4>
-          {renderPlayerAnswer()}
-        </div>
-
-        {!isCorrect && (
-          <div>
-            <h4 className={`font-semibold mb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
-              Correct Answer:
-            </h4>
-            {renderCorrectAnswer()}
-          </div>
-        )}
+    <div className={`p-6 border-b ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+      <label
+        htmlFor={`attempt-feedback-${attempt.attemptId}`}
+        className={`flex items-center gap-2 mb-2 font-semibold ${isDark ? 'text-gray-200' : 'text-gray-800'}`}
+      >
+        <MessageSquare className="w-4 h-4" />
+        Overall feedback
+      </label>
+      <textarea
+        id={`attempt-feedback-${attempt.attemptId}`}
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        rows={3}
+        placeholder="Comment on the attempt as a whole (the player sees this above their answers)"
+        className={`w-full px-3 py-2 rounded-lg border text-sm ${
+          isDark
+            ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400'
+            : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'
+        }`}
+      />
+      <div className="flex justify-end mt-2">
+        <button
+          onClick={handleSave}
+          disabled={saving || comment.trim() === savedComment}
+          className="flex items-center gap-1 px-4 py-2 rounded-lg text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+          Save feedback
+        </button>
       </div>
     </div>
   );
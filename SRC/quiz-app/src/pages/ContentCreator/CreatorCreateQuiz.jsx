@@ -2,6 +2,10 @@ import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { quizApi } from '../../services/api';
 import { ArrowLeft, Save, X, Upload, FileJson } from 'lucide-react';
+import QuestionEditor from '../../components/QuestionEditor';
+import GiftImportPanel from '../../components/GiftImportPanel';
+import QtiImportPanel from '../../components/QtiImportPanel';
+import { normalizeQuestionContent, validateQuestion } from '../../utils/questionContent';
 
 const CreatorCreateQuiz = ({ isDark }) => {
   const navigate = useNavigate();
@@ -16,6 +20,10 @@ const CreatorCreateQuiz = ({ isDark }) => {
     ageMin: 8,
     ageMax: 15,
     tags: [],
+    timeLimitMinutes: '', // Blank = untimed
+    timeWarningSeconds: '', // Comma-separated seconds, e.g. "300, 60"
+    shuffleQuestions: false,
+    practiceMode: false,
   });
 
   const [tagInput, setTagInput] = useState('');
@@ -29,12 +37,15 @@ const CreatorCreateQuiz = ({ isDark }) => {
   const [batchErrors, setBatchErrors] = useState({});
   const [editMode, setEditMode] = useState(false);
   const [parsedQuestions, setParsedQuestions] = useState([]);
+  const [showQuestionErrors, setShowQuestionErrors] = useState(false);
 
   const handleChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFormData((prev) => ({
       ...prev,
-      [name]: name === 'estimatedMinutes' || name === 'ageMin' || name === 'ageMax'
+      [name]: type === 'checkbox'
+        ? checked
+        : name === 'estimatedMinutes' || name === 'ageMin' || name === 'ageMax'
         ? parseInt(value) || 0
         : value,
     }));
@@ -44,6 +55,15 @@ const CreatorCreateQuiz = ({ isDark }) => {
     }
   };
 
+  // "300, 60" -> [300, 60]; null when empty so the player falls back to its defaults
+  const parseWarningSeconds = (value) => {
+    const seconds = String(value || '')
+      .split(',')
+      .map((v) => parseInt(v.trim()))
+      .filter((n) => n > 0);
+    return seconds.length > 0 ? seconds : null;
+  };
+
   const handleAddTag = () => {
     if (tagInput.trim() && !formData.tags.includes(tagInput.trim())) {
       setFormData((prev) => ({
@@ -69,6 +89,9 @@ const CreatorCreateQuiz = ({ isDark }) => {
     if (formData.ageMin > formData.ageMax) {
       newErrors.ageRange = 'Minimum age must be less than or equal to maximum age';
     }
+    if (formData.timeLimitMinutes !== '' && !(parseInt(formData.timeLimitMinutes) > 0)) {
+      newErrors.timeLimit = 'Time limit must be a positive number of minutes';
+    }
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -85,6 +108,10 @@ const CreatorCreateQuiz = ({ isDark }) => {
       const quizData = {
         ...formData,
         tags: formData.tags.length > 0 ? formData.tags : null,
+        timeLimitMinutes: parseInt(formData.timeLimitMinutes) || null,
+        timeWarningSeconds: formData.timeLimitMinutes
+          ? parseWarningSeconds(formData.timeWarningSeconds)
+          : null,
       };
       
       const response = await quizApi.createQuiz(quizData);
@@ -111,7 +138,10 @@ const CreatorCreateQuiz = ({ isDark }) => {
         setBatchErrors(prev => ({ ...prev, questions: 'Questions must be an array' }));
         return;
       }
-      setParsedQuestions(questions);
+      // The editor works on canonical content; older camelCase keys are converted here
+      const normalized = questions.map(q => ({ ...q, content: normalizeQuestionContent(q.questionType, q.content) }));
+      setParsedQuestions(normalized);
+      setQuestionsJson(JSON.stringify(normalized, null, 2));
       setEditMode(true);
       setBatchErrors({});
     } catch (e) {
@@ -119,76 +149,25 @@ const CreatorCreateQuiz = ({ isDark }) => {
     }
   };
 
-  const handleQuestionChange = (index, field, value) => {
-    const updatedQuestions = [...parsedQuestions];
-    if (field.includes('.')) {
-      // Handle nested fields like content.correctAnswer
-      const [parent, child] = field.split('.');
-      updatedQuestions[index] = {
-        ...updatedQuestions[index],
-        [parent]: {
-          ...updatedQuestions[index][parent],
-          [child]: value
-        }
-      };
-    } else {
-      updatedQuestions[index] = {
-        ...updatedQuestions[index],
-        [field]: value
-      };
-    }
+  // Keeps the JSON textarea in step with the structured editor
+  const handleQuestionUpdate = (index, question) => {
+    const updatedQuestions = parsedQuestions.map((q, i) => (i === index ? question : q));
     setParsedQuestions(updatedQuestions);
-    // Update the JSON textarea
     setQuestionsJson(JSON.stringify(updatedQuestions, null, 2));
   };
 
-  const handleOptionChange = (questionIndex, optionIndex, field, value) => {
-    const updatedQuestions = [...parsedQuestions];
-    const options = [...(updatedQuestions[questionIndex].content?.options || [])];
-    options[optionIndex] = {
-      ...options[optionIndex],
-      [field]: value
-    };
-    updatedQuestions[questionIndex] = {
-      ...updatedQuestions[questionIndex],
-      content: {
-        ...updatedQuestions[questionIndex].content,
-        options
-      }
-    };
-    setParsedQuestions(updatedQuestions);
-    // Update the JSON textarea
-    setQuestionsJson(JSON.stringify(updatedQuestions, null, 2));
-  };
-
-  const handleAddOption = (questionIndex) => {
-    const updatedQuestions = [...parsedQuestions];
-    const options = [...(updatedQuestions[questionIndex].content?.options || [])];
-    options.push({ id: '', text: '' });
-    updatedQuestions[questionIndex] = {
-      ...updatedQuestions[questionIndex],
-      content: {
-        ...updatedQuestions[questionIndex].content,
-        options
-      }
-    };
-    setParsedQuestions(updatedQuestions);
-    setQuestionsJson(JSON.stringify(updatedQuestions, null, 2));
-  };
-
-  const handleRemoveOption = (questionIndex, optionIndex) => {
-    const updatedQuestions = [...parsedQuestions];
-    const options = [...(updatedQuestions[questionIndex].content?.options || [])];
-    options.splice(optionIndex, 1);
-    updatedQuestions[questionIndex] = {
-      ...updatedQuestions[questionIndex],
-      content: {
-        ...updatedQuestions[questionIndex].content,
-        options
-      }
-    };
-    setParsedQuestions(updatedQuestions);
-    setQuestionsJson(JSON.stringify(updatedQuestions, null, 2));
+  // Converted GIFT/QTI questions replace the questions JSON; an empty quiz JSON gets a starter quiz
+  // with the settings the file provided (at least a title)
+  const handleFileImport = (questions, quiz) => {
+    const normalized = questions.map(q => ({ ...q, content: normalizeQuestionContent(q.questionType, q.content) }));
+    setQuestionsJson(JSON.stringify(normalized, null, 2));
+    if (!quizJson.trim()) {
+      setQuizJson(JSON.stringify({ title: quiz.title, description: '', difficulty: 'medium', tags: [], ...quiz }, null, 2));
+    }
+    setParsedQuestions(normalized);
+    setEditMode(true);
+    setShowQuestionErrors(false);
+    setBatchErrors({});
   };
 
   const handleBatchImport = async () => {
@@ -219,6 +198,17 @@ const CreatorCreateQuiz = ({ isDark }) => {
         return;
       }
 
+      // Questions opened in the editor must be answerable and gradable before they are imported
+      if (editMode) {
+        const invalid = parsedQuestions.findIndex(q => Object.keys(validateQuestion(q)).length > 0);
+        if (invalid !== -1) {
+          setShowQuestionErrors(true);
+          setBatchErrors(prev => ({ ...prev, questions: `Question ${invalid + 1} has errors - fix the highlighted fields in the editor below` }));
+          setBatchLoading(false);
+          return;
+        }
+      }
+
       // Send batch import request
       const response = await quizApi.batchImport({ quiz: quizData, questions: questionsData });
 
@@ -235,620 +225,8 @@ const CreatorCreateQuiz = ({ isDark }) => {
     }
   };
 
-  // Helper function to render correct answer section based on question type
-  const renderCorrectAnswerSection = (question, qIndex, isDark) => {
-    const { questionType, content } = question;
-
-    switch (questionType) {
-      case 'multiple_choice_single':
-        return (
-          <div>
-            <label className={`block text-sm font-semibold mb-2 ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
-              Correct Answer (Option ID)
-            </label>
-            <input
-              type="text"
-              value={content?.correctAnswer || ''}
-              onChange={(e) => handleQuestionChange(qIndex, 'content.correctAnswer', e.target.value)}
-              placeholder="e.g., A"
-              className={`w-full px-4 py-3 rounded-lg border-2 text-sm transition-colors ${
-                isDark
-                  ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400 focus:border-green-500'
-                  : 'bg-green-50 border-green-200 text-gray-900 placeholder-gray-400 focus:border-green-500'
-              }`}
-            />
-          </div>
-        );
-
-      case 'multiple_choice_multi':
-        const correctAnswers = content?.correctAnswers || [];
-        return (
-          <div>
-            <label className={`block text-sm font-semibold mb-2 ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
-              Correct Answers (Multiple - Comma separated IDs)
-            </label>
-            <input
-              type="text"
-              value={Array.isArray(correctAnswers) ? correctAnswers.join(', ') : ''}
-              onChange={(e) => {
-                const answerArray = e.target.value.split(',').map(s => s.trim()).filter(s => s);
-                handleQuestionChange(qIndex, 'content.correctAnswers', answerArray);
-              }}
-              placeholder="e.g., A, C, D"
-              className={`w-full px-4 py-3 rounded-lg border-2 text-sm transition-colors ${
-                isDark
-                  ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400 focus:border-green-500'
-                  : 'bg-green-50 border-green-200 text-gray-900 placeholder-gray-400 focus:border-green-500'
-              }`}
-            />
-            <p className={`text-xs mt-1 ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
-              Current: [{correctAnswers.join(', ')}]
-            </p>
-          </div>
-        );
-
-      case 'fill_in_blank':
-        const blanks = content?.blanks || [];
-        return (
-          <div className="space-y-4">
-            {/* Editable Correct Answers Summary */}
-            {blanks.length > 0 && (
-              <div>
-                <label className={`block text-sm font-semibold mb-2 ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
-                  Correct Answers
-                </label>
-                <div className="space-y-2">
-                  {blanks.map((blank, bIdx) => (
-                    <div key={bIdx} className="flex items-center gap-3">
-                      <span className={`text-sm font-medium min-w-[80px] ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
-                        Blank #{blank.position}
-                      </span>
-                      <input
-                        type="text"
-                        value={Array.isArray(blank.acceptedAnswers) ? blank.acceptedAnswers.join(', ') : ''}
-                        onChange={(e) => {
-                          const answers = e.target.value.split(',').map(s => s.trim()).filter(s => s);
-                          const newBlanks = [...blanks];
-                          newBlanks[bIdx] = { ...newBlanks[bIdx], acceptedAnswers: answers };
-                          handleQuestionChange(qIndex, 'content.blanks', newBlanks);
-                        }}
-                        placeholder="e.g., 0, zero"
-                        className={`flex-1 px-4 py-3 rounded-lg border-2 text-sm transition-colors ${
-                          isDark
-                            ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400 focus:border-green-500'
-                            : 'bg-green-50 border-green-200 text-gray-900 placeholder-gray-400 focus:border-green-500'
-                        }`}
-                      />
-                    </div>
-                  ))}
-                </div>
-                <p className={`text-xs mt-2 ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
-                  Separate multiple accepted answers with commas (e.g., "0, zero")
-                </p>
-              </div>
-            )}
-            
-            <div className="flex items-center justify-between mb-2">
-              <label className={`block text-sm font-semibold ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
-                Blanks (Fill-in-the-Blank Answers)
-              </label>
-              <button
-                type="button"
-                onClick={() => {
-                  const newBlanks = [...(content?.blanks || []), {
-                    position: blanks.length + 1,
-                    acceptedAnswers: [],
-                    hint: '',
-                    caseSensitive: false
-                  }];
-                  handleQuestionChange(qIndex, 'content.blanks', newBlanks);
-                }}
-                className={`text-xs px-3 py-1 rounded-lg font-medium ${isDark ? 'bg-green-600 hover:bg-green-700 text-white' : 'bg-green-600 hover:bg-green-700 text-white'}`}
-              >
-                + Add Blank
-              </button>
-            </div>
-            {blanks.length === 0 ? (
-              <p className={`text-sm italic ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>No blanks defined</p>
-            ) : (
-              <div className="space-y-3">
-                {blanks.map((blank, bIndex) => (
-                  <div key={bIndex} className={`p-3 rounded-lg border ${isDark ? 'bg-gray-750 border-gray-600' : 'bg-gray-50 border-gray-200'}`}>
-                    <div className="flex items-center justify-between mb-2">
-                      <span className={`text-xs font-medium ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
-                        Blank #{blank.position}
-                      </span>
-                      <button
-                        type="button"
-                        onClick={() => {
-                          const newBlanks = blanks.filter((_, i) => i !== bIndex);
-                          handleQuestionChange(qIndex, 'content.blanks', newBlanks);
-                        }}
-                        className="text-xs text-red-500 hover:text-red-700"
-                      >
-                        Remove
-                      </button>
-                    </div>
-                    <div>
-                      <label className={`block text-xs font-medium mb-1 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-                        Accepted Answers (comma separated)
-                      </label>
-                      <input
-                        type="text"
-                        value={Array.isArray(blank.acceptedAnswers) ? blank.acceptedAnswers.join(', ') : ''}
-                        onChange={(e) => {
-                          const answers = e.target.value.split(',').map(s => s.trim()).filter(s => s);
-                          const newBlanks = [...blanks];
-                          newBlanks[bIndex] = { ...newBlanks[bIndex], acceptedAnswers: answers };
-                          handleQuestionChange(qIndex, 'content.blanks', newBlanks);
-                        }}
-                        placeholder="e.g., 0, zero"
-                        className={`w-full px-3 py-2 rounded-lg border-2 text-sm font-medium ${
-                          isDark
-                            ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400'
-                            : 'bg-green-50 border-green-200 text-gray-900 placeholder-gray-400'
-                        }`}
-                      />
-                      {blank.acceptedAnswers && blank.acceptedAnswers.length > 0 && (
-                        <p className={`text-xs mt-1 ${isDark ? 'text-green-400' : 'text-green-600'}`}>
-                          ✓ Accepts: {blank.acceptedAnswers.map(ans => `"${ans}"`).join(', ')}
-                        </p>
-                      )}
-                    </div>
-                  </div>
-                ))}
-              </div>
-            )}
-          </div>
-        );
-
-      case 'fill_in_blank_drag_drop':
-        const dragDropBlanks = content?.blanks || [];
-        const wordBank = content?.wordBank || [];
-        return (
-          <div className="space-y-3">
-            <div>
-              <div className="flex items-center justify-between mb-2">
-                <label className={`block text-sm font-semibold ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
-                  Blanks (Drag & Drop)
-                </label>
-                <button
-                  type="button"
-                  onClick={() => {
-                    const newBlanks = [...(content?.blanks || []), {
-                      position: dragDropBlanks.length + 1,
-                      correctAnswer: ''
-                    }];
-                    handleQuestionChange(qIndex, 'content.blanks', newBlanks);
-                  }}
-                  className={`text-xs px-3 py-1 rounded-lg font-medium ${isDark ? 'bg-green-600 hover:bg-green-700 text-white' : 'bg-green-600 hover:bg-green-700 text-white'}`}
-                >
-                  + Add Blank
-                </button>
-              </div>
-              {dragDropBlanks.length === 0 ? (
-                <p className={`text-sm italic ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>No blanks defined</p>
-              ) : (
-                <div className="space-y-2">
-                  {dragDropBlanks.map((blank, bIndex) => (
-                    <div key={bIndex} className="flex gap-2">
-                      <input
-                        type="text"
-                        value={blank.correctAnswer || ''}
-                        onChange={(e) => {
-                          const newBlanks = [...dragDropBlanks];
-                          newBlanks[bIndex] = { ...newBlanks[bIndex], correctAnswer: e.target.value };
-                          handleQuestionChange(qIndex, 'content.blanks', newBlanks);
-                        }}
-                        placeholder={`Correct answer for position ${blank.position}`}
-                        className={`flex-1 px-3 py-2 rounded-lg border text-xs ${
-                          isDark
-                            ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400'
-                            : 'bg-white border-gray-300 text-gray-900 placeholder-gray-400'
-                        }`}
-                      />
-                      <button
-                        type="button"
-                        onClick={() => {
-                          const newBlanks = dragDropBlanks.filter((_, i) => i !== bIndex);
-                          handleQuestionChange(qIndex, 'content.blanks', newBlanks);
-                        }}
-                        className="px-3 py-2 text-red-500 hover:text-red-700"
-                      >
-                        <X className="w-4 h-4" />
-                      </button>
-                    </div>
-                  ))}
-                </div>
-              )}
-            </div>
-            <div>
-              <label className={`block text-sm font-semibold mb-2 ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
-                Word Bank (Comma separated)
-              </label>
-              <input
-                type="text"
-                value={Array.isArray(wordBank) ? wordBank.join(', ') : ''}
-                onChange={(e) => {
-                  const words = e.target.value.split(',').map(s => s.trim()).filter(s => s);
-                  handleQuestionChange(qIndex, 'content.wordBank', words);
-                }}
-                placeholder="e.g., >=, <=, ==, !="
-                className={`w-full px-4 py-3 rounded-lg border-2 text-sm ${
-                  isDark
-                    ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400'
-                    : 'bg-green-50 border-green-200 text-gray-900 placeholder-gray-400'
-                }`}
-              />
-            </div>
-          </div>
-        );
-
-      case 'ordering':
-        const correctOrder = content?.correctOrder || [];
-        const items = content?.items || [];
-        return (
-          <div>
-            <label className={`block text-sm font-semibold mb-2 ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
-              Correct Order (Comma separated IDs)
-            </label>
-            <input
-              type="text"
-              value={Array.isArray(correctOrder) ? correctOrder.join(', ') : ''}
-              onChange={(e) => {
-                const orderArray = e.target.value.split(',').map(s => s.trim()).filter(s => s);
-                handleQuestionChange(qIndex, 'content.correctOrder', orderArray);
-              }}
-              placeholder="e.g., 1, 2, 3, 4"
-              className={`w-full px-4 py-3 rounded-lg border-2 text-sm transition-colors ${
-                isDark
-                  ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400 focus:border-green-500'
-                  : 'bg-green-50 border-green-200 text-gray-900 placeholder-gray-400 focus:border-green-500'
-              }`}
-            />
-            {items.length > 0 && (
-              <div className={`mt-2 p-3 rounded-lg border ${isDark ? 'bg-gray-750 border-gray-600' : 'bg-blue-50 border-blue-200'}`}>
-                <p className={`text-xs font-medium mb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
-                  Available Items:
-                </p>
-                <ol className={`text-sm space-y-1 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-                  {items.map((item, idx) => (
-                    <li key={idx}>
-                      <span className="font-mono">{item.id}</span>: {item.text}
-                    </li>
-                  ))}
-                </ol>
-              </div>
-            )}
-          </div>
-        );
-
-      case 'matching':
-        const correctPairs = content?.correctPairs || [];
-        return (
-          <div>
-            <label className={`block text-sm font-semibold mb-2 ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
-              Correct Pairs (Format: left_id:right_id, comma separated)
-            </label>
-            <input
-              type="text"
-              value={Array.isArray(correctPairs) ? correctPairs.map(p => `${p.left}:${p.right}`).join(', ') : ''}
-              onChange={(e) => {
-                const pairsArray = e.target.value.split(',').map(s => s.trim()).filter(s => s);
-                const pairsObjects = pairsArray.map(pair => {
-                  const [left, right] = pair.split(':').map(s => s.trim());
-                  return { left, right };
-                });
-                handleQuestionChange(qIndex, 'content.correctPairs', pairsObjects);
-              }}
-              placeholder="e.g., A:1, B:2, C:3"
-              className={`w-full px-4 py-3 rounded-lg border-2 text-sm transition-colors ${
-                isDark
-                  ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400 focus:border-green-500'
-                  : 'bg-green-50 border-green-200 text-gray-900 placeholder-gray-400 focus:border-green-500'
-              }`}
-            />
-            {correctPairs.length > 0 && (
-              <div className={`mt-2 p-3 rounded-lg border ${isDark ? 'bg-gray-750 border-gray-600' : 'bg-blue-50 border-blue-200'}`}>
-                <p className={`text-xs font-medium mb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
-                  Current Pairs:
-                </p>
-                <ul className={`text-sm space-y-1 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-                  {correctPairs.map((pair, idx) => (
-                    <li key={idx}>
-                      <span className="font-mono">{pair.left}</span> → <span className="font-mono">{pair.right}</span>
-                    </li>
-                  ))}
-                </ul>
-              </div>
-            )}
-          </div>
-        );
-
-      default:
-        return null;
-    }
-  };
-
-  // Helper function to render content section (options, items, etc.) based on question type
-  const renderContentSection = (question, qIndex, isDark) => {
-    const { questionType, content } = question;
-
-    switch (questionType) {
-      case 'multiple_choice_single':
-      case 'multiple_choice_multi':
-        return content?.options && (
-          <div>
-            <div className="flex items-center justify-between mb-3">
-              <label className={`block text-sm font-semibold ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
-                Options
-              </label>
-              <button
-                type="button"
-                onClick={() => handleAddOption(qIndex)}
-                className={`text-xs px-3 py-2 rounded-lg font-medium transition-colors ${isDark ? 'bg-blue-600 hover:bg-blue-700 text-white' : 'bg-blue-600 hover:bg-blue-700 text-white'}`}
-              >
-                + Add Option
-              </button>
-            </div>
-            <div className="space-y-2">
-              {content.options.map((option, oIndex) => (
-                <div key={oIndex} className="flex gap-2">
-                  <input
-                    type="text"
-                    placeholder="ID (e.g., A)"
-                    value={option.id || ''}
-                    onChange={(e) => handleOptionChange(qIndex, oIndex, 'id', e.target.value)}
-                    className={`w-20 px-3 py-2 rounded-lg border text-sm font-mono ${
-                      isDark
-                        ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-500'
-                        : 'bg-white border-gray-300 text-gray-900 placeholder-gray-400'
-                    }`}
-                  />
-                  <input
-                    type="text"
-                    placeholder="Option text"
-                    value={option.text || ''}
-                    onChange={(e) => handleOptionChange(qIndex, oIndex, 'text', e.target.value)}
-                    className={`flex-1 px-3 py-2 rounded-lg border text-sm ${
-                      isDark
-                        ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-500'
-                        : 'bg-white border-gray-300 text-gray-900 placeholder-gray-400'
-                    }`}
-                  />
-                  <button
-                    type="button"
-                    onClick={() => handleRemoveOption(qIndex, oIndex)}
-                    className={`px-3 py-2 rounded-lg text-sm transition-colors ${isDark ? 'bg-red-600/80 hover:bg-red-600 text-white' : 'bg-red-100 hover:bg-red-200 text-red-700'}`}
-                  >
-                    <X className="w-4 h-4" />
-                  </button>
-                </div>
-              ))}
-            </div>
-          </div>
-        );
-
-      case 'ordering':
-        const items = content?.items || [];
-        return (
-          <div>
-            <div className="flex items-center justify-between mb-3">
-              <label className={`block text-sm font-semibold ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
-                Items to Order
-              </label>
-              <button
-                type="button"
-                onClick={() => {
-                  const newItems = [...items, { id: `${items.length + 1}`, text: '' }];
-                  handleQuestionChange(qIndex, 'content.items', newItems);
-                }}
-                className={`text-xs px-3 py-2 rounded-lg font-medium transition-colors ${isDark ? 'bg-blue-600 hover:bg-blue-700 text-white' : 'bg-blue-600 hover:bg-blue-700 text-white'}`}
-              >
-                + Add Item
-              </button>
-            </div>
-            {items.length === 0 ? (
-              <p className={`text-sm italic ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>No items defined</p>
-            ) : (
-              <div className={`p-4 rounded-lg border ${isDark ? 'bg-gray-750 border-gray-600' : 'bg-blue-50 border-blue-200'}`}>
-                <ol className="space-y-2">
-                  {items.map((item, iIndex) => (
-                    <li key={iIndex} className={`flex items-start gap-3 p-3 rounded-lg ${isDark ? 'bg-gray-700' : 'bg-white'}`}>
-                      <span className={`flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center text-sm font-bold ${isDark ? 'bg-blue-600 text-white' : 'bg-blue-600 text-white'}`}>
-                        {item.id}
-                      </span>
-                      <div className="flex-1">
-                        <input
-                          type="text"
-                          placeholder="Item text"
-                          value={item.text || ''}
-                          onChange={(e) => {
-                            const newItems = [...items];
-                            newItems[iIndex] = { ...newItems[iIndex], text: e.target.value };
-                            handleQuestionChange(qIndex, 'content.items', newItems);
-                          }}
-                          className={`w-full px-3 py-2 rounded-lg border text-sm ${
-                            isDark
-                              ? 'bg-gray-600 border-gray-500 text-white placeholder-gray-400'
-                              : 'bg-gray-50 border-gray-200 text-gray-900 placeholder-gray-400'
-                          }`}
-                        />
-                      </div>
-                      <button
-                        type="button"
-                        onClick={() => {
-                          const newItems = items.filter((_, i) => i !== iIndex);
-                          handleQuestionChange(qIndex, 'content.items', newItems);
-                        }}
-                        className={`flex-shrink-0 px-2 py-2 rounded-lg text-sm transition-colors ${isDark ? 'bg-red-600/80 hover:bg-red-600 text-white' : 'bg-red-100 hover:bg-red-200 text-red-700'}`}
-                      >
-                        <X className="w-4 h-4" />
-                      </button>
-                    </li>
-                  ))}
-                </ol>
-              </div>
-            )}
-          </div>
-        );
-
-      case 'matching':
-        const leftItems = content?.leftItems || [];
-        const rightItems = content?.rightItems || [];
-        return (
-          <div className="space-y-4">
-            <div>
-              <div className="flex items-center justify-between mb-3">
-                <label className={`block text-sm font-semibold ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
-                  Left Items
-                </label>
-                <button
-                  type="button"
-                  onClick={() => {
-                    const newLeftItems = [...leftItems, { id: '', text: '' }];
-                    handleQuestionChange(qIndex, 'content.leftItems', newLeftItems);
-                  }}
-                  className={`text-xs px-3 py-2 rounded-lg font-medium transition-colors ${isDark ? 'bg-blue-600 hover:bg-blue-700 text-white' : 'bg-blue-600 hover:bg-blue-700 text-white'}`}
-                >
-                  + Add Left Item
-                </button>
-              </div>
-              {leftItems.length === 0 ? (
-                <p className={`text-sm italic ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>No left items</p>
-              ) : (
-                <div className="space-y-2">
-                  {leftItems.map((item, iIndex) => (
-                    <div key={iIndex} className="flex gap-2">
-                      <input
-                        type="text"
-                        placeholder="ID"
-                        value={item.id || ''}
-                        onChange={(e) => {
-                          const newLeftItems = [...leftItems];
-                          newLeftItems[iIndex] = { ...newLeftItems[iIndex], id: e.target.value };
-                          handleQuestionChange(qIndex, 'content.leftItems', newLeftItems);
-                        }}
-                        className={`w-20 px-3 py-2 rounded-lg border text-sm font-mono ${
-                          isDark
-                            ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-500'
-                            : 'bg-white border-gray-300 text-gray-900 placeholder-gray-400'
-                        }`}
-                      />
-                      <input
-                        type="text"
-                        placeholder="Text"
-                        value={item.text || ''}
-                        onChange={(e) => {
-                          const newLeftItems = [...leftItems];
-                          newLeftItems[iIndex] = { ...newLeftItems[iIndex], text: e.target.value };
-                          handleQuestionChange(qIndex, 'content.leftItems', newLeftItems);
-                        }}
-                        className={`flex-1 px-3 py-2 rounded-lg border text-sm ${
-                          isDark
-                            ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-500'
-                            : 'bg-white border-gray-300 text-gray-900 placeholder-gray-400'
-                        }`}
-                      />
-                      <button
-                        type="button"
-                        onClick={() => {
-                          const newLeftItems = leftItems.filter((_, i) => i !== iIndex);
-                          handleQuestionChange(qIndex, 'content.leftItems', newLeftItems);
-                        }}
-                        className={`px-3 py-2 rounded-lg text-sm transition-colors ${isDark ? 'bg-red-600/80 hover:bg-red-600 text-white' : 'bg-red-100 hover:bg-red-200 text-red-700'}`}
-                      >
-                        <X className="w-4 h-4" />
-                      </button>
-                    </div>
-                  ))}
-                </div>
-              )}
-            </div>
-
-            <div>
-              <div className="flex items-center justify-between mb-3">
-                <label className={`block text-sm font-semibold ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
-                  Right Items
-                </label>
-                <button
-                  type="button"
-                  onClick={() => {
-                    const newRightItems = [...rightItems, { id: '', text: '' }];
-                    handleQuestionChange(qIndex, 'content.rightItems', newRightItems);
-                  }}
-                  className={`text-xs px-3 py-2 rounded-lg font-medium transition-colors ${isDark ? 'bg-blue-600 hover:bg-blue-700 text-white' : 'bg-blue-600 hover:bg-blue-700 text-white'}`}
-                >
-                  + Add Right Item
-                </button>
-              </div>
-              {rightItems.length === 0 ? (
-                <p className={`text-sm italic ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>No right items</p>
-              ) : (
-                <div className="space-y-2">
-                  {rightItems.map((item, iIndex) => (
-                    <div key={iIndex} className="flex gap-2">
-                      <input
-                        type="text"
-                        placeholder="ID"
-                        value={item.id || ''}
-                        onChange={(e) => {
-                          const newRightItems = [...rightItems];
-                          newRightItems[iIndex] = { ...newRightItems[iIndex], id: e.target.value };
-                          handleQuestionChange(qIndex, 'content.rightItems', newRightItems);
-                        }}
-                        className={`w-20 px-3 py-2 rounded-lg border text-sm font-mono ${
-                          isDark
-                            ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-500'
-                            : 'bg-white border-gray-300 text-gray-900 placeholder-gray-400'
-                        }`}
-                      />
-                      <input
-                        type="text"
-                        placeholder="Text"
-                        value={item.text || ''}
-                        onChange={(e) => {
-                          const newRightItems = [...rightItems];
-                          newRightItems[iIndex] = { ...newRightItems[iIndex], text: e.target.value };
-                          handleQuestionChange(qIndex, 'content.rightItems', newRightItems);
-                        }}
-                        className={`flex-1 px-3 py-2 rounded-lg border text-sm ${
-                          isDark
-                            ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-500'
-                            : 'bg-white border-gray-300 text-gray-900 placeholder-gray-400'
-                        }`}
-                      />
-                      <button
-                        type="button"
-                        onClick={() => {
-                          const newRightItems = rightItems.filter((_, i) => i !== iIndex);
-                          handleQuestionChange(qIndex, 'content.rightItems', newRightItems);
-                        }}
-                        className={`px-3 py-2 rounded-lg text-sm transition-colors ${isDark ? 'bg-red-600/80 hover:bg-red-600 text-white' : 'bg-red-100 hover:bg-red-200 text-red-700'}`}
-                      >
-                        <X className="w-4 h-4" />
-                      </button>
-                    </div>
-                  ))}
-                </div>
-              )}
-            </div>
-          </div>
-        );
-
-      case 'fill_in_blank':
-        return null; // Template is already in questionText, no additional content needed
-
-      case 'fill_in_blank_drag_drop':
-        return null; // Template is already in questionText, no additional content needed
-
-      default:
-        return null;
-    }
-  };
-
   return (
-    <div className="p-8 max-w-4xl mx-auto">
+    <div className={`p-8 mx-auto ${activeTab === 'batch' && editMode ? 'max-w-7xl' : 'max-w-4xl'}`}>
       {/* Header */}
       <div className="mb-8">
         <button
@@ -1071,6 +449,79 @@ const CreatorCreateQuiz = ({ isDark }) => {
           </div>
           {errors.ageRange && <p className="text-red-500 text-sm -mt-4">{errors.ageRange}</p>}
 
+          {/* Time Limit */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label className={`block text-sm font-medium mb-2 ${isDark ? 'text-gray-200' : 'text-gray-700'}`}>
+                Time Limit (minutes)
+              </label>
+              <input
+                type="number"
+                name="timeLimitMinutes"
+                value={formData.timeLimitMinutes}
+                onChange={handleChange}
+                min="1"
+                placeholder="No time limit"
+                className={`
+                  w-full px-4 py-2 rounded-lg border transition-colors
+                  ${isDark 
+                    ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400 focus:border-blue-500' 
+                    : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500 focus:border-blue-500'
+                  }
+                  ${errors.timeLimit ? 'border-red-500' : ''}
+                  focus:outline-none focus:ring-2 focus:ring-blue-500/20
+                `}
+              />
+              {errors.timeLimit && <p className="text-red-500 text-sm mt-1">{errors.timeLimit}</p>}
+            </div>
+
+            <div>
+              <label className={`block text-sm font-medium mb-2 ${isDark ? 'text-gray-200' : 'text-gray-700'}`}>
+                Warn At (seconds remaining)
+              </label>
+              <input
+                type="text"
+                name="timeWarningSeconds"
+                value={formData.timeWarningSeconds}
+                onChange={handleChange}
+                disabled={!formData.timeLimitMinutes}
+                placeholder="300, 60"
+                className={`
+                  w-full px-4 py-2 rounded-lg border transition-colors disabled:opacity-50
+                  ${isDark 
+                    ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400 focus:border-blue-500' 
+                    : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500 focus:border-blue-500'
+                  }
+                  focus:outline-none focus:ring-2 focus:ring-blue-500/20
+                `}
+              />
+            </div>
+          </div>
+
+          {/* Shuffle Questions */}
+          <label className={`flex items-center gap-3 text-sm font-medium ${isDark ? 'text-gray-200' : 'text-gray-700'}`}>
+            <input
+              type="checkbox"
+              name="shuffleQuestions"
+              checked={formData.shuffleQuestions}
+              onChange={handleChange}
+              className="w-4 h-4 rounded"
+            />
+            Shuffle question order for each attempt
+          </label>
+
+          {/* Practice Mode */}
+          <label className={`flex items-center gap-3 text-sm font-medium ${isDark ? 'text-gray-200' : 'text-gray-700'}`}>
+            <input
+              type="checkbox"
+              name="practiceMode"
+              checked={formData.practiceMode}
+              onChange={handleChange}
+              className="w-4 h-4 rounded"
+            />
+            Practice mode - students check each answer and can retry for fewer points (not counted in assignment scores)
+          </label>
+
           {/* Tags */}
           <div>
             <label className={`block text-sm font-medium mb-2 ${isDark ? 'text-gray-200' : 'text-gray-700'}`}>
@@ -1175,7 +626,7 @@ const CreatorCreateQuiz = ({ isDark }) => {
               <FileJson className="w-5 h-5 flex-shrink-0 mt-0.5" />
               <div className="text-sm">
                 <p className="font-medium mb-1">Batch Import Instructions</p>
-                <p>Enter valid JSON for the quiz and questions. Existing questions (by questionId) will be reused, new ones will be created.</p>
+                <p>Enter valid JSON for the quiz and questions, or convert a Moodle GIFT file or IMS QTI package below. Existing questions (by questionId) will be reused, new ones will be created.</p>
               </div>
             </div>
 
@@ -1189,6 +640,10 @@ const CreatorCreateQuiz = ({ isDark }) => {
               </div>
             )}
 
+            {/* Moodle GIFT / IMS QTI */}
+            <GiftImportPanel onApply={handleFileImport} isDark={isDark} />
+            <QtiImportPanel onApply={handleFileImport} isDark={isDark} />
+
             {/* Quiz JSON */}
             <div>
               <div className="flex items-center justify-between mb-2">
@@ -1267,7 +722,7 @@ const CreatorCreateQuiz = ({ isDark }) => {
               <textarea
                 value={questionsJson}
                 onChange={(e) => setQuestionsJson(e.target.value)}
-                placeholder={`[\n  {\n    "questionText": "What is 2+2?",\n    "questionType": "multiple_choice_single",\n    "difficulty": "easy",\n    "points": 10,\n    "content": {\n      "options": [\n        { "id": "3", "text": "3" },\n        { "id": "4", "text": "4" }\n      ],\n      "correctAnswer": "4"\n    }\n  }\n]`}
+                placeholder={`[\n  {\n    "questionText": "What is 2+2?",\n    "questionType": "multiple_choice_single",\n    "difficulty": "easy",\n    "points": 10,\n    "content": {\n      "options": [\n        { "id": "3", "text": "3" },\n        { "id": "4", "text": "4" }\n      ],\n      "correct_answer": "4"\n    }\n  }\n]`}
                 rows={12}
                 className={`
                   w-full px-4 py-2 rounded-lg border transition-colors font-mono text-sm
@@ -1303,104 +758,17 @@ const CreatorCreateQuiz = ({ isDark }) => {
                     key={qIndex}
                     className={`p-6 rounded-xl border-2 shadow-sm ${isDark ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}
                   >
-                    <div className="space-y-5">
-                      {/* Question Header */}
-                      <div className="flex items-center justify-between pb-4 border-b ${isDark ? 'border-gray-700' : 'border-gray-200'}">
-                        <div className="flex items-center gap-3">
-                          <span className={`text-lg font-bold ${isDark ? 'text-blue-400' : 'text-blue-600'}`}>
-                            Question {qIndex + 1}
-                          </span>
-                          <span className={`text-xs px-3 py-1 rounded-full font-medium ${isDark ? 'bg-purple-900/40 text-purple-300 border border-purple-700' : 'bg-purple-100 text-purple-700 border border-purple-300'}`}>
-                            {question.questionType.replace(/_/g, ' ').toUpperCase()}
-                          </span>
-                        </div>
-                      </div>
-
-                      {/* Question Text */}
-                      <div>
-                        <label className={`block text-sm font-semibold mb-2 ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
-                          Question Text
-                        </label>
-                        <textarea
-                          value={question.questionText || ''}
-                          onChange={(e) => handleQuestionChange(qIndex, 'questionText', e.target.value)}
-                          rows={question.questionType === 'ordering' ? 8 : question.questionType === 'fill_in_blank' || question.questionType === 'fill_in_blank_drag_drop' ? 3 : 4}
-                          className={`w-full px-4 py-3 rounded-lg border-2 text-sm font-mono transition-colors ${
-                            isDark
-                              ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400 focus:border-blue-500'
-                              : 'bg-gray-50 border-gray-200 text-gray-900 placeholder-gray-400 focus:border-blue-500'
-                          }`}
-                          style={{ whiteSpace: 'pre-wrap' }}
-                        />
-                      </div>
-
-                      {/* Template Field for Fill-in-Blank Questions */}
-                      {(question.questionType === 'fill_in_blank' || question.questionType === 'fill_in_blank_drag_drop') && (
-                        <div>
-                          <label className={`block text-sm font-semibold mb-2 ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
-                            Template (Code block and blanks format)
-                          </label>
-                          <textarea
-                            value={question.content?.template || ''}
-                            onChange={(e) => handleQuestionChange(qIndex, 'content.template', e.target.value)}
-                            rows={8}
-                            placeholder="```python\ncode here\n```\n\nOutput: ___ ___"
-                            className={`w-full px-4 py-3 rounded-lg border-2 text-sm font-mono transition-colors ${
-                              isDark
-                                ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400 focus:border-blue-500'
-                                : 'bg-blue-50 border-blue-200 text-gray-900 placeholder-gray-400 focus:border-blue-500'
-                            }`}
-                            style={{ whiteSpace: 'pre-wrap' }}
-                          />
-                          <p className={`text-xs mt-1 ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
-                            Use backticks for code blocks and _____ for blanks
-                          </p>
-                        </div>
-                      )}
-
-                      {/* Question Metadata */}
-                      <div className="grid grid-cols-2 gap-4">
-                        <div>
-                          <label className={`block text-sm font-semibold mb-2 ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
-                            Difficulty
-                          </label>
-                          <select
-                            value={question.difficulty || 'medium'}
-                            onChange={(e) => handleQuestionChange(qIndex, 'difficulty', e.target.value)}
-                            className={`w-full px-4 py-3 rounded-lg border-2 text-sm transition-colors ${
-                              isDark
-                                ? 'bg-gray-700 border-gray-600 text-white focus:border-blue-500'
-                                : 'bg-gray-50 border-gray-200 text-gray-900 focus:border-blue-500'
-                            }`}
-                          >
-                            <option value="easy">Easy</option>
-                            <option value="medium">Medium</option>
-                            <option value="hard">Hard</option>
-                          </select>
-                        </div>
-                        <div>
-                          <label className={`block text-sm font-semibold mb-2 ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
-                            Points
-                          </label>
-                          <input
-                            type="number"
-                            value={question.points || 10}
-                            onChange={(e) => handleQuestionChange(qIndex, 'points', parseInt(e.target.value) || 0)}
-                            className={`w-full px-4 py-3 rounded-lg border-2 text-sm transition-colors ${
-                              isDark
-                                ? 'bg-gray-700 border-gray-600 text-white focus:border-blue-500'
-                                : 'bg-gray-50 border-gray-200 text-gray-900 focus:border-blue-500'
-                            }`}
-                          />
-                        </div>
-                      </div>
-
-                      {/* Correct Answer Section - Different rendering based on question type */}
-                      {renderCorrectAnswerSection(question, qIndex, isDark)}
-
-                      {/* Content Section - Different rendering based on question type */}
-                      {renderContentSection(question, qIndex, isDark)}
+                    <div className={`flex items-center gap-3 pb-4 mb-5 border-b ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+                      <span className={`text-lg font-bold ${isDark ? 'text-blue-400' : 'text-blue-600'}`}>
+                        Question {qIndex + 1}
+                      </span>
                     </div>
+                    <QuestionEditor
+                      question={question}
+                      onChange={(updated) => handleQuestionUpdate(qIndex, updated)}
+                      errors={showQuestionErrors ? validateQuestion(question) : {}}
+                      isDark={isDark}
+                    />
                   </div>
                 ))}
               </div>
@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
-import { quizApi, questionApi } from '../../services/api';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { quizApi, questionApi, responseApi } from '../../services/api';
 import { 
   Plus, 
   Edit, 
@@ -10,12 +10,18 @@ import {
   X,
   ChevronDown,
   ChevronUp,
-  Edit2
+  Edit2,
+  RefreshCw,
+  BarChart
 } from 'lucide-react';
+import QuestionEditor from '../../components/QuestionEditor';
+import QtiExportMenu from '../../components/QtiExportMenu';
+import { createDefaultContent, normalizeQuestionContent, validateQuestion } from '../../utils/questionContent';
 
 const CreatorManageQuestions = ({ isDark }) => {
   const { quizId } = useParams();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   
   const [quiz, setQuiz] = useState(null);
   const [questions, setQuestions] = useState([]);
@@ -25,7 +31,12 @@ const CreatorManageQuestions = ({ isDark }) => {
   const [showEditTitleModal, setShowEditTitleModal] = useState(false);
   const [editedTitle, setEditedTitle] = useState('');
   const [editedDescription, setEditedDescription] = useState('');
+  const [editedTimeLimit, setEditedTimeLimit] = useState('');
+  const [editedTimeWarnings, setEditedTimeWarnings] = useState('');
+  const [editedShuffleQuestions, setEditedShuffleQuestions] = useState(false);
+  const [editedPracticeMode, setEditedPracticeMode] = useState(false);
   const [updatingTitle, setUpdatingTitle] = useState(false);
+  const [regradeTarget, setRegradeTarget] = useState(null);
 
   useEffect(() => {
     fetchQuizAndQuestions();
@@ -40,6 +51,15 @@ const CreatorManageQuestions = ({ isDark }) => {
       ]);
       setQuiz(quizResponse);
       setQuestions(questionsResponse.questions || []);
+
+      // ?edit=<questionId> opens that question's editor (linked from the item analysis report)
+      const editId = searchParams.get('edit');
+      const questionToEdit = editId && (questionsResponse.questions || []).find(q => q.questionId === editId);
+      if (questionToEdit) {
+        setEditingQuestion(questionToEdit);
+        setShowCreateForm(true);
+        setSearchParams({}, { replace: true });
+      }
     } catch (error) {
       console.error('Error fetching data:', error);
     } finally {
@@ -74,14 +94,22 @@ const CreatorManageQuestions = ({ isDark }) => {
     setEditingQuestion(null);
   };
 
-  const handleQuestionSaved = () => {
+  // regradeQuestion is set when an edit changed how the question is graded
+  const handleQuestionSaved = (regradeQuestion = null) => {
     fetchQuizAndQuestions();
     handleCloseForm();
+    if (regradeQuestion) {
+      setRegradeTarget({ questionId: regradeQuestion.questionId, label: 'this question' });
+    }
   };
 
   const handleEditTitle = () => {
     setEditedTitle(quiz?.title || '');
     setEditedDescription(quiz?.description || '');
+    setEditedTimeLimit(quiz?.timeLimitMinutes ? String(quiz.timeLimitMinutes) : '');
+    setEditedTimeWarnings(quiz?.timeWarningSeconds?.join(', ') || '');
+    setEditedShuffleQuestions(!!quiz?.shuffleQuestions);
+    setEditedPracticeMode(!!quiz?.practiceMode);
     setShowEditTitleModal(true);
   };
 
@@ -91,11 +119,24 @@ const CreatorManageQuestions = ({ isDark }) => {
       return;
     }
 
+    const timeLimitMinutes = parseInt(editedTimeLimit) || null;
+    const warningSeconds = editedTimeWarnings
+      .split(',')
+      .map(v => parseInt(v.trim()))
+      .filter(n => n > 0);
+    const timeWarningSeconds = timeLimitMinutes && warningSeconds.length > 0 ? warningSeconds : null;
+
     setUpdatingTitle(true);
     try {
+      // Send the full quiz - the update replaces every column
       await quizApi.updateQuiz(quizId, {
+        ...quiz,
         title: editedTitle,
         description: editedDescription,
+        timeLimitMinutes,
+        timeWarningSeconds,
+        shuffleQuestions: editedShuffleQuestions,
+        practiceMode: editedPracticeMode,
       });
       
       // Update local state
@@ -103,6 +144,10 @@ const CreatorManageQuestions = ({ isDark }) => {
         ...quiz,
         title: editedTitle,
         description: editedDescription,
+        timeLimitMinutes,
+        timeWarningSeconds,
+        shuffleQuestions: editedShuffleQuestions,
+        practiceMode: editedPracticeMode,
       });
       
       setShowEditTitleModal(false);
@@ -178,6 +223,33 @@ const CreatorManageQuestions = ({ isDark }) => {
               </span>
             </div>
           </div>
+          {questions.length > 0 && (
+            <button
+              onClick={() => navigate(`/creator/quiz/${quizId}/analysis`)}
+              className={`
+                flex items-center gap-2 px-4 py-3 mr-3 rounded-lg transition-colors
+                ${isDark ? 'bg-gray-800 text-gray-200 hover:bg-gray-700' : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'}
+              `}
+              title="Difficulty, discrimination and option statistics from completed attempts"
+            >
+              <BarChart className="w-5 h-5" />
+              <span className="font-semibold">Item Analysis</span>
+            </button>
+          )}
+          {questions.length > 0 && <QtiExportMenu quizId={quizId} isDark={isDark} />}
+          {questions.length > 0 && (
+            <button
+              onClick={() => setRegradeTarget({ quizId, label: 'every question in this quiz' })}
+              className={`
+                flex items-center gap-2 px-4 py-3 mr-3 rounded-lg transition-colors
+                ${isDark ? 'bg-gray-800 text-gray-200 hover:bg-gray-700' : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'}
+              `}
+              title="Re-run auto-grading for all stored responses"
+            >
+              <RefreshCw className="w-5 h-5" />
+              <span className="font-semibold">Regrade</span>
+            </button>
+          )}
           <button
             onClick={handleCreateQuestion}
             className="flex items-center gap-2 px-6 py-3 bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-lg hover:from-blue-700 hover:to-blue-800 transition-all shadow-lg hover:shadow-xl"
@@ -240,6 +312,15 @@ const CreatorManageQuestions = ({ isDark }) => {
         />
       )}
 
+      {/* Regrade Modal */}
+      {regradeTarget && (
+        <RegradeModal
+          target={regradeTarget}
+          isDark={isDark}
+          onClose={() => setRegradeTarget(null)}
+        />
+      )}
+
       {/* Edit Quiz Title Modal */}
       {showEditTitleModal && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
@@ -306,6 +387,70 @@ const CreatorManageQuestions = ({ isDark }) => {
                 />
               </div>
 
+              {/* Time Limit */}
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className={`block text-sm font-medium mb-2 ${isDark ? 'text-gray-200' : 'text-gray-700'}`}>
+                    Time Limit (minutes)
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={editedTimeLimit}
+                    onChange={(e) => setEditedTimeLimit(e.target.value)}
+                    placeholder="No time limit"
+                    className={`
+                      w-full px-4 py-2 rounded-lg border transition-colors
+                      ${isDark 
+                        ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' 
+                        : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'
+                      }
+                    `}
+                  />
+                </div>
+                <div>
+                  <label className={`block text-sm font-medium mb-2 ${isDark ? 'text-gray-200' : 'text-gray-700'}`}>
+                    Warn At (seconds remaining)
+                  </label>
+                  <input
+                    type="text"
+                    value={editedTimeWarnings}
+                    onChange={(e) => setEditedTimeWarnings(e.target.value)}
+                    disabled={!editedTimeLimit}
+                    placeholder="300, 60"
+                    className={`
+                      w-full px-4 py-2 rounded-lg border transition-colors disabled:opacity-50
+                      ${isDark 
+                        ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' 
+                        : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'
+                      }
+                    `}
+                  />
+                </div>
+              </div>
+
+              {/* Shuffle Questions */}
+              <label className={`flex items-center gap-3 text-sm font-medium ${isDark ? 'text-gray-200' : 'text-gray-700'}`}>
+                <input
+                  type="checkbox"
+                  checked={editedShuffleQuestions}
+                  onChange={(e) => setEditedShuffleQuestions(e.target.checked)}
+                  className="w-4 h-4 rounded"
+                />
+                Shuffle question order for each attempt
+              </label>
+
+              {/* Practice Mode */}
+              <label className={`flex items-center gap-3 text-sm font-medium ${isDark ? 'text-gray-200' : 'text-gray-700'}`}>
+                <input
+                  type="checkbox"
+                  checked={editedPracticeMode}
+                  onChange={(e) => setEditedPracticeMode(e.target.checked)}
+                  className="w-4 h-4 rounded"
+                />
+                Practice mode - students check each answer and can retry for fewer points
+              </label>
+
               {/* Action Buttons */}
               <div className="flex gap-4 justify-end pt-4 border-t">
                 <button
@@ -454,45 +599,182 @@ const QuestionCard = ({ question, index, isDark, onEdit, onDelete, getQuestionTy
   );
 };
 
-// Question Form Component (simplified - will be enhanced later)
+// Regrade Modal Component - re-runs auto-grading for a question or the whole quiz
+const RegradeModal = ({ target, isDark, onClose }) => {
+  const [includeManualGrades, setIncludeManualGrades] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [progress, setProgress] = useState(0);
+
+  // The server regrades a batch of students per call; add up the batches until it says it is done
+  const handleRegrade = async () => {
+    setRunning(true);
+    try {
+      const totals = { responsesChecked: 0, responsesChanged: 0, manualGradesSkipped: 0, notAutoGraded: 0, attemptsRecalculated: 0, studentsAffected: 0 };
+      let continueAfter = null;
+      do {
+        const data = target.questionId
+          ? await responseApi.regradeQuestion(target.questionId, includeManualGrades, continueAfter)
+          : await responseApi.regradeQuiz(target.quizId, includeManualGrades, continueAfter);
+        Object.keys(totals).forEach(key => { totals[key] += data[key] || 0; });
+        setProgress(totals.responsesChecked);
+        continueAfter = data.continueAfter;
+      } while (continueAfter);
+      console.log('[RegradeModal] Regrade result:', totals);
+      setResult(totals);
+    } catch (error) {
+      console.error('[RegradeModal] Error regrading:', error);
+      alert(`Failed to regrade responses: ${error.response?.data?.message || error.response?.data?.detail || error.message}`);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const textClass = isDark ? 'text-gray-300' : 'text-gray-700';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="regrade-title"
+        className={`max-w-lg w-full rounded-lg ${isDark ? 'bg-gray-800' : 'bg-white'}`}
+      >
+        <div className={`p-6 border-b flex items-center justify-between ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+          <h2 id="regrade-title" className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+            Regrade Responses
+          </h2>
+          <button
+            onClick={onClose}
+            disabled={running}
+            className={`p-2 rounded-lg transition-colors ${isDark ? 'hover:bg-gray-700 text-gray-400' : 'hover:bg-gray-100 text-gray-600'}`}
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {result ? (
+            <div className={`space-y-2 ${textClass}`} aria-live="polite">
+              <p className="text-lg font-semibold">
+                {result.studentsAffected} {result.studentsAffected === 1 ? "student's score" : "students' scores"} changed
+              </p>
+              <p>{result.responsesChanged} of {result.responsesChecked} responses were regraded.</p>
+              {result.attemptsRecalculated > 0 && (
+                <p>{result.attemptsRecalculated} completed attempts and their assignment scores were recalculated.</p>
+              )}
+              {result.manualGradesSkipped > 0 && (
+                <p>{result.manualGradesSkipped} manually graded responses were left unchanged.</p>
+              )}
+              {result.notAutoGraded > 0 && (
+                <p>{result.notAutoGraded} responses could not be auto-graded (no answer key, or the code sandbox was unavailable) and kept their grade.</p>
+              )}
+            </div>
+          ) : (
+            <>
+              <p className={textClass}>
+                Re-run auto-grading with the current answer key and points for all stored responses to {target.label}.
+                Attempt and assignment scores are recalculated.
+              </p>
+              <label className={`flex items-center gap-2 ${textClass}`}>
+                <input
+                  type="checkbox"
+                  checked={includeManualGrades}
+                  onChange={(e) => setIncludeManualGrades(e.target.checked)}
+                  className="w-4 h-4"
+                />
+                Also overwrite grades set by a tutor
+              </label>
+            </>
+          )}
+        </div>
+
+        <div className={`p-6 border-t flex justify-end gap-3 ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+          {result ? (
+            <button
+              onClick={onClose}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Done
+            </button>
+          ) : (
+            <>
+              <button
+                onClick={onClose}
+                disabled={running}
+                className={`px-6 py-2 rounded-lg transition-colors ${isDark ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+              >
+                Not now
+              </button>
+              <button
+                onClick={handleRegrade}
+                disabled={running}
+                className="flex items-center gap-2 px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                <RefreshCw className={`w-4 h-4 ${running ? 'animate-spin' : ''}`} />
+                {running ? (progress > 0 ? `Regrading... (${progress} checked)` : 'Regrading...') : 'Regrade'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Question Form Component
 const QuestionForm = ({ quizId, question, isDark, onClose, onSave }) => {
+  const questionType = question?.questionType || 'multiple_choice_single';
+  // Content as loaded, in the editor's canonical shape, so untouched questions don't count as changed
+  const [originalContent] = useState(() => (question
+    ? normalizeQuestionContent(questionType, question.content)
+    : createDefaultContent(questionType)));
   const [formData, setFormData] = useState({
-    questionType: question?.questionType || 'multiple_choice_single',
+    questionType,
     questionText: question?.questionText || '',
     difficulty: question?.difficulty || 'medium',
-    points: question?.points || 10,
+    points: question?.points ?? 10,
     estimatedSeconds: question?.estimatedSeconds || 60,
     subject: question?.subject || '',
-    content: question?.content || {},
+    content: originalContent,
   });
+  // Edited as comma-separated text, sent as an array
+  const [tagsText, setTagsText] = useState((question?.tags || []).join(', '));
 
   const [loading, setLoading] = useState(false);
-
-  const handleChange = (e) => {
-    const { name, value } = e.target;
-    setFormData((prev) => ({
-      ...prev,
-      [name]: name === 'points' || name === 'estimatedSeconds'
-        ? parseFloat(value) || 0
-        : value,
-    }));
-  };
+  const [showErrors, setShowErrors] = useState(false);
+  const errors = validateQuestion(formData);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    if (Object.keys(errors).length > 0) {
+      setShowErrors(true);
+      return;
+    }
     setLoading(true);
 
+    const payload = {
+      ...formData,
+      tags: tagsText.split(',').map(t => t.trim()).filter(Boolean),
+    };
+
     try {
       let savedQuestion;
+      let gradingChanged = false;
       if (question) {
         // Update existing question
         console.log('[QuestionForm] Updating question:', question.questionId);
-        savedQuestion = await questionApi.updateQuestion(question.questionId, formData);
+        savedQuestion = await questionApi.updateQuestion(question.questionId, payload);
         console.log('[QuestionForm] Question updated:', savedQuestion);
+
+        // Stored responses keep their old scores until they are regraded
+        gradingChanged = formData.questionType !== question.questionType
+          || formData.points !== question.points
+          || JSON.stringify(formData.content) !== JSON.stringify(originalContent);
       } else {
         // Create new question
         console.log('[QuestionForm] Creating question for quiz:', quizId);
-        savedQuestion = await questionApi.createQuestion(formData);
+        savedQuestion = await questionApi.createQuestion(payload);
         console.log('[QuestionForm] Question created:', savedQuestion);
         
         // Add question to quiz
@@ -503,7 +785,7 @@ const QuestionForm = ({ quizId, question, isDark, onClose, onSave }) => {
         const linkResult = await questionApi.addQuestionToQuiz(quizId, savedQuestion.questionId);
         console.log('[QuestionForm] Question linked to quiz:', linkResult);
       }
-      onSave();
+      onSave(gradingChanged ? question : null);
     } catch (error) {
       console.error('[QuestionForm] Error saving question:', error);
       console.error('[QuestionForm] Error details:', {
@@ -520,7 +802,7 @@ const QuestionForm = ({ quizId, question, isDark, onClose, onSave }) => {
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
       <div className={`
-        max-w-4xl w-full max-h-[90vh] overflow-auto rounded-lg
+        max-w-7xl w-full max-h-[90vh] overflow-auto rounded-lg
         ${isDark ? 'bg-gray-800' : 'bg-white'}
       `}>
         <div className={`
@@ -542,155 +824,37 @@ const QuestionForm = ({ quizId, question, isDark, onClose, onSave }) => {
         </div>
 
         <form onSubmit={handleSubmit} className="p-6 space-y-6">
-          {/* Question Type */}
+          <QuestionEditor
+            question={formData}
+            onChange={setFormData}
+            errors={showErrors ? errors : {}}
+            isDark={isDark}
+          />
+
+          {/* Tags */}
           <div>
             <label className={`block text-sm font-medium mb-2 ${isDark ? 'text-gray-200' : 'text-gray-700'}`}>
-              Question Type
+              Tags
             </label>
-            <select
-              name="questionType"
-              value={formData.questionType}
-              onChange={handleChange}
+            <input
+              type="text"
+              value={tagsText}
+              onChange={(e) => setTagsText(e.target.value)}
+              placeholder="e.g., loops, beginner"
               className={`
-                w-full px-4 py-2 rounded-lg border transition-colors
-                ${isDark 
-                  ? 'bg-gray-700 border-gray-600 text-white' 
-                  : 'bg-white border-gray-300 text-gray-900'
-                }
-              `}
-            >
-              <option value="multiple_choice_single">Multiple Choice (Single Answer)</option>
-              <option value="multiple_choice_multi">Multiple Choice (Multiple Answers)</option>
-              <option value="fill_in_blank">Fill in the Blank</option>
-              <option value="fill_in_blank_drag_drop">Fill in Blank (Drag & Drop)</option>
-              <option value="ordering">Ordering</option>
-              <option value="matching">Matching</option>
-              <option value="program_submission">Program Submission</option>
-              <option value="short_answer">Short Answer</option>
-            </select>
-          </div>
-
-          {/* Question Text */}
-          <div>
-            <label className={`block text-sm font-medium mb-2 ${isDark ? 'text-gray-200' : 'text-gray-700'}`}>
-              Question Text <span className="text-red-500">*</span>
-            </label>
-            <textarea
-              name="questionText"
-              value={formData.questionText}
-              onChange={handleChange}
-              rows={4}
-              required
-              placeholder="Enter the question"
-              className={`
-                w-full px-4 py-2 rounded-lg border transition-colors resize-none
-                ${isDark 
-                  ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' 
-                  : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'
-                }
+                w-full px-4 py-2 rounded-lg border
+                ${isDark ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' : 'bg-white border-gray-300 placeholder-gray-500'}
               `}
             />
-          </div>
-
-          {/* Settings Grid */}
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-            <div>
-              <label className={`block text-sm font-medium mb-2 ${isDark ? 'text-gray-200' : 'text-gray-700'}`}>
-                Difficulty
-              </label>
-              <select
-                name="difficulty"
-                value={formData.difficulty}
-                onChange={handleChange}
-                className={`
-                  w-full px-4 py-2 rounded-lg border
-                  ${isDark ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}
-                `}
-              >
-                <option value="easy">Easy</option>
-                <option value="medium">Medium</option>
-                <option value="hard">Hard</option>
-              </select>
-            </div>
-
-            <div>
-              <label className={`block text-sm font-medium mb-2 ${isDark ? 'text-gray-200' : 'text-gray-700'}`}>
-                Points
-              </label>
-              <input
-                type="number"
-                name="points"
-                value={formData.points}
-                onChange={handleChange}
-                min="0"
-                step="0.5"
-                className={`
-                  w-full px-4 py-2 rounded-lg border
-                  ${isDark ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}
-                `}
-              />
-            </div>
-
-            <div>
-              <label className={`block text-sm font-medium mb-2 ${isDark ? 'text-gray-200' : 'text-gray-700'}`}>
-                Time (seconds)
-              </label>
-              <input
-                type="number"
-                name="estimatedSeconds"
-                value={formData.estimatedSeconds}
-                onChange={handleChange}
-                min="1"
-                className={`
-                  w-full px-4 py-2 rounded-lg border
-                  ${isDark ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}
-                `}
-              />
-            </div>
-
-            <div>
-              <label className={`block text-sm font-medium mb-2 ${isDark ? 'text-gray-200' : 'text-gray-700'}`}>
-                Subject
-              </label>
-              <input
-                type="text"
-                name="subject"
-                value={formData.subject}
-                onChange={handleChange}
-                placeholder="e.g., Python"
-                className={`
-                  w-full px-4 py-2 rounded-lg border
-                  ${isDark ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}
-                `}
-              />
-            </div>
-          </div>
-
-          {/* Content (to be enhanced with type-specific forms) */}
-          <div>
-            <label className={`block text-sm font-medium mb-2 ${isDark ? 'text-gray-200' : 'text-gray-700'}`}>
-              Question Content (JSON)
-            </label>
-            <textarea
-              value={JSON.stringify(formData.content, null, 2)}
-              onChange={(e) => {
-                try {
-                  setFormData((prev) => ({ ...prev, content: JSON.parse(e.target.value) }));
-                } catch (err) {
-                  // Invalid JSON, ignore
-                }
-              }}
-              rows={10}
-              className={`
-                w-full px-4 py-2 rounded-lg border font-mono text-sm resize-none
-                ${isDark ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}
-              `}
-            />
-            <p className={`text-xs mt-1 ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
-              Note: Enhanced question type editors will be added in the next phase
+            <p className={`mt-1 text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+              Comma separated. Used to find this question in the question bank.
             </p>
           </div>
 
+          {showErrors && Object.keys(errors).length > 0 && (
+            <p className="text-sm text-red-500">Fix the highlighted fields before saving.</p>
+          )}
+
           {/* Action Buttons */}
           <div className="flex gap-4 justify-end pt-4 border-t">
             <button
@@ -15,8 +15,10 @@ import {
   Users,
   Tag,
   Filter,
-  Plus
+  Plus,
+  X
 } from 'lucide-react';
+import AssignmentStatsPanel from '../../components/AssignmentStatsPanel';
 
 const CreatorQuizzes = ({ isDark }) => {
   const navigate = useNavigate();
@@ -27,6 +29,7 @@ const CreatorQuizzes = ({ isDark }) => {
   const [filterSubject, setFilterSubject] = useState('');
   const [filterTags, setFilterTags] = useState([]);
   const [viewMode, setViewMode] = useState('grid'); // grid, list, table, compact, detailed
+  const [statsQuiz, setStatsQuiz] = useState(null);
 
   useEffect(() => {
     fetchQuizzes();
@@ -174,6 +177,13 @@ const CreatorQuizzes = ({ isDark }) => {
               >
                 Manage
               </button>
+              <button
+                onClick={() => setStatsQuiz(quiz)}
+                className={`p-2 rounded-lg ${isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'} transition-colors`}
+                title="Assignment statistics"
+              >
+                <BarChart className="w-5 h-5" />
+              </button>
               <button
                 onClick={() => handleDeleteQuiz(quiz.quizId)}
                 className={`p-2 rounded-lg ${isDark ? 'bg-gray-700 hover:bg-red-600' : 'bg-gray-100 hover:bg-red-100'} transition-colors`}
@@ -259,6 +269,14 @@ const CreatorQuizzes = ({ isDark }) => {
                 >
                   Manage
                 </button>
+                <button
+                  onClick={() => setStatsQuiz(quiz)}
+                  className={`px-4 py-2 rounded-lg flex items-center gap-2 ${isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'} transition-colors`}
+                  title="Assignment statistics"
+                >
+                  <BarChart className="w-5 h-5" />
+                  Stats
+                </button>
                 <button
                   onClick={() => handleDeleteQuiz(quiz.quizId)}
                   className={`px-4 py-2 rounded-lg flex items-center gap-2 ${isDark ? 'bg-gray-700 hover:bg-red-600' : 'bg-gray-100 hover:bg-red-100'} transition-colors`}
@@ -334,6 +352,13 @@ const CreatorQuizzes = ({ isDark }) => {
                   >
                     <Edit className="w-4 h-4" />
                   </button>
+                  <button
+                    onClick={() => setStatsQuiz(quiz)}
+                    className={`p-2 rounded-lg ${isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'} transition-colors`}
+                    title="Assignment statistics"
+                  >
+                    <BarChart className="w-4 h-4" />
+                  </button>
                   <button
                     onClick={() => handleDeleteQuiz(quiz.quizId)}
                     className={`p-2 rounded-lg ${isDark ? 'bg-gray-700 hover:bg-red-600' : 'bg-gray-100 hover:bg-red-100'} transition-colors`}
@@ -468,6 +493,13 @@ const CreatorQuizzes = ({ isDark }) => {
               >
                 Manage Quiz
               </button>
+              <button
+                onClick={() => setStatsQuiz(quiz)}
+                className={`p-3 rounded-xl ${isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'} transition-colors`}
+                title="Assignment statistics"
+              >
+                <BarChart className="w-5 h-5" />
+              </button>
               <button
                 onClick={() => handleDeleteQuiz(quiz.quizId)}
                 className={`p-3 rounded-xl ${isDark ? 'bg-gray-700 hover:bg-red-600' : 'bg-gray-100 hover:bg-red-100'} transition-colors`}
@@ -726,6 +758,28 @@ const CreatorQuizzes = ({ isDark }) => {
           {viewMode === 'detailed' && renderDetailedView()}
         </>
       )}
+
+      {/* Assignment statistics modal */}
+      {statsQuiz && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50" onClick={() => setStatsQuiz(null)}>
+          <div
+            className={`w-full max-w-4xl max-h-[90vh] overflow-y-auto rounded-xl shadow-xl p-6 ${isDark ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'}`}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-bold">{statsQuiz.title} — Assignment Statistics</h2>
+              <button
+                onClick={() => setStatsQuiz(null)}
+                className={`p-2 rounded-lg ${isDark ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`}
+                aria-label="Close"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+            <AssignmentStatsPanel quizId={statsQuiz.quizId} isDark={isDark} />
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,282 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { ArrowLeft, AlertTriangle, BarChart, CheckCircle, ChevronDown, ChevronUp, Clock, Edit, Loader2, SkipForward } from 'lucide-react';
+import { quizApi } from '../../services/api';
+
+// p-values outside this band make a question too hard or too easy to tell players apart
+const HARD_DIFFICULTY = 0.3;
+const EASY_DIFFICULTY = 0.9;
+// Discrimination below this separates stronger and weaker players poorly
+const WEAK_DISCRIMINATION = 0.2;
+
+const formatQuestionType = (type) => (type || '')
+  .split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+const formatSeconds = (seconds) => {
+  if (seconds === null || seconds === undefined) return '—';
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+};
+
+const formatPercent = (count, total) => (total > 0 ? `${Math.round((count / total) * 100)}%` : '—');
+
+const difficultyLabel = (p) => {
+  if (p === null || p === undefined) return null;
+  if (p < HARD_DIFFICULTY) return 'Hard';
+  if (p > EASY_DIFFICULTY) return 'Easy';
+  return null;
+};
+
+const isFlagged = (question) => question.discrimination !== null && question.discrimination !== undefined && question.discrimination < 0;
+
+const QuizItemAnalysis = ({ isDark }) => {
+  const { quizId } = useParams();
+  const navigate = useNavigate();
+
+  const [analysis, setAnalysis] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedQuestion, setExpandedQuestion] = useState(null);
+
+  const fetchAnalysis = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await quizApi.getItemAnalysis(quizId);
+      setAnalysis(data);
+    } catch (err) {
+      console.error('Error fetching item analysis:', err);
+      setError('Failed to load item analysis. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [quizId]);
+
+  useEffect(() => {
+    fetchAnalysis();
+  }, [fetchAnalysis]);
+
+  const openQuestionEditor = (questionId) => {
+    navigate(`/creator/quiz/${quizId}/questions?edit=${questionId}`);
+  };
+
+  if (loading) {
+    return (
+      <div className={`min-h-screen flex items-center justify-center ${isDark ? 'bg-gray-900' : 'bg-gray-50'}`}>
+        <Loader2 className={`w-12 h-12 animate-spin ${isDark ? 'text-blue-400' : 'text-blue-600'}`} />
+      </div>
+    );
+  }
+
+  const questions = analysis?.questions || [];
+  const flaggedCount = questions.filter(isFlagged).length;
+  const cardClass = `rounded-xl shadow p-5 ${isDark ? 'bg-gray-800' : 'bg-white'}`;
+  const mutedText = isDark ? 'text-gray-400' : 'text-gray-600';
+
+  return (
+    <div className={`min-h-screen p-8 ${isDark ? 'bg-gray-900 text-white' : 'bg-gray-50 text-gray-900'}`}>
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="flex items-center gap-4 mb-8">
+          <button
+            onClick={() => navigate(`/creator/quiz/${quizId}/questions`)}
+            className={`p-2 rounded-lg transition-colors ${isDark ? 'hover:bg-gray-800 text-gray-300' : 'hover:bg-gray-100 text-gray-700'}`}
+            title="Back to questions"
+          >
+            <ArrowLeft className="w-5 h-5" />
+          </button>
+          <div>
+            <h1 className="text-3xl font-bold flex items-center gap-3">
+              <BarChart className="w-8 h-8" />
+              Item Analysis
+            </h1>
+            <p className={mutedText}>{analysis?.quizTitle}</p>
+          </div>
+        </div>
+
+        {error ? (
+          <div className={`${cardClass} text-center`}>
+            <p className="text-red-500 mb-4">{error}</p>
+            <button onClick={fetchAnalysis} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+              Retry
+            </button>
+          </div>
+        ) : (
+          <>
+            {/* Summary */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+              <div className={cardClass}>
+                <p className={`text-sm ${mutedText}`}>Completed attempts analysed</p>
+                <p className="text-3xl font-bold">{analysis.attemptCount}</p>
+              </div>
+              <div className={cardClass}>
+                <p className={`text-sm ${mutedText}`}>Questions</p>
+                <p className="text-3xl font-bold">{questions.length}</p>
+              </div>
+              <div className={cardClass}>
+                <p className={`text-sm ${mutedText}`}>Flagged (negative discrimination)</p>
+                <p className={`text-3xl font-bold ${flaggedCount > 0 ? 'text-red-500' : 'text-green-500'}`}>{flaggedCount}</p>
+              </div>
+            </div>
+
+            {analysis.attemptCount === 0 ? (
+              <div className={`${cardClass} text-center ${mutedText}`}>
+                No completed attempts yet. Statistics appear once players finish this quiz.
+              </div>
+            ) : (
+              <div className={`rounded-xl shadow overflow-x-auto ${isDark ? 'bg-gray-800' : 'bg-white'}`}>
+                <table className="min-w-full text-sm">
+                  <thead className={isDark ? 'bg-gray-700' : 'bg-gray-50'}>
+                    <tr className={`text-left text-xs uppercase tracking-wider ${mutedText}`}>
+                      <th className="px-4 py-3">#</th>
+                      <th className="px-4 py-3">Question</th>
+                      <th className="px-4 py-3" title="Share of the points earned on average (p-value)">Difficulty</th>
+                      <th className="px-4 py-3" title="Point-biserial correlation with the rest of the attempt">Discrimination</th>
+                      <th className="px-4 py-3">Avg Time</th>
+                      <th className="px-4 py-3">Skipped</th>
+                      <th className="px-4 py-3"></th>
+                    </tr>
+                  </thead>
+                  <tbody className={`divide-y ${isDark ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                    {questions.map((question, index) => (
+                      <ItemRow
+                        key={question.questionId}
+                        question={question}
+                        index={index}
+                        expanded={expandedQuestion === question.questionId}
+                        onToggle={() => setExpandedQuestion(expandedQuestion === question.questionId ? null : question.questionId)}
+                        onFix={() => openQuestionEditor(question.questionId)}
+                        isDark={isDark}
+                      />
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <p className={`mt-4 text-xs ${mutedText}`}>
+              Based on completed attempts, practice attempts excluded. Difficulty below {HARD_DIFFICULTY} is hard and above {EASY_DIFFICULTY} is easy.
+              Discrimination below {WEAK_DISCRIMINATION} tells stronger and weaker players apart poorly; below 0 the question
+              is more often answered correctly by players who did worse overall, which usually means a wrong answer key or a
+              misleading question. Time on a question runs from the previous first answer in the attempt to the first answer to it;
+              changing an answer later does not count, and attempts from before first answers were recorded are left out.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// One question's statistics, expandable to its option frequencies for multiple choice
+const ItemRow = ({ question, index, expanded, onToggle, onFix, isDark }) => {
+  const flagged = isFlagged(question);
+  const hasOptions = question.options && question.options.length > 0;
+  const label = difficultyLabel(question.difficulty);
+  const mutedText = isDark ? 'text-gray-400' : 'text-gray-600';
+  const weak = !flagged && question.discrimination !== null && question.discrimination !== undefined
+    && question.discrimination < WEAK_DISCRIMINATION;
+
+  return (
+    <>
+      <tr className={flagged ? (isDark ? 'bg-red-900/20' : 'bg-red-50') : ''}>
+        <td className={`px-4 py-3 ${mutedText}`}>{index + 1}</td>
+        <td className="px-4 py-3 max-w-md">
+          <div className="flex items-start gap-2">
+            {flagged && <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0 text-red-500" aria-label="Negative discrimination" />}
+            <div>
+              <p className="line-clamp-2">{question.questionText}</p>
+              <p className={`text-xs ${mutedText}`}>
+                {formatQuestionType(question.questionType)} · {question.points} pts · {question.responseCount} responses
+              </p>
+            </div>
+          </div>
+        </td>
+        <td className="px-4 py-3 whitespace-nowrap">
+          {question.difficulty !== null && question.difficulty !== undefined ? question.difficulty.toFixed(2) : '—'}
+          {label && (
+            <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${
+              label === 'Hard'
+                ? (isDark ? 'bg-orange-900 text-orange-300' : 'bg-orange-100 text-orange-700')
+                : (isDark ? 'bg-blue-900 text-blue-300' : 'bg-blue-100 text-blue-700')
+            }`}>
+              {label}
+            </span>
+          )}
+        </td>
+        <td className={`px-4 py-3 whitespace-nowrap ${flagged ? 'text-red-500 font-semibold' : weak ? 'text-yellow-500' : ''}`}>
+          {question.discrimination !== null && question.discrimination !== undefined ? question.discrimination.toFixed(2) : '—'}
+        </td>
+        <td className="px-4 py-3 whitespace-nowrap">
+          <span className="flex items-center gap-1">
+            <Clock className={`w-4 h-4 ${mutedText}`} />
+            {formatSeconds(question.averageSeconds)}
+          </span>
+        </td>
+        <td className="px-4 py-3 whitespace-nowrap">
+          <span className="flex items-center gap-1">
+            <SkipForward className={`w-4 h-4 ${mutedText}`} />
+            {question.skippedCount} ({formatPercent(question.skippedCount, question.responseCount)})
+          </span>
+        </td>
+        <td className="px-4 py-3 whitespace-nowrap text-right">
+          <div className="flex justify-end gap-2">
+            {hasOptions && (
+              <button
+                onClick={onToggle}
+                aria-expanded={expanded}
+                className={`px-2 py-1 rounded-lg flex items-center gap-1 ${isDark ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`}
+              >
+                Options
+                {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+              </button>
+            )}
+            <button
+              onClick={onFix}
+              className={`px-2 py-1 rounded-lg flex items-center gap-1 ${
+                flagged ? 'bg-red-600 text-white hover:bg-red-700' : isDark ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+              }`}
+              title="Edit this question"
+            >
+              <Edit className="w-4 h-4" />
+              {flagged ? 'Fix' : 'Edit'}
+            </button>
+          </div>
+        </td>
+      </tr>
+      {expanded && hasOptions && (
+        <tr>
+          <td></td>
+          <td colSpan={6} className="px-4 pb-4">
+            <div className="space-y-2">
+              {question.options.map(option => {
+                const share = question.responseCount > 0 ? (option.count / question.responseCount) * 100 : 0;
+                return (
+                  <div key={option.optionId} className="flex items-center gap-3">
+                    <span className="w-48 truncate flex items-center gap-1" title={option.text}>
+                      {option.isCorrect && <CheckCircle className="w-4 h-4 flex-shrink-0 text-green-500" aria-label="Correct option" />}
+                      {option.text || option.optionId}
+                    </span>
+                    <div className={`flex-1 h-3 rounded-full ${isDark ? 'bg-gray-700' : 'bg-gray-200'}`}>
+                      <div
+                        className={`h-3 rounded-full ${option.isCorrect ? 'bg-green-500' : 'bg-blue-500'}`}
+                        style={{ width: `${share}%` }}
+                      />
+                    </div>
+                    <span className={`w-20 text-right ${mutedText}`}>
+                      {option.count} ({Math.round(share)}%)
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          </td>
+        </tr>
+      )}
+    </>
+  );
+};
+
+export default QuizItemAnalysis;
@@ -2,7 +2,17 @@ import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { Loader2, CheckCircle, XCircle, ArrowLeft, Clock, Award } from 'lucide-react';
 import { attemptApi, quizApi, helpers } from '../../services/api';
-import { QuestionText } from '../../components/CodeBlock';
+import CodeBlock, { QuestionText } from '../../components/CodeBlock';
+import CorrectAnswer from '../../components/CorrectAnswer';
+import FeedbackNote from '../../components/FeedbackNote';
+import HintsUsedNote from '../../components/HintsUsedNote';
+import QuestionMedia, { ItemMedia } from '../../components/QuestionMedia';
+import RubricGrid from '../../components/RubricGrid';
+import { splitHintsUsed } from '../../utils/blankHints';
+import { getQuestionMedia, getOptionImage, REVIEW_MEDIA_SLOTS } from '../../utils/questionMedia';
+import { getRubricSelections } from '../../utils/rubric';
+import { getAttemptFeedback, getResponseFeedback, hasUnreadFeedback } from '../../utils/feedback';
+import { applySeededLayout } from '../../utils/seededShuffle';
 
 const AttemptDetails = ({ isDark }) => {
   const { attemptId } = useParams();
@@ -29,13 +39,24 @@ const AttemptDetails = ({ isDark }) => {
       const attemptData = await attemptApi.getAttemptById(attemptId);
       setAttempt(attemptData);
 
+      // Opening the attempt reads its feedback; failing to record that only leaves the indicator on
+      if (hasUnreadFeedback(attemptData)) {
+        attemptApi.markFeedbackSeen(attemptId).catch(error => {
+          console.error('Error marking feedback as read:', error);
+        });
+      }
+
       // Fetch quiz details
       const quizData = await quizApi.getQuizById(attemptData.quizId);
       setQuiz(quizData);
 
-      // Fetch questions
+      // Fetch questions, laid out in the order the player saw them during the attempt
       const questionsData = await quizApi.getQuizQuestions(attemptData.quizId);
-      setQuestions(questionsData.questions || []);
+      setQuestions(applySeededLayout(
+        questionsData.questions || [],
+        attemptData.metadata?.shuffleSeed ?? null,
+        { shuffleQuestions: attemptData.metadata?.shuffleQuestions }
+      ));
 
       // Fetch responses
       const responsesData = await attemptApi.getAttemptResponses(attemptId);
@@ -188,6 +209,8 @@ const AttemptDetails = ({ isDark }) => {
         </div>
       </div>
 
+      <FeedbackNote comment={getAttemptFeedback(attempt)} isDark={isDark} className="mb-6 shadow-lg" />
+
       {/* Questions and Answers */}
       <div className="space-y-6">
         <h2 className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}>
@@ -248,7 +271,10 @@ const AttemptDetails = ({ isDark }) => {
 // Question Review Card Component
 const QuestionReviewCard = ({ question, response, index, isDark }) => {
   const isCorrect = response?.isCorrect;
-  const PlayerAnswer = response?.answerPayload;
+  // Blank hints are stored with the answer; show them separately
+  const { answer: PlayerAnswer, hintsUsed } = splitHintsUsed(response?.answerPayload);
+  // Rubric the tutor completed when grading (a copy, so later rubric edits don't show here)
+  const gradedRubric = response?.gradingDetails?.rubric;
 
   const renderPlayerAnswer = () => {
     if (!PlayerAnswer) {
@@ -269,6 +295,7 @@ const QuestionReviewCard = ({ question, response, index, isDark }) => {
             <p className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
               {selectedOption?.text || 'Unknown answer'}
             </p>
+            {selectedOption && <ItemMedia image={getOptionImage(question, selectedOption)} isDark={isDark} />}
           </div>
         );
 
@@ -283,6 +310,7 @@ const QuestionReviewCard = ({ question, response, index, isDark }) => {
                 {selectedOptions.map(opt => (
                   <li key={opt.id} className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
                     {opt.text}
+                    <ItemMedia image={getOptionImage(question, opt)} isDark={isDark} />
                   </li>
                 ))}
               </ul>
@@ -503,162 +531,44 @@ const QuestionReviewCard = ({ question, response, index, isDark }) => {
           </div>
         );
 
-      default:
-        return (
+      case 'program_submission': {
+        const submittedCode = typeof PlayerAnswer === 'string' ? PlayerAnswer : PlayerAnswer.code || '';
+        return submittedCode.trim() ? (
+          <CodeBlock isDark={isDark}>{submittedCode}</CodeBlock>
+        ) : (
           <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
-            <p className={`${isDark ? 'text-white' : 'text-gray-900'}`}>
-              {JSON.stringify(PlayerAnswer)}
-            </p>
-          </div>
-        );
-    }
-  };
-
-  const renderCorrectAnswer = () => {
-    switch (question.questionType) {
-      case 'multiple_choice_single':
-        const correctAnswerId = question.content.correct_answer || question.content.correctAnswer;
-        const correctOption = question.content.options.find(opt => opt.id === correctAnswerId);
-        return (
-          <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
-            <p className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
-              {correctOption?.text || 'Unknown'}
+            <p className={`italic ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+              No code submitted
             </p>
           </div>
         );
+      }
 
-      case 'multiple_choice_multi':
-        const correctAnswerIds = question.content.correct_answers || question.content.correctAnswers || [];
-        const correctOptions = question.content.options.filter(opt => correctAnswerIds.includes(opt.id));
-        return (
-          <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
-            <ul className="list-disc list-inside space-y-1">
-              {correctOptions.map(opt => (
-                <li key={opt.id} className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
-                  {opt.text}
-                </li>
-              ))}
-            </ul>
-          </div>
-        );
-
-      case 'fill_in_blank':
-        const fillInBlanks = question.content.blanks || [];
-        return (
-          <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
-            <div className="space-y-2">
-              {fillInBlanks.map((blank, idx) => {
-                // Handle both accepted_answers and acceptedAnswers (snake_case and camelCase)
-                const acceptedAnswers = blank.accepted_answers || blank.acceptedAnswers || [];
-                return (
-                  <div key={idx}>
-                    <span className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
-                      Blank {blank.position !== undefined ? blank.position + 1 : idx + 1}:
-                    </span>
-                    <span className={`ml-2 ${isDark ? 'text-green-300' : 'text-green-800'}`}>
-                      {acceptedAnswers.length > 0 ? acceptedAnswers.join(' or ') : 'No answer specified'}
-                    </span>
-                    {blank.hint && (
-                      <span className={`ml-2 text-sm italic ${isDark ? 'text-green-600' : 'text-green-600'}`}>
-                        (hint: {blank.hint})
-                      </span>
-                    )}
-                  </div>
-                );
-              })}
-            </div>
-          </div>
-        );
-
-      case 'fill_in_blank_drag_drop':
-        // Handle nested content structure for drag_drop questions
-        const nestedContent = question.content.content || question.content;
-        const dragDropBlanks = nestedContent.blanks || [];
-        const wordBank = nestedContent.wordBank || nestedContent.word_bank || [];
-        
-        return (
-          <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
-            <div className="space-y-2">
-              {dragDropBlanks.map((blank, idx) => {
-                // Get correct answer from accepted_answers array or correctAnswer field
-                const correctAnswerIds = blank.accepted_answers || blank.acceptedAnswers || [];
-                const correctAnswerId = blank.correctAnswer || correctAnswerIds[0];
-                
-                // Find the word from word bank by matching value or id
-                const correctWord = wordBank.find(word => 
-                  word.id === correctAnswerId || 
-                  word.value === correctAnswerId ||
-                  word.label === correctAnswerId
-                );
-                
-                return (
-                  <div key={idx}>
-                    <span className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
-                      Blank {blank.position + 1}:
-                    </span>
-                    <span className={`ml-2 px-3 py-1 rounded ${isDark ? 'bg-green-900/40 text-green-300' : 'bg-green-100 text-green-800'}`}>
-                      {correctWord?.label || correctWord?.text || correctAnswerId || 'No answer specified'}
-                    </span>
-                    {blank.hint && (
-                      <span className={`ml-2 text-sm italic ${isDark ? 'text-green-600' : 'text-green-600'}`}>
-                        (hint: {blank.hint})
-                      </span>
-                    )}
-                  </div>
-                );
-              })}
-            </div>
-          </div>
-        );
-
-      case 'matching':
-        const leftItems = question.content.leftItems || question.content.left_items || [];
-        const rightItems = question.content.rightItems || question.content.right_items || [];
-        const correctPairs = question.content.correctPairs || question.content.correct_pairs || [];
-        
+      case 'short_answer': {
+        const shortAnswerText = typeof PlayerAnswer === 'string' ? PlayerAnswer : PlayerAnswer.text || '';
         return (
-          <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
-            <div className="space-y-2">
-              {correctPairs.map((pair, idx) => {
-                const left = leftItems.find(l => l.id === pair.left);
-                const right = rightItems.find(r => r.id === pair.right);
-                return (
-                  <div key={idx} className="flex items-center gap-2">
-                    <span className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
-                      {left?.text || 'Unknown'}
-                    </span>
-                    <span className={isDark ? 'text-green-400' : 'text-green-600'}>→</span>
-                    <span className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
-                      {right?.text || 'Unknown'}
-                    </span>
-                  </div>
-                );
-              })}
-            </div>
+          <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+            {shortAnswerText.trim() ? (
+              <p className={`font-medium whitespace-pre-wrap ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                {shortAnswerText}
+              </p>
+            ) : (
+              <p className={`italic ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                No answer provided
+              </p>
+            )}
           </div>
         );
+      }
 
-      case 'ordering':
-        const orderItems = question.content.items || [];
-        const correctOrder = question.content.correctOrder || question.content.correct_order || [];
-        
+      default:
         return (
-          <div className={`p-4 rounded-xl ${isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'} border`}>
-            <ol className="list-decimal list-inside space-y-1">
-              {correctOrder.map((itemId, idx) => {
-                const item = orderItems.find(i => i.id === itemId);
-                return (
-                  <li key={idx} className={`font-medium ${isDark ? 'text-green-400' : 'text-green-700'}`}>
-                    {item?.text || 'Unknown'}
-                  </li>
-                );
-              })}
-            </ol>
+          <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>
+            <p className={`${isDark ? 'text-white' : 'text-gray-900'}`}>
+              {JSON.stringify(PlayerAnswer)}
+            </p>
           </div>
         );
-
-      default:
-        return null;
     }
   };
 
@@ -697,6 +607,8 @@ const QuestionReviewCard = ({ question, response, index, isDark }) => {
         </div>
       </div>
 
+      <QuestionMedia media={getQuestionMedia(question)} slots={REVIEW_MEDIA_SLOTS} isDark={isDark} />
+
       {/* Render template for fill_in_blank and fill_in_blank_drag_drop questions */}
       {(question.questionType === 'fill_in_blank' || question.questionType === 'fill_in_blank_drag_drop') && question.content.template && (
         <div className="mb-4">
@@ -741,14 +653,26 @@ const QuestionReviewCard = ({ question, response, index, isDark }) => {
             Your Answer:
           </h4>
           {renderPlayerAnswer()}
+          <HintsUsedNote question={question} hintsUsed={hintsUsed} isDark={isDark} />
         </div>
 
+        {gradedRubric?.criteria?.length > 0 && (
+          <div>
+            <h4 className={`font-semibold mb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+              Rubric:
+            </h4>
+            <RubricGrid rubric={gradedRubric} selections={getRubricSelections(gradedRubric)} isDark={isDark} />
+          </div>
+        )}
+
+        <FeedbackNote comment={getResponseFeedback(response)} isDark={isDark} />
+
         {!isCorrect && (
           <div>
             <h4 className={`font-semibold mb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
               Correct Answer:
             </h4>
-            {renderCorrectAnswer()}
+            <CorrectAnswer question={question} isDark={isDark} />
           </div>
         )}
       </div>
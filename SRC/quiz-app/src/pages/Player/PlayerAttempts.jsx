@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
-import { Loader2, Clock, CheckCircle, XCircle, PlayCircle, Eye, RefreshCw } from 'lucide-react';
+import { Loader2, Clock, CheckCircle, XCircle, PlayCircle, Eye, RefreshCw, MessageSquare } from 'lucide-react';
 import { attemptApi, helpers } from '../../services/api';
+import { hasUnreadFeedback } from '../../utils/feedback';
 
 const PlayerAttempts = ({ isDark }) => {
   const navigate = useNavigate();
@@ -206,11 +207,26 @@ const PlayerAttempts = ({ isDark }) => {
                     <span className={`px-3 py-1 rounded-lg font-medium ${getStatusColor(attempt.status)}`}>
                       {attempt.status === 'completed' ? 'Completed' : 'In Progress'}
                     </span>
+                    {helpers.isPracticeAttempt(attempt) && (
+                      <span className={`px-3 py-1 rounded-lg font-medium ${
+                        isDark ? 'bg-purple-900/30 text-purple-400' : 'bg-purple-100 text-purple-700'
+                      }`}>
+                        Practice
+                      </span>
+                    )}
                     {attempt.status === 'completed' && attempt.scorePercentage !== null && (
                       <span className={`font-bold ${getScoreColor(attempt.scorePercentage)}`}>
                         {Math.round(attempt.scorePercentage)}%
                       </span>
                     )}
+                    {hasUnreadFeedback(attempt) && (
+                      <span className={`px-3 py-1 rounded-lg font-medium flex items-center gap-1 ${
+                        isDark ? 'bg-indigo-900/30 text-indigo-300' : 'bg-indigo-100 text-indigo-700'
+                      }`}>
+                        <MessageSquare className="w-4 h-4" />
+                        New feedback
+                      </span>
+                    )}
                   </div>
                 </div>
 
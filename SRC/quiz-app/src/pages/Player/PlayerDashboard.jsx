@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { BookOpen, Clock, TrendingUp, Award, Play, Loader2, Lock } from 'lucide-react';
+import { BookOpen, Clock, TrendingUp, Award, Play, Loader2, Lock, MessageSquare } from 'lucide-react';
 import { quizApi, attemptApi, assignmentApi, helpers } from '../../services/api';
+import { hasUnreadFeedback } from '../../utils/feedback';
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
@@ -17,6 +18,7 @@ const PlayerDashboard = ({ isDark }) => {
   const [recentQuizzes, setRecentQuizzes] = useState([]);
   const [recentAttempts, setRecentAttempts] = useState([]);
   const [userAttempts, setUserAttempts] = useState([]);
+  const [feedbackAttempts, setFeedbackAttempts] = useState([]);
   const userId = helpers.getUserId('Player');
 
   useEffect(() => {
@@ -99,6 +101,7 @@ const PlayerDashboard = ({ isDark }) => {
       });
       
       setRecentAttempts(attempts.slice(0, 5));
+      setFeedbackAttempts(attempts.filter(hasUnreadFeedback));
 
       // Calculate stats based on assignments
       const attemptStats = helpers.calculateAttemptStats(attempts);
@@ -137,6 +140,30 @@ const PlayerDashboard = ({ isDark }) => {
         </p>
       </div>
 
+      {/* New tutor feedback */}
+      {feedbackAttempts.length > 0 && (
+        <div className={`mb-8 p-4 rounded-2xl flex items-center justify-between gap-4 ${
+          isDark ? 'bg-indigo-900/30 text-indigo-200' : 'bg-indigo-50 text-indigo-900'
+        }`}>
+          <div className="flex items-center gap-3">
+            <MessageSquare className="w-6 h-6 flex-shrink-0" />
+            <span className="font-medium">
+              Your tutor left new feedback on {feedbackAttempts.length === 1
+                ? feedbackAttempts[0].quizTitle || 'a quiz'
+                : `${feedbackAttempts.length} attempts`}
+            </span>
+          </div>
+          <button
+            onClick={() => navigate(feedbackAttempts.length === 1
+              ? `/Player/attempt/${feedbackAttempts[0].attemptId}`
+              : '/Player/attempts?filter=completed')}
+            className="px-4 py-2 rounded-xl font-medium bg-indigo-600 text-white hover:bg-indigo-700 transition-colors"
+          >
+            View feedback
+          </button>
+        </div>
+      )}
+
       {/* Stats Cards */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
         <StatCard
@@ -301,6 +328,15 @@ const PlayerDashboard = ({ isDark }) => {
                       <span className={`font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>
                         {attempt.quizTitle || 'Quiz'}
                       </span>
+                      {hasUnreadFeedback(attempt) && (
+                        <span
+                          title="New feedback from your tutor"
+                          className={`inline-flex items-center gap-1 ml-2 text-xs font-medium ${isDark ? 'text-indigo-300' : 'text-indigo-600'}`}
+                        >
+                          <MessageSquare className="w-3 h-3" />
+                          New feedback
+                        </span>
+                      )}
                       <div className={`text-xs mt-1 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
                         {new Date(attempt.startedAt).toLocaleDateString()} at {new Date(attempt.startedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
                       </div>
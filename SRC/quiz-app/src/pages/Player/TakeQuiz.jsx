@@ -1,20 +1,52 @@
 import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { Loader2, CheckCircle, XCircle, Clock, AlertCircle, ChevronRight, ChevronLeft, Save } from 'lucide-react';
+import { Loader2, CheckCircle, XCircle, Clock, AlertCircle, ChevronRight, ChevronLeft, Save, CloudOff, Flag, ListChecks, GraduationCap, Lightbulb } from 'lucide-react';
+import { toast, ToastContainer } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
 import { quizApi, attemptApi, responseApi, helpers } from '../../services/api';
-import OrderingQuestion from '../../components/QuestionTypes/OrderingQuestion';
-import MatchingQuestion from '../../components/QuestionTypes/MatchingQuestion';
-import FillInBlankDragDrop from '../../components/QuestionTypes/FillInBlankDragDrop';
+import answerOutbox from '../../services/answerOutbox';
+import QuestionRenderer from '../../components/QuestionTypes/QuestionRenderer';
 import { QuestionText } from '../../components/CodeBlock';
+import CorrectAnswer from '../../components/CorrectAnswer';
+import QuestionMedia, { MediaVideo } from '../../components/QuestionMedia';
+import ReadAloud from '../../components/ReadAloud';
+import { createShuffleSeed, applySeededLayout } from '../../utils/seededShuffle';
+import { getBlankHints, getHintPenalty, withHintsUsed, splitHintsUsed } from '../../utils/blankHints';
+import { getQuestionMedia } from '../../utils/questionMedia';
+import { isReadAloudSupported } from '../../utils/readAloud';
 
-// Helper function to shuffle array
-const shuffleArray = (array) => {
-  const shuffled = [...array];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+// Warn at 5 minutes and 1 minute remaining unless the quiz configures its own thresholds
+const DEFAULT_TIME_WARNING_SECONDS = [300, 60];
+
+// Answer sent for a question the student skipped, in the format its grader expects
+const getEmptyAnswer = (questionType) => {
+  switch (questionType) {
+    case 'multiple_choice_multi':
+    case 'fill_in_blank':
+    case 'matching':
+    case 'ordering':
+      return [];
+    case 'fill_in_blank_drag_drop':
+      return {};
+    case 'short_answer':
+      return { text: '' };
+    case 'program_submission':
+      return { code: '' };
+    default:
+      return '';
   }
-  return shuffled;
+};
+
+// Share of a question's points lost per retry in practice mode (mirrors PracticeRetryPenalty on the server)
+const PRACTICE_RETRY_PENALTY = 0.25;
+
+// Format seconds as m:ss (or h:mm:ss for long quizzes)
+const formatTimeRemaining = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
 };
 
 const TakeQuiz = ({ isDark }) => {
@@ -36,6 +68,21 @@ const TakeQuiz = ({ isDark }) => {
   const [saving, setSaving] = useState(false);
   const [answeredQuestions, setAnsweredQuestions] = useState(new Set());
   const questionNavRef = useRef(null);
+  const [deadlineAt, setDeadlineAt] = useState(null);
+  const [timeRemaining, setTimeRemaining] = useState(null);
+  const [timeExpired, setTimeExpired] = useState(false);
+  const shownTimeWarnings = useRef(new Set());
+  const timeExpiredHandler = useRef(null);
+  const [pendingSyncCount, setPendingSyncCount] = useState(0);
+  const [syncNeedsSignIn, setSyncNeedsSignIn] = useState(false);
+  const [rejectedAnswers, setRejectedAnswers] = useState([]);
+  const [flaggedQuestions, setFlaggedQuestions] = useState(new Set());
+  const [showReview, setShowReview] = useState(false);
+  const attemptLayout = useRef({ shuffleSeed: null, shuffleQuestions: false });
+  const [practiceMode, setPracticeMode] = useState(false);
+  const [practiceFeedback, setPracticeFeedback] = useState({});
+  const [checking, setChecking] = useState(false);
+  const [hintsUsed, setHintsUsed] = useState({});
 
   useEffect(() => {
     // Only load quiz data, don't create attempt yet
@@ -59,6 +106,71 @@ const TakeQuiz = ({ isDark }) => {
     }
   }, [currentQuestionIndex, questions.length]);
 
+  // Track unsynced answers for this attempt and replay any left over from a previous page load
+  useEffect(() => {
+    if (!attemptId) return;
+
+    const unsubscribe = answerOutbox.subscribe((entries, { authRequired }) => {
+      const attemptEntries = entries.filter(e => e.attemptId === attemptId);
+      setPendingSyncCount(attemptEntries.filter(e => !e.rejected).length);
+      setRejectedAnswers(attemptEntries.filter(e => e.rejected));
+      setSyncNeedsSignIn(authRequired);
+    });
+    answerOutbox.flush({ attemptId, force: true })
+      .catch(error => console.error('[TakeQuiz] Error replaying pending answers:', error));
+
+    return unsubscribe;
+  }, [attemptId]);
+
+  // Countdown for timed quizzes - the deadline comes from the attempt so reloads keep the original end time
+  useEffect(() => {
+    if (!deadlineAt || submitted) return;
+
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((deadlineAt - Date.now()) / 1000));
+      setTimeRemaining(remaining);
+
+      // Only announce the closest threshold when several are crossed at once (e.g. on resume)
+      const warningSeconds = quiz?.timeWarningSeconds?.length ? quiz.timeWarningSeconds : DEFAULT_TIME_WARNING_SECONDS;
+      const crossed = warningSeconds.filter(t => remaining > 0 && remaining <= t && !shownTimeWarnings.current.has(t));
+      if (crossed.length > 0) {
+        crossed.forEach(t => shownTimeWarnings.current.add(t));
+        toast.warning(`${formatTimeRemaining(remaining)} remaining`, {
+          position: 'top-center',
+          autoClose: 5000,
+          theme: isDark ? 'dark' : 'light',
+        });
+      }
+
+      if (remaining === 0) {
+        clearInterval(intervalId);
+        timeExpiredHandler.current?.();
+      }
+    };
+
+    const intervalId = setInterval(tick, 1000);
+    tick();
+    return () => clearInterval(intervalId);
+  }, [deadlineAt, submitted, quiz, isDark]);
+
+  // Restore state kept in the attempt metadata (mode, deadline, flagged questions) when starting or resuming
+  const applyAttemptMetadata = (attempt) => {
+    if (attempt) {
+      setPracticeMode(helpers.isPracticeAttempt(attempt));
+    }
+
+    const deadline = attempt?.metadata?.deadlineAt;
+    if (deadline) {
+      console.log('[applyAttemptMetadata] Attempt deadline:', deadline);
+      setDeadlineAt(new Date(deadline).getTime());
+    }
+
+    const flagged = attempt?.metadata?.flaggedQuestions;
+    if (Array.isArray(flagged)) {
+      setFlaggedQuestions(new Set(flagged));
+    }
+  };
+
   const loadQuizData = async () => {
     try {
       setLoading(true);
@@ -66,36 +178,61 @@ const TakeQuiz = ({ isDark }) => {
       // Fetch quiz details
       const quizData = await quizApi.getQuizById(quizId);
       setQuiz(quizData);
+      setPracticeMode(!!quizData.practiceMode);
 
       // Fetch questions
       const questionsData = await quizApi.getQuizQuestions(quizId);
-      setQuestions(questionsData.questions || []);
+      const authoredQuestions = questionsData.questions || [];
 
-      // Check if attemptId is provided in URL (resuming existing attempt)
+      // Find the attempt to resume: from the URL, or an existing in-progress attempt
+      let resumedAttemptId = null;
+      let resumedAttempt = null;
       if (urlAttemptId) {
-        setAttemptId(urlAttemptId);
-        setAttemptCreated(true);
+        resumedAttemptId = urlAttemptId;
         console.log('Resuming attempt from URL:', urlAttemptId);
-        await loadSavedResponses(urlAttemptId, questionsData.questions || []);
+        try {
+          resumedAttempt = await attemptApi.getAttemptById(urlAttemptId);
+        } catch (attemptError) {
+          console.error('Error loading attempt metadata:', attemptError);
+        }
       } else {
-        // Check for existing in-progress attempt (to resume)
         try {
           const existingAttempts = await attemptApi.getUserAttempts(userId, 100, 0);
-          const inProgressAttempt = existingAttempts?.attempts?.find(
+          resumedAttempt = existingAttempts?.attempts?.find(
             attempt => attempt.quizId === quizId && attempt.status === 'in_progress'
-          );
-
-          if (inProgressAttempt) {
-            // Resume existing in-progress attempt
-            setAttemptId(inProgressAttempt.attemptId);
-            setAttemptCreated(true);
-            console.log('Resuming existing attempt:', inProgressAttempt.attemptId);
-            await loadSavedResponses(inProgressAttempt.attemptId, questionsData.questions || []);
-          }
+          ) || null;
+          resumedAttemptId = resumedAttempt?.attemptId || null;
         } catch (attemptError) {
           console.error('Error checking existing attempts:', attemptError);
         }
       }
+
+      // Lay out questions with the attempt's seed so a resume shows the same order;
+      // a new attempt gets a fresh seed that is saved when the attempt is created
+      attemptLayout.current = {
+        shuffleSeed: resumedAttempt?.metadata?.shuffleSeed ?? createShuffleSeed(),
+        shuffleQuestions: resumedAttempt?.metadata?.shuffleQuestions ?? !!quizData.shuffleQuestions,
+      };
+      const laidOutQuestions = applySeededLayout(authoredQuestions, attemptLayout.current.shuffleSeed, {
+        shuffleQuestions: attemptLayout.current.shuffleQuestions,
+      });
+      setQuestions(laidOutQuestions);
+
+      if (resumedAttemptId) {
+        // Resume existing in-progress attempt
+        setAttemptId(resumedAttemptId);
+        setAttemptCreated(true);
+        console.log('Resuming existing attempt:', resumedAttemptId);
+        applyAttemptMetadata(resumedAttempt);
+        await loadSavedResponses(resumedAttemptId, laidOutQuestions);
+      } else if (quizData.timeLimitMinutes) {
+        // Timed quizzes start the clock when opened, not on the first answer
+        try {
+          await ensureAttemptCreated();
+        } catch (attemptError) {
+          console.error('Error starting timed attempt:', attemptError);
+        }
+      }
     } catch (error) {
       console.error('Error loading quiz:', error);
       alert('Failed to load quiz. Please try again.');
@@ -130,9 +267,11 @@ const TakeQuiz = ({ isDark }) => {
       console.log('[ensureAttemptCreated] Creating new attempt for quiz:', quizId, 'user:', userId);
       const attempt = await attemptApi.startAttempt(quizId, userId, {
         startedAt: new Date().toISOString(),
+        ...attemptLayout.current,
       });
       setAttemptId(attempt.attemptId);
       setAttemptCreated(true);
+      applyAttemptMetadata(attempt);
       console.log('[ensureAttemptCreated] ✓ Created new attempt:', attempt.attemptId);
       return attempt.attemptId;
     } catch (error) {
@@ -155,18 +294,38 @@ const TakeQuiz = ({ isDark }) => {
   const loadSavedResponses = async (attemptIdToLoad, questionsToCheck) => {
     try {
       console.log('[loadSavedResponses] Loading saved responses for attempt:', attemptIdToLoad);
-      const responsesData = await responseApi.getAttemptResponses(attemptIdToLoad);
+
+      // Answers still waiting in the outbox are newer than what the server has
+      const pending = await answerOutbox.getPending(attemptIdToLoad);
+      let savedResponses = [];
+      try {
+        const responsesData = await responseApi.getAttemptResponses(attemptIdToLoad);
+        savedResponses = responsesData?.responses || [];
+      } catch (error) {
+        // Still restore queued answers when offline
+        console.error('[loadSavedResponses] Error loading saved responses:', error);
+      }
       
-      if (responsesData?.responses && responsesData.responses.length > 0) {
-        // Build answers object from saved responses
+      if (savedResponses.length > 0 || pending.length > 0) {
+        // Build answers object from saved responses, then queued answers on top
         const savedAnswers = {};
         const answeredSet = new Set();
+        const restoredHints = {};
+        const restored = [
+          ...savedResponses.map(response => ({ questionId: response.questionId, answerPayload: response.answerPayload })),
+          ...pending.map(entry => ({ questionId: entry.questionId, answerPayload: entry.answerPayload })),
+        ].map(response => {
+          // Blank hints are tracked separately from the answer shown in the question
+          const { answer, hintsUsed: responseHints } = splitHintsUsed(response.answerPayload);
+          return { questionId: response.questionId, answerPayload: answer, hintsUsed: responseHints };
+        });
         
-        responsesData.responses.forEach(response => {
+        restored.forEach(response => {
           savedAnswers[response.questionId] = {
             answer: response.answerPayload,
             metadata: null
           };
+          restoredHints[response.questionId] = response.hintsUsed;
           
           // Only add to answeredSet if answer is not empty
           // This prevents skipped questions from showing orange highlight
@@ -174,15 +333,35 @@ const TakeQuiz = ({ isDark }) => {
                            response.answerPayload !== '' && 
                            response.answerPayload !== undefined &&
                            !(Array.isArray(response.answerPayload) && response.answerPayload.length === 0) &&
-                           !(typeof response.answerPayload === 'object' && Object.keys(response.answerPayload).length === 0);
+                           !(typeof response.answerPayload === 'object' && Object.keys(response.answerPayload).length === 0) &&
+                           !(typeof response.answerPayload === 'object' && response.answerPayload.text === '') &&
+                           !(typeof response.answerPayload === 'object' && response.answerPayload.code === '');
           
           if (hasAnswer) {
             answeredSet.add(response.questionId);
+          } else {
+            answeredSet.delete(response.questionId);
           }
         });
         
         setAnswers(savedAnswers);
         setAnsweredQuestions(answeredSet);
+        setHintsUsed(restoredHints);
+
+        // Practice attempts: show the result of answers already checked (queued answers have not been checked yet)
+        const pendingIds = new Set(pending.map(entry => entry.questionId));
+        const restoredFeedback = {};
+        savedResponses
+          .filter(response => response.practiceTries && !pendingIds.has(response.questionId))
+          .forEach(response => {
+            restoredFeedback[response.questionId] = {
+              isCorrect: response.isCorrect,
+              pointsEarned: response.pointsEarned,
+              pointsPossible: response.pointsPossible,
+              tries: response.practiceTries,
+            };
+          });
+        setPracticeFeedback(restoredFeedback);
         
         // Find first unanswered question to resume from
         const firstUnanswered = questionsToCheck.findIndex(q => !answeredSet.has(q.questionId));
@@ -195,7 +374,7 @@ const TakeQuiz = ({ isDark }) => {
           console.log('[loadSavedResponses] All questions answered');
         }
         
-        console.log('[loadSavedResponses] ✓ Loaded', responsesData.responses.length, 'saved responses');
+        console.log('[loadSavedResponses] ✓ Loaded', savedResponses.length, 'saved responses and', pending.length, 'pending answers');
       }
     } catch (error) {
       console.error('[loadSavedResponses] Error loading saved responses:', error);
@@ -211,6 +390,17 @@ const TakeQuiz = ({ isDark }) => {
     
     // Mark question as answered
     setAnsweredQuestions(prev => new Set(prev).add(questionId));
+
+    // A changed answer needs checking again (practice mode)
+    clearPracticeFeedback(questionId);
+  };
+
+  const clearPracticeFeedback = (questionId) => {
+    setPracticeFeedback(prev => {
+      if (!prev[questionId]) return prev;
+      const { [questionId]: _checked, ...rest } = prev;
+      return rest;
+    });
   };
 
   const prepareAnswerForSubmission = (question, answerData) => {
@@ -223,8 +413,8 @@ const TakeQuiz = ({ isDark }) => {
       return answer;
     }
     
-    // For other question types, return the answer as-is
-    return answer;
+    // For other question types, return the answer as-is (plus any blank hints revealed)
+    return withHintsUsed(question, answer, hintsUsed[question.questionId]);
   };
 
   const submitAnswer = async (questionId, answerData, points) => {
@@ -237,9 +427,10 @@ const TakeQuiz = ({ isDark }) => {
       const preparedAnswer = prepareAnswerForSubmission(question, answerData);
       
       if (preparedAnswer !== null) {
-        console.log('[submitAnswer] Submitting answer to backend...');
-        await responseApi.submitAnswer(currentAttemptId, questionId, preparedAnswer, points);
-        console.log('[submitAnswer] ✓ Answer submitted successfully');
+        // Queue first so the answer survives a dropped connection or page reload
+        console.log('[submitAnswer] Queueing answer for sync...');
+        await answerOutbox.enqueue(currentAttemptId, questionId, preparedAnswer, points);
+        await answerOutbox.flush({ attemptId: currentAttemptId });
       }
     } catch (error) {
       // Silently fail for max attempts errors
@@ -256,32 +447,11 @@ const TakeQuiz = ({ isDark }) => {
       console.log('[submitSkippedAnswer] Submitting skipped answer for question:', questionId);
       
       const question = questions.find(q => q.questionId === questionId);
-      let emptyAnswer = null;
-      
-      // Create appropriate empty answer based on question type
-      switch (question.questionType) {
-        case 'multiple_choice_single':
-          emptyAnswer = '';
-          break;
-        case 'multiple_choice_multi':
-          emptyAnswer = [];
-          break;
-        case 'fill_in_blank':
-          emptyAnswer = [];
-          break;
-        case 'matching':
-        case 'ordering':
-          emptyAnswer = [];
-          break;
-        case 'fill_in_blank_drag_drop':
-          emptyAnswer = {};
-          break;
-        default:
-          emptyAnswer = '';
-      }
+      const emptyAnswer = withHintsUsed(question, getEmptyAnswer(question.questionType), hintsUsed[questionId]);
       
-      await responseApi.submitAnswer(currentAttemptId, questionId, emptyAnswer, points);
-      console.log('[submitSkippedAnswer] ✓ Skipped answer recorded');
+      await answerOutbox.enqueue(currentAttemptId, questionId, emptyAnswer, points);
+      await answerOutbox.flush({ attemptId: currentAttemptId });
+      console.log('[submitSkippedAnswer] ✓ Skipped answer queued');
     } catch (error) {
       const isMaxAttemptsError = error?.response?.status === 400;
       if (!isMaxAttemptsError) {
@@ -355,17 +525,111 @@ const TakeQuiz = ({ isDark }) => {
     }
   };
 
+  const handleRevealHint = async (question, blankIndex) => {
+    const questionId = question.questionId;
+    const penalty = getHintPenalty(question);
+    if (penalty > 0 && !window.confirm(`Showing this hint costs ${penalty} point${penalty !== 1 ? 's' : ''}. Show it?`)) {
+      return;
+    }
+
+    const updatedHints = [...(hintsUsed[questionId] || []), blankIndex];
+    setHintsUsed(prev => ({ ...prev, [questionId]: updatedHints }));
+    clearPracticeFeedback(questionId);
+
+    // Save straight away so reloading the page does not undo the reveal
+    try {
+      const currentAttemptId = await ensureAttemptCreated();
+      const answerData = answers[questionId];
+      const payload = withHintsUsed(question, answerData ? answerData.answer : getEmptyAnswer(question.questionType), updatedHints);
+      await answerOutbox.enqueue(currentAttemptId, questionId, payload, question.points);
+      await answerOutbox.flush({ attemptId: currentAttemptId });
+      console.log('[handleRevealHint] ✓ Hint recorded for blank:', blankIndex);
+    } catch (error) {
+      console.error('[handleRevealHint] ✗ Error recording hint:', error);
+    }
+  };
+
+  // Practice mode: grade the current answer right away and show the result
+  const handleCheckAnswer = async () => {
+    const currentQuestion = questions[currentQuestionIndex];
+    const answerData = answers[currentQuestion.questionId];
+
+    if (!answerData) {
+      alert('Please answer the question before checking.');
+      return;
+    }
+
+    try {
+      setChecking(true);
+      const currentAttemptId = await ensureAttemptCreated();
+      const preparedAnswer = prepareAnswerForSubmission(currentQuestion, answerData);
+      const response = await answerOutbox.sendNow(currentAttemptId, currentQuestion.questionId, preparedAnswer, currentQuestion.points);
+      console.log('[handleCheckAnswer] ✓ Answer checked:', response);
+
+      setPracticeFeedback(prev => ({
+        ...prev,
+        [currentQuestion.questionId]: {
+          isCorrect: response.isCorrect,
+          pointsEarned: response.pointsEarned,
+          pointsPossible: response.pointsPossible,
+          tries: response.practiceTries,
+        },
+      }));
+    } catch (error) {
+      console.error('[handleCheckAnswer] ✗ Error checking answer:', error);
+      alert('Could not check your answer. It has been saved and will sync when your connection is back.');
+    } finally {
+      setChecking(false);
+    }
+  };
+
   const handlePrevious = () => {
     if (currentQuestionIndex > 0) {
       setCurrentQuestionIndex(prev => prev - 1);
     }
   };
 
-  const handleSubmitQuiz = async () => {
-    if (!window.confirm('Are you sure you want to submit the quiz? You cannot change answers after submission.')) {
-      return;
+  const toggleFlag = async (questionId) => {
+    const updated = new Set(flaggedQuestions);
+    if (updated.has(questionId)) {
+      updated.delete(questionId);
+    } else {
+      updated.add(questionId);
     }
+    setFlaggedQuestions(updated);
 
+    try {
+      const currentAttemptId = await ensureAttemptCreated();
+      await attemptApi.updateFlags(currentAttemptId, Array.from(updated));
+      console.log('[toggleFlag] ✓ Flags saved:', updated.size);
+    } catch (error) {
+      // Flags are a convenience - keep the local state even if saving fails
+      console.error('[toggleFlag] ✗ Error saving flags:', error);
+    }
+  };
+
+  // Save the answer on screen, then show the summary before final submission
+  const handleOpenReview = async () => {
+    const currentQuestion = questions[currentQuestionIndex];
+    const answerData = answers[currentQuestion.questionId];
+
+    if (answerData) {
+      setSaving(true);
+      try {
+        await submitAnswer(currentQuestion.questionId, answerData, currentQuestion.points);
+      } finally {
+        setSaving(false);
+      }
+    }
+    setShowReview(true);
+  };
+
+  const handleJumpToQuestion = (index) => {
+    setShowReview(false);
+    setCurrentQuestionIndex(index);
+  };
+
+  const handleSubmitQuiz = async () => {
     try {
       setSubmitting(true);
 
@@ -397,6 +661,13 @@ const TakeQuiz = ({ isDark }) => {
       }
       console.log('[handleSubmitQuiz] ✓ All questions saved');
 
+      // Don't complete while answers are still stuck in the outbox - they would be graded as missing
+      const pending = await answerOutbox.flush({ attemptId: currentAttemptId, force: true });
+      if (pending.length > 0) {
+        alert(`${pending.length} answer${pending.length !== 1 ? 's are' : ' is'} still waiting to sync. Check your internet connection and try submitting again.`);
+        return;
+      }
+
       // Complete attempt
       console.log('[handleSubmitQuiz] Calling completeAttempt for:', currentAttemptId);
       const completedAttempt = await attemptApi.completeAttempt(currentAttemptId);
@@ -416,6 +687,42 @@ const TakeQuiz = ({ isDark }) => {
     }
   };
 
+  const handleTimeExpired = async () => {
+    if (submitted || submitting) return;
+
+    console.log('[handleTimeExpired] Time limit reached, submitting attempt');
+    setTimeExpired(true);
+
+    try {
+      setSubmitting(true);
+      const currentAttemptId = await ensureAttemptCreated();
+
+      // Save whatever is on screen; answers on other questions were saved on navigation
+      const currentQuestion = questions[currentQuestionIndex];
+      const answerData = currentQuestion && answers[currentQuestion.questionId];
+      if (answerData) {
+        await submitAnswer(currentQuestion.questionId, answerData, currentQuestion.points);
+      }
+
+      const pending = await answerOutbox.flush({ attemptId: currentAttemptId, force: true });
+      if (pending.length > 0) {
+        alert(`Time is up, but ${pending.length} answer${pending.length !== 1 ? 's are' : ' is'} still waiting to sync. Reconnect and click Submit Quiz - answers saved before the time ran out still count.`);
+        return;
+      }
+
+      const completedAttempt = await attemptApi.completeAttempt(currentAttemptId);
+      console.log('[handleTimeExpired] ✓ Attempt completed:', completedAttempt);
+      setResult(completedAttempt);
+      setSubmitted(true);
+    } catch (error) {
+      console.error('[handleTimeExpired] ✗ Error submitting attempt:', error);
+      alert('Time is up, but the quiz could not be submitted automatically. Please click Submit Quiz.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+  timeExpiredHandler.current = handleTimeExpired;
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-screen">
@@ -433,10 +740,14 @@ const TakeQuiz = ({ isDark }) => {
         <div className={`rounded-2xl ${isDark ? 'bg-gray-800' : 'bg-white'} p-8 shadow-lg text-center`}>
           <CheckCircle className="w-20 h-20 text-green-500 mx-auto mb-6" />
           <h1 className={`text-4xl font-bold mb-4 ${isDark ? 'text-white' : 'text-gray-900'}`}>
-            Quiz Completed!
+            {timeExpired ? "Time's Up!" : practiceMode ? 'Practice Complete!' : 'Quiz Completed!'}
           </h1>
           <p className={`text-lg mb-8 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-            Great job completing the quiz. Your score:
+            {timeExpired
+              ? 'The time limit was reached and your answers were submitted. Your score:'
+              : practiceMode
+              ? "Nice work. Practice scores don't count toward your assignments. Your practice score:"
+              : 'Great job completing the quiz. Your score:'}
           </p>
           <div className="mb-8">
             <div className={`text-6xl font-bold mb-2 ${isDark ? 'text-white' : 'text-gray-900'}`}>
@@ -490,17 +801,91 @@ const TakeQuiz = ({ isDark }) => {
   const currentQuestion = questions[currentQuestionIndex];
 
   const handleQuestionClick = (index) => {
+    setShowReview(false);
     setCurrentQuestionIndex(index);
   };
 
+  const isLowTime = timeRemaining !== null && timeRemaining <= 60;
+
   return (
     <div className="p-8 max-w-4xl mx-auto">
+      <ToastContainer />
       {/* Header */}
       <div className="mb-6">
-        <h1 className={`text-3xl font-bold mb-4 ${isDark ? 'text-white' : 'text-gray-900'}`}>
-          {quiz?.title}
-        </h1>
+        <div className="flex items-start justify-between gap-4 mb-4">
+          <div>
+            <h1 className={`text-3xl font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+              {quiz?.title}
+            </h1>
+            {practiceMode && (
+              <span className={`inline-flex items-center gap-1 mt-2 px-3 py-1 rounded-lg text-sm font-medium ${
+                isDark ? 'bg-purple-900/30 text-purple-400' : 'bg-purple-100 text-purple-700'
+              }`}>
+                <GraduationCap className="w-4 h-4" />
+                Practice mode - check each answer as you go
+              </span>
+            )}
+          </div>
+          {timeRemaining !== null && (
+            <div
+              role="timer"
+              aria-live="off"
+              aria-label={`Time remaining ${formatTimeRemaining(timeRemaining)}`}
+              className={`flex-shrink-0 flex items-center gap-2 px-4 py-2 rounded-xl font-mono text-lg font-semibold ${
+                isLowTime
+                  ? isDark ? 'bg-red-900/40 text-red-400 animate-pulse' : 'bg-red-100 text-red-700 animate-pulse'
+                  : isDark ? 'bg-gray-800 text-gray-200' : 'bg-gray-100 text-gray-800'
+              }`}
+            >
+              <Clock className="w-5 h-5" />
+              {formatTimeRemaining(timeRemaining)}
+            </div>
+          )}
+        </div>
         
+        {pendingSyncCount > 0 && (
+          <div
+            role="status"
+            className={`flex items-center gap-2 mb-4 px-4 py-2 rounded-xl text-sm font-medium ${
+              isDark ? 'bg-yellow-900/30 text-yellow-300' : 'bg-yellow-50 text-yellow-800'
+            }`}
+          >
+            <CloudOff className="w-4 h-4" />
+            {pendingSyncCount} answer{pendingSyncCount !== 1 ? 's' : ''} pending sync
+            {syncNeedsSignIn && ' - your session expired, sign in again to send them'}
+          </div>
+        )}
+
+        {rejectedAnswers.length > 0 && (
+          <div
+            role="alert"
+            className={`flex items-start gap-2 mb-4 px-4 py-2 rounded-xl text-sm font-medium ${
+              isDark ? 'bg-red-900/30 text-red-300' : 'bg-red-50 text-red-800'
+            }`}
+          >
+            <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+            <div className="flex-1">
+              {rejectedAnswers.length} answer{rejectedAnswers.length !== 1 ? 's were' : ' was'} not accepted:
+              <ul className="list-disc ml-5">
+                {rejectedAnswers.map(entry => {
+                  const index = questions.findIndex(q => q.questionId === entry.questionId);
+                  return (
+                    <li key={entry.id}>
+                      {index >= 0 ? `Question ${index + 1}` : 'A question'}: {entry.rejected.message}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+            <button
+              onClick={() => answerOutbox.dismissRejected(attemptId)}
+              className="underline"
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+
         {/* Question Grid Navigation */}
         <div className="mb-4">
           <div className={`text-sm font-medium mb-3 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
@@ -528,14 +913,15 @@ const TakeQuiz = ({ isDark }) => {
               <div className="flex gap-2 transition-all duration-300">
                 {questions.map((q, index) => {
                   const isAnswered = answeredQuestions.has(q.questionId);
-                  const isCurrent = index === currentQuestionIndex;
+                  const isFlagged = flaggedQuestions.has(q.questionId);
+                  const isCurrent = index === currentQuestionIndex && !showReview;
                   
                   return (
                     <button
                       key={q.questionId}
                       onClick={() => handleQuestionClick(index)}
                       className={`
-                        flex-shrink-0 w-12 h-12 rounded-lg font-semibold text-sm transition-all duration-200
+                        relative flex-shrink-0 w-12 h-12 rounded-lg font-semibold text-sm transition-all duration-200
                         ${isCurrent 
                           ? 'bg-green-500 text-white hover:bg-green-600 shadow-lg' 
                           : isAnswered
@@ -545,9 +931,12 @@ const TakeQuiz = ({ isDark }) => {
                           : 'bg-white text-gray-900 border-2 border-gray-300 hover:bg-gray-50'
                         }
                       `}
-                      title={`Question ${index + 1}${isCurrent ? ' (current)' : isAnswered ? ' (answered)' : ' (unanswered)'}`}
+                      title={`Question ${index + 1}${isCurrent ? ' (current)' : isAnswered ? ' (answered)' : ' (unanswered)'}${isFlagged ? ' (flagged for review)' : ''}`}
                     >
                       {index + 1}
+                      {isFlagged && (
+                        <Flag className="absolute top-0.5 right-0.5 w-3 h-3 text-amber-400 fill-amber-400" />
+                      )}
                     </button>
                   );
                 })}
@@ -583,76 +972,382 @@ const TakeQuiz = ({ isDark }) => {
         </div>
       </div>
 
-      {/* Question Card */}
-      <div className={`rounded-2xl ${isDark ? 'bg-gray-800' : 'bg-white'} p-8 shadow-lg mb-6`}>
-        <div className="mb-4">
-          <div className="flex items-start justify-between mb-2">
-            <div className="flex-1">
-              <QuestionText 
-                text={currentQuestion.questionText}
+      {showReview ? (
+        <ReviewSummary
+          questions={questions}
+          answeredQuestions={answeredQuestions}
+          flaggedQuestions={flaggedQuestions}
+          onJumpToQuestion={handleJumpToQuestion}
+          onBack={() => setShowReview(false)}
+          onSubmit={handleSubmitQuiz}
+          submitting={submitting}
+          isDark={isDark}
+        />
+      ) : (
+        <>
+          {/* Question Card */}
+          <div className={`rounded-2xl ${isDark ? 'bg-gray-800' : 'bg-white'} p-8 shadow-lg mb-6`}>
+            <div className="mb-4">
+              <div className="flex items-start justify-between mb-2">
+                <div className="flex-1">
+                  <QuestionText 
+                    text={currentQuestion.questionText}
+                    isDark={isDark}
+                    className={`text-lg font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}
+                  />
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    type="button"
+                    onClick={() => toggleFlag(currentQuestion.questionId)}
+                    aria-pressed={flaggedQuestions.has(currentQuestion.questionId)}
+                    className={`flex items-center gap-1 px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
+                      flaggedQuestions.has(currentQuestion.questionId)
+                        ? isDark ? 'bg-amber-900/40 text-amber-400' : 'bg-amber-100 text-amber-700'
+                        : isDark ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                    }`}
+                  >
+                    <Flag className={`w-4 h-4 ${flaggedQuestions.has(currentQuestion.questionId) ? 'fill-current' : ''}`} />
+                    {flaggedQuestions.has(currentQuestion.questionId) ? 'Flagged' : 'Flag for review'}
+                  </button>
+                  <span className={`px-3 py-1 rounded-lg text-sm font-medium ${isDark ? 'bg-blue-900 text-blue-300' : 'bg-blue-100 text-blue-700'}`}>
+                    {currentQuestion.points} points
+                  </span>
+                </div>
+              </div>
+            </div>
+
+            {currentQuestion.supportsReadAloud !== false && isReadAloudSupported() && (
+              <ReadAloud key={currentQuestion.questionId} question={currentQuestion} isDark={isDark} />
+            )}
+
+            <QuestionMedia media={getQuestionMedia(currentQuestion)} isDark={isDark} />
+
+            {/* Render question based on type */}
+            <QuestionRenderer
+              question={currentQuestion}
+              answer={answers[currentQuestion.questionId]}
+              onChange={(answer) => handleAnswerChange(currentQuestion.questionId, answer)}
+              isDark={isDark}
+            />
+
+            {getBlankHints(currentQuestion).length > 0 && (
+              <BlankHintsPanel
+                question={currentQuestion}
+                hintsUsed={hintsUsed[currentQuestion.questionId] || []}
+                onReveal={(blankIndex) => handleRevealHint(currentQuestion, blankIndex)}
                 isDark={isDark}
-                className={`text-lg font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}
               />
-            </div>
-            <span className={`px-3 py-1 rounded-lg text-sm font-medium ${isDark ? 'bg-blue-900 text-blue-300' : 'bg-blue-100 text-blue-700'}`}>
-              {currentQuestion.points} points
+            )}
+
+            {practiceMode && (
+              <PracticeFeedback
+                question={currentQuestion}
+                feedback={practiceFeedback[currentQuestion.questionId]}
+                hasAnswer={!!answers[currentQuestion.questionId]}
+                onCheck={handleCheckAnswer}
+                checking={checking}
+                isDark={isDark}
+              />
+            )}
+          </div>
+
+          {/* Navigation */}
+          <div className="flex justify-between items-center">
+            <button
+              onClick={handlePrevious}
+              disabled={currentQuestionIndex === 0}
+              className={`px-6 py-3 rounded-xl font-medium transition-all flex items-center gap-2 ${
+                currentQuestionIndex === 0
+                  ? 'opacity-50 cursor-not-allowed'
+                  : isDark
+                  ? 'bg-gray-700 hover:bg-gray-600 text-white'
+                  : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+              }`}
+            >
+              <ChevronLeft className="w-5 h-5" />
+              Previous
+            </button>
+        
+            <button
+              onClick={saveCurrentAnswer}
+              disabled={saving}
+              className={`px-6 py-3 rounded-xl font-medium transition-all flex items-center gap-2 ${
+                saving
+                  ? 'opacity-50 cursor-not-allowed'
+                  : isDark
+                  ? 'bg-purple-700 hover:bg-purple-600 text-white'
+                  : 'bg-purple-600 hover:bg-purple-700 text-white'
+              }`}
+            >
+              {saving ? (
+                <>
+                  <Loader2 className="w-5 h-5 animate-spin" />
+                  Saving...
+                </>
+              ) : (
+                <>
+                  <Save className="w-5 h-5" />
+                  Save
+                </>
+              )}
+            </button>
+
+            {currentQuestionIndex === questions.length - 1 ? (
+              <button
+                onClick={handleOpenReview}
+                disabled={saving || submitting}
+                className="px-8 py-3 bg-gradient-to-r from-green-500 to-emerald-600 text-white rounded-xl font-medium hover:shadow-lg transition-all flex items-center gap-2"
+              >
+                <ListChecks className="w-5 h-5" />
+                Review & Submit
+              </button>
+            ) : (
+              <button
+                onClick={handleNext}
+                disabled={saving}
+                className={`px-6 py-3 bg-gradient-to-r from-blue-500 to-cyan-600 text-white rounded-xl font-medium hover:shadow-lg transition-all flex items-center gap-2 ${
+                  saving ? 'opacity-50 cursor-not-allowed' : ''
+                }`}
+              >
+                {saving ? 'Saving...' : 'Next'}
+                <ChevronRight className="w-5 h-5" />
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Blank Hints Component - reveal hints one blank at a time (may cost points)
+const BlankHintsPanel = ({ question, hintsUsed, onReveal, isDark }) => {
+  const blankHints = getBlankHints(question);
+  const penalty = getHintPenalty(question);
+
+  return (
+    <div className={`mt-6 p-4 rounded-xl border ${isDark ? 'bg-gray-900/40 border-gray-700' : 'bg-amber-50/50 border-amber-100'}`}>
+      <h4 className={`flex items-center gap-2 text-sm font-semibold mb-3 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+        <Lightbulb className="w-4 h-4 text-amber-500" />
+        Hints
+        {penalty > 0 && (
+          <span className={`font-normal ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+            ({penalty} point{penalty !== 1 ? 's' : ''} each)
+          </span>
+        )}
+      </h4>
+      <ul className="space-y-2">
+        {blankHints.map(({ index, hint }) => (
+          <li key={index} className="flex flex-wrap items-center gap-2 text-sm">
+            <span className={`font-medium ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+              Blank {index + 1}:
             </span>
+            {hintsUsed.includes(index) ? (
+              <span className={isDark ? 'text-amber-300' : 'text-amber-800'}>{hint}</span>
+            ) : (
+              <button
+                type="button"
+                onClick={() => onReveal(index)}
+                className={`px-3 py-1 rounded-lg text-xs font-medium transition-colors ${
+                  isDark ? 'bg-gray-700 text-gray-200 hover:bg-gray-600' : 'bg-white text-gray-700 border border-gray-200 hover:bg-gray-100'
+                }`}
+              >
+                Show hint{penalty > 0 ? ` (-${penalty} pt${penalty !== 1 ? 's' : ''})` : ''}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Practice Feedback Component - Check button and the result for the current question
+const PracticeFeedback = ({ question, feedback, hasAnswer, onCheck, checking, isDark }) => {
+  const explanation = question.content?.explanation;
+  const tutorialVideo = getQuestionMedia(question).tutorialVideo;
+  const retryPenaltyPercent = Math.round(PRACTICE_RETRY_PENALTY * 100);
+
+  return (
+    <div className="mt-6 space-y-4">
+      <button
+        type="button"
+        onClick={onCheck}
+        disabled={!hasAnswer || checking || !!feedback}
+        className={`px-6 py-3 rounded-xl font-medium transition-all flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed ${
+          isDark ? 'bg-purple-700 hover:bg-purple-600 text-white' : 'bg-purple-600 hover:bg-purple-700 text-white'
+        }`}
+      >
+        {checking ? <Loader2 className="w-5 h-5 animate-spin" /> : <CheckCircle className="w-5 h-5" />}
+        {checking ? 'Checking...' : 'Check'}
+      </button>
+
+      <div role="status" aria-live="polite">
+        {feedback && (
+          <div className={`p-4 rounded-xl border space-y-3 ${
+            feedback.isCorrect
+              ? isDark ? 'bg-green-900/20 border-green-700' : 'bg-green-50 border-green-200'
+              : isDark ? 'bg-red-900/20 border-red-700' : 'bg-red-50 border-red-200'
+          }`}>
+            <div className="flex items-center justify-between gap-2">
+              <span className={`flex items-center gap-2 font-semibold ${
+                feedback.isCorrect
+                  ? isDark ? 'text-green-400' : 'text-green-700'
+                  : isDark ? 'text-red-400' : 'text-red-700'
+              }`}>
+                {feedback.isCorrect ? <CheckCircle className="w-5 h-5" /> : <XCircle className="w-5 h-5" />}
+                {feedback.isCorrect ? 'Correct!' : 'Not quite'}
+              </span>
+              <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                {feedback.pointsEarned ?? 0} / {feedback.pointsPossible ?? question.points} points
+                {feedback.tries > 1 && ` (try ${feedback.tries})`}
+              </span>
+            </div>
+
+            {!feedback.isCorrect && (
+              <div>
+                <h4 className={`font-semibold mb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                  Correct Answer:
+                </h4>
+                <CorrectAnswer question={question} isDark={isDark} />
+              </div>
+            )}
+
+            {explanation && (
+              <div>
+                <h4 className={`font-semibold mb-1 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                  Explanation:
+                </h4>
+                <QuestionText
+                  text={explanation}
+                  isDark={isDark}
+                  className={`${isDark ? 'text-gray-300' : 'text-gray-700'}`}
+                />
+              </div>
+            )}
+
+            {tutorialVideo && (
+              <div>
+                <h4 className={`font-semibold mb-2 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                  Tutorial:
+                </h4>
+                <MediaVideo asset={tutorialVideo} isDark={isDark} />
+              </div>
+            )}
+
+            {!feedback.isCorrect && (
+              <p className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                Change your answer and check again to retry. Each retry is worth {retryPenaltyPercent}% fewer points.
+              </p>
+            )}
           </div>
-        </div>
+        )}
+      </div>
+    </div>
+  );
+};
 
-        {/* Render question based on type */}
-        <QuestionRenderer
-          question={currentQuestion}
-          answer={answers[currentQuestion.questionId]}
-          onChange={(answer) => handleAnswerChange(currentQuestion.questionId, answer)}
-          isDark={isDark}
-        />
+// Review Summary Component - shown before final submission
+const ReviewSummary = ({ questions, answeredQuestions, flaggedQuestions, onJumpToQuestion, onBack, onSubmit, submitting, isDark }) => {
+  const indexed = questions.map((question, index) => ({ question, index }));
+  // Flagged questions are listed once, under Flagged, whether answered or not
+  const sections = [
+    {
+      key: 'flagged',
+      title: 'Flagged for review',
+      icon: <Flag className="w-5 h-5" />,
+      color: isDark ? 'text-amber-400' : 'text-amber-600',
+      items: indexed.filter(({ question }) => flaggedQuestions.has(question.questionId)),
+    },
+    {
+      key: 'unanswered',
+      title: 'Unanswered',
+      icon: <AlertCircle className="w-5 h-5" />,
+      color: isDark ? 'text-red-400' : 'text-red-600',
+      items: indexed.filter(({ question }) => !flaggedQuestions.has(question.questionId) && !answeredQuestions.has(question.questionId)),
+    },
+    {
+      key: 'answered',
+      title: 'Answered',
+      icon: <CheckCircle className="w-5 h-5" />,
+      color: isDark ? 'text-green-400' : 'text-green-600',
+      items: indexed.filter(({ question }) => !flaggedQuestions.has(question.questionId) && answeredQuestions.has(question.questionId)),
+    },
+  ];
+  const unansweredCount = questions.filter(q => !answeredQuestions.has(q.questionId)).length;
+
+  return (
+    <div className={`rounded-2xl ${isDark ? 'bg-gray-800' : 'bg-white'} p-8 shadow-lg`}>
+      <h2 className={`text-2xl font-bold mb-2 ${isDark ? 'text-white' : 'text-gray-900'}`}>
+        Review your answers
+      </h2>
+      <p className={`mb-6 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+        Select a question to go back to it. You cannot change answers after submission.
+      </p>
+
+      <div className="space-y-6">
+        {sections.map(section => (
+          <div key={section.key}>
+            <h3 className={`flex items-center gap-2 font-semibold mb-3 ${section.color}`}>
+              {section.icon}
+              {section.title} ({section.items.length})
+            </h3>
+            {section.items.length === 0 ? (
+              <p className={`text-sm ${isDark ? 'text-gray-500' : 'text-gray-400'}`}>None</p>
+            ) : (
+              <div className="space-y-2">
+                {section.items.map(({ question, index }) => (
+                  <button
+                    key={question.questionId}
+                    type="button"
+                    onClick={() => onJumpToQuestion(index)}
+                    className={`w-full flex items-center gap-3 p-3 rounded-xl text-left transition-colors ${
+                      isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-50 hover:bg-gray-100'
+                    }`}
+                  >
+                    <span className={`flex-shrink-0 w-10 h-10 rounded-lg flex items-center justify-center font-semibold text-sm ${
+                      isDark ? 'bg-gray-800 text-white' : 'bg-white text-gray-900 border border-gray-200'
+                    }`}>
+                      {index + 1}
+                    </span>
+                    <span className={`flex-1 truncate ${isDark ? 'text-gray-200' : 'text-gray-800'}`}>
+                      {question.questionText}
+                    </span>
+                    {section.key === 'flagged' && (
+                      <span className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                        {answeredQuestions.has(question.questionId) ? 'Answered' : 'Unanswered'}
+                      </span>
+                    )}
+                    <ChevronRight className={`w-5 h-5 flex-shrink-0 ${isDark ? 'text-gray-400' : 'text-gray-500'}`} />
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
       </div>
 
-      {/* Navigation */}
-      <div className="flex justify-between items-center">
+      <div className={`flex justify-between items-center mt-8 pt-6 border-t ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
         <button
-          onClick={handlePrevious}
-          disabled={currentQuestionIndex === 0}
+          type="button"
+          onClick={onBack}
           className={`px-6 py-3 rounded-xl font-medium transition-all flex items-center gap-2 ${
-            currentQuestionIndex === 0
-              ? 'opacity-50 cursor-not-allowed'
-              : isDark
-              ? 'bg-gray-700 hover:bg-gray-600 text-white'
-              : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+            isDark ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
           }`}
         >
           <ChevronLeft className="w-5 h-5" />
-          Previous
+          Back to Questions
         </button>
-        
-        <button
-          onClick={saveCurrentAnswer}
-          disabled={saving}
-          className={`px-6 py-3 rounded-xl font-medium transition-all flex items-center gap-2 ${
-            saving
-              ? 'opacity-50 cursor-not-allowed'
-              : isDark
-              ? 'bg-purple-700 hover:bg-purple-600 text-white'
-              : 'bg-purple-600 hover:bg-purple-700 text-white'
-          }`}
-        >
-          {saving ? (
-            <>
-              <Loader2 className="w-5 h-5 animate-spin" />
-              Saving...
-            </>
-          ) : (
-            <>
-              <Save className="w-5 h-5" />
-              Save
-            </>
+        <div className="flex items-center gap-4">
+          {unansweredCount > 0 && (
+            <span className={`text-sm ${isDark ? 'text-red-400' : 'text-red-600'}`}>
+              {unansweredCount} unanswered
+            </span>
           )}
-        </button>
-
-        {currentQuestionIndex === questions.length - 1 ? (
           <button
-            onClick={handleSubmitQuiz}
+            type="button"
+            onClick={onSubmit}
             disabled={submitting}
             className="px-8 py-3 bg-gradient-to-r from-green-500 to-emerald-600 text-white rounded-xl font-medium hover:shadow-lg transition-all flex items-center gap-2"
           >
@@ -668,263 +1363,10 @@ const TakeQuiz = ({ isDark }) => {
               </>
             )}
           </button>
-        ) : (
-          <button
-            onClick={handleNext}
-            disabled={saving}
-            className={`px-6 py-3 bg-gradient-to-r from-blue-500 to-cyan-600 text-white rounded-xl font-medium hover:shadow-lg transition-all flex items-center gap-2 ${
-              saving ? 'opacity-50 cursor-not-allowed' : ''
-            }`}
-          >
-            {saving ? 'Saving...' : 'Next'}
-            <ChevronRight className="w-5 h-5" />
-          </button>
-        )}
+        </div>
       </div>
     </div>
   );
 };
 
-// Question Renderer Component
-const QuestionRenderer = ({ question, answer, onChange, isDark }) => {
-  switch (question.questionType) {
-    case 'multiple_choice_single':
-      return (
-        <div className="space-y-3">
-          {question.content.options.map((option) => (
-            <label
-              key={option.id}
-              className={`flex items-center p-4 rounded-xl border-2 cursor-pointer transition-all ${
-                answer?.answer === option.id
-                  ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20'
-                  : isDark
-                  ? 'border-gray-700 hover:border-gray-600 bg-gray-700/50'
-                  : 'border-gray-200 hover:border-gray-300 bg-gray-50'
-              }`}
-            >
-              <input
-                type="radio"
-                name={question.questionId}
-                value={option.id}
-                checked={answer?.answer === option.id}
-                onChange={(e) => onChange(e.target.value)}
-                className="w-5 h-5 text-blue-600"
-              />
-              <span className={`ml-3 font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
-                {option.text}
-              </span>
-            </label>
-          ))}
-        </div>
-      );
-
-    case 'multiple_choice_multi':
-      return (
-        <div className="space-y-3">
-          {question.content.options.map((option) => (
-            <label
-              key={option.id}
-              className={`flex items-center p-4 rounded-xl border-2 cursor-pointer transition-all ${
-                answer?.answer?.includes(option.id)
-                  ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20'
-                  : isDark
-                  ? 'border-gray-700 hover:border-gray-600 bg-gray-700/50'
-                  : 'border-gray-200 hover:border-gray-300 bg-gray-50'
-              }`}
-            >
-              <input
-                type="checkbox"
-                value={option.id}
-                checked={answer?.answer?.includes(option.id) || false}
-                onChange={(e) => {
-                  const currentAnswers = answer?.answer || [];
-                  if (e.target.checked) {
-                    onChange([...currentAnswers, option.id]);
-                  } else {
-                    onChange(currentAnswers.filter(id => id !== option.id));
-                  }
-                }}
-                className="w-5 h-5 text-blue-600"
-              />
-              <span className={`ml-3 font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
-                {option.text}
-              </span>
-            </label>
-          ))}
-          <p className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-            Select all that apply
-          </p>
-        </div>
-      );
-
-    case 'fill_in_blank':
-      const blanks = question.content.blanks || [];
-      const template = question.content.template;
-      // Initialize answers array with correct length if not exists
-      const currentAnswers = answer?.answer || new Array(blanks.length).fill('');
-      
-      // If template exists, render it with inline blanks
-      if (template) {
-        // Check if template contains code blocks
-        const codeBlockMatch = template.match(/```(\w+)?\n([\s\S]*?)```/);
-        
-        if (codeBlockMatch) {
-          const language = codeBlockMatch[1] || '';
-          const codeContent = codeBlockMatch[2];
-          const parts = codeContent.split('___');
-          
-          return (
-            <div className="space-y-4">
-              <div className={`
-                font-mono text-sm leading-relaxed p-6 rounded-lg
-                ${isDark ? 'bg-gray-900 text-gray-200' : 'bg-gray-50 text-gray-900'}
-                overflow-x-auto
-              `}>
-                {language && (
-                  <div className={`text-xs mb-3 pb-2 border-b ${isDark ? 'text-gray-500 border-gray-700' : 'text-gray-600 border-gray-300'}`}>
-                    {language}
-                  </div>
-                )}
-                <div className="whitespace-pre-wrap">
-                  {parts.map((part, index) => (
-                    <span key={index}>
-                      <span className="whitespace-pre">{part}</span>
-                      {index < parts.length - 1 && (
-                        <input
-                          type="text"
-                          value={currentAnswers[index] || ''}
-                          onChange={(e) => {
-                            const newAnswers = [...currentAnswers];
-                            newAnswers[index] = e.target.value;
-                            onChange(newAnswers);
-                          }}
-                          className={`
-                            inline-flex px-3 py-1 mx-1 rounded border-2
-                            min-w-[100px] font-mono text-sm
-                            ${isDark
-                              ? 'bg-gray-800 border-gray-600 text-yellow-300 focus:border-blue-500'
-                              : 'bg-white border-gray-400 text-purple-700 focus:border-blue-500'
-                            }
-                            focus:outline-none focus:ring-2 focus:ring-blue-500/50
-                          `}
-                        />
-                      )}
-                    </span>
-                  ))}
-                </div>
-              </div>
-            </div>
-          );
-        }
-        
-        // Regular template (non-code)
-        const parts = template.split('___');
-        return (
-          <div className="space-y-4">
-            <div className={`p-6 rounded-xl text-lg leading-loose ${
-              isDark ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'
-            }`}>
-              {parts.map((part, index) => (
-                <span key={index}>
-                  <span>{part}</span>
-                  {index < parts.length - 1 && (
-                    <input
-                      type="text"
-                      value={currentAnswers[index] || ''}
-                      onChange={(e) => {
-                        const newAnswers = [...currentAnswers];
-                        newAnswers[index] = e.target.value;
-                        onChange(newAnswers);
-                      }}
-                      className={`
-                        inline-flex px-4 py-2 mx-1 rounded-lg border-2
-                        min-w-[120px]
-                        ${isDark
-                          ? 'bg-gray-700 border-gray-600 text-white focus:border-blue-500'
-                          : 'bg-gray-50 border-gray-300 text-gray-900 focus:border-blue-400'
-                        }
-                        focus:outline-none focus:ring-2 focus:ring-blue-500/50
-                      `}
-                    />
-                  )}
-                </span>
-              ))}
-            </div>
-          </div>
-        );
-      }
-      
-      // Fallback: No template, show individual input fields
-      return (
-        <div className="space-y-4">
-          {blanks.map((blank, index) => {
-            // Use blank.position if available, otherwise use index
-            const blankNumber = blank.position !== undefined ? blank.position + 1 : index + 1;
-            return (
-              <div key={index} className="space-y-2">
-                <label className={`block text-sm font-medium ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
-                  Blank {blankNumber}{blank.hint ? `: ${blank.hint}` : ''}
-                </label>
-                <input
-                  type="text"
-                  value={currentAnswers[index] || ''}
-                  onChange={(e) => {
-                    const newAnswers = [...currentAnswers];
-                    newAnswers[index] = e.target.value;
-                    onChange(newAnswers);
-                  }}
-                  className={`w-full px-4 py-3 rounded-xl border-2 ${
-                    isDark
-                      ? 'bg-gray-700 border-gray-600 text-white'
-                      : 'bg-white border-gray-200 text-gray-900'
-                  }`}
-                  placeholder={`Enter answer for blank ${blankNumber}`}
-                />
-              </div>
-            );
-          })}
-        </div>
-      );
-
-    case 'matching':
-      return (
-        <MatchingQuestion
-          question={question}
-          answer={answer}
-          onChange={onChange}
-          isDark={isDark}
-        />
-      );
-
-    case 'ordering':
-      return (
-        <OrderingQuestion
-          question={question}
-          answer={answer}
-          onChange={onChange}
-          isDark={isDark}
-        />
-      );
-
-    case 'fill_in_blank_drag_drop':
-      return (
-        <FillInBlankDragDrop
-          question={question}
-          answer={answer}
-          onChange={onChange}
-          isDark={isDark}
-        />
-      );
-
-    default:
-      return (
-        <div className={`p-4 rounded-xl ${isDark ? 'bg-gray-700' : 'bg-gray-100'}`}>
-          <p className={isDark ? 'text-gray-400' : 'text-gray-600'}>
-            Question type not supported: {question.questionType}
-          </p>
-        </div>
-      );
-  }
-};
-
 export default TakeQuiz;
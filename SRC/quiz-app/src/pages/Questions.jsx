@@ -1,162 +1,214 @@
-import { useState, useEffect } from 'react';
-import { Search, Filter, BookOpen, HelpCircle, Loader2, AlertCircle, Edit, Trash2, Grid, List, Table as TableIcon, Tag } from 'lucide-react';
-import { questionApi } from '../services/api';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Search, Filter, HelpCircle, Loader2, AlertCircle, Grid, List, Table as TableIcon, Tag, Plus, X, ChevronLeft, ChevronRight, BookOpen } from 'lucide-react';
+import { toast, ToastContainer } from 'react-toastify';
+import { questionApi, quizApi } from '../services/api';
+
+const PAGE_SIZE = 24;
+// Wait for typing to pause before querying the bank
+const FILTER_DEBOUNCE_MS = 300;
+
+const QUESTION_TYPES = [
+  { value: 'multiple_choice_single', label: 'Multiple Choice (Single)' },
+  { value: 'multiple_choice_multi', label: 'Multiple Choice (Multiple)' },
+  { value: 'fill_in_blank', label: 'Fill in the Blank' },
+  { value: 'fill_in_blank_drag_drop', label: 'Fill in Blank (Drag & Drop)' },
+  { value: 'ordering', label: 'Ordering' },
+  { value: 'matching', label: 'Matching' },
+  { value: 'program_submission', label: 'Program Submission' },
+  { value: 'short_answer', label: 'Short Answer' },
+];
+
+const EMPTY_FILTERS = {
+  search: '',
+  questionType: '',
+  difficulty: '',
+  subject: '',
+  locale: '',
+  ageMin: '',
+  ageMax: '',
+  tags: '',
+};
+
+const getTypeLabel = (type) => QUESTION_TYPES.find(t => t.value === type)?.label || type?.replace(/_/g, ' ');
+
+const getOptionText = (opt) => (typeof opt === 'string' ? opt : opt.text || opt.label || JSON.stringify(opt));
+
+// Only send the filters that are set; tags go as a comma-separated list
+const toQueryParams = (filters, page) => {
+  const params = { limit: PAGE_SIZE, offset: page * PAGE_SIZE };
+  Object.entries(filters).forEach(([key, value]) => {
+    const trimmed = String(value).trim();
+    if (trimmed) params[key] = trimmed;
+  });
+  if (params.tags) {
+    params.tags = params.tags.split(',').map(t => t.trim()).filter(Boolean).join(',');
+  }
+  return params;
+};
 
 const Questions = ({ isDark }) => {
+  const navigate = useNavigate();
   const [questions, setQuestions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [filterType, setFilterType] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
   const [viewMode, setViewMode] = useState('grid'); // grid, list, table
+  // questionId -> question, kept across pages so a selection can be built from several searches
+  const [selected, setSelected] = useState({});
+  const [addTarget, setAddTarget] = useState(null); // questions being added to a quiz
+  const latestRequest = useRef(0);
 
-  useEffect(() => {
-    fetchQuestions();
-  }, []);
-
-  const fetchQuestions = async () => {
+  const fetchQuestions = useCallback(async () => {
+    // Ignore responses that arrive after a newer search was started
+    const requestId = ++latestRequest.current;
     try {
       setLoading(true);
       setError(null);
-      const data = await questionApi.getQuestions({ limit: 100 });
-      console.log('API Response:', data);
-      console.log('API Response type:', typeof data);
-      console.log('Is Array:', Array.isArray(data));
-      
-      // Handle different response formats
-      let questionsList = [];
-      
-      if (Array.isArray(data)) {
-        // If data is directly an array
-        questionsList = data;
-      } else if (data && typeof data === 'object') {
-        // If data is an object, look for questions property or any array property
-        if (Array.isArray(data.questions)) {
-          questionsList = data.questions;
-        } else if (Array.isArray(data.data)) {
-          questionsList = data.data;
-        } else if (Array.isArray(data.items)) {
-          questionsList = data.items;
-        } else {
-          // Check all properties for an array
-          const arrayProp = Object.values(data).find(val => Array.isArray(val));
-          if (arrayProp) {
-            questionsList = arrayProp;
-          }
-        }
-      }
-      
-      console.log('Questions list:', questionsList);
-      console.log('Questions count:', questionsList.length);
-      
-      // Normalize data to handle both camelCase and snake_case
-      const normalizedQuestions = questionsList.map(q => ({
-        question_id: q.question_id || q.questionId,
-        question_text: q.question_text || q.questionText,
-        question_type: q.question_type || q.questionType,
-        content: q.content || {},
-        subject: q.subject,
-        difficulty: q.difficulty,
-        points: q.points,
-      }));
-      
-      console.log('Normalized questions:', normalizedQuestions);
-      setQuestions(normalizedQuestions);
+      const data = await questionApi.getQuestions(toQueryParams(filters, page));
+      if (requestId !== latestRequest.current) return;
+      setQuestions(data.data || []);
+      setTotal(data.total || 0);
     } catch (err) {
+      if (requestId !== latestRequest.current) return;
       console.error('Failed to fetch questions:', err);
       setError('Failed to load questions. Please make sure the API is running.');
     } finally {
-      setLoading(false);
+      if (requestId === latestRequest.current) setLoading(false);
     }
+  }, [filters, page]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      fetchQuestions();
+    }, FILTER_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [fetchQuestions]);
+
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setPage(0);
   };
 
-  // Get unique question types for filter
-  const uniqueTypes = [...new Set(questions.map(q => q.question_type).filter(Boolean))];
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(0);
+  };
 
-  const filteredQuestions = questions.filter((question) => {
-    const matchesSearch = question.question_text?.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesType = !filterType || question.question_type === filterType;
-    return matchesSearch && matchesType;
-  });
+  const toggleSelected = (question) => {
+    setSelected(prev => {
+      const next = { ...prev };
+      if (next[question.questionId]) {
+        delete next[question.questionId];
+      } else {
+        next[question.questionId] = question;
+      }
+      return next;
+    });
+  };
+
+  const allOnPageSelected = questions.length > 0 && questions.every(q => selected[q.questionId]);
+
+  const togglePage = () => {
+    setSelected(prev => {
+      const next = { ...prev };
+      questions.forEach(q => {
+        if (allOnPageSelected) {
+          delete next[q.questionId];
+        } else {
+          next[q.questionId] = q;
+        }
+      });
+      return next;
+    });
+  };
+
+  const openQuiz = (quizId) => {
+    navigate(`/creator/quiz/${quizId}/questions`);
+  };
+
+  const handleAdded = () => {
+    setAddTarget(null);
+    setSelected({});
+    fetchQuestions();
+  };
+
+  const selectedQuestions = Object.values(selected);
+  const hasFilters = Object.values(filters).some(value => String(value).trim() !== '');
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
 
   const getTypeColor = (type) => {
     const colors = {
-      'multiple_choice': isDark ? 'bg-blue-950 text-blue-400' : 'bg-blue-50 text-blue-600',
-      'true_false': isDark ? 'bg-green-950 text-green-400' : 'bg-green-50 text-green-600',
+      'multiple_choice_single': isDark ? 'bg-blue-950 text-blue-400' : 'bg-blue-50 text-blue-600',
+      'multiple_choice_multi': isDark ? 'bg-blue-950 text-blue-400' : 'bg-blue-50 text-blue-600',
+      'fill_in_blank': isDark ? 'bg-green-950 text-green-400' : 'bg-green-50 text-green-600',
+      'fill_in_blank_drag_drop': isDark ? 'bg-green-950 text-green-400' : 'bg-green-50 text-green-600',
       'short_answer': isDark ? 'bg-purple-950 text-purple-400' : 'bg-purple-50 text-purple-600',
-      'essay': isDark ? 'bg-orange-950 text-orange-400' : 'bg-orange-50 text-orange-600',
+      'program_submission': isDark ? 'bg-orange-950 text-orange-400' : 'bg-orange-50 text-orange-600',
     };
     return colors[type] || (isDark ? 'bg-gray-700 text-gray-300' : 'bg-gray-100 text-gray-600');
   };
 
-  const getTypeIcon = (type) => {
-    switch(type) {
-      case 'multiple_choice':
-        return '✓';
-      case 'true_false':
-        return '⊤⊥';
-      case 'short_answer':
-        return '📝';
-      case 'essay':
-        return '📄';
-      default:
-        return '?';
-    }
-  };
+  const inputClass = `px-3 py-2 rounded-xl border outline-none ${
+    isDark ? 'bg-gray-800 border-gray-700 text-white placeholder-gray-500' : 'bg-white border-gray-200 text-gray-900 placeholder-gray-400'
+  }`;
+  const mutedText = isDark ? 'text-gray-400' : 'text-gray-600';
 
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center h-screen">
-        <div className="text-center">
-          <Loader2 className={`w-12 h-12 animate-spin mx-auto mb-4 ${isDark ? 'text-indigo-400' : 'text-indigo-600'}`} />
-          <p className={`text-lg ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>Loading questions...</p>
-        </div>
-      </div>
-    );
-  }
+  const renderCheckbox = (question) => (
+    <input
+      type="checkbox"
+      checked={!!selected[question.questionId]}
+      onChange={() => toggleSelected(question)}
+      aria-label="Select question"
+      className="w-4 h-4 accent-indigo-600 cursor-pointer"
+    />
+  );
 
-  if (error) {
-    return (
-      <div className="p-8 max-w-7xl mx-auto">
-        <div className={`rounded-2xl p-8 ${isDark ? 'bg-red-950 border-red-900' : 'bg-red-50 border-red-200'} border-2`}>
-          <div className="flex items-center gap-4">
-            <AlertCircle className={`w-12 h-12 ${isDark ? 'text-red-400' : 'text-red-600'}`} />
-            <div>
-              <h3 className={`text-xl font-bold mb-2 ${isDark ? 'text-red-400' : 'text-red-600'}`}>
-                Error Loading Data
-              </h3>
-              <p className={`${isDark ? 'text-red-300' : 'text-red-700'} mb-4`}>{error}</p>
-              <button
-                onClick={fetchQuestions}
-                className="px-4 py-2 rounded-lg bg-gradient-to-r from-indigo-500 to-purple-600 text-white font-medium hover:shadow-lg transition-all duration-300"
-              >
-                Retry
-              </button>
-            </div>
-          </div>
-        </div>
-      </div>
-    );
-  }
+  const renderMeta = (question) => (
+    <div className={`flex flex-wrap gap-x-3 gap-y-1 text-xs ${mutedText}`}>
+      {question.subject && <span>{question.subject}</span>}
+      {question.difficulty && <span className="capitalize">{question.difficulty}</span>}
+      {(question.ageMin || question.ageMax) && (
+        <span>Ages {question.ageMin ?? '?'}–{question.ageMax ?? '?'}</span>
+      )}
+      {question.locale && <span>{question.locale}</span>}
+      <span>{question.points} pts</span>
+    </div>
+  );
+
+  const renderAddButton = (question, compact = false) => (
+    <button
+      onClick={() => setAddTarget([question])}
+      className={`${compact ? 'p-2' : 'flex-1 py-2 px-4'} rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-medium transition-colors text-sm flex items-center justify-center gap-2`}
+      title="Add to quiz"
+    >
+      <Plus className="w-4 h-4" />
+      {!compact && 'Add to quiz…'}
+    </button>
+  );
 
   const renderGridView = () => (
     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-      {filteredQuestions.map((question, index) => (
+      {questions.map((question) => (
         <div
-          key={question.question_id}
+          key={question.questionId}
           className={`rounded-2xl ${
-            isDark ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'
-          } border shadow-lg hover:shadow-2xl transition-all duration-300 hover:-translate-y-2 p-6`}
+            selected[question.questionId]
+              ? 'border-indigo-500 ring-2 ring-indigo-500/40'
+              : isDark ? 'border-gray-700' : 'border-gray-200'
+          } ${isDark ? 'bg-gray-800' : 'bg-white'} border shadow-lg hover:shadow-2xl transition-all duration-300 p-6 flex flex-col`}
         >
           <div className="flex items-start justify-between mb-4">
-            <span className={`text-2xl`}>{getTypeIcon(question.question_type)}</span>
-            <span className={`text-xs px-3 py-1 rounded-full ${getTypeColor(question.question_type)}`}>
-              {question.question_type?.replace('_', ' ')}
+            {renderCheckbox(question)}
+            <span className={`text-xs px-3 py-1 rounded-full ${getTypeColor(question.questionType)}`}>
+              {getTypeLabel(question.questionType)}
             </span>
           </div>
-          
+
           <h3 className={`text-lg font-bold mb-3 line-clamp-3 ${isDark ? 'text-white' : 'text-gray-900'}`}>
-            {question.question_text}
+            {question.questionText}
           </h3>
 
           {question.content?.options && Array.isArray(question.content.options) && question.content.options.length > 0 && (
@@ -164,8 +216,8 @@ const Questions = ({ isDark }) => {
               <p className={`text-xs mb-2 ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>Options:</p>
               <div className="space-y-1">
                 {question.content.options.slice(0, 2).map((opt, idx) => (
-                  <div key={idx} className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'} truncate`}>
-                    • {typeof opt === 'string' ? opt : opt.text || opt.label || JSON.stringify(opt)}
+                  <div key={idx} className={`text-sm ${mutedText} truncate`}>
+                    • {getOptionText(opt)}
                   </div>
                 ))}
                 {question.content.options.length > 2 && (
@@ -177,16 +229,14 @@ const Questions = ({ isDark }) => {
             </div>
           )}
 
+          <div className="space-y-2 mb-4 mt-auto">
+            {renderMeta(question)}
+            <TagChips tags={question.tags} isDark={isDark} />
+            <UsedInBadges quizzes={question.usedInQuizzes} isDark={isDark} onOpen={openQuiz} />
+          </div>
+
           <div className={`flex gap-2 pt-4 border-t ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
-            <button className="flex-1 py-2 px-4 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-medium transition-colors text-sm">
-              View Details
-            </button>
-            <button className={`p-2 rounded-lg ${isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'} transition-colors`}>
-              <Edit className="w-4 h-4" />
-            </button>
-            <button className={`p-2 rounded-lg ${isDark ? 'bg-gray-700 hover:bg-red-600' : 'bg-gray-100 hover:bg-red-100'} transition-colors`}>
-              <Trash2 className="w-4 h-4" />
-            </button>
+            {renderAddButton(question)}
           </div>
         </div>
       ))}
@@ -195,59 +245,48 @@ const Questions = ({ isDark }) => {
 
   const renderListView = () => (
     <div className="space-y-4">
-      {filteredQuestions.map((question) => (
+      {questions.map((question) => (
         <div
-          key={question.question_id}
-          className={`rounded-xl ${
-            isDark ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'
-          } border p-6 hover:shadow-lg transition-all`}
+          key={question.questionId}
+          className={`rounded-xl ${isDark ? 'bg-gray-800' : 'bg-white'} border ${
+            selected[question.questionId] ? 'border-indigo-500' : isDark ? 'border-gray-700' : 'border-gray-200'
+          } p-6 hover:shadow-lg transition-all`}
         >
           <div className="flex items-start gap-4">
-            <div className={`w-12 h-12 rounded-lg flex items-center justify-center text-2xl ${
-              isDark ? 'bg-gray-900' : 'bg-gray-50'
-            }`}>
-              {getTypeIcon(question.question_type)}
-            </div>
-            <div className="flex-1">
+            <div className="pt-1">{renderCheckbox(question)}</div>
+            <div className="flex-1 min-w-0">
               <div className="flex items-start justify-between mb-2">
                 <h3 className={`text-xl font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}>
-                  {question.question_text}
+                  {question.questionText}
                 </h3>
-                <span className={`text-xs px-3 py-1 rounded-full ${getTypeColor(question.question_type)} ml-4`}>
-                  {question.question_type?.replace('_', ' ')}
+                <span className={`text-xs px-3 py-1 rounded-full whitespace-nowrap ${getTypeColor(question.questionType)} ml-4`}>
+                  {getTypeLabel(question.questionType)}
                 </span>
               </div>
-              
+
               {question.content?.options && Array.isArray(question.content.options) && question.content.options.length > 0 && (
-                <div className="mb-4">
-                  <p className={`text-sm mb-2 font-semibold ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
-                    Options:
-                  </p>
-                  <div className="grid grid-cols-2 gap-2">
-                    {question.content.options.map((opt, idx) => (
-                      <div
-                        key={idx}
-                        className={`text-sm px-3 py-2 rounded-lg ${
-                          isDark ? 'bg-gray-900 text-gray-300' : 'bg-gray-50 text-gray-700'
-                        }`}
-                      >
-                        {idx + 1}. {typeof opt === 'string' ? opt : opt.text || opt.label || JSON.stringify(opt)}
-                      </div>
-                    ))}
-                  </div>
+                <div className="grid grid-cols-2 gap-2 mb-3">
+                  {question.content.options.map((opt, idx) => (
+                    <div
+                      key={idx}
+                      className={`text-sm px-3 py-2 rounded-lg ${
+                        isDark ? 'bg-gray-900 text-gray-300' : 'bg-gray-50 text-gray-700'
+                      }`}
+                    >
+                      {idx + 1}. {getOptionText(opt)}
+                    </div>
+                  ))}
                 </div>
               )}
 
+              <div className="space-y-2 mb-3">
+                {renderMeta(question)}
+                <TagChips tags={question.tags} isDark={isDark} />
+                <UsedInBadges quizzes={question.usedInQuizzes} isDark={isDark} onOpen={openQuiz} />
+              </div>
+
               <div className="flex gap-2">
-                <button className="px-4 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-medium transition-colors text-sm">
-                  View Details
-                </button>
-                <button className={`p-2 rounded-lg ${isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'} transition-colors`}>
-                  <Edit className="w-5 h-5" />
-                </button>
-                <button className={`p-2 rounded-lg ${isDark ? 'bg-gray-700 hover:bg-red-600' : 'bg-gray-100 hover:bg-red-100'} transition-colors`}>
-                  <Trash2 className="w-5 h-5" />
-                </button>
+                {renderAddButton(question)}
               </div>
             </div>
           </div>
@@ -257,44 +296,49 @@ const Questions = ({ isDark }) => {
   );
 
   const renderTableView = () => (
-    <div className={`rounded-xl ${isDark ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'} border overflow-hidden`}>
+    <div className={`rounded-xl ${isDark ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'} border overflow-x-auto`}>
       <table className="w-full">
         <thead className={isDark ? 'bg-gray-900' : 'bg-gray-50'}>
-          <tr>
-            <th className={`px-6 py-4 text-left text-sm font-semibold ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>Type</th>
-            <th className={`px-6 py-4 text-left text-sm font-semibold ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>Question</th>
-            <th className={`px-6 py-4 text-left text-sm font-semibold ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>Options</th>
-            <th className={`px-6 py-4 text-right text-sm font-semibold ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>Actions</th>
+          <tr className={`text-left text-sm font-semibold ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+            <th className="px-4 py-4">
+              <input
+                type="checkbox"
+                checked={allOnPageSelected}
+                onChange={togglePage}
+                aria-label="Select all on this page"
+                className="w-4 h-4 accent-indigo-600 cursor-pointer"
+              />
+            </th>
+            <th className="px-4 py-4">Type</th>
+            <th className="px-4 py-4">Question</th>
+            <th className="px-4 py-4">Details</th>
+            <th className="px-4 py-4">Used In</th>
+            <th className="px-4 py-4 text-right">Actions</th>
           </tr>
         </thead>
         <tbody>
-          {filteredQuestions.map((question) => (
+          {questions.map((question) => (
             <tr
-              key={question.question_id}
+              key={question.questionId}
               className={`${isDark ? 'hover:bg-gray-750 border-gray-700' : 'hover:bg-gray-50 border-gray-200'} border-t`}
             >
-              <td className="px-6 py-4">
-                <div className="flex items-center gap-2">
-                  <span className="text-xl">{getTypeIcon(question.question_type)}</span>
-                  <span className={`text-xs px-2 py-1 rounded-md ${getTypeColor(question.question_type)}`}>
-                    {question.question_type?.replace('_', ' ')}
-                  </span>
-                </div>
+              <td className="px-4 py-4">{renderCheckbox(question)}</td>
+              <td className="px-4 py-4">
+                <span className={`text-xs px-2 py-1 rounded-md whitespace-nowrap ${getTypeColor(question.questionType)}`}>
+                  {getTypeLabel(question.questionType)}
+                </span>
               </td>
-              <td className={`px-6 py-4 ${isDark ? 'text-white' : 'text-gray-900'}`}>
-                <div className="font-semibold line-clamp-2">{question.question_text}</div>
+              <td className={`px-4 py-4 ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                <div className="font-semibold line-clamp-2">{question.questionText}</div>
+                <TagChips tags={question.tags} isDark={isDark} />
               </td>
-              <td className={`px-6 py-4 ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-                {question.content?.options && Array.isArray(question.content.options) ? `${question.content.options.length} options` : '-'}
+              <td className="px-4 py-4">{renderMeta(question)}</td>
+              <td className="px-4 py-4">
+                <UsedInBadges quizzes={question.usedInQuizzes} isDark={isDark} onOpen={openQuiz} />
               </td>
-              <td className="px-6 py-4">
+              <td className="px-4 py-4">
                 <div className="flex gap-2 justify-end">
-                  <button className={`p-2 rounded-lg ${isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'} transition-colors`}>
-                    <Edit className="w-4 h-4" />
-                  </button>
-                  <button className={`p-2 rounded-lg ${isDark ? 'bg-gray-700 hover:bg-red-600' : 'bg-gray-100 hover:bg-red-100'} transition-colors`}>
-                    <Trash2 className="w-4 h-4" />
-                  </button>
+                  {renderAddButton(question, true)}
                 </div>
               </td>
             </tr>
@@ -306,6 +350,8 @@ const Questions = ({ isDark }) => {
 
   return (
     <div className="p-8 max-w-7xl mx-auto">
+      <ToastContainer position="top-right" autoClose={3000} theme={isDark ? 'dark' : 'light'} />
+
       {/* Header */}
       <div className="mb-8">
         <div className="flex items-center justify-between mb-6">
@@ -313,8 +359,8 @@ const Questions = ({ isDark }) => {
             <h1 className={`text-4xl font-bold mb-2 ${isDark ? 'text-white' : 'text-gray-900'}`}>
               Questions
             </h1>
-            <p className={`text-lg ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-              Manage your question bank
+            <p className={`text-lg ${mutedText}`}>
+              Browse the question bank and reuse questions in your quizzes
             </p>
           </div>
         </div>
@@ -329,9 +375,9 @@ const Questions = ({ isDark }) => {
                 <Search className="w-5 h-5 text-gray-400" />
                 <input
                   type="text"
-                  placeholder="Search questions..."
-                  value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
+                  placeholder="Search question text..."
+                  value={filters.search}
+                  onChange={(e) => updateFilter('search', e.target.value)}
                   className={`bg-transparent border-none outline-none flex-1 ${
                     isDark ? 'text-white placeholder-gray-500' : 'text-gray-900 placeholder-gray-400'
                   }`}
@@ -343,94 +389,414 @@ const Questions = ({ isDark }) => {
             <div className={`flex items-center gap-2 px-3 py-2 rounded-xl ${
               isDark ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'
             } border`}>
-              <button
-                onClick={() => setViewMode('grid')}
-                className={`p-2 rounded-lg transition-colors ${
-                  viewMode === 'grid'
-                    ? 'bg-indigo-600 text-white'
-                    : isDark ? 'hover:bg-gray-700 text-gray-400' : 'hover:bg-gray-100 text-gray-600'
-                }`}
-                title="Grid View"
-              >
-                <Grid className="w-5 h-5" />
-              </button>
-              <button
-                onClick={() => setViewMode('list')}
-                className={`p-2 rounded-lg transition-colors ${
-                  viewMode === 'list'
-                    ? 'bg-indigo-600 text-white'
-                    : isDark ? 'hover:bg-gray-700 text-gray-400' : 'hover:bg-gray-100 text-gray-600'
-                }`}
-                title="List View"
-              >
-                <List className="w-5 h-5" />
-              </button>
-              <button
-                onClick={() => setViewMode('table')}
-                className={`p-2 rounded-lg transition-colors ${
-                  viewMode === 'table'
-                    ? 'bg-indigo-600 text-white'
-                    : isDark ? 'hover:bg-gray-700 text-gray-400' : 'hover:bg-gray-100 text-gray-600'
-                }`}
-                title="Table View"
-              >
-                <TableIcon className="w-5 h-5" />
-              </button>
+              {[
+                { mode: 'grid', icon: Grid, title: 'Grid View' },
+                { mode: 'list', icon: List, title: 'List View' },
+                { mode: 'table', icon: TableIcon, title: 'Table View' },
+              ].map(view => {
+                const ViewIcon = view.icon;
+                return (
+                  <button
+                    key={view.mode}
+                    onClick={() => setViewMode(view.mode)}
+                    className={`p-2 rounded-lg transition-colors ${
+                      viewMode === view.mode
+                        ? 'bg-indigo-600 text-white'
+                        : isDark ? 'hover:bg-gray-700 text-gray-400' : 'hover:bg-gray-100 text-gray-600'
+                    }`}
+                    title={view.title}
+                  >
+                    <ViewIcon className="w-5 h-5" />
+                  </button>
+                );
+              })}
             </div>
           </div>
 
           {/* Filters Row */}
-          <div className="flex gap-4 flex-wrap">
-            {uniqueTypes.length > 0 && (
-              <div className={`flex items-center gap-3 px-4 py-3 rounded-xl ${
-                isDark ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'
-              } border min-w-[200px]`}>
-                <Filter className="w-5 h-5 text-gray-400" />
-                <select
-                  value={filterType}
-                  onChange={(e) => setFilterType(e.target.value)}
-                  className={`bg-transparent border-none outline-none flex-1 ${
-                    isDark ? 'text-white' : 'text-gray-900'
-                  }`}
-                >
-                  <option value="">All Types</option>
-                  {uniqueTypes.map(type => (
-                    <option key={type} value={type}>
-                      {type?.replace('_', ' ')}
-                    </option>
-                  ))}
-                </select>
-              </div>
+          <div className="flex gap-3 flex-wrap items-center">
+            <Filter className="w-5 h-5 text-gray-400" />
+            <select
+              value={filters.questionType}
+              onChange={(e) => updateFilter('questionType', e.target.value)}
+              className={inputClass}
+              aria-label="Question type"
+            >
+              <option value="">All Types</option>
+              {QUESTION_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <select
+              value={filters.difficulty}
+              onChange={(e) => updateFilter('difficulty', e.target.value)}
+              className={inputClass}
+              aria-label="Difficulty"
+            >
+              <option value="">All Difficulties</option>
+              <option value="easy">Easy</option>
+              <option value="medium">Medium</option>
+              <option value="hard">Hard</option>
+            </select>
+            <input
+              type="text"
+              placeholder="Subject"
+              value={filters.subject}
+              onChange={(e) => updateFilter('subject', e.target.value)}
+              className={`${inputClass} w-36`}
+              aria-label="Subject"
+            />
+            <input
+              type="text"
+              placeholder="Locale (en-US)"
+              value={filters.locale}
+              onChange={(e) => updateFilter('locale', e.target.value)}
+              className={`${inputClass} w-36`}
+              aria-label="Locale"
+            />
+            <div className="flex items-center gap-1">
+              <input
+                type="number"
+                min="0"
+                placeholder="Age from"
+                value={filters.ageMin}
+                onChange={(e) => updateFilter('ageMin', e.target.value)}
+                className={`${inputClass} w-28`}
+                aria-label="Minimum age"
+              />
+              <span className={mutedText}>–</span>
+              <input
+                type="number"
+                min="0"
+                placeholder="Age to"
+                value={filters.ageMax}
+                onChange={(e) => updateFilter('ageMax', e.target.value)}
+                className={`${inputClass} w-28`}
+                aria-label="Maximum age"
+              />
+            </div>
+            <div className="flex items-center gap-2">
+              <Tag className="w-4 h-4 text-gray-400" />
+              <input
+                type="text"
+                placeholder="Tags, comma separated"
+                value={filters.tags}
+                onChange={(e) => updateFilter('tags', e.target.value)}
+                className={`${inputClass} w-52`}
+                aria-label="Tags"
+              />
+            </div>
+            {hasFilters && (
+              <button
+                onClick={clearFilters}
+                className={`px-3 py-2 rounded-xl text-sm flex items-center gap-1 ${isDark ? 'text-gray-300 hover:bg-gray-800' : 'text-gray-600 hover:bg-gray-100'}`}
+              >
+                <X className="w-4 h-4" />
+                Clear filters
+              </button>
             )}
 
             {/* Results count */}
-            <div className="flex items-center ml-auto">
-              <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-                {filteredQuestions.length} question{filteredQuestions.length !== 1 ? 's' : ''} found
+            <div className="flex items-center gap-3 ml-auto">
+              {viewMode !== 'table' && questions.length > 0 && (
+                <label className={`flex items-center gap-2 text-sm cursor-pointer ${mutedText}`}>
+                  <input
+                    type="checkbox"
+                    checked={allOnPageSelected}
+                    onChange={togglePage}
+                    className="w-4 h-4 accent-indigo-600"
+                  />
+                  Select page
+                </label>
+              )}
+              <span className={`text-sm ${mutedText}`}>
+                {total} question{total !== 1 ? 's' : ''} found
               </span>
             </div>
           </div>
         </div>
       </div>
 
+      {/* Selection bar */}
+      {selectedQuestions.length > 0 && (
+        <div className={`sticky top-4 z-10 mb-6 px-4 py-3 rounded-xl shadow-lg flex items-center gap-4 ${
+          isDark ? 'bg-indigo-950 text-indigo-100' : 'bg-indigo-50 text-indigo-900'
+        }`}>
+          <span className="font-medium">{selectedQuestions.length} selected</span>
+          <button onClick={() => setSelected({})} className="text-sm underline">Clear selection</button>
+          <button
+            onClick={() => setAddTarget(selectedQuestions)}
+            className="ml-auto px-4 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-medium flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            Add to quiz…
+          </button>
+        </div>
+      )}
+
       {/* Questions Display */}
-      {filteredQuestions.length === 0 ? (
+      {error ? (
+        <div className={`rounded-2xl p-8 ${isDark ? 'bg-red-950 border-red-900' : 'bg-red-50 border-red-200'} border-2`}>
+          <div className="flex items-center gap-4">
+            <AlertCircle className={`w-12 h-12 ${isDark ? 'text-red-400' : 'text-red-600'}`} />
+            <div>
+              <h3 className={`text-xl font-bold mb-2 ${isDark ? 'text-red-400' : 'text-red-600'}`}>
+                Error Loading Data
+              </h3>
+              <p className={`${isDark ? 'text-red-300' : 'text-red-700'} mb-4`}>{error}</p>
+              <button
+                onClick={fetchQuestions}
+                className="px-4 py-2 rounded-lg bg-gradient-to-r from-indigo-500 to-purple-600 text-white font-medium hover:shadow-lg transition-all duration-300"
+              >
+                Retry
+              </button>
+            </div>
+          </div>
+        </div>
+      ) : loading && questions.length === 0 ? (
+        <div className="flex items-center justify-center py-20">
+          <div className="text-center">
+            <Loader2 className={`w-12 h-12 animate-spin mx-auto mb-4 ${isDark ? 'text-indigo-400' : 'text-indigo-600'}`} />
+            <p className={`text-lg ${mutedText}`}>Loading questions...</p>
+          </div>
+        </div>
+      ) : questions.length === 0 ? (
         <div className="text-center py-20">
           <HelpCircle className={`w-20 h-20 mx-auto mb-6 ${isDark ? 'text-gray-600' : 'text-gray-300'}`} />
           <h3 className={`text-2xl font-bold mb-2 ${isDark ? 'text-white' : 'text-gray-900'}`}>
             No questions found
           </h3>
-          <p className={`text-lg ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
-            {searchTerm || filterType ? 'Try adjusting your filters' : 'Create your first question to get started!'}
+          <p className={`text-lg ${mutedText}`}>
+            {hasFilters ? 'Try adjusting your filters' : 'Create your first question to get started!'}
           </p>
         </div>
       ) : (
-        <>
+        <div className={loading ? 'opacity-60 pointer-events-none' : ''}>
           {viewMode === 'grid' && renderGridView()}
           {viewMode === 'list' && renderListView()}
           {viewMode === 'table' && renderTableView()}
-        </>
+
+          {/* Pagination */}
+          {pageCount > 1 && (
+            <div className="flex items-center justify-center gap-4 mt-8">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page === 0}
+                className={`p-2 rounded-lg disabled:opacity-40 ${isDark ? 'hover:bg-gray-800 text-gray-300' : 'hover:bg-gray-100 text-gray-700'}`}
+                title="Previous page"
+              >
+                <ChevronLeft className="w-5 h-5" />
+              </button>
+              <span className={`text-sm ${mutedText}`}>
+                {page * PAGE_SIZE + 1}–{Math.min((page + 1) * PAGE_SIZE, total)} of {total}
+              </span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pageCount - 1}
+                className={`p-2 rounded-lg disabled:opacity-40 ${isDark ? 'hover:bg-gray-800 text-gray-300' : 'hover:bg-gray-100 text-gray-700'}`}
+                title="Next page"
+              >
+                <ChevronRight className="w-5 h-5" />
+              </button>
+            </div>
+          )}
+        </div>
       )}
+
+      {addTarget && (
+        <AddToQuizModal
+          questions={addTarget}
+          isDark={isDark}
+          onClose={() => setAddTarget(null)}
+          onAdded={handleAdded}
+        />
+      )}
+    </div>
+  );
+};
+
+// Question bank labels
+const TagChips = ({ tags, isDark }) => {
+  if (!tags || tags.length === 0) return null;
+  return (
+    <div className="flex flex-wrap gap-1 mt-1">
+      {tags.map(tag => (
+        <span key={tag} className={`text-xs px-2 py-0.5 rounded-full ${isDark ? 'bg-gray-700 text-gray-300' : 'bg-gray-100 text-gray-600'}`}>
+          #{tag}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+// Quizzes that already contain the question; each badge opens that quiz's question list
+const UsedInBadges = ({ quizzes, isDark, onOpen }) => {
+  if (!quizzes || quizzes.length === 0) {
+    return <p className={`text-xs italic ${isDark ? 'text-gray-500' : 'text-gray-400'}`}>Not used in any quiz</p>;
+  }
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      <BookOpen className={`w-3.5 h-3.5 ${isDark ? 'text-gray-500' : 'text-gray-400'}`} aria-label="Used in" />
+      {quizzes.map(quiz => (
+        <button
+          key={quiz.quizId}
+          onClick={() => onOpen(quiz.quizId)}
+          className={`text-xs px-2 py-0.5 rounded-full transition-colors ${
+            isDark ? 'bg-indigo-950 text-indigo-300 hover:bg-indigo-900' : 'bg-indigo-50 text-indigo-700 hover:bg-indigo-100'
+          }`}
+          title={`Question ${quiz.position} in ${quiz.title}`}
+        >
+          {quiz.title}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// Adds questions to a quiz one after another, starting at the chosen position (or at the end)
+const AddToQuizModal = ({ questions, isDark, onClose, onAdded }) => {
+  const [quizzes, setQuizzes] = useState([]);
+  const [loadingQuizzes, setLoadingQuizzes] = useState(true);
+  const [quizId, setQuizId] = useState('');
+  const [quizQuestionCount, setQuizQuestionCount] = useState(null);
+  const [position, setPosition] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchQuizzes();
+  }, []);
+
+  const fetchQuizzes = async () => {
+    try {
+      const response = await quizApi.getQuizzes({ limit: 100 });
+      setQuizzes((response.data || []).sort((a, b) => (a.title || '').localeCompare(b.title || '')));
+    } catch (error) {
+      console.error('Error fetching quizzes:', error);
+      toast.error('Failed to load quizzes');
+    } finally {
+      setLoadingQuizzes(false);
+    }
+  };
+
+  const handleQuizChange = async (value) => {
+    setQuizId(value);
+    setQuizQuestionCount(null);
+    setPosition('');
+    if (!value) return;
+    try {
+      const response = await quizApi.getQuizQuestions(value);
+      setQuizQuestionCount((response.questions || []).length);
+    } catch (error) {
+      console.error('Error fetching quiz questions:', error);
+    }
+  };
+
+  // Adding a question the quiz already has would only move it, so those are left alone
+  const alreadyInQuiz = questions.filter(q => (q.usedInQuizzes || []).some(u => u.quizId === quizId));
+  const toAdd = questions.filter(q => !alreadyInQuiz.includes(q));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const start = parseInt(position, 10);
+    setSaving(true);
+    let added = 0;
+    try {
+      for (const [index, question] of toAdd.entries()) {
+        await questionApi.addQuestionToQuiz(quizId, question.questionId, start > 0 ? start + index : null);
+        added++;
+      }
+      const quizTitle = quizzes.find(q => q.quizId === quizId)?.title || 'quiz';
+      toast.success(`Added ${added} question${added !== 1 ? 's' : ''} to ${quizTitle}`);
+      onAdded();
+    } catch (error) {
+      console.error('Error adding questions to quiz:', error);
+      toast.error(`Added ${added} of ${toAdd.length}: ${error.response?.data?.message || error.message}`);
+      if (added > 0) onAdded();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const fieldClass = `w-full px-4 py-2 rounded-lg border ${
+    isDark ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+  }`;
+  const labelClass = `block text-sm font-medium mb-2 ${isDark ? 'text-gray-200' : 'text-gray-700'}`;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50" onClick={onClose}>
+      <div
+        className={`w-full max-w-lg rounded-xl shadow-xl p-6 ${isDark ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-2xl font-bold">
+            Add {questions.length} question{questions.length !== 1 ? 's' : ''} to quiz
+          </h2>
+          <button
+            onClick={onClose}
+            className={`p-2 rounded-lg transition-colors ${isDark ? 'hover:bg-gray-700 text-gray-400' : 'hover:bg-gray-100 text-gray-600'}`}
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className={labelClass}>Quiz</label>
+            {loadingQuizzes ? (
+              <Loader2 className="w-5 h-5 animate-spin" />
+            ) : (
+              <select value={quizId} onChange={(e) => handleQuizChange(e.target.value)} required className={fieldClass}>
+                <option value="">Select a quiz…</option>
+                {quizzes.map(quiz => (
+                  <option key={quiz.quizId} value={quiz.quizId}>{quiz.title}</option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          <div>
+            <label className={labelClass}>Position</label>
+            <input
+              type="number"
+              min="1"
+              max={quizQuestionCount !== null ? quizQuestionCount + 1 : undefined}
+              value={position}
+              onChange={(e) => setPosition(e.target.value)}
+              placeholder="End of quiz"
+              className={fieldClass}
+            />
+            <p className={`mt-1 text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+              {quizQuestionCount !== null && `The quiz has ${quizQuestionCount} question${quizQuestionCount !== 1 ? 's' : ''}. `}
+              Questions at or after this position move down. Leave empty to append.
+            </p>
+          </div>
+
+          {quizId && alreadyInQuiz.length > 0 && (
+            <p className={`text-sm ${isDark ? 'text-yellow-300' : 'text-yellow-700'}`}>
+              {alreadyInQuiz.length} selected question{alreadyInQuiz.length !== 1 ? 's are' : ' is'} already in this quiz and will be skipped.
+            </p>
+          )}
+
+          <div className="flex justify-end gap-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className={`px-4 py-2 rounded-lg ${isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'}`}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving || !quizId || toAdd.length === 0}
+              className="px-4 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-medium flex items-center gap-2 disabled:opacity-50"
+            >
+              {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+              Add {toAdd.length} question{toAdd.length !== 1 ? 's' : ''}
+            </button>
+          </div>
+        </form>
+      </div>
     </div>
   );
 };
@@ -16,6 +16,8 @@ import {
   Clock
 } from 'lucide-react';
 import { quizApi, assignmentApi, playerApi } from '../../services/api';
+import GradebookExportMenu from '../../components/GradebookExportMenu';
+import AssignmentStatsPanel from '../../components/AssignmentStatsPanel';
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
@@ -259,16 +261,34 @@ const TutorAssignments = ({ isDark }) => {
             </div>
           </div>
 
-          {/* Create Assignment Button */}
-          <button
-            onClick={() => setShowCreateModal(true)}
-            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors"
-          >
-            <Plus className="w-4 h-4" />
-            Create Assignment
-          </button>
+          <div className="flex gap-2">
+            <GradebookExportMenu
+              quizId={quizFilter !== 'all' ? quizFilter : null}
+              status={statusFilter !== 'all' ? statusFilter : null}
+              isDark={isDark}
+            />
+
+            {/* Create Assignment Button */}
+            <button
+              onClick={() => setShowCreateModal(true)}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors"
+            >
+              <Plus className="w-4 h-4" />
+              Create Assignment
+            </button>
+          </div>
         </div>
 
+        {/* Statistics for the quiz picked in the filter */}
+        {quizFilter !== 'all' && (
+          <div className={`rounded-lg shadow p-6 mb-6 ${isDark ? 'bg-gray-800' : 'bg-white'}`}>
+            <h2 className="text-lg font-semibold mb-4">
+              {quizzes.find(q => q.quizId === quizFilter)?.title || 'Quiz'} — Assignment Statistics
+            </h2>
+            <AssignmentStatsPanel quizId={quizFilter} isDark={isDark} />
+          </div>
+        )}
+
         {/* Assignments Table */}
         <div className={`rounded-lg shadow ${isDark ? 'bg-gray-800' : 'bg-white'}`}>
           <div className="overflow-x-auto">
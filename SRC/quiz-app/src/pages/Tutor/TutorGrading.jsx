@@ -0,0 +1,509 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ChevronUp, ChevronDown, ExternalLink, Layers, Loader2, RefreshCw, X } from 'lucide-react';
+import { responseApi } from '../../services/api';
+import ResponseGradingCard from '../../components/ResponseGradingCard';
+import RubricGrid from '../../components/RubricGrid';
+import CodeBlock, { QuestionText } from '../../components/CodeBlock';
+import { splitHintsUsed } from '../../utils/blankHints';
+import { getRubric, isRubricComplete, scoreRubric, buildRubricGrading } from '../../utils/rubric';
+import { toast, ToastContainer } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+
+const REASON_LABELS = {
+  pending: 'Not graded',
+  not_auto_graded: 'Auto-grading failed',
+  rubric: 'Rubric'
+};
+
+const formatQuestionType = (type) => (type || '')
+  .split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+// Plain-text version of an answer for the batch list
+const formatAnswer = (item) => {
+  const { answer } = splitHintsUsed(item.answerPayload);
+  if (answer === null || answer === undefined || answer === '') return '';
+  if (typeof answer === 'string') return answer;
+  if (typeof answer.code === 'string') return answer.code;
+  if (typeof answer.text === 'string') return answer.text;
+  return JSON.stringify(answer);
+};
+
+const selectClass = (isDark) => `px-3 py-2 border rounded-lg ${
+  isDark ? 'bg-gray-800 border-gray-700 text-white' : 'bg-white border-gray-300'
+}`;
+
+/**
+ * TutorGrading page - queue of responses that need a human across the tutor's assignments
+ * (never graded, not auto-graded, or graded with a rubric). Grading a response removes it
+ * from the queue and moves on to the next one.
+ */
+const TutorGrading = ({ isDark }) => {
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [items, setItems] = useState([]);
+  const [quizFilter, setQuizFilter] = useState('all');
+  const [studentFilter, setStudentFilter] = useState('all');
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [selectedId, setSelectedId] = useState(null);
+  const [batchQuestionId, setBatchQuestionId] = useState(null);
+  const listItemRefs = useRef({});
+
+  useEffect(() => {
+    fetchQueue();
+  }, []);
+
+  const fetchQueue = async () => {
+    try {
+      setLoading(true);
+      const data = await responseApi.getGradingQueue();
+      setItems(Array.isArray(data) ? data : data?.data || []);
+    } catch (error) {
+      console.error('Error fetching grading queue:', error);
+      toast.error('Failed to load the grading queue');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Filter options come from the queue itself
+  const quizOptions = [...new Map(items.map(item => [item.quizId, item.quizTitle])).entries()];
+  const studentOptions = [...new Map(items.map(item => [item.userId, item.studentName || item.studentEmail])).entries()];
+  const typeOptions = [...new Set(items.map(item => item.questionType))];
+
+  const filteredItems = items.filter(item =>
+    (quizFilter === 'all' || item.quizId === quizFilter) &&
+    (studentFilter === 'all' || item.userId === studentFilter) &&
+    (typeFilter === 'all' || item.questionType === typeFilter)
+  );
+
+  const selectedItem = filteredItems.find(item => item.responseId === selectedId) || filteredItems[0] || null;
+  const currentIndex = selectedItem ? filteredItems.indexOf(selectedItem) : -1;
+  const batchItems = batchQuestionId ? filteredItems.filter(item => item.questionId === batchQuestionId) : [];
+
+  const goTo = (offset) => {
+    const next = filteredItems[currentIndex + offset];
+    if (!next) return;
+    setSelectedId(next.responseId);
+    listItemRefs.current[next.responseId]?.scrollIntoView({ block: 'nearest' });
+  };
+
+  // J/K (or arrow keys) move through the queue unless the tutor is typing
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (batchQuestionId || e.ctrlKey || e.metaKey || e.altKey) return;
+      const tag = e.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || e.target.isContentEditable) return;
+
+      if (e.key === 'j' || e.key === 'ArrowDown') {
+        e.preventDefault();
+        goTo(1);
+      } else if (e.key === 'k' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        goTo(-1);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const removeFromQueue = (responseIds) => {
+    setItems(prev => prev.filter(item => !responseIds.includes(item.responseId)));
+  };
+
+  const handleGrade = async (item, { points, isCorrect, comment, gradingDetails }) => {
+    await responseApi.gradeResponse(item.responseId, points, isCorrect, comment, gradingDetails);
+    // Graded responses leave the queue; continue with the next one
+    const next = filteredItems[currentIndex + 1] || filteredItems[currentIndex - 1];
+    setSelectedId(next?.responseId ?? null);
+    removeFromQueue([item.responseId]);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="flex items-center space-x-2 text-blue-600">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+          <span>Loading grading queue...</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`min-h-screen ${isDark ? 'bg-gray-900 text-white' : 'bg-gray-50 text-gray-900'}`}>
+      <div className="container mx-auto px-4 py-8">
+        {/* Header */}
+        <div className="mb-6 flex items-start justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold mb-2">Grading Queue</h1>
+            <p className={isDark ? 'text-gray-400' : 'text-gray-600'}>
+              {items.length} {items.length === 1 ? 'response needs' : 'responses need'} grading across your assignments
+            </p>
+          </div>
+          <button
+            onClick={fetchQueue}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg ${
+              isDark ? 'bg-gray-800 hover:bg-gray-700' : 'bg-white hover:bg-gray-100 border border-gray-300'
+            }`}
+          >
+            <RefreshCw className="w-4 h-4" />
+            Refresh
+          </button>
+        </div>
+
+        {/* Filters */}
+        <div className="mb-6 flex flex-wrap gap-2">
+          <select value={quizFilter} onChange={(e) => setQuizFilter(e.target.value)} className={selectClass(isDark)} aria-label="Filter by quiz">
+            <option value="all">All Quizzes</option>
+            {quizOptions.map(([quizId, title]) => (
+              <option key={quizId} value={quizId}>{title}</option>
+            ))}
+          </select>
+          <select value={studentFilter} onChange={(e) => setStudentFilter(e.target.value)} className={selectClass(isDark)} aria-label="Filter by student">
+            <option value="all">All Students</option>
+            {studentOptions.map(([userId, name]) => (
+              <option key={userId} value={userId}>{name}</option>
+            ))}
+          </select>
+          <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)} className={selectClass(isDark)} aria-label="Filter by question type">
+            <option value="all">All Question Types</option>
+            {typeOptions.map(type => (
+              <option key={type} value={type}>{formatQuestionType(type)}</option>
+            ))}
+          </select>
+        </div>
+
+        {filteredItems.length === 0 ? (
+          <div className={`rounded-xl shadow-lg p-8 text-center ${isDark ? 'bg-gray-800' : 'bg-white'}`}>
+            <p className={`text-lg ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+              {items.length === 0 ? 'Nothing to grade. All caught up!' : 'No responses match these filters.'}
+            </p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Queue */}
+            <div className={`rounded-xl shadow-lg overflow-hidden lg:max-h-[calc(100vh-16rem)] lg:overflow-y-auto ${isDark ? 'bg-gray-800' : 'bg-white'}`}>
+              <ul aria-label="Responses to grade">
+                {filteredItems.map(item => {
+                  const isSelected = item === selectedItem;
+                  return (
+                    <li key={item.responseId}>
+                      <button
+                        ref={(el) => { listItemRefs.current[item.responseId] = el; }}
+                        onClick={() => setSelectedId(item.responseId)}
+                        aria-current={isSelected ? 'true' : undefined}
+                        className={`w-full text-left px-4 py-3 border-b transition-colors ${
+                          isDark ? 'border-gray-700' : 'border-gray-100'
+                        } ${
+                          isSelected
+                            ? isDark ? 'bg-blue-900/40' : 'bg-blue-50'
+                            : isDark ? 'hover:bg-gray-700' : 'hover:bg-gray-50'
+                        }`}
+                      >
+                        <div className="flex items-center justify-between gap-2">
+                          <span className="font-medium truncate">{item.studentName || item.studentEmail}</span>
+                          <span className={`px-2 py-0.5 rounded text-xs flex-shrink-0 ${
+                            item.reason === 'rubric'
+                              ? isDark ? 'bg-blue-900 text-blue-300' : 'bg-blue-100 text-blue-700'
+                              : isDark ? 'bg-orange-900/40 text-orange-300' : 'bg-orange-100 text-orange-700'
+                          }`}>
+                            {REASON_LABELS[item.reason] || item.reason}
+                          </span>
+                        </div>
+                        <div className={`text-sm truncate ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                          {item.quizTitle} · {formatQuestionType(item.questionType)}
+                        </div>
+                        <div className={`text-xs truncate ${isDark ? 'text-gray-500' : 'text-gray-500'}`}>
+                          {item.questionText}
+                        </div>
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+
+            {/* Selected response */}
+            <div className="lg:col-span-2 space-y-4">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => goTo(-1)}
+                    disabled={currentIndex <= 0}
+                    className={`p-2 rounded-lg disabled:opacity-40 ${isDark ? 'bg-gray-800 hover:bg-gray-700' : 'bg-white hover:bg-gray-100 border border-gray-300'}`}
+                    title="Previous response (K)"
+                  >
+                    <ChevronUp className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => goTo(1)}
+                    disabled={currentIndex >= filteredItems.length - 1}
+                    className={`p-2 rounded-lg disabled:opacity-40 ${isDark ? 'bg-gray-800 hover:bg-gray-700' : 'bg-white hover:bg-gray-100 border border-gray-300'}`}
+                    title="Next response (J)"
+                  >
+                    <ChevronDown className="w-4 h-4" />
+                  </button>
+                  <span className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                    {currentIndex + 1} of {filteredItems.length} · press J / K to move
+                  </span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => setBatchQuestionId(selectedItem.questionId)}
+                    className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium bg-blue-600 text-white hover:bg-blue-700"
+                  >
+                    <Layers className="w-4 h-4" />
+                    Grade this question for all students ({filteredItems.filter(item => item.questionId === selectedItem.questionId).length})
+                  </button>
+                  <button
+                    onClick={() => navigate(`/tutor/assignments/${selectedItem.assignmentId}`)}
+                    className={`p-2 rounded-lg ${isDark ? 'bg-gray-800 hover:bg-gray-700' : 'bg-white hover:bg-gray-100 border border-gray-300'}`}
+                    title="Open assignment"
+                  >
+                    <ExternalLink className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+
+              <p className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+                <span className="font-medium">{selectedItem.studentName || selectedItem.studentEmail}</span>
+                {' · '}{selectedItem.quizTitle}
+              </p>
+
+              <ResponseGradingCard
+                key={selectedItem.responseId}
+                question={selectedItem}
+                response={selectedItem}
+                index={(selectedItem.position || 1) - 1}
+                isDark={isDark}
+                onGrade={(responseId, grade) => handleGrade(selectedItem, grade)}
+                defaultEditing
+              />
+            </div>
+          </div>
+        )}
+      </div>
+
+      {batchQuestionId && batchItems.length > 0 && (
+        <BatchGradePanel
+          items={batchItems}
+          isDark={isDark}
+          onClose={() => setBatchQuestionId(null)}
+          onSaved={(responseIds) => {
+            removeFromQueue(responseIds);
+            setBatchQuestionId(null);
+          }}
+        />
+      )}
+
+      <ToastContainer />
+    </div>
+  );
+};
+
+/**
+ * Grade one question for every student in the queue at once
+ */
+const BatchGradePanel = ({ items, isDark, onClose, onSaved }) => {
+  const question = items[0];
+  const maxPoints = question.points || 10;
+  const rubric = getRubric(question);
+  const [rows, setRows] = useState(() => Object.fromEntries(items.map(item => [item.responseId, {
+    points: item.pointsEarned || 0,
+    isCorrect: !!item.isCorrect,
+    comment: '',
+    selections: {}
+  }])));
+  const [allPoints, setAllPoints] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const updateRow = (responseId, changes) => {
+    setRows(prev => ({ ...prev, [responseId]: { ...prev[responseId], ...changes } }));
+  };
+
+  const handleRubricSelect = (responseId, criterionId, levelId) => {
+    const selections = { ...rows[responseId].selections, [criterionId]: levelId };
+    updateRow(responseId, { selections, points: scoreRubric(rubric, selections, maxPoints).points });
+  };
+
+  const applyToAll = () => {
+    const points = Math.min(Math.max(parseFloat(allPoints) || 0, 0), maxPoints);
+    setRows(prev => Object.fromEntries(Object.entries(prev).map(([id, row]) => [
+      id,
+      { ...row, points, isCorrect: points >= maxPoints }
+    ])));
+  };
+
+  const handleSaveAll = async () => {
+    if (rubric && items.some(item => !isRubricComplete(rubric, rows[item.responseId].selections))) {
+      toast.error('Pick a level for every rubric criterion for each student.');
+      return;
+    }
+
+    setSaving(true);
+    const saved = [];
+    // One request per response so a failure only affects that student
+    for (const item of items) {
+      const row = rows[item.responseId];
+      const points = rubric
+        ? scoreRubric(rubric, row.selections, maxPoints).points
+        : Math.min(Math.max(parseFloat(row.points) || 0, 0), maxPoints);
+      const gradingDetails = rubric ? { rubric: buildRubricGrading(rubric, row.selections) } : null;
+      try {
+        await responseApi.gradeResponse(item.responseId, points, row.isCorrect, row.comment.trim() || null, gradingDetails);
+        saved.push(item.responseId);
+      } catch (error) {
+        console.error('Error grading response:', item.responseId, error);
+      }
+    }
+    setSaving(false);
+
+    if (saved.length === items.length) {
+      toast.success(`Graded ${saved.length} ${saved.length === 1 ? 'response' : 'responses'}`);
+    } else {
+      toast.error(`Saved ${saved.length} of ${items.length} grades. The rest are still in the queue.`);
+    }
+    onSaved(saved);
+  };
+
+  const inputClass = `px-2 py-1 rounded-lg border ${
+    isDark ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Grade question for all students"
+        className={`w-full max-w-4xl max-h-[90vh] overflow-y-auto rounded-2xl shadow-2xl p-6 ${isDark ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'}`}
+      >
+        <div className="flex items-start justify-between gap-4 mb-4">
+          <div>
+            <h2 className="text-xl font-bold mb-1">Grade for all students</h2>
+            <p className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>
+              {question.quizTitle} · {items.length} {items.length === 1 ? 'response' : 'responses'} · {maxPoints} points
+            </p>
+          </div>
+          <button onClick={onClose} disabled={saving} className="p-2 rounded-lg hover:bg-gray-500/20" title="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <QuestionText
+          text={question.questionText}
+          isDark={isDark}
+          className={`text-lg font-bold mb-4 ${isDark ? 'text-white' : 'text-gray-900'}`}
+        />
+
+        {!rubric && (
+          <div className="flex items-center gap-2 mb-4">
+            <label htmlFor="batch-all-points" className="text-sm font-medium">Give everyone</label>
+            <input
+              id="batch-all-points"
+              type="number"
+              min="0"
+              max={maxPoints}
+              value={allPoints}
+              onChange={(e) => setAllPoints(e.target.value)}
+              className={`w-20 ${inputClass}`}
+            />
+            <span className="text-sm">/ {maxPoints}</span>
+            <button
+              onClick={applyToAll}
+              disabled={allPoints === ''}
+              className={`px-3 py-1 rounded-lg text-sm disabled:opacity-40 ${isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'}`}
+            >
+              Apply
+            </button>
+          </div>
+        )}
+
+        <div className="space-y-4">
+          {items.map(item => {
+            const row = rows[item.responseId];
+            const answer = formatAnswer(item);
+            return (
+              <div key={item.responseId} className={`p-4 rounded-xl border ${isDark ? 'border-gray-700' : 'border-gray-200'}`}>
+                <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+                  <span className="font-semibold">{item.studentName || item.studentEmail}</span>
+                  <div className="flex items-center gap-3">
+                    <label className="flex items-center gap-1 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={row.isCorrect}
+                        onChange={(e) => updateRow(item.responseId, { isCorrect: e.target.checked })}
+                      />
+                      Correct
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      max={maxPoints}
+                      value={row.points}
+                      readOnly={!!rubric}
+                      onChange={(e) => updateRow(item.responseId, { points: e.target.value })}
+                      aria-label={`Points for ${item.studentName || item.studentEmail}`}
+                      className={`w-20 text-center font-bold ${inputClass}`}
+                    />
+                    <span className="text-sm">/ {maxPoints}</span>
+                  </div>
+                </div>
+
+                {!answer ? (
+                  <p className={`italic text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`}>No answer provided</p>
+                ) : item.questionType === 'program_submission' ? (
+                  <CodeBlock isDark={isDark}>{answer}</CodeBlock>
+                ) : (
+                  <p className={`p-3 rounded-lg whitespace-pre-wrap ${isDark ? 'bg-gray-700/50' : 'bg-gray-100'}`}>{answer}</p>
+                )}
+
+                {rubric && (
+                  <div className="mt-3">
+                    <RubricGrid
+                      rubric={rubric}
+                      selections={row.selections}
+                      onSelect={(criterionId, levelId) => handleRubricSelect(item.responseId, criterionId, levelId)}
+                      isDark={isDark}
+                    />
+                  </div>
+                )}
+
+                <input
+                  type="text"
+                  value={row.comment}
+                  onChange={(e) => updateRow(item.responseId, { comment: e.target.value })}
+                  placeholder="Comment for the player (optional)"
+                  className={`w-full mt-3 text-sm ${inputClass}`}
+                />
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button
+            onClick={onClose}
+            disabled={saving}
+            className={`px-6 py-2 rounded-lg font-medium ${isDark ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSaveAll}
+            disabled={saving}
+            className="flex items-center gap-2 px-6 py-2 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+            Save all grades
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TutorGrading;
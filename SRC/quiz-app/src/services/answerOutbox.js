@@ -0,0 +1,320 @@
+import { responseApi } from './api';
+
+/**
+ * Answer Outbox
+ * Durable queue for answers submitted while taking a quiz.
+ *
+ * Every answer is written to IndexedDB before it is sent, and only removed once
+ * the server acknowledges it. Failed sends are retried with exponential backoff,
+ * when the browser comes back online, and on the next page load.
+ *
+ * Entries are keyed by attempt + question so a newer answer to the same question
+ * replaces an older one that has not been sent yet.
+ *
+ * When the server rejects the session (401/403) entries are kept and sending pauses
+ * until a different auth token is stored, i.e. the user has signed in again.
+ *
+ * Answers the server refuses (e.g. the time limit expired) are kept with a `rejected`
+ * reason so the student can see what was lost. They are not retried, unless the
+ * student answers the question again, and stay until dismissed.
+ */
+
+const DB_NAME = 'quizz-answer-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'answers';
+
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+// In-memory fallback when IndexedDB is unavailable (e.g. some private browsing modes)
+const memoryStore = new Map();
+
+let dbPromise = null;
+let flushPromise = null;
+let retryTimer = null;
+let versionCounter = 0;
+// Auth token that was rejected; nothing is sent while it is still the stored token
+let rejectedToken;
+const listeners = new Set();
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    try {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          store.createIndex('attemptId', 'attemptId', { unique: false });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('[answerOutbox] Could not open IndexedDB, using memory only:', request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.error('[answerOutbox] IndexedDB not available, using memory only:', error);
+      resolve(null);
+    }
+  });
+
+  return dbPromise;
+};
+
+// Run a request against the object store and resolve with its result
+const withStore = async (mode, callback) => {
+  const db = await openDb();
+  if (!db) return callback(null);
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = callback(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const putEntry = (entry) => withStore('readwrite', (store) => {
+  if (!store) {
+    memoryStore.set(entry.id, entry);
+    return null;
+  }
+  return store.put(entry);
+});
+
+const deleteEntry = (id) => withStore('readwrite', (store) => {
+  if (!store) {
+    memoryStore.delete(id);
+    return null;
+  }
+  return store.delete(id);
+});
+
+const getEntry = (id) => withStore('readonly', (store) => {
+  if (!store) return memoryStore.get(id);
+  return store.get(id);
+});
+
+// The student may change an answer while the previous version is being sent -
+// only touch the stored entry if it is still the version we sent
+const isUnchanged = async (entry) => {
+  const current = await getEntry(entry.id);
+  return current?.version === entry.version;
+};
+
+const getAllEntries = async () => {
+  const entries = await withStore('readonly', (store) => {
+    if (!store) return Array.from(memoryStore.values());
+    return store.getAll();
+  });
+  return (entries || []).sort((a, b) => a.queuedAt - b.queuedAt);
+};
+
+const getAuthToken = () => localStorage.getItem('authToken');
+
+const isAuthPaused = () => rejectedToken !== undefined && rejectedToken === getAuthToken();
+
+const notify = async () => {
+  if (listeners.size === 0) return;
+  const entries = await getAllEntries();
+  const status = { authRequired: isAuthPaused() };
+  listeners.forEach(listener => listener(entries, status));
+};
+
+// Validation rejections will never succeed on retry - e.g. the attempt was completed,
+// the time limit expired or max attempts was reached. Anything else is retried.
+const isRejected = (error) => [400, 409, 422].includes(error?.response?.status);
+
+// Expired or revoked session - the answer is fine, the user has to sign in again
+const isAuthFailure = (error) => [401, 403].includes(error?.response?.status);
+
+const getRetryDelay = (retryCount) => Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** retryCount);
+
+const isPending = (entry) => !entry.rejected;
+
+const scheduleRetry = (allEntries) => {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  const entries = allEntries.filter(isPending);
+  if (entries.length === 0 || isAuthPaused()) return;
+
+  const nextAttemptAt = Math.min(...entries.map(e => e.nextAttemptAt || 0));
+  retryTimer = setTimeout(() => {
+    answerOutbox.flush().catch(error => console.error('[answerOutbox] Retry failed:', error));
+  }, Math.max(0, nextAttemptAt - Date.now()));
+};
+
+// Send one entry and return the server's response. On failure the entry is
+// rescheduled (kept as is on auth failures, marked rejected if the server refused it) and the error is rethrown.
+const sendEntry = async (entry) => {
+  try {
+    const response = await responseApi.submitAnswer(
+      entry.attemptId, entry.questionId, entry.answerPayload, entry.pointsPossible, new Date(entry.queuedAt).toISOString());
+    console.log('[answerOutbox] ✓ Synced answer for question:', entry.questionId);
+    if (await isUnchanged(entry)) await deleteEntry(entry.id);
+    return response;
+  } catch (error) {
+    if (!(await isUnchanged(entry))) throw error;
+
+    if (isAuthFailure(error)) {
+      console.warn('[answerOutbox] Session rejected, keeping answers until the user signs in again');
+      rejectedToken = getAuthToken();
+      throw error;
+    }
+
+    if (isRejected(error)) {
+      const message = error?.response?.data?.message || 'The answer was not accepted';
+      console.warn('[answerOutbox] Answer rejected by server:', entry.questionId, message);
+      await putEntry({ ...entry, rejected: { status: error.response.status, message } });
+      throw error;
+    }
+
+    const retryCount = (entry.retryCount || 0) + 1;
+    console.warn(`[answerOutbox] Sync failed for question ${entry.questionId} (retry ${retryCount}):`, error?.message);
+    await putEntry({ ...entry, retryCount, nextAttemptAt: Date.now() + getRetryDelay(retryCount) });
+    throw error;
+  }
+};
+
+const sendEntries = async ({ attemptId, force }) => {
+  const entries = await getAllEntries();
+  const now = Date.now();
+
+  for (const entry of entries) {
+    if (isAuthPaused()) break;
+    if (!isPending(entry)) continue;
+    if (attemptId && entry.attemptId !== attemptId) continue;
+    if (!force && entry.nextAttemptAt > now) continue;
+
+    try {
+      await sendEntry(entry);
+    } catch {
+      // Already rescheduled, kept or marked rejected by sendEntry
+    }
+  }
+
+  const remaining = await getAllEntries();
+  scheduleRetry(remaining);
+  await notify();
+  return remaining.filter(e => isPending(e) && (!attemptId || e.attemptId === attemptId));
+};
+
+export const answerOutbox = {
+  /**
+   * Store an answer in the outbox. Replaces any unsent answer for the same question.
+   */
+  enqueue: async (attemptId, questionId, answerPayload, pointsPossible) => {
+    const entry = {
+      id: `${attemptId}:${questionId}`,
+      attemptId,
+      questionId,
+      answerPayload,
+      pointsPossible,
+      // Changes on every enqueue, see isUnchanged (crypto.randomUUID needs a secure origin)
+      version: `${Date.now()}-${++versionCounter}`,
+      queuedAt: Date.now(),
+      retryCount: 0,
+      nextAttemptAt: 0,
+    };
+    await putEntry(entry);
+    await notify();
+    return entry;
+  },
+
+  /**
+   * Queue an answer and send it straight away, for callers that need the graded
+   * response (e.g. practice mode Check). If sending fails the answer stays queued
+   * for the usual retries and the error is rethrown.
+   * @returns {Promise<Object>} The server's response for the answer
+   */
+  sendNow: async (attemptId, questionId, answerPayload, pointsPossible) => {
+    const entry = await answerOutbox.enqueue(attemptId, questionId, answerPayload, pointsPossible);
+
+    while (flushPromise) {
+      await flushPromise.catch(() => {});
+    }
+
+    flushPromise = sendEntry(entry);
+    try {
+      return await flushPromise;
+    } finally {
+      flushPromise = null;
+      scheduleRetry(await getAllEntries());
+      await notify();
+    }
+  },
+
+  /**
+   * Send queued answers. Only one flush runs at a time; concurrent callers
+   * wait for the running flush and then flush again so nothing is skipped.
+   * @param {Object} options - { attemptId: limit to one attempt, force: ignore backoff }
+   * @returns {Promise<Object[]>} Entries still pending afterwards (rejected entries are not pending)
+   */
+  flush: async ({ attemptId = null, force = false } = {}) => {
+    while (flushPromise) {
+      await flushPromise.catch(() => {});
+    }
+
+    flushPromise = sendEntries({ attemptId, force });
+    try {
+      return await flushPromise;
+    } finally {
+      flushPromise = null;
+    }
+  },
+
+  /**
+   * Get answers that have not been acknowledged by the server yet, leaving out rejected ones
+   */
+  getPending: async (attemptId = null) => {
+    const entries = (await getAllEntries()).filter(isPending);
+    return attemptId ? entries.filter(e => e.attemptId === attemptId) : entries;
+  },
+
+  /**
+   * Remove answers the server rejected once the student has seen them
+   */
+  dismissRejected: async (attemptId = null) => {
+    const entries = await getAllEntries();
+    for (const entry of entries) {
+      if (entry.rejected && (!attemptId || entry.attemptId === attemptId)) await deleteEntry(entry.id);
+    }
+    await notify();
+  },
+
+  /**
+   * Subscribe to outbox changes. Returns an unsubscribe function.
+   * The listener gets (entries, { authRequired }) - authRequired while sending waits for a new sign-in.
+   * Entries include rejected ones, which have a `rejected: { status, message }` reason.
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    getAllEntries().then(entries => listener(entries, { authRequired: isAuthPaused() })).catch(() => {});
+    return () => listeners.delete(listener);
+  },
+};
+
+// Retry as soon as the connection returns instead of waiting for the backoff timer
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => {
+    console.log('[answerOutbox] Back online, syncing pending answers');
+    answerOutbox.flush({ force: true }).catch(error => console.error('[answerOutbox] Sync failed:', error));
+  });
+
+  // Signing in from another tab stores a new token - send what waited for it
+  window.addEventListener('storage', (event) => {
+    if (event.key !== 'authToken' || rejectedToken === undefined || isAuthPaused()) return;
+    answerOutbox.flush({ force: true }).catch(error => console.error('[answerOutbox] Sync failed:', error));
+  });
+}
+
+export default answerOutbox;
@@ -166,6 +166,17 @@ export const quizApi = {
     }
   },
 
+  // Per-question difficulty, discrimination, distractor counts, time and skips from completed attempts
+  getItemAnalysis: async (quizId) => {
+    try {
+      const response = await apiClient.get(`/quizzes/${quizId}/item-analysis`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching item analysis:', error);
+      throw error;
+    }
+  },
+
   // Create a new quiz
   createQuiz: async (quizData) => {
     try {
@@ -346,6 +357,17 @@ export const attemptApi = {
     }
   },
 
+  // Replace the questions flagged for review in an in-progress attempt
+  updateFlags: async (attemptId, flaggedQuestions) => {
+    try {
+      const response = await apiClient.put(`/attempts/${attemptId}/flags`, { flaggedQuestions });
+      return response.data;
+    } catch (error) {
+      console.error('Error updating flagged questions:', error);
+      throw error;
+    }
+  },
+
   // Complete an attempt
   completeAttempt: async (attemptId) => {
     try {
@@ -356,18 +378,42 @@ export const attemptApi = {
       throw error;
     }
   },
+
+  // Tutor's overall comment on an attempt (an empty comment removes it)
+  updateFeedback: async (attemptId, comment) => {
+    try {
+      const response = await apiClient.put(`/attempts/${attemptId}/feedback`, { comment });
+      return response.data;
+    } catch (error) {
+      console.error('Error saving attempt feedback:', error);
+      throw error;
+    }
+  },
+
+  // Clear the player's unread feedback indicator for an attempt
+  markFeedbackSeen: async (attemptId) => {
+    try {
+      const response = await apiClient.post(`/attempts/${attemptId}/feedback/seen`);
+      return response.data;
+    } catch (error) {
+      console.error('Error marking feedback as read:', error);
+      throw error;
+    }
+  },
 };
 
 // ==================== RESPONSE API ====================
 export const responseApi = {
   // Submit an answer
-  submitAnswer: async (attemptId, questionId, answerPayload, pointsPossible) => {
+  // queuedAt (ISO string, optional): when the answer was saved, so answers queued offline before a deadline still count
+  submitAnswer: async (attemptId, questionId, answerPayload, pointsPossible, queuedAt) => {
     try {
       const response = await apiClient.post('/responses', {
         attemptId,
         questionId,
         answerPayload,
         pointsPossible,
+        queuedAt,
       });
       return response.data;
     } catch (error) {
@@ -398,12 +444,15 @@ export const responseApi = {
     }
   },
 
-  // Grade a response (for admins)
-  gradeResponse: async (responseId, pointsEarned, isCorrect, gradingDetails = {}) => {
+  // Grade a response (for admins/tutors)
+  // feedback is the comment for the player: null keeps the current one, '' removes it
+  // Returns the graded response; its scores field holds the recalculated attempt and assignment totals
+  gradeResponse: async (responseId, pointsEarned, isCorrect, feedback = null, gradingDetails = null) => {
     try {
       const response = await apiClient.post(`/responses/${responseId}/grade`, {
         pointsEarned,
         isCorrect,
+        feedback,
         gradingDetails,
       });
       return response.data;
@@ -412,6 +461,52 @@ export const responseApi = {
       throw error;
     }
   },
+
+  // Tutor's comment on a response without changing its grade (an empty comment removes it)
+  updateFeedback: async (responseId, comment) => {
+    try {
+      const response = await apiClient.put(`/responses/${responseId}/feedback`, { comment });
+      return response.data;
+    } catch (error) {
+      console.error('Error saving response feedback:', error);
+      throw error;
+    }
+  },
+
+  // Responses across the tutor's assignments that still need manual grading (oldest first)
+  getGradingQueue: async () => {
+    try {
+      const response = await apiClient.get('/grading/queue');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching grading queue:', error);
+      throw error;
+    }
+  },
+
+  // Re-run auto-grading for the stored responses to a question (e.g. after fixing its answer key)
+  // One batch of students per call: pass the result's continueAfter back in until it is null
+  // Returns { responsesChecked, responsesChanged, manualGradesSkipped, notAutoGraded, attemptsRecalculated, studentsAffected, continueAfter }
+  regradeQuestion: async (questionId, includeManualGrades = false, continueAfter = null) => {
+    try {
+      const response = await apiClient.post(`/questions/${questionId}/regrade`, { includeManualGrades, continueAfter });
+      return response.data;
+    } catch (error) {
+      console.error('Error regrading question:', error);
+      throw error;
+    }
+  },
+
+  // Same as regradeQuestion for every question in a quiz's attempts
+  regradeQuiz: async (quizId, includeManualGrades = false, continueAfter = null) => {
+    try {
+      const response = await apiClient.post(`/quizzes/${quizId}/regrade`, { includeManualGrades, continueAfter });
+      return response.data;
+    } catch (error) {
+      console.error('Error regrading quiz:', error);
+      throw error;
+    }
+  },
 };
 
 // ==================== ASSIGNMENT API ====================
@@ -443,6 +538,31 @@ export const assignmentApi = {
     }
   },
 
+  // Status counts, average score, score histogram and completions per day for a quiz's assignments
+  getAssignmentStats: async (quizId) => {
+    try {
+      const response = await apiClient.get(`/assignments/stats/${quizId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching assignment stats:', error);
+      throw error;
+    }
+  },
+
+  // Gradebook rows (best/latest/average attempt score per assignment) for export
+  getGradebook: async (quizId = null, status = null) => {
+    try {
+      const params = {};
+      if (quizId) params.quizId = quizId;
+      if (status) params.status = status;
+      const response = await apiClient.get('/assignments/gradebook', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching gradebook:', error);
+      throw error;
+    }
+  },
+
   // Create a single assignment
   createAssignment: async (assignmentData) => {
     try {
@@ -608,9 +728,13 @@ export const helpers = {
     }
   },
 
-  // Calculate stats from attempts
-  calculateAttemptStats: (attempts) => {
-    if (!attempts || attempts.length === 0) {
+  // Practice attempts are tagged by the server when the quiz is in practice mode
+  isPracticeAttempt: (attempt) => attempt?.metadata?.mode === 'practice',
+
+  // Calculate stats from attempts (practice attempts are not counted)
+  calculateAttemptStats: (allAttempts) => {
+    const attempts = (allAttempts || []).filter(a => !helpers.isPracticeAttempt(a));
+    if (attempts.length === 0) {
       return {
         total: 0,
         completed: 0,
@@ -0,0 +1,75 @@
+/**
+ * Blank Hints
+ * Fill-in-blank and drag-drop blanks can carry a `hint`. Hints the student
+ * reveals are stored with the answer as `hints_used` (blank indexes) so grading
+ * can deduct the question's `hint_penalty` points for each one.
+ *
+ * Fill-in-blank answers are plain arrays, so they are sent as
+ * { answers, hints_used } once a hint has been used - the grader accepts both.
+ */
+
+const BLANK_QUESTION_TYPES = ['fill_in_blank', 'fill_in_blank_drag_drop'];
+
+// Drag-drop content is sometimes nested under content.content
+const getBlanksContent = (question) => {
+  const content = question?.content || {};
+  return content.content && typeof content.content === 'object' ? content.content : content;
+};
+
+/**
+ * Blanks of a question that have a hint
+ * @param {Object} question - Question with content
+ * @returns {Object[]} [{ index, hint }] in blank order
+ */
+export const getBlankHints = (question) => {
+  const questionType = question?.questionType || question?.question_type;
+  if (!BLANK_QUESTION_TYPES.includes(questionType)) return [];
+
+  const blanks = getBlanksContent(question).blanks || [];
+  return blanks
+    .map((blank, index) => ({ index, hint: blank?.hint }))
+    .filter(blank => typeof blank.hint === 'string' && blank.hint.trim() !== '');
+};
+
+/**
+ * Points deducted for each hint revealed (0 when the author set none)
+ */
+export const getHintPenalty = (question) => {
+  const content = question?.content || {};
+  const penalty = Number(content.hint_penalty ?? content.hintPenalty);
+  return penalty > 0 ? penalty : 0;
+};
+
+/**
+ * Attach revealed hints to an answer payload before it is submitted
+ * @param {Object} question - Question being answered
+ * @param {*} payload - Answer payload in the question type's usual format
+ * @param {number[]} hintsUsed - Indexes of blanks whose hint was revealed
+ * @returns {*} Payload including hints_used, or the payload unchanged when no hints were used
+ */
+export const withHintsUsed = (question, payload, hintsUsed) => {
+  if (!hintsUsed || hintsUsed.length === 0) return payload;
+
+  const sortedHints = [...hintsUsed].sort((a, b) => a - b);
+  if (Array.isArray(payload)) {
+    return { answers: payload, hints_used: sortedHints };
+  }
+  if (payload && typeof payload === 'object') {
+    return { ...payload, hints_used: sortedHints };
+  }
+  return payload;
+};
+
+/**
+ * Split a stored payload into the answer in its usual format and the hints used
+ * @param {*} payload - Answer payload as stored on the response
+ * @returns {{ answer: *, hintsUsed: number[] }}
+ */
+export const splitHintsUsed = (payload) => {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload) || !Array.isArray(payload.hints_used)) {
+    return { answer: payload, hintsUsed: [] };
+  }
+
+  const { hints_used: hintsUsed, ...rest } = payload;
+  return { answer: Array.isArray(rest.answers) ? rest.answers : rest, hintsUsed };
+};
@@ -0,0 +1,57 @@
+/**
+ * Code Runner Registry
+ * Pluggable in-browser runners for program_submission questions
+ *
+ * A runner implements:
+ *   {
+ *     language: 'javascript',
+ *     label: 'JavaScript',
+ *     run: (code, testCases, { timeLimitMs }) => Promise<TestRunResult[]>
+ *   }
+ *
+ * TestRunResult:
+ *   { index, description, input, expected, actual, passed, output, error, timedOut, executionTimeMs }
+ *
+ * Local runs are only a convenience for students - the backend remains the
+ * source of truth for grading (hidden tests never leave the server unless visible).
+ */
+import javascriptRunner from './javascriptRunner';
+
+const runners = {};
+
+/**
+ * Register a runner for one or more language names
+ * @param {Object} runner - Runner implementation
+ * @param {string[]} aliases - Extra language names handled by the runner
+ */
+export const registerRunner = (runner, aliases = []) => {
+  [runner.language, ...aliases].forEach(name => {
+    runners[name.toLowerCase()] = runner;
+  });
+};
+
+/**
+ * Get the runner for a language
+ * @param {string} language - Language from question content
+ * @returns {Object|null} Runner or null if the language cannot run in the browser
+ */
+export const getRunner = (language) => {
+  if (!language) return null;
+  return runners[language.toLowerCase()] || null;
+};
+
+/**
+ * Find forbidden keywords used in the code
+ * @param {string} code - Student code
+ * @param {string[]} forbiddenKeywords - Keywords the question disallows
+ * @returns {string[]} Keywords found in the code
+ */
+export const findForbiddenKeywords = (code, forbiddenKeywords = []) => {
+  if (!code || !forbiddenKeywords?.length) return [];
+  return forbiddenKeywords.filter(keyword => {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\w])${escaped}([^\\w]|$)`).test(code);
+  });
+};
+
+registerRunner(javascriptRunner, ['js', 'node', 'nodejs']);
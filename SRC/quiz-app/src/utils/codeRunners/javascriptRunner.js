@@ -0,0 +1,81 @@
+/**
+ * JavaScript Code Runner
+ * Executes each test case in a fresh Web Worker so that infinite loops can be
+ * stopped with worker.terminate() and tests cannot leak state into each other.
+ */
+
+const DEFAULT_TIME_LIMIT_MS = 1000;
+
+/**
+ * Run a single test case in its own worker
+ * @param {string} code - Student code
+ * @param {Object} testCase - Test case ({ input, expected, description })
+ * @param {number} timeLimitMs - Time limit before the worker is terminated
+ * @returns {Promise<Object>} Raw result from the worker
+ */
+const runTestInWorker = (code, testCase, timeLimitMs) => {
+  return new Promise((resolve) => {
+    const worker = new Worker(new URL('./javascriptRunner.worker.js', import.meta.url), { type: 'module' });
+    const startTime = performance.now();
+
+    const timer = setTimeout(() => {
+      worker.terminate();
+      resolve({
+        passed: false,
+        actual: null,
+        output: '',
+        error: `Time limit exceeded (${timeLimitMs}ms)`,
+        timedOut: true,
+        executionTimeMs: Math.round(performance.now() - startTime),
+      });
+    }, timeLimitMs);
+
+    worker.onmessage = (event) => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve({ ...event.data, timedOut: false });
+    };
+
+    worker.onerror = (event) => {
+      clearTimeout(timer);
+      worker.terminate();
+      event.preventDefault();
+      resolve({
+        passed: false,
+        actual: null,
+        output: '',
+        error: event.message || 'Worker error',
+        timedOut: false,
+        executionTimeMs: Math.round(performance.now() - startTime),
+      });
+    };
+
+    worker.postMessage({ code, input: testCase.input, expected: testCase.expected });
+  });
+};
+
+const javascriptRunner = {
+  language: 'javascript',
+  label: 'JavaScript',
+
+  run: async (code, testCases, { timeLimitMs = DEFAULT_TIME_LIMIT_MS } = {}) => {
+    const results = [];
+
+    // Run sequentially so timings are not skewed by parallel workers
+    for (let i = 0; i < testCases.length; i++) {
+      const testCase = testCases[i];
+      const result = await runTestInWorker(code, testCase, timeLimitMs);
+      results.push({
+        index: i,
+        description: testCase.description || `Test ${i + 1}`,
+        input: testCase.input,
+        expected: testCase.expected,
+        ...result,
+      });
+    }
+
+    return results;
+  },
+};
+
+export default javascriptRunner;
@@ -0,0 +1,69 @@
+/**
+ * JavaScript sandbox worker
+ * Runs student code plus one test expression and posts back the result.
+ * Workers have no DOM access; network and script loading APIs are removed
+ * before the student code is evaluated.
+ */
+
+const BLOCKED_GLOBALS = ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'indexedDB', 'caches'];
+
+BLOCKED_GLOBALS.forEach(name => {
+  try {
+    Object.defineProperty(self, name, { value: undefined, configurable: false, writable: false });
+  } catch {
+    // Some globals are not configurable in every browser - best effort only
+  }
+});
+
+const formatValue = (value) => {
+  if (value === undefined) return 'undefined';
+  if (typeof value === 'string') return value;
+  if (typeof value === 'function') return value.toString();
+  try {
+    return JSON.stringify(value);
+  } catch {
+    return String(value);
+  }
+};
+
+const matchesExpected = (result, expected) => {
+  const expectedText = String(expected ?? '').trim();
+  if (formatValue(result).trim() === expectedText) return true;
+
+  // Allow structurally equal values, e.g. expected "[1, 2]" vs result [1,2]
+  try {
+    return JSON.stringify(JSON.parse(expectedText)) === JSON.stringify(result);
+  } catch {
+    return false;
+  }
+};
+
+self.onmessage = async (event) => {
+  const { code, input, expected } = event.data;
+  const output = [];
+  const capture = (...args) => output.push(args.map(formatValue).join(' '));
+  const sandboxConsole = { log: capture, info: capture, warn: capture, error: capture, debug: capture };
+  const startTime = performance.now();
+
+  try {
+    // Test input is an expression such as "addNumbers(2, 3)" evaluated after the student code
+    const execute = new Function('console', `"use strict";\n${code}\n;return (${input});`);
+    const result = await execute(sandboxConsole);
+
+    self.postMessage({
+      passed: matchesExpected(result, expected),
+      actual: formatValue(result),
+      output: output.join('\n'),
+      error: null,
+      executionTimeMs: Math.round(performance.now() - startTime),
+    });
+  } catch (error) {
+    self.postMessage({
+      passed: false,
+      actual: null,
+      output: output.join('\n'),
+      error: `${error?.name || 'Error'}: ${error?.message || error}`,
+      executionTimeMs: Math.round(performance.now() - startTime),
+    });
+  }
+};
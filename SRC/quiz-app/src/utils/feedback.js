@@ -0,0 +1,26 @@
+/**
+ * Tutor feedback
+ * Written comments on a response (grading_details.feedback) and on a whole attempt (metadata.feedback),
+ * both stored as { comment, commented_by, commented_at }.
+ *
+ * Any new comment sets the attempt's metadata.feedbackUpdatedAt; the player's copy is unread
+ * until they open the attempt, which sets metadata.feedbackSeenAt.
+ */
+
+/**
+ * The tutor's comment on a response ('' when there is none).
+ * Responses graded before feedback had its own key keep the comment in manual_grading.
+ */
+export const getResponseFeedback = (response) => {
+  const details = response?.gradingDetails;
+  return details?.feedback?.comment || details?.manual_grading?.comment || '';
+};
+
+export const getAttemptFeedback = (attempt) => attempt?.metadata?.feedback?.comment || '';
+
+export const hasUnreadFeedback = (attempt) => {
+  const updatedAt = attempt?.metadata?.feedbackUpdatedAt;
+  if (!updatedAt) return false;
+  const seenAt = attempt.metadata.feedbackSeenAt;
+  return !seenAt || new Date(updatedAt) > new Date(seenAt);
+};
@@ -0,0 +1,323 @@
+/**
+ * GIFT import
+ * Parses Moodle GIFT question files into batch import questions (see quizApi.batchImport).
+ *
+ * Supported: multiple choice, multiple answers (equal weights, graded all or nothing), true/false, short answer,
+ * matching, numeric (short answer with value ± margin answers), essay, $CATEGORY lines and
+ * // comments. Per-answer feedback is dropped; general feedback (####) becomes content.explanation.
+ * Questions that can't be converted are reported with their line number instead of being guessed at.
+ *
+ * Format reference: https://docs.moodle.org/en/GIFT_format
+ */
+
+const DEFAULT_POINTS = 10;
+
+const BLANK = '_____';
+
+// Index of `token` in `text` from `from`, skipping backslash-escaped characters
+const findUnescaped = (text, token, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text.startsWith(token, i)) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+const unescape = (text) => text
+  .replace(/\\n/g, '\n')
+  .replace(/\\([~=#{}:\\])/g, '$1');
+
+// [html], [markdown], [plain] and [moodle] markers set the text format; only HTML needs converting
+const cleanText = (raw) => {
+  let text = raw.trim();
+  const format = text.match(/^\[(html|markdown|plain|moodle)\]/i);
+  if (format) {
+    text = text.slice(format[0].length);
+    if (format[1].toLowerCase() === 'html') {
+      text = text.replace(/<br\s*\/?>/gi, '\n').replace(/<\/p>\s*/gi, '\n').replace(/<[^>]+>/g, '');
+    }
+  }
+  return unescape(text).trim();
+};
+
+// Splits an answer block into its =/~ answers, keeping the leading marker of each
+const splitAnswers = (body) => {
+  const answers = [];
+  let current = null;
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '\\') {
+      if (current !== null) current += body.slice(i, i + 2);
+      i++;
+    } else if (char === '=' || char === '~') {
+      if (current !== null) answers.push(current);
+      current = char;
+    } else if (current !== null) {
+      current += char;
+    }
+  }
+  if (current !== null) answers.push(current);
+  return answers;
+};
+
+// "=%50%text#feedback" -> { marker, weight, raw: "text" }
+const parseAnswer = (raw) => {
+  const marker = raw[0];
+  let rest = raw.slice(1);
+  const feedbackAt = findUnescaped(rest, '#');
+  if (feedbackAt !== -1) rest = rest.slice(0, feedbackAt);
+
+  let weight = marker === '=' ? 100 : 0;
+  const weightMatch = rest.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+  if (weightMatch) {
+    weight = parseFloat(weightMatch[1]);
+    rest = rest.slice(weightMatch[0].length);
+  }
+  return { marker, weight, raw: rest };
+};
+
+const decimalsOf = (value) => (String(value).split('.')[1] || '').length;
+
+// "#3.14:0.01", "#1..5" or "#=3.14:0.01 =%50%3:0.5" -> short answer numeric answers ({ value, margin })
+const parseNumeric = (body, warnings) => {
+  const parts = body.slice(1).trim();
+  const answers = /^[=~]/.test(parts)
+    ? splitAnswers(parts).map(parseAnswer).filter(answer => answer.weight >= 100).map(answer => answer.raw.trim())
+    : [parts.split('#')[0].trim()];
+  if (/^[=~]/.test(parts) && splitAnswers(parts).length > answers.length) {
+    warnings.push('Partial-credit numeric answers were dropped');
+  }
+
+  const numeric = [];
+  for (const answer of answers) {
+    const range = answer.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+    const tolerance = answer.match(/^(-?[\d.]+)(?::([\d.]+))?$/);
+    let entry = null;
+    if (range) {
+      const min = parseFloat(range[1]);
+      const max = parseFloat(range[2]);
+      if (Number.isNaN(min) || Number.isNaN(max) || max < min) return null;
+      // The midpoint needs one more decimal than the ends, e.g. 1.5 for 1..2
+      const decimals = Math.max(decimalsOf(range[1]), decimalsOf(range[2])) + 1;
+      entry = { value: Number(((min + max) / 2).toFixed(decimals)), margin: Number(((max - min) / 2).toFixed(decimals)) };
+    } else if (tolerance) {
+      const value = parseFloat(tolerance[1]);
+      const margin = parseFloat(tolerance[2] || '0');
+      if (Number.isNaN(value) || Number.isNaN(margin)) return null;
+      entry = { value, margin };
+    } else {
+      return null;
+    }
+    if (!numeric.some(existing => existing.value === entry.value && existing.margin === entry.margin)) numeric.push(entry);
+  }
+  return numeric.length > 0 ? numeric : null;
+};
+
+// Converts one answer block; returns { questionType, content } or { error }
+const convertAnswers = (body, warnings) => {
+  const trimmed = body.trim();
+
+  if (trimmed === '') {
+    return { questionType: 'short_answer', content: { max_length: 2000, min_length: 0, case_sensitive: false, fuzzy_tolerance: 0, keywords: [] } };
+  }
+
+  if (trimmed.startsWith('#')) {
+    const numeric = parseNumeric(trimmed, warnings);
+    if (!numeric) return { error: 'Numeric answer could not be read' };
+    return {
+      questionType: 'short_answer',
+      content: { max_length: 50, min_length: 0, numeric_answers: numeric, case_sensitive: false, fuzzy_tolerance: 0, keywords: [] }
+    };
+  }
+
+  const trueFalse = trimmed.split('#')[0].trim().toUpperCase();
+  if (['T', 'TRUE', 'F', 'FALSE'].includes(trueFalse)) {
+    return {
+      questionType: 'multiple_choice_single',
+      content: {
+        options: [{ id: 'true', text: 'True' }, { id: 'false', text: 'False' }],
+        correct_answer: trueFalse.startsWith('T') ? 'true' : 'false',
+        shuffle_options: false
+      }
+    };
+  }
+
+  const answers = splitAnswers(trimmed).map(parseAnswer);
+  if (answers.length === 0) return { error: 'No answers found' };
+
+  // Matching: every answer is "=left -> right"
+  if (answers.every(answer => answer.marker === '=' && findUnescaped(answer.raw, '->') !== -1)) {
+    const leftItems = [];
+    const rightItems = [];
+    const pairs = [];
+    answers.forEach(answer => {
+      const arrow = findUnescaped(answer.raw, '->');
+      const left = cleanText(answer.raw.slice(0, arrow));
+      const right = cleanText(answer.raw.slice(arrow + 2));
+      const rightId = `R${rightItems.length + 1}`;
+      rightItems.push({ id: rightId, text: right });
+      // An empty left side adds a distractor on the right
+      if (left) {
+        const leftId = `L${leftItems.length + 1}`;
+        leftItems.push({ id: leftId, text: left });
+        pairs.push({ left: leftId, right: rightId });
+      }
+    });
+    if (leftItems.length < 2) return { error: 'Matching questions need at least two pairs' };
+    return {
+      questionType: 'matching',
+      content: { left_items: leftItems, right_items: rightItems, correct_pairs: pairs, partial_credit_strategy: 'per_pair', shuffle_items: true }
+    };
+  }
+
+  // Short answer: only "=" answers
+  if (answers.every(answer => answer.marker === '=')) {
+    const accepted = answers.filter(answer => answer.weight >= 100).map(answer => cleanText(answer.raw)).filter(Boolean);
+    if (accepted.length < answers.length) warnings.push('Partial-credit answers were dropped');
+    if (accepted.length === 0) return { error: 'No fully correct answer' };
+    return {
+      questionType: 'short_answer',
+      content: { max_length: 500, min_length: 0, accepted_answers: accepted, case_sensitive: false, fuzzy_tolerance: 0, keywords: [] }
+    };
+  }
+
+  const options = answers.map((answer, index) => ({ id: `opt${index + 1}`, text: cleanText(answer.raw) }));
+  if (options.length < 2) return { error: 'Multiple choice questions need at least two answers' };
+
+  // One "=" answer: single choice. Only weighted "~" answers: multiple answers
+  const rightAnswers = answers.filter(answer => answer.marker === '=');
+  if (rightAnswers.length === 1) {
+    if (answers.some(answer => answer.marker === '~' && answer.weight > 0)) {
+      warnings.push('Partial-credit answers are marked wrong');
+    }
+    return {
+      questionType: 'multiple_choice_single',
+      content: { options, correct_answer: options[answers.indexOf(rightAnswers[0])].id, shuffle_options: true }
+    };
+  }
+  if (rightAnswers.length > 1) return { error: 'Mixes several "=" answers with "~" answers' };
+
+  const correct = options.filter((_, index) => answers[index].weight > 0).map(option => option.id);
+  if (correct.length === 0) return { error: 'No answer has a positive weight' };
+  if (correct.length === 1) {
+    return {
+      questionType: 'multiple_choice_single',
+      content: { options, correct_answer: correct[0], shuffle_options: true }
+    };
+  }
+  // Multiple answers are graded all or nothing, which only matches the GIFT scoring when every right answer weighs the same
+  if (new Set(answers.filter(answer => answer.weight > 0).map(answer => answer.weight)).size > 1) {
+    return { error: 'Multiple answers with unequal weights cannot be graded all or nothing' };
+  }
+  return {
+    questionType: 'multiple_choice_multi',
+    content: { options, correct_answers: correct, shuffle_options: true }
+  };
+};
+
+// "$course$/Maths/Algebra" -> ["Maths", "Algebra"]
+const categoryTags = (category) => category
+  .split('/')
+  .map(part => part.trim())
+  .filter(part => part && !/^\$\w+\$$/.test(part));
+
+/**
+ * Parse GIFT text
+ * @param {string} text - contents of a .gift/.txt file
+ * @returns {{ questions: Object[], skipped: Object[], categories: string[] }}
+ *   questions - { line, title, category, warnings, question } where question is a batch import question
+ *   skipped - { line, text, reason } for each block that could not be converted
+ */
+export const parseGift = (text) => {
+  const lines = (text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  const questions = [];
+  const skipped = [];
+  const categories = [];
+  let category = '';
+  let block = [];
+  let blockStart = 0;
+
+  const flush = () => {
+    if (block.length === 0) return;
+    const source = block.join('\n');
+    const result = convertBlock(source, category);
+    if (result.error) {
+      skipped.push({ line: blockStart, text: source, reason: result.error });
+    } else {
+      questions.push({ line: blockStart, ...result });
+    }
+    block = [];
+  };
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('//')) return;
+    if (trimmed === '') {
+      flush();
+      return;
+    }
+    const categoryMatch = trimmed.match(/^\$CATEGORY:\s*(.*)$/i);
+    if (categoryMatch) {
+      flush();
+      category = categoryMatch[1].trim();
+      if (category && !categories.includes(category)) categories.push(category);
+      return;
+    }
+    if (block.length === 0) blockStart = index + 1;
+    block.push(line);
+  });
+  flush();
+
+  return { questions, skipped, categories };
+};
+
+// One question (a block of non-blank lines)
+const convertBlock = (source, category) => {
+  let rest = source.trim();
+  let title = '';
+  if (rest.startsWith('::')) {
+    const titleEnd = findUnescaped(rest, '::', 2);
+    if (titleEnd === -1) return { error: 'Unclosed ::title::' };
+    title = unescape(rest.slice(2, titleEnd)).trim();
+    rest = rest.slice(titleEnd + 2);
+  }
+
+  const open = findUnescaped(rest, '{');
+  if (open === -1) return { error: 'No answer block - descriptions are not supported' };
+  const close = findUnescaped(rest, '}', open);
+  if (close === -1) return { error: 'Unclosed answer block' };
+  if (findUnescaped(rest, '{', close) !== -1) return { error: 'More than one answer block' };
+
+  const before = rest.slice(0, open).trim();
+  const after = rest.slice(close + 1).trim();
+  // Answers in the middle of the text leave a blank where they were ("missing word" format)
+  const questionText = cleanText(after ? `${before} ${BLANK} ${after}` : before);
+  if (!questionText) return { error: 'Question text is empty' };
+
+  let body = rest.slice(open + 1, close);
+  let explanation = '';
+  const generalFeedback = findUnescaped(body, '####');
+  if (generalFeedback !== -1) {
+    explanation = cleanText(body.slice(generalFeedback + 4));
+    body = body.slice(0, generalFeedback);
+  }
+
+  const warnings = [];
+  const converted = convertAnswers(body, warnings);
+  if (converted.error) return converted;
+
+  const tags = categoryTags(category);
+  const question = {
+    questionType: converted.questionType,
+    questionText,
+    difficulty: 'medium',
+    points: DEFAULT_POINTS,
+    content: explanation ? { ...converted.content, explanation } : converted.content
+  };
+  if (tags.length > 0) question.tags = tags;
+
+  return { title, category, warnings, question };
+};
@@ -0,0 +1,112 @@
+/**
+ * Gradebook exports
+ * Turns GET /assignments/gradebook rows into a student x quiz matrix, and one assignment's attempts
+ * into question-level rows, ready for downloadSpreadsheet().
+ */
+
+export const SCORE_MODES = [
+  { value: 'best', label: 'Best score', field: 'bestScore' },
+  { value: 'latest', label: 'Latest score', field: 'latestScore' },
+  { value: 'average', label: 'Average score', field: 'averageScore' }
+];
+
+const formatExportDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+const formatAttempts = (attemptsUsed, maxAttempts) =>
+  (maxAttempts ? `${attemptsUsed}/${maxAttempts}` : attemptsUsed);
+
+const studentName = (entry) =>
+  `${entry.userFirstName || ''} ${entry.userLastName || ''}`.trim() || entry.userEmail || entry.userId;
+
+/**
+ * One row per student, four columns per quiz (score %, attempts, completed date, status).
+ * A student reassigned the same quiz is shown with their most recent assignment.
+ */
+export const buildGradebookRows = (entries, scoreMode = 'best') => {
+  const scoreField = (SCORE_MODES.find(m => m.value === scoreMode) || SCORE_MODES[0]).field;
+
+  const quizzes = new Map();
+  const students = new Map();
+  entries.forEach(entry => {
+    quizzes.set(entry.quizId, entry.quizTitle);
+    if (!students.has(entry.userId)) {
+      students.set(entry.userId, { name: studentName(entry), email: entry.userEmail || '', byQuiz: {} });
+    }
+    const current = students.get(entry.userId).byQuiz[entry.quizId];
+    if (!current || new Date(entry.assignedAt) > new Date(current.assignedAt)) {
+      students.get(entry.userId).byQuiz[entry.quizId] = entry;
+    }
+  });
+
+  const quizIds = [...quizzes.keys()].sort((a, b) => quizzes.get(a).localeCompare(quizzes.get(b)));
+
+  const header = ['Student', 'Email'];
+  quizIds.forEach(quizId => {
+    const title = quizzes.get(quizId);
+    header.push(`${title} - Score (%)`, `${title} - Attempts`, `${title} - Completed`, `${title} - Status`);
+  });
+
+  const rows = [...students.values()]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(student => [
+      student.name,
+      student.email,
+      ...quizIds.flatMap(quizId => {
+        const entry = student.byQuiz[quizId];
+        if (!entry) return [null, null, null, null];
+        return [
+          toNumber(entry[scoreField]),
+          formatAttempts(entry.attemptsUsed, entry.maxAttempts),
+          formatExportDate(entry.completedAt),
+          entry.status
+        ];
+      })
+    ]);
+
+  return [header, ...rows];
+};
+
+/**
+ * One row per question of each attempt, with the points earned on it, followed by the attempt total.
+ * @param {Array} questions - quiz questions in quiz order
+ * @param {Array} attempts - the assignment's attempts, oldest first
+ * @param {Object} responsesByAttempt - attemptId -> responses
+ */
+export const buildAssignmentRows = (questions, attempts, responsesByAttempt) => {
+  const header = ['Attempt', 'Completed', 'Question #', 'Question', 'Points Earned', 'Points Possible', 'Correct', 'Graded'];
+  const rows = [];
+
+  attempts.forEach((attempt, aIndex) => {
+    const responses = responsesByAttempt[attempt.attemptId] || [];
+    questions.forEach((question, qIndex) => {
+      const questionId = question.question_id || question.questionId || question.id;
+      const response = responses.find(r => r.questionId === questionId);
+      rows.push([
+        aIndex + 1,
+        formatExportDate(attempt.completedAt),
+        qIndex + 1,
+        question.questionText || question.content?.text || '',
+        response ? toNumber(response.pointsEarned) : null,
+        toNumber(response?.pointsPossible ?? question.points),
+        response?.isCorrect === true ? 'Yes' : response?.isCorrect === false ? 'No' : '',
+        !response ? 'Not answered' : response.gradedAt ? 'Yes' : 'Pending'
+      ]);
+    });
+    rows.push([
+      aIndex + 1,
+      formatExportDate(attempt.completedAt),
+      null,
+      'Total',
+      toNumber(attempt.totalScore),
+      toNumber(attempt.maxPossibleScore),
+      attempt.scorePercentage !== null && attempt.scorePercentage !== undefined
+        ? `${Number(attempt.scorePercentage).toFixed(1)}%`
+        : '',
+      attempt.status
+    ]);
+  });
+
+  return [header, ...rows];
+};
@@ -0,0 +1,1043 @@
+/**
+ * QTI import and export
+ * Converts quizzes to and from IMS QTI 2.1 / 3.0 content packages: a zip with imsmanifest.xml,
+ * one assessmentTest and one assessmentItem file per question.
+ *
+ *   choiceInteraction        multiple_choice_single / multiple_choice_multi
+ *   orderInteraction         ordering
+ *   matchInteraction         matching
+ *   textEntryInteraction     fill_in_blank (one per blank), or short_answer when it stands alone
+ *                            (float responses become numeric answers with their tolerance)
+ *   gapMatchInteraction      fill_in_blank_drag_drop
+ *   extendedTextInteraction  short_answer without accepted answers (graded manually)
+ *
+ * Exported items score the way our grader does: SCORE is MAXSCORE (the question's points) when
+ * the whole response is correct and 0 otherwise. content.explanation becomes modal feedback, and
+ * media slots become <img>/<object> elements with a qz-media-<slot> class. Settings QTI has no
+ * place for (partial credit strategy, fuzzy tolerance, hint penalty) are kept as qz-* class tokens,
+ * so a package exported here imports back unchanged. Other packages are read as far as they map
+ * onto our question types; anything else is reported per item instead of being guessed at.
+ *
+ * Spec: https://www.imsglobal.org/question/index.html
+ */
+
+import { BLANK_PLACEHOLDER, countBlanks, normalizeQuestionContent } from './questionContent';
+import { MEDIA_SLOTS, getOptionImage, getQuestionMedia, normalizeMediaAsset } from './questionMedia';
+import { unzip, zipStore } from './zip';
+import { escapeXml } from './xml';
+
+const DEFAULT_POINTS = 10;
+
+export const QTI_VERSIONS = [
+  { value: '2.1', label: 'QTI 2.1' },
+  { value: '3.0', label: 'QTI 3.0' }
+];
+
+const PACKAGE_SETTINGS = {
+  '2.1': {
+    namespace: 'http://www.imsglobal.org/xsd/imsqti_v2p1',
+    schemaLocation: 'http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1p2.xsd',
+    manifestNamespace: 'http://www.imsglobal.org/xsd/imscp_v1p1',
+    schemaVersion: '2.1',
+    testType: 'imsqti_test_xmlv2p1',
+    itemType: 'imsqti_item_xmlv2p1'
+  },
+  '3.0': {
+    namespace: 'http://www.imsglobal.org/xsd/imsqtiasi_v3p0',
+    schemaLocation: 'http://www.imsglobal.org/xsd/imsqtiasi_v3p0 https://purl.imsglobal.org/spec/qti/v3p0/schema/xsd/imsqti_asiv3p0_v1p0.xsd',
+    manifestNamespace: 'http://www.imsglobal.org/xsd/qti/qtiv3p0/imscp_v1p1',
+    schemaVersion: '3.0.0',
+    testType: 'imsqti_test_xmlv3p0',
+    itemType: 'imsqti_item_xmlv3p0'
+  }
+};
+
+// Shown with the question; the hint image and tutorial video go with the feedback so they aren't revealed up front
+const BODY_MEDIA_SLOTS = ['questionImage', 'questionAudio', 'questionVideo', 'referenceImage'];
+const FEEDBACK_MEDIA_SLOTS = ['hintImage', 'tutorialVideo'];
+
+const kebabCase = (name) => name.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+// XHTML elements keep their names in both versions; every other element is a QTI element
+const HTML_ELEMENTS = new Set(['p', 'div', 'span', 'br', 'img', 'object', 'pre', 'code']);
+// Written on one line so no indentation ends up inside the text
+const INLINE_ELEMENTS = new Set(['p', 'pre', 'code', 'span']);
+
+const el = (name, attrs = {}, ...children) => ({
+  name,
+  attrs,
+  children: children.flat().filter(child => child !== null && child !== undefined && child !== false && child !== '')
+});
+
+// QTI 3.0 names are the 2.1 names in kebab-case with a qti- prefix on elements
+const serialize = (node, qti3, indent = null) => {
+  if (typeof node !== 'object') return escapeXml(node);
+
+  const qtiElement = qti3 && !HTML_ELEMENTS.has(node.name);
+  const name = qtiElement ? `qti-${kebabCase(node.name)}` : node.name;
+  const attrs = Object.entries(node.attrs)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${qtiElement && !key.includes(':') ? kebabCase(key) : key}="${escapeXml(value)}"`)
+    .join('');
+
+  if (node.children.length === 0) return `<${name}${attrs}/>`;
+  if (indent === null || INLINE_ELEMENTS.has(node.name) || node.children.some(child => typeof child !== 'object')) {
+    return `<${name}${attrs}>${node.children.map(child => serialize(child, qti3)).join('')}</${name}>`;
+  }
+  const inner = `${indent}  `;
+  return `<${name}${attrs}>${node.children.map(child => `\n${inner}${serialize(child, qti3, inner)}`).join('')}\n${indent}</${name}>`;
+};
+
+const toXml = (root, qti3) => `<?xml version="1.0" encoding="UTF-8"?>\n${serialize(root, qti3, '')}\n`;
+
+// Inline `code` becomes <code>; in templates `blank` supplies the interaction for each ___
+const inlineNodes = (text, blank) => (blank ? text.split(BLANK_PLACEHOLDER) : [text]).flatMap((part, index) => [
+  index > 0 ? blank() : null,
+  ...part.split(/(`[^`\n]+`)/).map(piece => (/^`[^`\n]+`$/.test(piece) ? el('code', {}, piece.slice(1, -1)) : piece))
+]);
+
+const paragraphs = (text, blank) => text.split(/\n\s*\n/)
+  .map(paragraph => paragraph.trim())
+  .filter(Boolean)
+  .map(paragraph => el('p', {}, paragraph.split('\n').flatMap((line, index) => [index > 0 ? el('br') : null, ...inlineNodes(line, blank)])));
+
+const CODE_FENCE = /```(\w*)\n?([\s\S]*?)```/g;
+
+// Question text as XHTML: blank-line separated paragraphs, <br/> line breaks and ``` fences as <pre><code>
+const textBlocks = (text, blank) => {
+  const source = text || '';
+  const blocks = [];
+  let last = 0;
+  for (const match of source.matchAll(CODE_FENCE)) {
+    blocks.push(...paragraphs(source.slice(last, match.index), blank));
+    const code = match[2].replace(/\n$/, '');
+    const codeNodes = blank ? code.split(BLANK_PLACEHOLDER).flatMap((part, index) => [index > 0 ? blank() : null, part]) : [code];
+    blocks.push(el('pre', {}, el('code', { class: match[1] ? `language-${match[1]}` : undefined }, codeNodes)));
+    last = match.index + match[0].length;
+  }
+  blocks.push(...paragraphs(source.slice(last), blank));
+  return blocks;
+};
+
+const MIME_TYPES = {
+  mp3: 'audio/mpeg', m4a: 'audio/mp4', wav: 'audio/wav', ogg: 'audio/ogg', oga: 'audio/ogg',
+  mp4: 'video/mp4', m4v: 'video/mp4', webm: 'video/webm', ogv: 'video/ogg', mov: 'video/quicktime'
+};
+
+const mimeType = (url, kind) => {
+  const extension = (url.split(/[?#]/)[0].match(/\.(\w+)$/)?.[1] || '').toLowerCase();
+  return MIME_TYPES[extension] || (kind === 'audio' ? 'audio/mpeg' : 'video/mp4');
+};
+
+// <img> for images; <object> with the alt text as its fallback content for audio and video
+const mediaNode = (asset, kind, className) => {
+  const size = { width: asset.width, height: asset.height };
+  if (kind === 'image') return el('img', { src: asset.url, alt: asset.altText || '', ...size, class: className });
+  return el('object', { data: asset.url, type: mimeType(asset.url, kind), ...size, class: className }, asset.altText || '');
+};
+
+const mediaBlocks = (media, slots) => slots
+  .filter(key => media[key])
+  .map(key => el('div', {}, mediaNode(media[key], MEDIA_SLOTS.find(slot => slot.key === key).kind, `qz-media-${key}`)));
+
+// Content of a choice: its image/audio, then the text
+const entryNodes = (text, image, audio) => [
+  image && mediaNode(image, 'image'),
+  audio && mediaNode(audio, 'audio'),
+  ...inlineNodes(text || '')
+];
+
+// QTI identifiers start with a letter or underscore and contain only letters, digits, _ . and -
+const identifierMap = (entries, prefix, used = new Set()) => {
+  const map = new Map();
+  entries.forEach(entry => {
+    let id = String(entry.id).replace(/[^\w.-]/g, '_');
+    if (!/^[A-Za-z_]/.test(id)) id = `${prefix}${id}`;
+    while (used.has(id)) id = `${id}_`;
+    used.add(id);
+    map.set(String(entry.id), id);
+  });
+  return map;
+};
+
+// Accepted answers without duplicates; QTI doesn't allow the same mapKey twice
+const uniqueAnswers = (answers, caseSensitive) => {
+  const seen = new Set();
+  return (answers || []).map(answer => String(answer).trim()).filter(answer => {
+    const key = caseSensitive ? answer : answer.toLowerCase();
+    if (!answer || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const responseDeclaration = (identifier, cardinality, baseType, correctValues, mapEntries) => el(
+  'responseDeclaration',
+  { identifier, cardinality, baseType },
+  correctValues.length > 0 && el('correctResponse', {}, correctValues.map(value => el('value', {}, value))),
+  mapEntries && el('mapping', { defaultValue: '0' }, mapEntries)
+);
+
+const textMapEntries = (answers, caseSensitive) => answers.map(answer => el('mapEntry', {
+  mapKey: answer,
+  mappedValue: '1',
+  caseSensitive: String(!!caseSensitive)
+}));
+
+const variable = (identifier) => el('variable', { identifier });
+const baseValue = (baseType, value) => el('baseValue', { baseType }, String(value));
+const matchesCorrect = (identifier) => el('match', {}, variable(identifier), el('correct', { identifier }));
+const mappedAtLeast = (identifier, total) => el('gte', {}, el('mapResponse', { identifier }), baseValue('float', total));
+
+// SCORE is MAXSCORE when `condition` holds and 0 otherwise, like our grader
+const allOrNothing = (condition) => el('responseCondition', {},
+  el('responseIf', {}, condition, el('setOutcomeValue', { identifier: 'SCORE' }, variable('MAXSCORE'))),
+  el('responseElse', {}, el('setOutcomeValue', { identifier: 'SCORE' }, baseValue('float', 0)))
+);
+
+const settingClasses = (content, ...tokens) => {
+  const classes = tokens.filter(Boolean);
+  if (Number(content.hint_penalty) > 0) classes.push(`qz-hint-penalty-${Number(content.hint_penalty)}`);
+  return classes.length > 0 ? classes.join(' ') : undefined;
+};
+
+// Manually graded text response; there is nothing for response processing to score
+const openResponse = (content, warnings) => {
+  if (content.keywords?.length > 0) warnings.push('Grading keywords are not exported');
+  return {
+    responses: [responseDeclaration('RESPONSE', 'single', 'string', [])],
+    body: [el('extendedTextInteraction', {
+      responseIdentifier: 'RESPONSE',
+      expectedLength: content.max_length,
+      class: settingClasses(content, 'qz-short-answer')
+    })],
+    condition: null
+  };
+};
+
+/**
+ * Response declarations, interaction markup and the "fully correct" condition for one question
+ * @returns {{ responses, body, condition } | { error: string }}
+ */
+const buildInteraction = (question, warnings) => {
+  const { content } = question;
+
+  switch (question.questionType) {
+    case 'multiple_choice_single':
+    case 'multiple_choice_multi': {
+      const single = question.questionType === 'multiple_choice_single';
+      const ids = identifierMap(content.options, 'C');
+      const correct = (single ? [content.correct_answer] : content.correct_answers).map(String).filter(id => ids.has(id));
+      if (correct.length === 0) return { error: 'No correct answer is set' };
+      return {
+        responses: [responseDeclaration('RESPONSE', single ? 'single' : 'multiple', 'identifier', correct.map(id => ids.get(id)))],
+        body: [el('choiceInteraction', {
+          responseIdentifier: 'RESPONSE',
+          shuffle: String(!!content.shuffle_options),
+          maxChoices: single ? '1' : '0',
+          class: settingClasses(content)
+        }, content.options.map(option => el(
+          'simpleChoice',
+          { identifier: ids.get(String(option.id)) },
+          entryNodes(option.text, getOptionImage(question, option))
+        )))],
+        condition: matchesCorrect('RESPONSE')
+      };
+    }
+
+    case 'ordering': {
+      const ids = identifierMap(content.items, 'I');
+      return {
+        responses: [responseDeclaration('RESPONSE', 'ordered', 'identifier', content.correct_order.filter(id => ids.has(id)).map(id => ids.get(id)))],
+        body: [el('orderInteraction', {
+          responseIdentifier: 'RESPONSE',
+          shuffle: 'true',
+          class: settingClasses(content, `qz-partial-${content.partial_credit_strategy}`)
+        }, content.items.map(item => el(
+          'simpleChoice',
+          { identifier: ids.get(String(item.id)) },
+          entryNodes(item.text, normalizeMediaAsset(item.image), normalizeMediaAsset(item.audio))
+        )))],
+        condition: matchesCorrect('RESPONSE')
+      };
+    }
+
+    case 'matching': {
+      const used = new Set();
+      const leftIds = identifierMap(content.left_items, 'L', used);
+      const rightIds = identifierMap(content.right_items, 'R', used);
+      const pairs = content.correct_pairs.filter(pair => leftIds.has(pair.left) && rightIds.has(pair.right));
+      const matchSet = (items, ids, matchMax) => el('simpleMatchSet', {}, items.map(item => el(
+        'simpleAssociableChoice',
+        { identifier: ids.get(String(item.id)), matchMax: String(matchMax(item)) },
+        entryNodes(item.text, normalizeMediaAsset(item.image), normalizeMediaAsset(item.audio))
+      )));
+      return {
+        responses: [responseDeclaration('RESPONSE', 'multiple', 'directedPair', pairs.map(pair => `${leftIds.get(pair.left)} ${rightIds.get(pair.right)}`))],
+        body: [el('matchInteraction', {
+          responseIdentifier: 'RESPONSE',
+          shuffle: String(!!content.shuffle_items),
+          maxAssociations: String(content.left_items.length),
+          class: settingClasses(content, `qz-partial-${content.partial_credit_strategy}`)
+        },
+        matchSet(content.left_items, leftIds, () => 1),
+        // A right item can be the answer for several left items
+        matchSet(content.right_items, rightIds, item => Math.max(1, pairs.filter(pair => pair.right === String(item.id)).length)))],
+        condition: matchesCorrect('RESPONSE')
+      };
+    }
+
+    case 'fill_in_blank': {
+      const blanks = [...content.blanks].sort((a, b) => a.position - b.position);
+      if (countBlanks(content.template) !== blanks.length) return { error: 'The template and the blank list have a different number of blanks' };
+      const accepted = blanks.map(blank => uniqueAnswers(blank.accepted_answers, blank.case_sensitive));
+      const missing = accepted.findIndex(answers => answers.length === 0);
+      if (missing !== -1) return { error: `Blank ${missing + 1} has no accepted answers` };
+
+      let n = 0;
+      const template = textBlocks(content.template, () => {
+        n++;
+        return el('textEntryInteraction', {
+          responseIdentifier: `RESPONSE_${n}`,
+          expectedLength: String(Math.max(...accepted[n - 1].map(answer => answer.length))),
+          placeholderText: blanks[n - 1].hint || undefined
+        });
+      });
+      return {
+        responses: blanks.map((blank, index) => responseDeclaration(
+          `RESPONSE_${index + 1}`, 'single', 'string', accepted[index].slice(0, 1), textMapEntries(accepted[index], blank.case_sensitive)
+        )),
+        body: [el('div', { class: settingClasses(content, 'qz-template') }, template)],
+        condition: el('and', {}, blanks.map((_, index) => mappedAtLeast(`RESPONSE_${index + 1}`, 1)))
+      };
+    }
+
+    case 'fill_in_blank_drag_drop': {
+      const blanks = [...content.blanks].sort((a, b) => a.position - b.position);
+      if (countBlanks(content.template) !== blanks.length) return { error: 'The template and the blank list have a different number of blanks' };
+      const used = new Set();
+      const wordIds = identifierMap(content.word_bank, 'W', used);
+      const gapIds = identifierMap(blanks.map((_, index) => ({ id: `G${index + 1}` })), 'G', used);
+      const accepted = blanks.map(blank => blank.accepted_answers.map(String).filter(id => wordIds.has(id)).map(id => wordIds.get(id)));
+      const missing = accepted.findIndex(answers => answers.length === 0);
+      if (missing !== -1) return { error: `Blank ${missing + 1} has no accepted word` };
+      if (blanks.some(blank => blank.hint)) warnings.push('Blank hints are not exported');
+
+      let n = 0;
+      const template = textBlocks(content.template, () => {
+        n++;
+        return el('gap', { identifier: gapIds.get(`G${n}`) });
+      });
+      const pairsFor = (index) => accepted[index].map(wordId => `${wordId} ${gapIds.get(`G${index + 1}`)}`);
+      return {
+        responses: [responseDeclaration(
+          'RESPONSE', 'multiple', 'directedPair',
+          blanks.map((_, index) => pairsFor(index)[0]),
+          blanks.flatMap((_, index) => pairsFor(index)).map(pair => el('mapEntry', { mapKey: pair, mappedValue: '1' }))
+        )],
+        body: [el('gapMatchInteraction', { responseIdentifier: 'RESPONSE', shuffle: 'false', class: settingClasses(content) },
+          content.word_bank.map(word => el('gapText', { identifier: wordIds.get(String(word.id)), matchMax: content.allow_reuse ? '0' : '1' }, word.text)),
+          template)],
+        // Each gap holds one word, so the mapped total only reaches the gap count when every gap is right
+        condition: mappedAtLeast('RESPONSE', blanks.length)
+      };
+    }
+
+    case 'short_answer': {
+      const numeric = content.numeric_answers || [];
+      if (numeric.length > 0) {
+        if ((content.accepted_answers || []).length > 0) warnings.push('Text answers are not exported alongside numeric answers');
+        // A float response scored with an absolute tolerance, which other platforms grade the same way
+        const matches = numeric.map(answer => el('equal', { toleranceMode: 'absolute', tolerance: `${answer.margin} ${answer.margin}` },
+          variable('RESPONSE'), baseValue('float', answer.value)));
+        return {
+          responses: [responseDeclaration('RESPONSE', 'single', 'float', [String(numeric[0].value)])],
+          body: [el('p', {}, el('textEntryInteraction', {
+            responseIdentifier: 'RESPONSE',
+            expectedLength: content.max_length,
+            class: settingClasses(content, 'qz-short-answer')
+          }))],
+          condition: matches.length === 1 ? matches[0] : el('or', {}, matches)
+        };
+      }
+
+      const accepted = uniqueAnswers(content.accepted_answers, content.case_sensitive);
+      if (accepted.length === 0) return openResponse(content, warnings);
+      return {
+        responses: [responseDeclaration('RESPONSE', 'single', 'string', accepted.slice(0, 1), textMapEntries(accepted, content.case_sensitive))],
+        body: [el('p', {}, el('textEntryInteraction', {
+          responseIdentifier: 'RESPONSE',
+          expectedLength: content.max_length,
+          class: settingClasses(content, 'qz-short-answer', content.fuzzy_tolerance > 0 && `qz-fuzzy-${content.fuzzy_tolerance}`)
+        }))],
+        condition: mappedAtLeast('RESPONSE', 1)
+      };
+    }
+
+    case 'program_submission': {
+      warnings.push('Exported as a manually graded text response without its test cases');
+      const open = openResponse({ ...content, max_length: undefined }, warnings);
+      const starter = content.starter_code && el('pre', {}, el('code', { class: `language-${content.language}` }, content.starter_code));
+      return { ...open, body: [...textBlocks(content.prompt), starter, ...open.body] };
+    }
+
+    default:
+      return { error: `${question.questionType} questions can't be exported` };
+  }
+};
+
+// Single-line item title from the question text
+const itemTitle = (text) => (text || '').replace(/```[\s\S]*?```/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 80) || 'Question';
+
+const buildItem = (question, identifier, settings, qti3, warnings) => {
+  const content = normalizeQuestionContent(question.questionType, question.content || {});
+  const normalized = { ...question, content };
+  const interaction = buildInteraction(normalized, warnings);
+  if (interaction.error) return interaction;
+
+  const media = getQuestionMedia(normalized);
+  if (MEDIA_SLOTS.some(({ key }) => media[key]?.transcript || media[key]?.captions)) {
+    warnings.push('Media transcripts and captions are not exported');
+  }
+  if (content.rubric) warnings.push('The rubric is not exported');
+
+  const points = Number(question.points ?? DEFAULT_POINTS);
+  const feedback = [...textBlocks(content.explanation), ...mediaBlocks(media, FEEDBACK_MEDIA_SLOTS)];
+  const processing = [
+    interaction.condition && allOrNothing(interaction.condition),
+    feedback.length > 0 && el('setOutcomeValue', { identifier: 'FEEDBACK' }, baseValue('identifier', 'EXPLANATION'))
+  ].filter(Boolean);
+
+  return el('assessmentItem', {
+    xmlns: settings.namespace,
+    'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+    'xsi:schemaLocation': settings.schemaLocation,
+    identifier,
+    title: itemTitle(question.questionText),
+    adaptive: 'false',
+    timeDependent: 'false',
+    'xml:lang': question.locale || undefined
+  },
+  interaction.responses,
+  el('outcomeDeclaration', { identifier: 'SCORE', cardinality: 'single', baseType: 'float', normalMaximum: String(points) },
+    el('defaultValue', {}, el('value', {}, '0'))),
+  el('outcomeDeclaration', { identifier: 'MAXSCORE', cardinality: 'single', baseType: 'float' },
+    el('defaultValue', {}, el('value', {}, String(points)))),
+  feedback.length > 0 && el('outcomeDeclaration', { identifier: 'FEEDBACK', cardinality: 'single', baseType: 'identifier' }),
+  el('itemBody', {}, textBlocks(question.questionText), mediaBlocks(media, BODY_MEDIA_SLOTS), interaction.body),
+  processing.length > 0 && el('responseProcessing', {}, processing),
+  feedback.length > 0 && el('modalFeedback', { outcomeIdentifier: 'FEEDBACK', identifier: 'EXPLANATION', showHide: 'show', title: 'Explanation' },
+    // QTI 3.0 wraps feedback content in qti-content-body
+    qti3 ? el('contentBody', {}, feedback) : feedback));
+};
+
+const buildTest = (quiz, itemRefs, settings, qti3) => {
+  const description = textBlocks(quiz.description);
+  return el('assessmentTest', {
+    xmlns: settings.namespace,
+    'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+    'xsi:schemaLocation': settings.schemaLocation,
+    identifier: 'quiz',
+    title: quiz.title || 'Quiz'
+  },
+  el('outcomeDeclaration', { identifier: 'SCORE', cardinality: 'single', baseType: 'float' }),
+  quiz.timeLimitMinutes > 0 && el('timeLimits', { maxTime: String(quiz.timeLimitMinutes * 60) }),
+  el('testPart', { identifier: 'part1', navigationMode: 'nonlinear', submissionMode: 'simultaneous' },
+    el('assessmentSection', { identifier: 'section1', title: quiz.title || 'Quiz', visible: 'true' },
+      quiz.shuffleQuestions && el('ordering', { shuffle: 'true' }),
+      description.length > 0 && el('rubricBlock', { view: 'candidate' }, qti3 ? el('contentBody', {}, description) : description),
+      itemRefs.map(ref => el('assessmentItemRef', { identifier: ref.identifier, href: ref.href })))),
+  el('outcomeProcessing', {},
+    el('setOutcomeValue', { identifier: 'SCORE' }, el('sum', {}, el('testVariables', { variableIdentifier: 'SCORE' })))));
+};
+
+const buildManifest = (testHref, itemRefs, settings) => el('manifest', { xmlns: settings.manifestNamespace, identifier: 'MANIFEST-1' },
+  el('metadata', {}, el('schema', {}, 'QTI Package'), el('schemaversion', {}, settings.schemaVersion)),
+  el('organizations'),
+  el('resources', {},
+    el('resource', { identifier: 'RES-TEST', type: settings.testType, href: testHref },
+      el('file', { href: testHref }),
+      itemRefs.map(ref => el('dependency', { identifierref: `RES-${ref.identifier}` }))),
+    itemRefs.map(ref => el('resource', { identifier: `RES-${ref.identifier}`, type: settings.itemType, href: ref.href },
+      el('file', { href: ref.href })))));
+
+/**
+ * Build a QTI content package for a quiz
+ * Media stays as links to its current URLs; files are not copied into the package.
+ * @param {Object} quiz - Quiz from quizApi.getQuizById
+ * @param {Object[]} questions - Questions with content, in quiz order (quizApi.getQuizQuestions)
+ * @param {'2.1'|'3.0'} version
+ * @returns {{ blob: Blob, exported: number, warnings: string[] }} the zip, how many questions it
+ *   holds, and what was left out ("Question 3: ...")
+ */
+export const buildQtiPackage = (quiz, questions, version = '2.1') => {
+  const settings = PACKAGE_SETTINGS[version];
+  const qti3 = version === '3.0';
+  const files = {};
+  const itemRefs = [];
+  const warnings = [];
+
+  questions.forEach((question, index) => {
+    const itemWarnings = [];
+    const identifier = `item${index + 1}`;
+    const item = buildItem(question, identifier, settings, qti3, itemWarnings);
+    if (item.error) {
+      warnings.push(`Question ${index + 1}: ${item.error} - not exported`);
+      return;
+    }
+    const href = `items/${identifier}.xml`;
+    files[href] = toXml(item, qti3);
+    itemRefs.push({ identifier, href });
+    itemWarnings.forEach(warning => warnings.push(`Question ${index + 1}: ${warning}`));
+  });
+
+  files['test.xml'] = toXml(buildTest(quiz, itemRefs, settings, qti3), qti3);
+  files['imsmanifest.xml'] = toXml(buildManifest('test.xml', itemRefs, settings), false);
+
+  return {
+    blob: new Blob(zipStore(files), { type: 'application/zip' }),
+    exported: itemRefs.length,
+    warnings
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+// qti-simple-choice (3.0) -> simpleChoice (2.1), so one reader handles both versions
+const qtiName = (node) => node.localName.replace(/^qti-/, '').replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+
+const attr = (node, name) => node.getAttribute(name) ?? node.getAttribute(kebabCase(name));
+
+const elements = (node) => Array.from(node.childNodes).filter(child => child.nodeType === 1);
+
+// Descendants matching a (2.1) element name or a predicate
+const findAll = (node, test) => {
+  if (!node) return [];
+  const matches = typeof test === 'string' ? (child => qtiName(child) === test) : test;
+  return elements(node).flatMap(child => [...(matches(child) ? [child] : []), ...findAll(child, test)]);
+};
+
+const findFirst = (node, test) => findAll(node, test)[0] || null;
+
+const classTokens = (node) => (node.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+
+// endAttemptInteraction is a "show hint" button, not something to answer
+const isInteraction = (node) => qtiName(node).endsWith('Interaction') && qtiName(node) !== 'endAttemptInteraction';
+
+const CHOICE_ELEMENTS = new Set(['simpleChoice', 'simpleAssociableChoice', 'gapText']);
+const MEDIA_ELEMENTS = new Set(['img', 'object', 'audio', 'video']);
+const BLOCK_ELEMENTS = new Set(['p', 'div', 'ul', 'ol', 'li', 'table', 'tr', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'contentBody']);
+const SKIPPED_ELEMENTS = new Set([
+  ...MEDIA_ELEMENTS, 'prompt', 'gapText', 'feedbackInline', 'feedbackBlock', 'rubricBlock', 'templateBlock', 'templateInline'
+]);
+
+const BREAK = '\u0000';
+
+/**
+ * Plain text of XHTML content, the reverse of textBlocks(): blocks are separated by blank lines,
+ * <pre> becomes a ``` fence and inline <code> gets backticks. `replace` may return the text for an
+ * element (e.g. ___ for a gap); undefined falls back to the default handling.
+ */
+const toText = (node, replace = () => undefined) => {
+  const walk = (current, inPre) => Array.from(current.childNodes).map(child => {
+    if (child.nodeType === 3 || child.nodeType === 4) return inPre ? child.nodeValue : child.nodeValue.replace(/\s+/g, ' ');
+    if (child.nodeType !== 1) return '';
+    const replaced = replace(child);
+    if (replaced !== undefined) return replaced;
+
+    const name = qtiName(child);
+    if (SKIPPED_ELEMENTS.has(name)) return '';
+    if (name === 'br') return '\n';
+    if (name === 'pre') {
+      const language = classTokens(findFirst(child, 'code') || child).find(token => token.startsWith('language-'))?.slice(9) || '';
+      return `${BREAK}\`\`\`${language}\n${walk(child, true).replace(/\n$/, '')}\n\`\`\`${BREAK}`;
+    }
+    if (name === 'code' && !inPre) return `\`${walk(child, false)}\``;
+    const inner = walk(child, inPre);
+    return BLOCK_ELEMENTS.has(name) || isInteraction(child) ? `${BREAK}${inner}${BREAK}` : inner;
+  }).join('');
+
+  return walk(node, false)
+    .split(BREAK)
+    .map(part => (part.startsWith('```') ? part : part.replace(/ *\n */g, '\n').trim()))
+    .filter(Boolean)
+    // Fences sit on their own lines; other blocks are separated by a blank line
+    .reduce((text, part) => (text ? `${text}${part.startsWith('```') || text.endsWith('```') ? '\n' : '\n\n'}${part}` : part), '');
+};
+
+// Media elements outside choices (choices keep their own images)
+const mediaElements = (node) => elements(node).flatMap(child => {
+  const name = qtiName(child);
+  if (MEDIA_ELEMENTS.has(name)) return [child];
+  return CHOICE_ELEMENTS.has(name) ? [] : mediaElements(child);
+});
+
+// { kind, asset } for an <img>, <object>, <audio> or <video>
+const readMedia = (node) => {
+  const name = qtiName(node);
+  const asset = {};
+  ['width', 'height'].forEach(key => {
+    if (Number(node.getAttribute(key)) > 0) asset[key] = Number(node.getAttribute(key));
+  });
+  if (name === 'img') {
+    return { kind: 'image', asset: { url: node.getAttribute('src') || '', altText: node.getAttribute('alt') || '', ...asset } };
+  }
+  if (name === 'object') {
+    const kind = (node.getAttribute('type') || '').split('/')[0];
+    return {
+      kind: ['image', 'audio', 'video'].includes(kind) ? kind : 'video',
+      asset: { url: node.getAttribute('data') || '', altText: toText(node), ...asset }
+    };
+  }
+  const url = node.getAttribute('src') || findFirst(node, 'source')?.getAttribute('src') || '';
+  return { kind: name, asset: { url, altText: '', ...asset } };
+};
+
+const isPackageFile = (url) => !/^([a-z][\w+.-]*:|\/)/i.test(url);
+
+// Media slots from qz-media-<slot> classes; unmarked media fills the first free slot of its kind
+const readItemMedia = (body, feedbacks, warnings) => {
+  const media = {};
+  const place = (node, inFeedback) => {
+    const { kind, asset } = readMedia(node);
+    if (!asset.url) return;
+    if (isPackageFile(asset.url)) warnings.push(`${asset.url} is a file inside the package; upload it and update the link`);
+
+    const marked = classTokens(node).find(token => token.startsWith('qz-media-'))?.slice(9);
+    const candidates = inFeedback
+      ? MEDIA_SLOTS.filter(slot => FEEDBACK_MEDIA_SLOTS.includes(slot.key))
+      : MEDIA_SLOTS.filter(slot => BODY_MEDIA_SLOTS.includes(slot.key));
+    const slot = MEDIA_SLOTS.find(entry => entry.key === marked)
+      || candidates.find(entry => entry.kind === kind && !media[entry.key]);
+    if (slot) {
+      media[slot.key] = asset;
+    } else {
+      warnings.push(`Extra ${kind} ${asset.url} was left out`);
+    }
+  };
+  mediaElements(body).forEach(node => place(node, false));
+  feedbacks.forEach(feedback => mediaElements(feedback).forEach(node => place(node, true)));
+  return media;
+};
+
+// { id, text, image, audio } for a simpleChoice / simpleAssociableChoice
+const readEntry = (node) => {
+  const media = elements(node).filter(child => MEDIA_ELEMENTS.has(qtiName(child))).map(readMedia).filter(entry => entry.asset.url);
+  return {
+    id: attr(node, 'identifier'),
+    text: toText(node),
+    image: media.find(entry => entry.kind === 'image')?.asset,
+    audio: media.find(entry => entry.kind === 'audio')?.asset
+  };
+};
+
+// Ordering and matching items keep plain image/audio URLs
+const itemFields = ({ id, text, image, audio }) => ({
+  id,
+  text,
+  ...(image && { image: image.url }),
+  ...(audio && { audio: audio.url })
+});
+
+const valuesOf = (node) => findAll(node, 'value').map(value => value.textContent.trim()).filter(Boolean);
+
+const mapEntriesOf = (declaration) => findAll(declaration, 'mapEntry').map(entry => ({
+  key: attr(entry, 'mapKey'),
+  value: parseFloat(attr(entry, 'mappedValue')),
+  caseSensitive: attr(entry, 'caseSensitive') === 'true'
+}));
+
+// The correct response, or the positively mapped values when there is none
+const correctValues = (declaration) => {
+  const correct = valuesOf(findFirst(declaration, 'correctResponse'));
+  return correct.length > 0 ? correct : mapEntriesOf(declaration).filter(entry => entry.value > 0).map(entry => entry.key);
+};
+
+// qz-* class tokens written by buildQtiPackage
+const readSettings = (body) => {
+  const tokens = [body, ...findAll(body, () => true)].flatMap(classTokens);
+  const value = (prefix) => tokens.find(token => token.startsWith(prefix))?.slice(prefix.length);
+  return {
+    hintPenalty: parseFloat(value('qz-hint-penalty-')) || 0,
+    partialCredit: value('qz-partial-'),
+    fuzzyTolerance: parseInt(value('qz-fuzzy-'), 10) || 0,
+    shortAnswer: tokens.includes('qz-short-answer')
+  };
+};
+
+const PARTIAL_ANSWERS_DROPPED = 'Partial-credit answers were dropped';
+
+const CONVERTERS = {
+  choiceInteraction: ({ interaction, declaration, warnings }) => {
+    const options = findAll(interaction, 'simpleChoice').map(readEntry);
+    if (options.length < 2) return { error: 'Fewer than two choices' };
+    const correct = correctValues(declaration);
+    if (correct.length === 0) return { error: 'No correct choice' };
+    if (findFirst(declaration, 'mapping')) warnings.push('Partial credit per choice becomes all or nothing');
+
+    const optionImages = Object.fromEntries(options.filter(option => option.image).map(option => [option.id, option.image]));
+    const content = {
+      options: options.map(({ id, text }) => ({ id, text })),
+      shuffle_options: attr(interaction, 'shuffle') === 'true'
+    };
+    const multiple = attr(declaration, 'cardinality') === 'multiple' || correct.length > 1;
+    return {
+      questionType: multiple ? 'multiple_choice_multi' : 'multiple_choice_single',
+      content: multiple ? { ...content, correct_answers: correct } : { ...content, correct_answer: correct[0] },
+      optionImages
+    };
+  },
+
+  orderInteraction: ({ interaction, declaration, settings }) => {
+    const items = findAll(interaction, 'simpleChoice').map(readEntry);
+    if (items.length < 2) return { error: 'Fewer than two items to order' };
+    const order = valuesOf(findFirst(declaration, 'correctResponse'));
+    if (order.length === 0) return { error: 'No correct order' };
+    return {
+      questionType: 'ordering',
+      // Without our class the package's own scoring (match_correct) is all or nothing
+      content: { items: items.map(itemFields), correct_order: order, partial_credit_strategy: settings.partialCredit || 'all_or_nothing' }
+    };
+  },
+
+  matchInteraction: ({ interaction, declaration, settings, warnings }) => {
+    const sets = findAll(interaction, 'simpleMatchSet');
+    if (sets.length !== 2) return { error: 'Match interactions need exactly two match sets' };
+    const [leftItems, rightItems] = sets.map(set => findAll(set, 'simpleAssociableChoice').map(readEntry));
+    const leftIds = new Set(leftItems.map(item => item.id));
+    const pairs = [];
+    correctValues(declaration).forEach(value => {
+      const [first, second] = value.split(/\s+/);
+      const pair = leftIds.has(first) ? { left: first, right: second } : { left: second, right: first };
+      if (pairs.some(existing => existing.left === pair.left)) {
+        warnings.push('Only the first correct match of each item is kept');
+      } else {
+        pairs.push(pair);
+      }
+    });
+    if (pairs.length === 0) return { error: 'No correct pairs' };
+    return {
+      questionType: 'matching',
+      content: {
+        left_items: leftItems.map(itemFields),
+        right_items: rightItems.map(itemFields),
+        correct_pairs: pairs,
+        partial_credit_strategy: settings.partialCredit || 'all_or_nothing',
+        shuffle_items: attr(interaction, 'shuffle') === 'true'
+      }
+    };
+  },
+
+  textEntryInteraction: ({ item, body, interactions, declarations, settings, warnings }) => {
+    const acceptedFor = (interaction) => {
+      const declaration = declarations[attr(interaction, 'responseIdentifier')];
+      const entries = mapEntriesOf(declaration);
+      // Only answers mapped to the full value count; our grader has no partial answers
+      const top = Math.max(0, ...entries.map(entry => entry.value));
+      if (entries.some(entry => entry.value > 0 && entry.value < top) && !warnings.includes(PARTIAL_ANSWERS_DROPPED)) {
+        warnings.push(PARTIAL_ANSWERS_DROPPED);
+      }
+      const answers = [
+        ...valuesOf(findFirst(declaration, 'correctResponse')),
+        ...entries.filter(entry => entry.value > 0 && entry.value === top).map(entry => entry.key)
+      ];
+      return { accepted: [...new Set(answers)], caseSensitive: entries.some(entry => entry.caseSensitive) };
+    };
+
+    // Float and integer responses: each <equal> on the response with its absolute or relative tolerance,
+    // or the correct response values matched exactly
+    const numericFor = (interaction) => {
+      const identifier = attr(interaction, 'responseIdentifier');
+      const declaration = declarations[identifier];
+      if (!declaration || !['float', 'integer'].includes(attr(declaration, 'baseType'))) return null;
+      const equals = findAll(findFirst(item, 'responseProcessing'), 'equal')
+        .filter(equal => findAll(equal, 'variable').some(ref => attr(ref, 'identifier') === identifier));
+      const answers = equals.length > 0
+        ? equals.map(equal => {
+          const value = parseFloat(findFirst(equal, 'baseValue')?.textContent);
+          const tolerance = Math.abs(parseFloat((attr(equal, 'tolerance') || '').trim().split(/\s+/)[0])) || 0;
+          const mode = attr(equal, 'toleranceMode');
+          const margin = mode === 'absolute' ? tolerance : mode === 'relative' ? Math.abs(value) * tolerance / 100 : 0;
+          return { value, margin };
+        })
+        : valuesOf(findFirst(declaration, 'correctResponse')).map(value => ({ value: parseFloat(value), margin: 0 }));
+      return answers.filter(answer => Number.isFinite(answer.value));
+    };
+
+    const template = findFirst(body, node => classTokens(node).includes('qz-template'));
+    const [first] = interactions;
+    const standsAlone = !toText(first.parentNode, node => (node === first ? '' : undefined));
+    const numeric = numericFor(first);
+    if (!template && interactions.length === 1 && numeric?.length > 0) {
+      return {
+        questionType: 'short_answer',
+        content: {
+          max_length: (settings.shortAnswer && Number(attr(first, 'expectedLength'))) || 50,
+          min_length: 0,
+          case_sensitive: false,
+          fuzzy_tolerance: 0,
+          keywords: [],
+          numeric_answers: numeric
+        }
+      };
+    }
+    if (!template && interactions.length === 1 && (settings.shortAnswer || standsAlone)) {
+      const { accepted, caseSensitive } = acceptedFor(first);
+      const content = {
+        // expectedLength is only a size hint in other packages
+        max_length: (settings.shortAnswer && Number(attr(first, 'expectedLength'))) || 500,
+        min_length: 0,
+        case_sensitive: caseSensitive,
+        fuzzy_tolerance: settings.fuzzyTolerance,
+        keywords: []
+      };
+      if (accepted.length === 0) warnings.push('No accepted answers; responses are graded manually');
+      return { questionType: 'short_answer', content: accepted.length > 0 ? { ...content, accepted_answers: accepted } : content };
+    }
+
+    const blanks = [];
+    const templateText = toText(template || body, node => {
+      if (qtiName(node) !== 'textEntryInteraction') return undefined;
+      const { accepted, caseSensitive } = acceptedFor(node);
+      const hint = attr(node, 'placeholderText');
+      blanks.push({ position: blanks.length + 1, accepted_answers: accepted, case_sensitive: caseSensitive, ...(hint && { hint }) });
+      return BLANK_PLACEHOLDER;
+    });
+    const missing = blanks.find(blank => blank.accepted_answers.length === 0);
+    if (missing) return { error: `Blank ${missing.position} has no correct answer` };
+    return {
+      questionType: 'fill_in_blank',
+      // Without our template wrapper the whole body is the template
+      questionText: template ? undefined : (attr(item, 'title') || 'Fill in the blanks'),
+      content: { template: templateText, blanks }
+    };
+  },
+
+  gapMatchInteraction: ({ interaction, declaration }) => {
+    if (findFirst(interaction, 'gapImg')) return { error: 'Image gap choices are not supported' };
+    const words = findAll(interaction, 'gapText');
+    const wordIds = new Set(words.map(word => attr(word, 'identifier')));
+    const gapIds = [];
+    const template = toText(interaction, node => {
+      if (qtiName(node) !== 'gap') return undefined;
+      gapIds.push(attr(node, 'identifier'));
+      return BLANK_PLACEHOLDER;
+    });
+
+    const pairs = [
+      ...valuesOf(findFirst(declaration, 'correctResponse')),
+      ...mapEntriesOf(declaration).filter(entry => entry.value > 0).map(entry => entry.key)
+    ].map(value => value.split(/\s+/)).map(([first, second]) => (wordIds.has(first) ? { word: first, gap: second } : { word: second, gap: first }));
+    const blanks = gapIds.map((gapId, index) => ({
+      position: index + 1,
+      accepted_answers: [...new Set(pairs.filter(pair => pair.gap === gapId).map(pair => pair.word))]
+    }));
+    if (blanks.length === 0) return { error: 'No gaps' };
+    const missing = blanks.find(blank => blank.accepted_answers.length === 0);
+    if (missing) return { error: `Gap ${missing.position} has no correct word` };
+
+    return {
+      questionType: 'fill_in_blank_drag_drop',
+      content: {
+        template,
+        blanks,
+        word_bank: words.map(word => ({ id: attr(word, 'identifier'), text: toText(word) })),
+        // matchMax 0 means a word can fill any number of gaps
+        allow_reuse: words.some(word => Number(attr(word, 'matchMax')) !== 1)
+      }
+    };
+  },
+
+  extendedTextInteraction: ({ interaction, settings, warnings }) => {
+    if (!settings.shortAnswer) warnings.push('Open-ended response; graded manually');
+    return {
+      questionType: 'short_answer',
+      content: {
+        max_length: (settings.shortAnswer && Number(attr(interaction, 'expectedLength'))) || 2000,
+        min_length: 0,
+        case_sensitive: false,
+        fuzzy_tolerance: 0,
+        keywords: []
+      }
+    };
+  }
+};
+
+const readPoints = (item) => {
+  const outcomes = findAll(item, 'outcomeDeclaration');
+  const maxScore = outcomes.find(node => attr(node, 'identifier') === 'MAXSCORE');
+  const score = outcomes.find(node => attr(node, 'identifier') === 'SCORE');
+  const points = parseFloat(valuesOf(findFirst(maxScore, 'defaultValue'))[0]) || parseFloat(score && attr(score, 'normalMaximum'));
+  return points > 0 ? points : DEFAULT_POINTS;
+};
+
+/**
+ * Convert one assessmentItem element into a batch import question
+ * @returns {{ title, warnings, question } | { title, error }}
+ */
+const convertItem = (item) => {
+  const title = attr(item, 'title') || '';
+  if (qtiName(item) !== 'assessmentItem') return { title, error: 'Not an assessment item' };
+  const body = findFirst(item, 'itemBody');
+  if (!body) return { title, error: 'The item has no body' };
+
+  const interactions = findAll(body, isInteraction);
+  if (interactions.length === 0) return { title, error: 'The item has no interaction to answer' };
+  const names = [...new Set(interactions.map(qtiName))];
+  if (names.length > 1) return { title, error: `Items that combine ${names.join(' and ')} are not supported` };
+  if (names[0] !== 'textEntryInteraction' && interactions.length > 1) return { title, error: `More than one ${names[0]}` };
+  const converter = CONVERTERS[names[0]];
+  if (!converter) return { title, error: `${names[0]} is not supported` };
+
+  const declarations = Object.fromEntries(findAll(item, 'responseDeclaration').map(node => [attr(node, 'identifier'), node]));
+  const [interaction] = interactions;
+  const declaration = declarations[attr(interaction, 'responseIdentifier')];
+  if (!declaration) return { title, error: 'The interaction has no response declaration' };
+
+  const warnings = [];
+  const settings = readSettings(body);
+  const converted = converter({ item, body, interaction, interactions, declaration, declarations, settings, warnings });
+  if (converted.error) return { title, error: converted.error };
+
+  const questionText = converted.questionText ?? ([
+    toText(body, node => (isInteraction(node) || classTokens(node).includes('qz-template') ? '' : undefined)),
+    ...findAll(body, 'prompt').map(prompt => toText(prompt))
+  ].filter(Boolean).join('\n\n') || title);
+  if (!questionText) return { title, error: 'Question text is empty' };
+
+  const feedbacks = findAll(item, 'modalFeedback');
+  const content = { ...converted.content };
+  const explanation = feedbacks.map(feedback => toText(feedback)).filter(Boolean);
+  if (explanation.length > 0) content.explanation = explanation.join('\n\n');
+  if (explanation.length > 1) warnings.push('Separate feedback messages were merged into one explanation');
+  if (settings.hintPenalty > 0) content.hint_penalty = settings.hintPenalty;
+
+  const media = readItemMedia(body, feedbacks, warnings);
+  if (converted.optionImages && Object.keys(converted.optionImages).length > 0) media.optionImages = converted.optionImages;
+  if (Object.keys(media).length > 0) content.media = media;
+
+  const question = {
+    questionType: converted.questionType,
+    questionText,
+    difficulty: 'medium',
+    points: readPoints(item),
+    content
+  };
+  const locale = item.getAttribute('xml:lang');
+  if (locale) question.locale = locale;
+
+  return { title, warnings, question };
+};
+
+const parseXml = (text, path) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) throw new Error(`${path} is not well-formed XML`);
+  return doc.documentElement;
+};
+
+// Path of `href` relative to the file at `base`
+const resolvePath = (base, href) => {
+  const parts = base.split('/').slice(0, -1);
+  decodeURIComponent(href.split('#')[0]).split('/').forEach(part => {
+    if (part === '..') {
+      parts.pop();
+    } else if (part && part !== '.') {
+      parts.push(part);
+    }
+  });
+  return parts.join('/');
+};
+
+// Quiz settings and item order from an assessmentTest
+const readTest = (test, path) => {
+  const quiz = {};
+  if (attr(test, 'title')) quiz.title = attr(test, 'title');
+  const description = findAll(test, 'rubricBlock').map(block => toText(block)).filter(Boolean).join('\n\n');
+  if (description) quiz.description = description;
+  const maxTime = Number(findAll(test, 'timeLimits').map(limits => attr(limits, 'maxTime')).find(Boolean));
+  if (maxTime > 0) quiz.timeLimitMinutes = Math.ceil(maxTime / 60);
+  if (findAll(test, 'ordering').some(ordering => attr(ordering, 'shuffle') === 'true')) quiz.shuffleQuestions = true;
+  return { quiz, itemPaths: findAll(test, 'assessmentItemRef').map(ref => resolvePath(path, attr(ref, 'href') || '')) };
+};
+
+/**
+ * Read a QTI 2.1 / 3.0 package (.zip) or a single item (.xml)
+ * Items are taken in the order of the package's assessmentTest, falling back to the manifest's
+ * item resources and then to every item file in the archive.
+ * @param {File} file
+ * @returns {Promise<{ quiz: Object, questions: Object[], skipped: Object[] }>}
+ *   quiz - title, description, timeLimitMinutes and shuffleQuestions found in the test
+ *   questions - { file, title, warnings, question } where question is a batch import question
+ *   skipped - { file, title, reason } for each item that could not be converted
+ * @throws {Error} When the file is not a readable zip or XML document
+ */
+export const parseQtiPackage = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const bytes = new Uint8Array(buffer);
+  // ZIP archives start with "PK"
+  const files = bytes[0] === 0x50 && bytes[1] === 0x4B ? await unzip(buffer) : { [file.name]: bytes };
+  const decoder = new TextDecoder();
+  const roots = {};
+  const rootOf = (path) => {
+    if (!(path in roots)) roots[path] = files[path] ? parseXml(decoder.decode(files[path]), path) : null;
+    return roots[path];
+  };
+  // Root element name, or '' for files that aren't XML we can read
+  const rootName = (path) => {
+    try {
+      return qtiName(rootOf(path));
+    } catch {
+      return '';
+    }
+  };
+
+  const xmlPaths = Object.keys(files).filter(path => path.toLowerCase().endsWith('.xml')).sort();
+  const manifestPath = xmlPaths.filter(path => /(^|\/)imsmanifest\.xml$/i.test(path)).sort((a, b) => a.length - b.length)[0];
+  let testPath = null;
+  let itemPaths = null;
+
+  if (manifestPath) {
+    const resources = findAll(rootOf(manifestPath), 'resource');
+    const hrefOf = (resource) => resolvePath(manifestPath, attr(resource, 'href') || findFirst(resource, 'file')?.getAttribute('href') || '');
+    const test = resources.find(resource => /imsqti_test/.test(resource.getAttribute('type') || ''));
+    if (test) {
+      testPath = hrefOf(test);
+    } else {
+      itemPaths = resources.filter(resource => /imsqti_item/.test(resource.getAttribute('type') || '')).map(hrefOf);
+    }
+  } else {
+    testPath = xmlPaths.find(path => rootName(path) === 'assessmentTest') || null;
+  }
+
+  let quiz = {};
+  if (testPath && rootOf(testPath)) {
+    ({ quiz, itemPaths } = readTest(rootOf(testPath), testPath));
+  }
+  if (!itemPaths || itemPaths.length === 0) {
+    itemPaths = xmlPaths.filter(path => rootName(path) === 'assessmentItem');
+  }
+
+  const questions = [];
+  const skipped = [];
+  itemPaths.forEach(path => {
+    let converted;
+    try {
+      converted = rootOf(path) ? convertItem(rootOf(path)) : { title: '', error: 'Missing from the package' };
+    } catch (err) {
+      converted = { title: '', error: err.message };
+    }
+    if (converted.error) {
+      skipped.push({ file: path, title: converted.title, reason: converted.error });
+    } else {
+      questions.push({ file: path, ...converted });
+    }
+  });
+
+  return { quiz, questions, skipped };
+};
@@ -0,0 +1,387 @@
+/**
+ * Question content
+ * Defaults, normalisation and validation for question.content, per question type.
+ *
+ * Content is stored with the snake_case keys the grader reads (correct_answer, accepted_answers,
+ * word_bank, ...). Older questions and hand-written imports use camelCase aliases or
+ * comma-split strings; normalizeQuestionContent() converts those so the editor only ever
+ * deals with one shape.
+ */
+
+export const QUESTION_TYPES = [
+  { value: 'multiple_choice_single', label: 'Multiple Choice (Single Answer)' },
+  { value: 'multiple_choice_multi', label: 'Multiple Choice (Multiple Answers)' },
+  { value: 'fill_in_blank', label: 'Fill in the Blank' },
+  { value: 'fill_in_blank_drag_drop', label: 'Fill in Blank (Drag & Drop)' },
+  { value: 'ordering', label: 'Ordering' },
+  { value: 'matching', label: 'Matching' },
+  { value: 'program_submission', label: 'Program Submission' },
+  { value: 'short_answer', label: 'Short Answer' }
+];
+
+export const BLANK_PLACEHOLDER = '___';
+
+export const PROGRAM_LANGUAGES = ['python', 'javascript'];
+
+export const ORDERING_STRATEGIES = [
+  { value: 'adjacent_pairs', label: 'Adjacent pairs' },
+  { value: 'position_based', label: 'Position based' },
+  { value: 'all_or_nothing', label: 'All or nothing' }
+];
+
+export const MATCHING_STRATEGIES = [
+  { value: 'per_pair', label: 'Per pair' },
+  { value: 'all_or_nothing', label: 'All or nothing' }
+];
+
+// Keys every type keeps when the question type changes
+const SHARED_KEYS = ['media', 'hint_penalty', 'rubric'];
+
+/**
+ * Next unused id for a list of { id } entries, e.g. opt3 after opt1/opt2
+ */
+export const nextId = (list, prefix) => {
+  const ids = new Set((list || []).map(entry => String(entry.id)));
+  let n = (list || []).length + 1;
+  while (ids.has(`${prefix}${n}`)) n++;
+  return `${prefix}${n}`;
+};
+
+/**
+ * Number of blanks (___) in a fill-in-blank template
+ */
+export const countBlanks = (template) => (template ? template.split(BLANK_PLACEHOLDER).length - 1 : 0);
+
+/**
+ * Answers a short answer question is auto-graded against, for display:
+ * accepted answers as written and numeric answers as "value ± margin"
+ */
+export const shortAnswerKey = (content) => [
+  ...(content.accepted_answers || content.acceptedAnswers || []),
+  ...(content.numeric_answers || content.numericAnswers || [])
+    .map(answer => (Number(answer.margin) > 0 ? `${answer.value} ± ${answer.margin}` : String(answer.value)))
+];
+
+/**
+ * Empty content for a new question of the given type
+ */
+export const createDefaultContent = (questionType) => {
+  switch (questionType) {
+    case 'multiple_choice_single':
+      return {
+        options: [{ id: 'opt1', text: '' }, { id: 'opt2', text: '' }],
+        correct_answer: '',
+        shuffle_options: false
+      };
+    case 'multiple_choice_multi':
+      return {
+        options: [{ id: 'opt1', text: '' }, { id: 'opt2', text: '' }],
+        correct_answers: [],
+        shuffle_options: false
+      };
+    case 'fill_in_blank':
+      return { template: '', blanks: [] };
+    case 'fill_in_blank_drag_drop':
+      return { template: '', blanks: [], word_bank: [], allow_reuse: false };
+    case 'ordering':
+      return {
+        items: [{ id: 'item1', text: '' }, { id: 'item2', text: '' }],
+        correct_order: ['item1', 'item2'],
+        partial_credit_strategy: 'adjacent_pairs'
+      };
+    case 'matching':
+      return {
+        left_items: [{ id: 'L1', text: '' }, { id: 'L2', text: '' }],
+        right_items: [{ id: 'R1', text: '' }, { id: 'R2', text: '' }],
+        correct_pairs: [{ left: 'L1', right: 'R1' }, { left: 'L2', right: 'R2' }],
+        partial_credit_strategy: 'per_pair',
+        shuffle_items: true
+      };
+    case 'program_submission':
+      return {
+        prompt: '',
+        language: 'python',
+        starter_code: '',
+        test_cases: [],
+        time_limit_ms: 1000,
+        memory_limit_mb: 64,
+        allowed_imports: [],
+        forbidden_keywords: []
+      };
+    case 'short_answer':
+      return { max_length: 500, min_length: 0, case_sensitive: false, fuzzy_tolerance: 0, keywords: [] };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Content for a question switched to another type: that type's defaults plus media, hint penalty and rubric
+ */
+export const switchContentType = (content, questionType) => {
+  const shared = Object.fromEntries(SHARED_KEYS.filter(key => content?.[key] !== undefined).map(key => [key, content[key]]));
+  return { ...createDefaultContent(questionType), ...shared };
+};
+
+// First defined value among the given keys
+const pick = (content, ...keys) => keys.map(key => content[key]).find(value => value !== undefined);
+
+// Drops alias keys once their value has been moved to the canonical key
+const without = (content, ...keys) => Object.fromEntries(Object.entries(content).filter(([key]) => !keys.includes(key)));
+
+// Lists authored as "a, b, c" strings become arrays
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(',').map(s => s.trim()).filter(Boolean);
+  return [];
+};
+
+// Options/items may be plain strings or { value, label } in older content
+const toEntries = (list, prefix) => toList(list).map((entry, index) => {
+  if (typeof entry === 'string') return { id: `${prefix}${index + 1}`, text: entry };
+  const { value, label, ...rest } = entry;
+  return { ...rest, id: String(entry.id ?? value ?? `${prefix}${index + 1}`), text: entry.text ?? label ?? '' };
+});
+
+/**
+ * Content in canonical snake_case form for the given type
+ * Unknown keys are kept, so nothing an author added by hand is lost.
+ * @param {string} questionType
+ * @param {Object} content - Stored or imported content
+ * @returns {Object} content the editor, player and grader all agree on
+ */
+export const normalizeQuestionContent = (questionType, content) => {
+  // Drag-drop content is sometimes nested under content.content
+  const source = content?.content && typeof content.content === 'object'
+    ? { ...without(content, 'content'), ...content.content }
+    : { ...(content || {}) };
+
+  switch (questionType) {
+    case 'multiple_choice_single':
+    case 'multiple_choice_multi': {
+      const base = without(source, 'correctAnswer', 'correctAnswers', 'shuffleOptions');
+      const options = toEntries(source.options, 'opt');
+      const shuffleOptions = pick(source, 'shuffle_options', 'shuffleOptions') ?? false;
+      if (questionType === 'multiple_choice_single') {
+        const correct = pick(source, 'correct_answer', 'correctAnswer');
+        return { ...without(base, 'correct_answers'), options, correct_answer: correct === undefined ? '' : String(correct), shuffle_options: shuffleOptions };
+      }
+      const correct = toList(pick(source, 'correct_answers', 'correctAnswers')).map(String);
+      return { ...without(base, 'correct_answer'), options, correct_answers: correct, shuffle_options: shuffleOptions };
+    }
+
+    case 'fill_in_blank': {
+      const blanks = toList(source.blanks).map((blank, index) => ({
+        ...without(blank, 'acceptedAnswers', 'caseSensitive'),
+        position: blank.position ?? index + 1,
+        accepted_answers: toList(pick(blank, 'accepted_answers', 'acceptedAnswers')).map(String),
+        case_sensitive: pick(blank, 'case_sensitive', 'caseSensitive') ?? false
+      }));
+      return { ...source, template: source.template || '', blanks };
+    }
+
+    case 'fill_in_blank_drag_drop': {
+      const wordBank = toEntries(pick(source, 'word_bank', 'wordBank'), 'w');
+      // Accepted answers are word ids; older content named the word's text instead
+      const toWordId = (answer) => {
+        const text = String(answer);
+        return (wordBank.find(word => word.id === text) || wordBank.find(word => word.text === text))?.id ?? text;
+      };
+      const blanks = toList(source.blanks).map((blank, index) => ({
+        ...without(blank, 'acceptedAnswers', 'correctAnswer'),
+        position: blank.position ?? index + 1,
+        accepted_answers: toList(pick(blank, 'accepted_answers', 'acceptedAnswers', 'correctAnswer')).map(toWordId)
+      }));
+      return {
+        ...without(source, 'wordBank', 'allowReuse'),
+        template: source.template || '',
+        blanks,
+        word_bank: wordBank,
+        allow_reuse: pick(source, 'allow_reuse', 'allowReuse') ?? false
+      };
+    }
+
+    case 'ordering': {
+      const items = toEntries(source.items, 'item');
+      const correctOrder = toList(pick(source, 'correct_order', 'correctOrder')).map(String);
+      return {
+        ...without(source, 'correctOrder', 'partialCreditStrategy'),
+        items,
+        correct_order: correctOrder.length > 0 ? correctOrder : items.map(item => item.id),
+        partial_credit_strategy: pick(source, 'partial_credit_strategy', 'partialCreditStrategy') || 'adjacent_pairs'
+      };
+    }
+
+    case 'matching': {
+      const leftItems = toEntries(pick(source, 'left_items', 'leftItems'), 'L');
+      const pairs = toList(pick(source, 'correct_pairs', 'correctPairs'))
+        .map(pair => ({ left: String(pair.left ?? pair.leftId), right: String(pair.right ?? pair.rightId) }));
+      return {
+        ...without(source, 'leftItems', 'rightItems', 'correctPairs', 'partialCreditStrategy', 'shuffleItems'),
+        left_items: leftItems,
+        right_items: toEntries(pick(source, 'right_items', 'rightItems'), 'R'),
+        // The grader compares pairs in left item order
+        correct_pairs: leftItems.map(left => pairs.find(pair => pair.left === left.id)).filter(Boolean),
+        partial_credit_strategy: pick(source, 'partial_credit_strategy', 'partialCreditStrategy') || 'per_pair',
+        shuffle_items: pick(source, 'shuffle_items', 'shuffleItems') ?? true
+      };
+    }
+
+    case 'program_submission':
+      return {
+        ...without(source, 'starterCode', 'testCases', 'timeLimitMs', 'memoryLimitMb', 'allowedImports', 'forbiddenKeywords'),
+        prompt: source.prompt || '',
+        language: source.language || 'python',
+        starter_code: pick(source, 'starter_code', 'starterCode') || '',
+        test_cases: toList(pick(source, 'test_cases', 'testCases')).map(testCase => ({
+          input: testCase.input ?? '',
+          expected: testCase.expected ?? testCase.expected_output ?? '',
+          weight: testCase.weight ?? 1,
+          visible: testCase.visible ?? true,
+          description: testCase.description ?? ''
+        })),
+        time_limit_ms: pick(source, 'time_limit_ms', 'timeLimitMs') ?? 1000,
+        memory_limit_mb: pick(source, 'memory_limit_mb', 'memoryLimitMb') ?? 64,
+        allowed_imports: toList(pick(source, 'allowed_imports', 'allowedImports')),
+        forbidden_keywords: toList(pick(source, 'forbidden_keywords', 'forbiddenKeywords'))
+      };
+
+    case 'short_answer': {
+      const normalized = {
+        ...without(source, 'maxLength', 'minLength', 'acceptedAnswers', 'numericAnswers', 'caseSensitive', 'fuzzyTolerance', 'rubricDescription'),
+        max_length: pick(source, 'max_length', 'maxLength') ?? 500,
+        min_length: pick(source, 'min_length', 'minLength') ?? 0,
+        case_sensitive: pick(source, 'case_sensitive', 'caseSensitive') ?? false,
+        fuzzy_tolerance: pick(source, 'fuzzy_tolerance', 'fuzzyTolerance') ?? 0,
+        keywords: toList(source.keywords).map(keyword => (typeof keyword === 'string'
+          ? { word: keyword, weight: 1, required: false, synonyms: [] }
+          : { ...keyword, synonyms: toList(keyword.synonyms) }))
+      };
+      const rubricDescription = pick(source, 'rubric_description', 'rubricDescription');
+      if (rubricDescription !== undefined) normalized.rubric_description = rubricDescription;
+      // Without accepted or numeric answers the question is graded manually, so empty lists must not be stored
+      const accepted = toList(pick(source, 'accepted_answers', 'acceptedAnswers')).map(String).filter(Boolean);
+      const numeric = toList(pick(source, 'numeric_answers', 'numericAnswers'))
+        .map(answer => ({ value: Number(answer.value), margin: Math.abs(Number(answer.margin)) || 0 }))
+        .filter(answer => Number.isFinite(answer.value));
+      delete normalized.accepted_answers;
+      delete normalized.numeric_answers;
+      return {
+        ...normalized,
+        ...(accepted.length > 0 && { accepted_answers: accepted }),
+        ...(numeric.length > 0 && { numeric_answers: numeric })
+      };
+    }
+
+    default:
+      return source;
+  }
+};
+
+// Ids must be present and unique for the player to tell entries apart
+const entryListError = (list, noun, minimum) => {
+  if (list.length < minimum) return `Add at least ${minimum} ${noun}s`;
+  if (list.some(entry => !String(entry.text ?? '').trim() && !entry.image)) return `Every ${noun} needs text`;
+  const ids = list.map(entry => String(entry.id ?? '').trim());
+  if (ids.some(id => !id)) return `Every ${noun} needs an id`;
+  if (new Set(ids).size !== ids.length) return `${noun.charAt(0).toUpperCase()}${noun.slice(1)} ids must be unique`;
+  return null;
+};
+
+/**
+ * Problems that would stop a question from being answered or graded, keyed by editor section
+ * @param {Object} question - { questionType, questionText, points, content } with normalised content
+ * @returns {Object} section -> message; empty when the question is valid
+ */
+export const validateQuestion = (question) => {
+  const errors = {};
+  const content = question.content || {};
+
+  if (!question.questionText?.trim()) errors.questionText = 'Question text is required';
+  if (!(Number(question.points) >= 0)) errors.points = 'Points must be zero or more';
+
+  switch (question.questionType) {
+    case 'multiple_choice_single':
+    case 'multiple_choice_multi': {
+      const options = content.options || [];
+      const optionError = entryListError(options, 'option', 2);
+      if (optionError) errors.options = optionError;
+      const optionIds = options.map(option => option.id);
+      if (question.questionType === 'multiple_choice_single') {
+        if (!optionIds.includes(content.correct_answer)) errors.correct = 'Mark the correct option';
+      } else if (!(content.correct_answers || []).some(id => optionIds.includes(id))) {
+        errors.correct = 'Mark at least one correct option';
+      }
+      break;
+    }
+
+    case 'fill_in_blank':
+    case 'fill_in_blank_drag_drop': {
+      const blanks = content.blanks || [];
+      const expected = countBlanks(content.template);
+      if (expected === 0) {
+        errors.template = `Add at least one blank (${BLANK_PLACEHOLDER}) to the template`;
+      } else if (blanks.length !== expected) {
+        errors.blanks = `The template has ${expected} blank${expected === 1 ? '' : 's'} but ${blanks.length} ${blanks.length === 1 ? 'is' : 'are'} defined`;
+      }
+      if (!errors.blanks && blanks.some(blank => (blank.accepted_answers || []).length === 0)) {
+        errors.blanks = 'Every blank needs at least one accepted answer';
+      }
+      if (question.questionType === 'fill_in_blank_drag_drop') {
+        const words = content.word_bank || [];
+        const wordError = entryListError(words, 'word', 1);
+        if (wordError) errors.word_bank = wordError;
+        const wordIds = words.map(word => word.id);
+        if (!errors.blanks && blanks.some(blank => blank.accepted_answers.some(id => !wordIds.includes(id)))) {
+          errors.blanks = 'Accepted answers must be words from the word bank';
+        }
+      }
+      break;
+    }
+
+    case 'ordering': {
+      const itemError = entryListError(content.items || [], 'item', 2);
+      if (itemError) errors.items = itemError;
+      break;
+    }
+
+    case 'matching': {
+      const leftError = entryListError(content.left_items || [], 'left item', 2);
+      const rightError = entryListError(content.right_items || [], 'right item', 2);
+      if (leftError || rightError) errors.items = leftError || rightError;
+      const rightIds = (content.right_items || []).map(item => item.id);
+      const paired = (content.left_items || []).every(left =>
+        (content.correct_pairs || []).some(pair => pair.left === left.id && rightIds.includes(pair.right)));
+      if (!paired) errors.pairs = 'Choose a match for every left item';
+      break;
+    }
+
+    case 'program_submission':
+      if ((content.test_cases || []).length === 0) {
+        errors.test_cases = 'Add at least one test case';
+      } else if (content.test_cases.some(testCase => !String(testCase.expected ?? '').length)) {
+        errors.test_cases = 'Every test case needs an expected output';
+      }
+      if (!(Number(content.time_limit_ms) > 0)) errors.limits = 'Time limit must be greater than 0';
+      break;
+
+    case 'short_answer':
+      if (!(Number(content.max_length) > 0)) {
+        errors.length = 'Maximum length must be greater than 0';
+      } else if (Number(content.min_length) > Number(content.max_length)) {
+        errors.length = 'Minimum length cannot exceed the maximum length';
+      }
+      if ((content.keywords || []).some(keyword => !keyword.word?.trim())) {
+        errors.keywords = 'Every keyword needs a word';
+      }
+      if ((content.numeric_answers || []).some(answer => answer.value === '' || !Number.isFinite(Number(answer.value)) || !(Number(answer.margin) >= 0))) {
+        errors.numeric_answers = 'Every numeric answer needs a number and a margin of 0 or more';
+      }
+      break;
+
+    default:
+      errors.questionType = 'Choose a question type';
+  }
+
+  return errors;
+};
@@ -0,0 +1,114 @@
+/**
+ * Question Media
+ * Question content can carry a `media` block matching the backend QuestionMedia:
+ * questionImage, questionAudio, questionVideo, hintImage, tutorialVideo,
+ * referenceImage and optionImages (keyed by option id). Every entry is a
+ * MediaAsset: { url, altText, width, height, durationSeconds, thumbnail, transcript, captions }.
+ *
+ * Options and matching items may also carry a plain `image` / `audio` URL.
+ */
+
+export const MEDIA_SLOTS = [
+  { key: 'questionImage', label: 'Question Image', kind: 'image' },
+  { key: 'questionAudio', label: 'Question Audio', kind: 'audio' },
+  { key: 'questionVideo', label: 'Question Video', kind: 'video' },
+  { key: 'referenceImage', label: 'Reference Image', kind: 'image' },
+  { key: 'hintImage', label: 'Hint Image', kind: 'image' },
+  { key: 'tutorialVideo', label: 'Tutorial Video', kind: 'video' }
+];
+
+// Shown while answering; the tutorial video is kept for review
+export const PLAYER_MEDIA_SLOTS = ['questionImage', 'questionAudio', 'questionVideo', 'referenceImage', 'hintImage'];
+export const REVIEW_MEDIA_SLOTS = ['questionImage', 'questionAudio', 'questionVideo', 'referenceImage', 'tutorialVideo'];
+
+const SNAKE_CASE_KEYS = {
+  questionImage: 'question_image',
+  questionAudio: 'question_audio',
+  questionVideo: 'question_video',
+  referenceImage: 'reference_image',
+  hintImage: 'hint_image',
+  tutorialVideo: 'tutorial_video'
+};
+
+/**
+ * Normalize a media asset that may be a bare URL or use snake_case fields
+ * @param {string|Object} asset - MediaAsset or URL
+ * @returns {Object|null} MediaAsset with camelCase fields, or null without a URL
+ */
+export const normalizeMediaAsset = (asset) => {
+  if (!asset) return null;
+  if (typeof asset === 'string') {
+    return asset.trim() ? { url: asset.trim() } : null;
+  }
+  if (typeof asset !== 'object' || !asset.url) return null;
+
+  return {
+    url: asset.url,
+    altText: asset.altText ?? asset.alt_text ?? '',
+    width: asset.width,
+    height: asset.height,
+    durationSeconds: asset.durationSeconds ?? asset.duration_seconds,
+    thumbnail: asset.thumbnail,
+    transcript: asset.transcript,
+    captions: asset.captions
+  };
+};
+
+/**
+ * Media attached to a question, normalized and without empty slots
+ * @param {Object} question - Question with content
+ * @returns {Object} { questionImage, ..., optionImages } - only the slots that have a URL
+ */
+export const getQuestionMedia = (question) => {
+  const content = question?.content || {};
+  // Drag-drop content is sometimes nested under content.content
+  const media = content.media || content.content?.media;
+  if (!media || typeof media !== 'object') return {};
+
+  const result = {};
+  MEDIA_SLOTS.forEach(({ key }) => {
+    const asset = normalizeMediaAsset(media[key] ?? media[SNAKE_CASE_KEYS[key]]);
+    if (asset) result[key] = asset;
+  });
+
+  const optionImages = media.optionImages || media.option_images;
+  if (optionImages && typeof optionImages === 'object') {
+    result.optionImages = optionImages;
+  }
+  return result;
+};
+
+/**
+ * Image for a multiple choice option, from option.image or media.optionImages
+ * @returns {Object|null} MediaAsset; the alt text falls back to the option text
+ */
+export const getOptionImage = (question, option) => {
+  const asset = normalizeMediaAsset(getQuestionMedia(question).optionImages?.[option?.id])
+    || normalizeMediaAsset(option?.image);
+  if (!asset) return null;
+  return { ...asset, altText: asset.altText || option?.text || '' };
+};
+
+/**
+ * Set one field of a media slot, dropping empty fields and slots without a URL
+ * @param {Object} media - Current media block (may be undefined)
+ * @param {string} key - Slot key, e.g. 'questionImage'
+ * @param {string} field - MediaAsset field, e.g. 'url' or 'altText'
+ * @param {string} value - New value
+ * @returns {Object|undefined} Updated media block, or undefined when nothing is left
+ */
+export const updateMediaAsset = (media, key, field, value) => {
+  const current = typeof media?.[key] === 'string' ? { url: media[key] } : (media?.[key] || {});
+  const asset = { ...current, [field]: value };
+  if (value === '' || value === null || value === undefined) {
+    delete asset[field];
+  }
+
+  const updated = { ...(media || {}) };
+  if (asset.url) {
+    updated[key] = asset;
+  } else {
+    delete updated[key];
+  }
+  return Object.keys(updated).length > 0 ? updated : undefined;
+};
@@ -0,0 +1,126 @@
+/**
+ * Read Aloud
+ * Builds the text spoken by the read-aloud button in TakeQuiz and stores the
+ * player's rate/voice preferences. Speech itself uses the browser's speechSynthesis.
+ *
+ * Fenced code blocks (```...```) are skipped; inline `code` is read literally.
+ */
+
+const SETTINGS_KEY = 'readAloudSettings';
+const DEFAULT_SETTINGS = { rate: 0.9, voiceURI: '' };
+
+export const isReadAloudSupported = () =>
+  typeof window !== 'undefined' && 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+
+/**
+ * Rate and voice saved for this browser
+ * @returns {{ rate: number, voiceURI: string }}
+ */
+export const loadReadAloudSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    return { ...DEFAULT_SETTINGS, ...saved };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+export const saveReadAloudSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+/**
+ * Make text speakable: drop fenced code blocks, unwrap inline code, read blanks as "blank"
+ */
+export const toSpokenText = (text) => {
+  if (!text) return '';
+  return String(text)
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/_{3,}/g, ' blank ')
+    .replace(/\s+/g, ' ')
+    .replace(/ ([.,!?;:])/g, '$1')
+    .trim();
+};
+
+const itemTexts = (items) => (items || [])
+  .map(item => toSpokenText(item?.text ?? item?.label ?? item))
+  .filter(Boolean);
+
+/**
+ * Sentences to read for a question, in display order
+ * @param {Object} question - Question as shown in TakeQuiz (options/items already shuffled)
+ * @returns {string[]} One entry per spoken segment
+ */
+export const buildReadAloudSegments = (question) => {
+  if (!question) return [];
+  const content = question.content || {};
+  const segments = [toSpokenText(question.questionText)];
+
+  switch (question.questionType) {
+    case 'multiple_choice_single':
+    case 'multiple_choice_multi': {
+      (content.options || []).forEach((option, index) => {
+        const text = toSpokenText(option.text);
+        if (text) segments.push(`Option ${String.fromCharCode(65 + index)}: ${text}`);
+      });
+      break;
+    }
+
+    case 'fill_in_blank':
+    case 'fill_in_blank_drag_drop': {
+      const blanksContent = content.content && typeof content.content === 'object' ? content.content : content;
+      const template = blanksContent.template || content.template;
+      if (template) {
+        const spokenTemplate = toSpokenText(template);
+        segments.push(spokenTemplate || 'Fill in the blanks in the code.');
+      }
+      const words = itemTexts(blanksContent.wordBank || blanksContent.word_bank);
+      if (words.length > 0) {
+        segments.push(`Word choices: ${words.join(', ')}`);
+      }
+      break;
+    }
+
+    case 'matching': {
+      const leftItems = itemTexts(content.leftItems || content.left_items);
+      const rightItems = itemTexts(content.rightItems || content.right_items);
+      if (leftItems.length > 0) {
+        segments.push(`Column A: ${leftItems.map((text, i) => `${String.fromCharCode(65 + i)}, ${text}`).join('. ')}`);
+      }
+      if (rightItems.length > 0) {
+        segments.push(`Column B: ${rightItems.map((text, i) => `${i + 1}, ${text}`).join('. ')}`);
+      }
+      break;
+    }
+
+    case 'ordering': {
+      const items = itemTexts(content.items);
+      if (items.length > 0) {
+        segments.push(`Put these in order: ${items.join('. ')}`);
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  return segments.filter(Boolean);
+};
+
+/**
+ * Best voice for a locale: the saved voice if it still exists, else one matching
+ * the full locale (en-US), else one matching the language (en)
+ */
+export const pickVoice = (voices, locale, voiceURI) => {
+  if (!voices || voices.length === 0) return null;
+  const saved = voiceURI && voices.find(voice => voice.voiceURI === voiceURI);
+  if (saved) return saved;
+
+  const normalizedLocale = (locale || 'en-US').replace('_', '-').toLowerCase();
+  const language = normalizedLocale.split('-')[0];
+  return voices.find(voice => voice.lang?.toLowerCase() === normalizedLocale)
+    || voices.find(voice => voice.lang?.toLowerCase().startsWith(language))
+    || null;
+};
@@ -0,0 +1,94 @@
+/**
+ * Rubrics
+ * Criteria x levels grading for open-ended questions, stored on the question as
+ *   content.rubric = { criteria: [{ id, title, levels: [{ id, label, points, descriptor }] }] }
+ *
+ * A response graded with the rubric keeps a copy of it in grading_details.rubric, with the
+ * picked level of each criterion in selected_level_id, so later rubric edits don't change past grades.
+ */
+
+// Manually graded question types that can carry a rubric (add new open-ended types here)
+export const RUBRIC_QUESTION_TYPES = ['short_answer', 'program_submission'];
+
+const newId = (prefix) => `${prefix}_${crypto.randomUUID().slice(0, 8)}`;
+
+export const createRubricLevel = (label = '', points = 0) => ({
+  id: newId('level'),
+  label,
+  points,
+  descriptor: ''
+});
+
+export const createRubricCriterion = () => ({
+  id: newId('criterion'),
+  title: '',
+  levels: [
+    createRubricLevel('Excellent', 3),
+    createRubricLevel('Good', 2),
+    createRubricLevel('Needs improvement', 1),
+    createRubricLevel('Missing', 0)
+  ]
+});
+
+/**
+ * The question's rubric, or null when it has no criteria
+ */
+export const getRubric = (question) => {
+  const content = question?.content || {};
+  const rubric = content.rubric || content.content?.rubric;
+  return rubric?.criteria?.length > 0 ? rubric : null;
+};
+
+export const getLevelPoints = (level) => Number(level?.points) || 0;
+
+export const getCriterionMaxPoints = (criterion) => Math.max(0, ...(criterion?.levels || []).map(getLevelPoints));
+
+/**
+ * Highest score the rubric can give: the best level of every criterion
+ */
+export const getRubricMaxPoints = (rubric) => (rubric?.criteria || []).reduce(
+  (total, criterion) => total + getCriterionMaxPoints(criterion),
+  0
+);
+
+/**
+ * Picked levels ({ [criterionId]: levelId }) from a graded response's grading_details.rubric
+ */
+export const getRubricSelections = (gradedRubric) => Object.fromEntries(
+  (gradedRubric?.criteria || [])
+    .filter(criterion => criterion.selected_level_id)
+    .map(criterion => [criterion.id, criterion.selected_level_id])
+);
+
+export const isRubricComplete = (rubric, selections) =>
+  (rubric?.criteria || []).every(criterion => selections[criterion.id]);
+
+/**
+ * Score the picked levels. Rubric points are scaled to the question's points so a rubric
+ * can use any scale (e.g. 0-4 per criterion) for a 10 point question.
+ * @returns {{ earned: number, possible: number, points: number }} points is the scaled question score
+ */
+export const scoreRubric = (rubric, selections, questionPoints) => {
+  const earned = (rubric?.criteria || []).reduce((total, criterion) => {
+    const level = (criterion.levels || []).find(l => l.id === selections[criterion.id]);
+    return total + getLevelPoints(level);
+  }, 0);
+  const possible = getRubricMaxPoints(rubric);
+  const points = possible > 0 ? Math.round((earned / possible) * questionPoints * 100) / 100 : 0;
+  return { earned, possible, points };
+};
+
+/**
+ * Completed rubric to store in grading_details.rubric
+ */
+export const buildRubricGrading = (rubric, selections) => {
+  const { earned, possible } = scoreRubric(rubric, selections, 0);
+  return {
+    criteria: rubric.criteria.map(criterion => ({
+      ...criterion,
+      selected_level_id: selections[criterion.id] || null
+    })),
+    points_earned: earned,
+    points_possible: possible
+  };
+};
@@ -0,0 +1,118 @@
+/**
+ * Seeded Shuffle
+ * Deterministic shuffling for quiz attempts. Each attempt stores a single
+ * shuffleSeed in its metadata; question, option and item order are all derived
+ * from it, so resuming an attempt or reviewing it later shows the same layout.
+ */
+
+/**
+ * Create a new random seed for an attempt
+ * @returns {number} Unsigned 32-bit seed
+ */
+export const createShuffleSeed = () => {
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * 0x100000000);
+};
+
+// FNV-1a hash so each question/list gets its own stream from the attempt seed
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32 PRNG - returns floats in [0, 1)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Shuffle an array deterministically
+ * @param {Array} array - Items to shuffle (not modified)
+ * @param {number} seed - Attempt seed
+ * @param {string} salt - Distinguishes lists shuffled with the same seed, e.g. "<questionId>:options"
+ * @returns {Array} Shuffled copy
+ */
+export const seededShuffle = (array, seed, salt = '') => {
+  const random = createRandom((seed ^ hashString(salt)) >>> 0);
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Content keys are snake_case in the database but may arrive camelCase
+const getContentList = (content, snakeKey, camelKey) => {
+  if (Array.isArray(content[snakeKey])) return { key: snakeKey, list: content[snakeKey] };
+  if (Array.isArray(content[camelKey])) return { key: camelKey, list: content[camelKey] };
+  return null;
+};
+
+const getContentFlag = (content, snakeKey, camelKey) => content[snakeKey] ?? content[camelKey];
+
+const shuffleContentList = (content, snakeKey, camelKey, seed, salt) => {
+  const found = getContentList(content, snakeKey, camelKey);
+  if (!found) return content;
+  return { ...content, [found.key]: seededShuffle(found.list, seed, salt) };
+};
+
+/**
+ * Apply the attempt's shuffle to a single question's options/items
+ * - multiple choice: options, only when shuffle_options is true
+ * - matching: right-hand items, unless shuffle_items is false
+ * - ordering: items are always shuffled (stored order may be the answer)
+ * @param {Object} question - Question with content
+ * @param {number|null} seed - Attempt seed; null leaves the question unchanged
+ * @returns {Object} Question with reordered content
+ */
+export const shuffleQuestionContent = (question, seed) => {
+  if (seed === null || seed === undefined || !question?.content) return question;
+
+  const content = question.content;
+  const questionId = question.questionId || question.question_id;
+
+  switch (question.questionType || question.question_type) {
+    case 'multiple_choice_single':
+    case 'multiple_choice_multi':
+      if (getContentFlag(content, 'shuffle_options', 'shuffleOptions') !== true) return question;
+      return { ...question, content: shuffleContentList(content, 'options', 'options', seed, `${questionId}:options`) };
+
+    case 'matching':
+      if (getContentFlag(content, 'shuffle_items', 'shuffleItems') === false) return question;
+      return { ...question, content: shuffleContentList(content, 'right_items', 'rightItems', seed, `${questionId}:items`) };
+
+    case 'ordering':
+      return { ...question, content: shuffleContentList(content, 'items', 'items', seed, `${questionId}:items`) };
+
+    default:
+      return question;
+  }
+};
+
+/**
+ * Apply the attempt's shuffle to a whole quiz
+ * @param {Object[]} questions - Questions in authored order
+ * @param {number|null} seed - Attempt seed; null keeps the authored layout
+ * @param {Object} options - { shuffleQuestions: quiz-level flag }
+ * @returns {Object[]} Questions in the order and layout the student sees
+ */
+export const applySeededLayout = (questions, seed, { shuffleQuestions = false } = {}) => {
+  if (seed === null || seed === undefined) return questions;
+
+  const ordered = shuffleQuestions ? seededShuffle(questions, seed, 'questions') : questions;
+  return ordered.map(question => shuffleQuestionContent(question, seed));
+};
@@ -0,0 +1,22 @@
+/**
+ * XML helpers
+ * Shared by the files built for download (XLSX sheets, QTI packages).
+ */
+
+// Tab, newline and carriage return are the only control characters XML 1.0 allows
+const isXmlChar = (char) => {
+  const code = char.charCodeAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0A || code === 0x0D;
+};
+
+/**
+ * Escape text for element content and double-quoted attribute values,
+ * dropping control characters that would make the document invalid.
+ */
+export const escapeXml = (text) => Array.from(String(text))
+  .filter(isXmlChar)
+  .join('')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
@@ -0,0 +1,138 @@
+/**
+ * ZIP archives
+ * zipStore() writes an archive with every entry stored uncompressed; unzip() reads stored and
+ * deflated entries, using the browser's DecompressionStream for the latter.
+ */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * ZIP archive with every entry stored (method 0)
+ * @param {Object<string, string|Uint8Array>} files - Path inside the archive -> content; strings are written as UTF-8
+ * @returns {Array<DataView|Uint8Array>} Parts for new Blob(parts)
+ */
+export const zipStore = (files) => {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBytes = encoder.encode(name);
+    const data = typeof content === 'string' ? encoder.encode(content) : content;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    localParts.push(local, nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(central, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, localParts.length / 3, true);
+  end.setUint16(10, localParts.length / 3, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return [...localParts, ...centralParts, end];
+};
+
+const inflateRaw = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Read every file in a ZIP archive
+ * Entries are found through the central directory; folders are left out.
+ * @param {ArrayBuffer} buffer - Archive contents, e.g. from file.arrayBuffer()
+ * @returns {Promise<Object<string, Uint8Array>>} Path inside the archive -> content
+ * @throws {Error} When the data isn't a ZIP archive or uses an unsupported compression method
+ */
+export const unzip = async (buffer) => {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  // The end of central directory record is in the last 22 bytes plus up to 64 KB of comment
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === 0x06054B50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('Not a ZIP archive');
+
+  const count = view.getUint16(end + 10, true);
+  let pointer = view.getUint32(end + 16, true);
+  const utf8 = new TextDecoder();
+  // Names without the UTF-8 flag are usually ASCII; latin1 keeps anything else readable
+  const latin1 = new TextDecoder('latin1');
+  const files = {};
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(pointer, true) !== 0x02014B50) throw new Error('Corrupt ZIP central directory');
+    const flags = view.getUint16(pointer + 8, true);
+    const method = view.getUint16(pointer + 10, true);
+    const compressedSize = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const extraLength = view.getUint16(pointer + 30, true);
+    const commentLength = view.getUint16(pointer + 32, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+    const nameBytes = bytes.subarray(pointer + 46, pointer + 46 + nameLength);
+    const name = (flags & 0x0800 ? utf8 : latin1).decode(nameBytes);
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x0001) throw new Error(`${name} is encrypted`);
+
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      files[name] = data;
+    } else if (method === 8) {
+      files[name] = await inflateRaw(data);
+    } else {
+      throw new Error(`${name} uses an unsupported compression method (${method})`);
+    }
+  }
+
+  return files;
+};